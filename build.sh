@@ -46,6 +46,9 @@ cp -f "$SRC_DIR/fonts/"*.woff2 "$DIST_DIR/fonts/" 2>/dev/null || true
 # 复制 vendor 文件到 dist/
 cp -f "$SRC_DIR/vendor/marked.min.js" "$DIST_DIR/" 2>/dev/null || true
 
+# 复制可选拼音数据包到 dist/（体积较大，不合并进 boblog-ui.js，按需引入）
+cp -f "$SRC_DIR/js/pinyin-data.js" "$DIST_DIR/pinyin-data.js"
+
 # ==================================================
 # CSS 构建
 # 通过 src/main.scss 统一编译（Dart Sass），支持跨文件 @extend
@@ -96,17 +99,19 @@ fi
 
 # ==================================================
 # JS 构建
-# 合并顺序：prism（语法高亮引擎）→ codeblock → toc → tabs → input（密码切换）→ select → textarea → table → lunar（农历/节气）→ date-picker
+# 合并顺序：prism（语法高亮引擎）→ registry（组件注册表）→ codeblock → toc → tabs → input（密码切换）→ select → textarea → pagination → table → lunar（农历/节气）→ date-picker
 # ==================================================
 JS_FILES=(
     "$SRC_DIR/vendor/prism/prism.min.js"
     "$SRC_DIR/vendor/prism/prism-markdown.min.js"
+    "$SRC_DIR/js/registry.js"
     "$SRC_DIR/js/codeblock.js"
     "$SRC_DIR/js/toc.js"
     "$SRC_DIR/js/tabs.js"
     "$SRC_DIR/js/input.js"
     "$SRC_DIR/js/select.js"
     "$SRC_DIR/js/textarea.js"
+    "$SRC_DIR/js/pagination.js"
     "$SRC_DIR/js/table.js"
     "$SRC_DIR/js/lunar.js"
     "$SRC_DIR/js/pinyin.js"
@@ -21,6 +21,7 @@
  *
  * 公开 API：
  *   BoblogUI.accordion.init([container])  — 初始化指定容器（默认 document）内所有手风琴
+ *   BoblogUI.accordion.destroy(el)         — 销毁单个手风琴：解绑事件并清除初始化标记
  *
  * 依赖：
  *   - src/components/accordion.css（样式）
@@ -32,6 +33,69 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已初始化容器 → AbortController（destroy 时一次性解绑所有事件） */
+    var controllers = new WeakMap();
+
+    /**
+     * 初始化单个手风琴容器
+     * 为容器的标题栏绑定点击切换逻辑。
+     *
+     * @param {HTMLElement} accordionEl — .boblog-accordion 容器
+     */
+    function initOne(accordionEl) {
+        /* 跳过已初始化的容器，避免重复绑定 */
+        if (accordionEl.dataset.bbAccordionInit) return;
+        accordionEl.dataset.bbAccordionInit = '1';
+
+        /* 获取所有折叠项（仅直接子级，避免嵌套手风琴干扰） */
+        var items = [];
+        var children = accordionEl.children;
+        for (var i = 0; i < children.length; i++) {
+            if (children[i].classList.contains('boblog-accordion-item')) {
+                items.push(children[i]);
+            }
+        }
+
+        var controller = new AbortController();
+        controllers.set(accordionEl, controller);
+
+        /* 为每个折叠项的标题栏绑定点击事件 */
+        items.forEach(function (item) {
+            var header = item.querySelector('.boblog-accordion-header');
+            if (!header) return;
+
+            header.addEventListener('click', function () {
+                /* 判断当前项是否已激活 */
+                var isActive = item.classList.contains('active');
+
+                /* 关闭同容器内所有已展开的项 */
+                items.forEach(function (otherItem) {
+                    otherItem.classList.remove('active');
+                });
+
+                /* 如果当前项之前未激活，则展开它；否则保持全部关闭 */
+                if (!isActive) {
+                    item.classList.add('active');
+                }
+            }, { signal: controller.signal });
+        });
+    }
+
+    /**
+     * 销毁单个手风琴容器
+     * 解绑标题栏点击事件并清除初始化标记，之后可重新 init。
+     *
+     * @param {HTMLElement} accordionEl — .boblog-accordion 容器
+     */
+    function destroy(accordionEl) {
+        var controller = controllers.get(accordionEl);
+        if (controller) {
+            controller.abort();
+            controllers.delete(accordionEl);
+        }
+        delete accordionEl.dataset.bbAccordionInit;
+    }
+
     /**
      * 初始化手风琴折叠面板
      *
@@ -46,48 +110,19 @@
         /* 获取所有手风琴容器 */
         var accordions = root.querySelectorAll('.boblog-accordion');
 
-        accordions.forEach(function (accordionEl) {
-            /* 跳过已初始化的容器，避免重复绑定 */
-            if (accordionEl.dataset.bbAccordionInit) return;
-            accordionEl.dataset.bbAccordionInit = '1';
-
-            /* 获取所有折叠项（仅直接子级，避免嵌套手风琴干扰） */
-            var items = [];
-            var children = accordionEl.children;
-            for (var i = 0; i < children.length; i++) {
-                if (children[i].classList.contains('boblog-accordion-item')) {
-                    items.push(children[i]);
-                }
-            }
-
-            /* 为每个折叠项的标题栏绑定点击事件 */
-            items.forEach(function (item) {
-                var header = item.querySelector('.boblog-accordion-header');
-                if (!header) return;
-
-                header.addEventListener('click', function () {
-                    /* 判断当前项是否已激活 */
-                    var isActive = item.classList.contains('active');
-
-                    /* 关闭同容器内所有已展开的项 */
-                    items.forEach(function (otherItem) {
-                        otherItem.classList.remove('active');
-                    });
-
-                    /* 如果当前项之前未激活，则展开它；否则保持全部关闭 */
-                    if (!isActive) {
-                        item.classList.add('active');
-                    }
-                });
-            });
-        });
+        accordions.forEach(initOne);
     }
 
     /* 挂载到全局命名空间 */
     BoblogUI.accordion = {
-        init: init
+        init: init,
+        destroy: destroy
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('accordion', '.boblog-accordion', initOne, destroy);
+    }
+
     /* DOMContentLoaded 时自动初始化 */
     document.addEventListener('DOMContentLoaded', function () {
         init();
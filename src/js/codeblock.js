@@ -18,6 +18,7 @@
  *   方式二（手动调用）：
  *     BoblogUI.codeblock.init()           — 初始化页面所有代码块
  *     BoblogUI.codeblock.init(container)  — 只初始化指定容器内的代码块
+ *     BoblogUI.codeblock.destroy(block)   — 移除单个代码块的行号列和复制按钮（保留高亮）
  *
  * HTML 结构约定：
  *   <div class="boblog-codeblock">
@@ -169,45 +170,51 @@ window.BoblogUI = window.BoblogUI || {};
         var root = container || document;
         var codeBlocks = root.querySelectorAll('.boblog-codeblock');
 
-        codeBlocks.forEach(function (block) {
-            /* 跳过已标记禁用复制的代码块 */
-            if (block.hasAttribute('data-no-copy')) return;
-
-            /* 只对包含 <pre> 或 <code> 的代码块添加按钮 */
-            var codeEl = block.querySelector('pre') || block.querySelector('code');
-            if (!codeEl) return;
+        codeBlocks.forEach(addCopyButton);
+    }
 
-            /* 创建复制按钮 */
-            var btn = document.createElement('button');
-            btn.className = 'boblog-copy-btn';
-            btn.textContent = '复制';
-            btn.type = 'button';
-
-            btn.addEventListener('click', function () {
-                /* 获取纯文本内容（去掉 HTML 标签） */
-                var text = codeEl.textContent || codeEl.innerText;
-
-                if (navigator.clipboard && navigator.clipboard.writeText) {
-                    /* 现代浏览器 Clipboard API */
-                    navigator.clipboard.writeText(text).then(function () {
-                        showCopied(btn);
-                    });
-                } else {
-                    /* 降级方案：textarea + execCommand */
-                    var textarea = document.createElement('textarea');
-                    textarea.value = text;
-                    textarea.style.position = 'fixed';
-                    textarea.style.opacity = '0';
-                    document.body.appendChild(textarea);
-                    textarea.select();
-                    document.execCommand('copy');
-                    document.body.removeChild(textarea);
+    /**
+     * 为单个代码块添加复制按钮
+     * @param {Element} block - .boblog-codeblock 元素
+     */
+    function addCopyButton(block) {
+        /* 跳过已标记禁用复制的代码块 */
+        if (block.hasAttribute('data-no-copy')) return;
+
+        /* 只对包含 <pre> 或 <code> 的代码块添加按钮 */
+        var codeEl = block.querySelector('pre') || block.querySelector('code');
+        if (!codeEl) return;
+
+        /* 创建复制按钮 */
+        var btn = document.createElement('button');
+        btn.className = 'boblog-copy-btn';
+        btn.textContent = '复制';
+        btn.type = 'button';
+
+        btn.addEventListener('click', function () {
+            /* 获取纯文本内容（去掉 HTML 标签） */
+            var text = codeEl.textContent || codeEl.innerText;
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                /* 现代浏览器 Clipboard API */
+                navigator.clipboard.writeText(text).then(function () {
                     showCopied(btn);
-                }
-            });
-
-            block.appendChild(btn);
+                });
+            } else {
+                /* 降级方案：textarea + execCommand */
+                var textarea = document.createElement('textarea');
+                textarea.value = text;
+                textarea.style.position = 'fixed';
+                textarea.style.opacity = '0';
+                document.body.appendChild(textarea);
+                textarea.select();
+                document.execCommand('copy');
+                document.body.removeChild(textarea);
+                showCopied(btn);
+            }
         });
+
+        block.appendChild(btn);
     }
 
     /**
@@ -237,9 +244,54 @@ window.BoblogUI = window.BoblogUI || {};
      * @param {Element} [container=document] - 可选，限定初始化范围
      */
     function init(container) {
-        highlightAll(container);   /* 语法高亮必须在行号之前（行号依赖文本内容） */
-        addLineNumbers(container); /* 行号在复制按钮之前（复制取 textContent 不受影响） */
-        addCopyButtons(container);
+        var root = container || document;
+        var codeBlocks = root.querySelectorAll('.boblog-codeblock');
+
+        codeBlocks.forEach(initOne);
+    }
+
+    /**
+     * 初始化单个代码块
+     * 按顺序执行：语法高亮 → 行号 → 复制按钮，已初始化的代码块直接跳过
+     *
+     * @param {Element} block - .boblog-codeblock 元素
+     */
+    function initOne(block) {
+        /* 防止重复初始化（重复执行会叠加行号列和复制按钮） */
+        if (block.dataset.codeblockInit) return;
+        block.dataset.codeblockInit = '1';
+
+        highlightAll(block);   /* 语法高亮必须在行号之前（行号依赖文本内容） */
+        addLineNumbers(block); /* 行号在复制按钮之前（复制取 textContent 不受影响） */
+        addCopyButton(block);
+    }
+
+    /**
+     * 销毁单个代码块
+     * 移除行号列（把 <pre> 从 flex 包裹容器中移回原位）和复制按钮，
+     * 语法高亮结果保留（重新初始化时 Prism 会基于纯文本重新着色）
+     *
+     * @param {Element} block - .boblog-codeblock 元素
+     */
+    function destroy(block) {
+        var wrappers = block.querySelectorAll('.boblog-codeblock-wrapper');
+        wrappers.forEach(function (wrapper) {
+            if (wrapper.closest('.boblog-codeblock') !== block) return;
+            var pre = wrapper.querySelector('pre');
+            if (pre) {
+                wrapper.parentNode.insertBefore(pre, wrapper);
+            }
+            wrapper.parentNode.removeChild(wrapper);
+        });
+
+        var btns = block.querySelectorAll('.boblog-copy-btn');
+        btns.forEach(function (btn) {
+            if (btn.parentNode === block) {
+                block.removeChild(btn);
+            }
+        });
+
+        delete block.dataset.codeblockInit;
     }
 
     /* 挂载到全局命名空间 */
@@ -247,9 +299,14 @@ window.BoblogUI = window.BoblogUI || {};
         init: init,
         highlightAll: highlightAll,
         addLineNumbers: addLineNumbers,
-        addCopyButtons: addCopyButtons
+        addCopyButtons: addCopyButtons,
+        destroy: destroy
     };
 
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('codeblock', '.boblog-codeblock', initOne, destroy);
+    }
+
     /* DOMContentLoaded 自动初始化 */
     document.addEventListener('DOMContentLoaded', function () {
         init();
@@ -4,10 +4,12 @@
  * 功能：
  *   - 自动扫描页面中的 .boblog-date-picker 容器
  *   - 将原生日期/时间 input 转换为自定义日历/选择器面板
- *   - 支持五种类型：date、datetime-local、month、week、time
+ *   - 支持五种类型：date、datetime-local、month、week、time，以及日期范围（data-range）
  *   - 完全跨浏览器一致（不依赖原生 picker）
  *   - 通过 data-format 属性自定义显示格式
  *   - 通过 data-placeholder 属性自定义占位文本
+ *   - 通过 data-locale 属性切换语言（zh_CN 简体中文、zh_TW 繁体中文、en 英文），data-week-start 设置每周第一天
+ *   - 内嵌日历 .boblog-calendar（BoblogUI.calendar）：常显的月历，用于侧边栏文章日历，见下
  *
  * HTML 结构约定（转换前）：
  *   <div class="boblog-date-picker" data-format="yyyy-MM-dd">
@@ -23,23 +25,118 @@
  *
  * 各类型面板：
  *   date           — 日历网格（7×6），顶部年月切换
- *   datetime-local — 日历网格 + 底部时分选择 + 确定按钮
+ *   datetime-local — 日历网格 + 右侧时间滚轮列 + 确定按钮
  *   month          — 月份网格（4×3），顶部年份切换
- *   week           — 日历网格 + 左侧周号列，整行选择
- *   time           — 时分上下按钮 + 确定按钮
+ *   week           — 日历网格 + 左侧周号列，整行选择（ISO 8601 周号，每行周一至周日）
+ *   time           — 时间滚轮列（时 / 分 / [秒] / [上午下午]）+ 确定按钮
+ *   日期范围        — 左右两个月的日历 + 底部快捷选项（今天、最近7天、本月、上月）
+ *
+ * 日期范围（容器或输入框带 data-range）：
+ *   <!-- 两个 input 分别提交开始、结束日期 -->
+ *   <div class="boblog-date-picker" data-range>
+ *       <input type="date" name="from" value="2006-08-01">
+ *       <input type="date" name="to" value="2006-08-31">
+ *   </div>
+ *   <!-- 或单个 input，值为 "开始~结束" -->
+ *   <div class="boblog-date-picker">
+ *       <input type="text" name="period" data-range value="2006-08-01~2006-08-31">
+ *   </div>
+ *
+ *   - 第一次点击选开始日期，鼠标移动时预览区间，第二次点击选结束日期（早于开始日期时自动交换）
+ *   - 显示为 "2006-08-01 至 2006-08-31"，data-format 作用于单个日期；也可手动输入后回车
+ *   - 支持 data-nongli / data-jieqi / data-festival；选定后值有变化的 input 派发 change 事件
  *
  * 各类型默认格式：
  *   date           — yyyy-MM-dd        （如 2006-08-15）
  *   datetime-local — yyyy-MM-dd HH:mm  （如 2006-08-15 14:30）
  *   month          — yyyy-MM           （如 2006-08）
  *   week           — YYYY-Www          （如 2006-W33）
- *   time           — HH:mm            （如 14:30）
+ *   time           — HH:mm            （如 14:30；step 不是整分钟时为 HH:mm:ss，datetime-local 同理）
+ *   日期范围        — yyyy-MM-dd        （如 2006-08-01 至 2006-08-31）
+ *
+ * 时间滚轮列（time / datetime-local）：
+ *   - 点击选项或滚动鼠标滚轮选择；点击列后可用键盘：↑ / ↓ 切换，← / → 切换列，直接输入数字，
+ *     上午/下午列按 a / p 切换，Enter 确定，Esc 关闭
+ *   - data-format 含 ss / s（或 step 不是整分钟）时显示秒列，值为 HH:mm:ss
+ *   - data-format 含 hh / h / a / A 时为 12 小时制：时列为 12、1-11，并显示上午/下午列
+ *   - data-minute-step="15"：分钟列的间隔，缺省时按 step 换算（step="900" 即 15 分钟），从 min 的分钟数起对齐
+ *
+ * 格式记号（data-format）：
+ *   yyyy / yy 年            MMMM / MMM 月份名（August / Aug）   MM / M 月     dd / d 日
+ *   dddd / ddd 星期名        HH / H 时（24 小时）                hh / h 时（12 小时）
+ *   mm / m 分               ss / s 秒                          a / A 上午/下午（en 为 am/pm、AM/PM）
+ *   YYYY 周所属年份          Www / ww / w 周号（W33 / 33）       [...] 中的文字原样输出
+ *   手动输入时先按常用写法（2006-08-15、2006/8/15 等）解析，再按 data-format 解析
+ *
+ * 语言与周（容器属性）：
+ *   - data-locale="en"：面板文字、月份 / 星期名、默认占位文本、范围连接文字和快捷选项使用该语言包，
+ *     缺省时使用 BoblogUI.datePicker.setLocale 设置的默认语言包（初始为 zh_CN）
+ *   - data-week-start="1"：日历每周从周一开始（0=周日 … 6=周六，缺省取语言包设置，内置语言包均为周日）
+ *   - week 的值与原生 input[type=week] 一致，按 ISO 8601：每周从周一开始，包含 1 月 4 日的周为第 1 周，
+ *     跨年的周归属周四所在的年份（如 2010-01-01 属于 2009-W53）
+ *
+ * 农历（容器属性，依赖 BoblogUI.lunar）：
+ *   - data-nongli="true" 显示农历日名；data-jieqi="true" / "bg" 显示节气（文字行 / 背景水印）
+ *   - data-festival="true"：春节、端午、中秋、除夕等传统节日在格子第二行显示节日名（代替农历日名），
+ *     悬停显示 title；闰月不过节
+ *
+ * 取值限制（五种类型及日期范围通用，不可选的格子置灰且不能点击，手动输入不可选的值时恢复原值）：
+ *   - input 的原生 min / max / step 属性：格式与 input 值相同；step 单位同原生
+ *     （date 天、month 月、week 周、time / datetime-local 秒），以 min 为起点对齐
+ *   - data-disabled-dates="2006-08-15,2006-10-01~2006-10-07"：禁用的日期或日期区间
+ *   - data-disabled-weekdays="0,6"：禁用的星期（0=周日 … 6=周六）
+ *   - BoblogUI.datePicker.disableDates(el, isDateDisabled)：JS 回调，见下
+ *   - data-disable-holidays="true"：法定节假日不可选（见下），调休上班日不受 data-disabled-weekdays 限制
+ *   month / week 在整月 / 整周都被禁用时不可选；time / datetime-local 的时刻不可选时"确定"按钮禁用
+ *
+ * 节假日与调休（date、datetime-local、week、日期范围）：
+ *   - data-holidays="true"：按 BoblogUI.datePicker.setHolidays 设置的数据，法定节假日格子加"休"角标、
+ *     调休上班日加"班"角标（悬停显示名称），日历下方显示图例
+ *   - data-holidays="/api/holidays.json"：同上，并从该地址加载数据（格式同 setHolidays 的对象参数）
  *
  * 公开 API：
  *   BoblogUI.datePicker.init([container])  — 初始化指定容器（默认 document）内所有日期选择器
+ *   BoblogUI.datePicker.destroy(el)         — 销毁单个选择器：移除自定义 UI，恢复显示原生 input
+ *   BoblogUI.datePicker.getInstance(el)     — 获取实例，未初始化返回 null
+ *   BoblogUI.datePicker.disableDates(el, fn) — 设置禁用日期回调 fn(date, unit)，返回 true 表示不可选；
+ *                                             unit 为 'day'（某天 0 点）或 'time'（精确时刻）
+ *   BoblogUI.datePicker.setHolidays(data)   — 设置节假日数据（对象或 JSON 地址，null 清空），返回 Promise
+ *   BoblogUI.datePicker.setLocale(name)     — 设置默认语言包（之后初始化的选择器生效）
+ *   BoblogUI.datePicker.locales             — 语言包对象，可按内置语言包的字段添加自定义语言包
+ *
+ * 内嵌日历（.boblog-calendar，常显，不绑定 input；复用日期选择器的日历网格和语言包）：
+ *   <div class="boblog-calendar" data-month="2006-08" data-url="/archive/{yyyy}/{MM}/{dd}"
+ *        data-posts='{"2006-08-15": 3}' data-source="/api/calendar?month={yyyy}-{MM}"></div>
+ *
+ *   - data-posts：日期 → 文章数（JSON），有文章的日期高亮，悬停显示文章数；初始月份视为已加载
+ *   - data-url：有文章的日期链接地址，{yyyy} {MM} {dd} 等占位符的记号同 data-format；
+ *     data-month-url：标题（年月）的链接地址
+ *   - data-source：切换到未加载过的月份时请求的 JSON 地址（返回格式同 data-posts），
+ *     或用 BoblogUI.calendar.setLoader(el, loader) 提供加载函数；加载中容器带 .loading
+ *   - data-month：初始月份（yyyy-MM，缺省为当月）；data-locale / data-week-start 同日期选择器
+ *   - 切换月份时容器上派发 boblog:calendar:month-change，detail 为 { year, month }
+ *
+ *   BoblogUI.calendar.init([container])     — 初始化指定容器（默认 document）内所有内嵌日历
+ *   BoblogUI.calendar.destroy(el)            — 销毁，恢复容器原有内容
+ *   BoblogUI.calendar.getInstance(el)        — 实例：getMonth() → { year, month }、setMonth(year, month)、
+ *                                             prev() / next()、setPosts(posts)（合并，文章数为 0 移除）、destroy()
+ *   BoblogUI.calendar.setLoader(el, loader)  — loader(year, month) 返回（或 resolve）该月的 { 日期: 文章数 }
+ *
+ * 实例方法（日期范围的值为 [开始, 结束] 数组）：
+ *   inst.open() / inst.close()  — 打开 / 关闭面板
+ *   inst.getValue()             — 原生值字符串（如 "2006-08-15"、"2006-08-15T14:30"），未选择为空字符串
+ *   inst.getDate()              — Date 对象（month 为当月 1 日，week 为该周周一，time 为今天的该时刻），未选择为 null
+ *   inst.setValue(value)        — 设置值（字符串或 Date，null 清空），不派发事件
+ *   inst.setMin(value) / inst.setMax(value) — 设置 min / max 属性（字符串或 Date，null 取消限制）
+ *   inst.destroy()              — 同 BoblogUI.datePicker.destroy(el)
+ *
+ * 事件（用户选定的值有变化时）：
+ *   - 原生 input 上依次派发 input、change（冒泡）
+ *   - 容器上派发 boblog:datepicker:change，detail 为 { type, value, date }（同 getValue / getDate）
  *
  * 依赖：
  *   - src/controls/date-picker.css（基础样式）
+ *   - src/frontend/calendar.css（内嵌日历样式）
  */
 (function () {
     'use strict';
@@ -55,18 +152,159 @@
         'datetime-local': 'yyyy-MM-dd HH:mm',
         'month':          'yyyy-MM',
         'week':           'YYYY-Www',
-        'time':           'HH:mm'
+        'time':           'HH:mm',
+        'range':          'yyyy-MM-dd'
     };
 
-    var DEFAULT_PLACEHOLDERS = {
-        'date':           '选择日期...',
-        'datetime-local': '选择日期时间...',
-        'month':          '选择月份...',
-        'week':           '选择周...',
-        'time':           '选择时间...'
+    /**
+     * 语言包（BoblogUI.datePicker.locales，可按相同字段添加自定义语言包）
+     *   months / monthsShort          — 月份全称 / 简称（格式记号 MMMM / MMM，简称也用于月份面板）
+     *   weekdays / weekdaysShort      — 星期全称 / 简称，从周日开始（格式记号 dddd / ddd）
+     *   weekdaysMin                   — 日历星期行的星期名
+     *   meridiem                      — 上午 / 下午（格式记号 a，A 为大写形式）
+     *   weekStart                     — 默认每周第一天（0=周日，1=周一）
+     *   titleFormat / yearFormat      — 面板标题格式（年月 / 年）
+     *   today / confirm / hour / minute / second / openLabel — 按钮与标签文字
+     *   rangeJoiner                   — 日期范围显示框中开始、结束日期之间的连接文字
+     *   presets                       — 日期范围快捷选项名称（与 RANGE_PRESETS 一一对应）
+     *   holidayBadges / holidayLegend — 节假日、调休上班的格子角标和图例文字（data-holidays）
+     *   calendarPosts                 — 内嵌日历中有文章的日期的 title（{count} 为文章数）
+     *   placeholders                  — 各类型的默认占位文本
+     */
+    var LOCALES = {
+        'zh_CN': {
+            months: ['一月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '十一月', '十二月'],
+            monthsShort: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'],
+            weekdays: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'],
+            weekdaysShort: ['周日', '周一', '周二', '周三', '周四', '周五', '周六'],
+            weekdaysMin: ['日', '一', '二', '三', '四', '五', '六'],
+            meridiem: ['上午', '下午'],
+            weekStart: 0,
+            titleFormat: 'yyyy年M月',
+            yearFormat: 'yyyy年',
+            today: '今天',
+            confirm: '确定',
+            hour: '时',
+            minute: '分',
+            second: '秒',
+            openLabel: '打开选择器',
+            rangeJoiner: ' 至 ',
+            presets: ['今天', '最近7天', '本月', '上月'],
+            holidayBadges: ['休', '班'],
+            holidayLegend: ['法定节假日', '调休上班'],
+            calendarPosts: '{count} 篇文章',
+            placeholders: {
+                'date':           '选择日期...',
+                'datetime-local': '选择日期时间...',
+                'month':          '选择月份...',
+                'week':           '选择周...',
+                'time':           '选择时间...',
+                'range':          '开始日期 至 结束日期'
+            }
+        },
+        'zh_TW': {
+            months: ['一月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '十一月', '十二月'],
+            monthsShort: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'],
+            weekdays: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'],
+            weekdaysShort: ['週日', '週一', '週二', '週三', '週四', '週五', '週六'],
+            weekdaysMin: ['日', '一', '二', '三', '四', '五', '六'],
+            meridiem: ['上午', '下午'],
+            weekStart: 0,
+            titleFormat: 'yyyy年M月',
+            yearFormat: 'yyyy年',
+            today: '今天',
+            confirm: '確定',
+            hour: '時',
+            minute: '分',
+            second: '秒',
+            openLabel: '開啟選擇器',
+            rangeJoiner: ' 至 ',
+            presets: ['今天', '最近7天', '本月', '上月'],
+            holidayBadges: ['休', '班'],
+            holidayLegend: ['國定假日', '補班'],
+            calendarPosts: '{count} 篇文章',
+            placeholders: {
+                'date':           '選擇日期...',
+                'datetime-local': '選擇日期時間...',
+                'month':          '選擇月份...',
+                'week':           '選擇週...',
+                'time':           '選擇時間...',
+                'range':          '開始日期 至 結束日期'
+            }
+        },
+        'en': {
+            months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+            monthsShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+            weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+            weekdaysShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+            weekdaysMin: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'],
+            meridiem: ['am', 'pm'],
+            weekStart: 0,
+            titleFormat: 'MMMM yyyy',
+            yearFormat: 'yyyy',
+            today: 'Today',
+            confirm: 'OK',
+            hour: 'Hour',
+            minute: 'Min',
+            second: 'Sec',
+            openLabel: 'Open picker',
+            rangeJoiner: ' to ',
+            presets: ['Today', 'Last 7 days', 'This month', 'Last month'],
+            holidayBadges: ['Off', 'Work'],
+            holidayLegend: ['Public holiday', 'Working day'],
+            calendarPosts: '{count} posts',
+            placeholders: {
+                'date':           'Select date...',
+                'datetime-local': 'Select date and time...',
+                'month':          'Select month...',
+                'week':           'Select week...',
+                'time':           'Select time...',
+                'range':          'Start date to end date'
+            }
+        }
     };
 
-    var WEEKDAYS = ['日', '一', '二', '三', '四', '五', '六'];
+    /** 未指定 data-locale 时使用的语言包（BoblogUI.datePicker.setLocale 修改） */
+    var defaultLocale = 'zh_CN';
+
+    /**
+     * 格式记号（按从长到短排列，保证 MMMM 优先于 MMM、MM、M）
+     * [...] 中的文字原样输出，如 "[第]w[周]"
+     */
+    var FORMAT_TOKENS = /\[([^\]]*)\]|yyyy|yy|YYYY|Www|ww|w|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|a|A/g;
+
+    /** 日期范围：单个 data-range 输入框中开始、结束日期之间的分隔符（如 2006-08-01~2006-08-31） */
+    var RANGE_SEPARATOR = '~';
+
+    /**
+     * 日期范围快捷选项（名称见语言包 presets）
+     * 每项 (today) 返回 [开始, 结束] 两个 Date 对象
+     */
+    var RANGE_PRESETS = [
+        /* 今天 */
+        function(today) {
+            return [today, today];
+        },
+        /* 最近7天 */
+        function(today) {
+            return [new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6), today];
+        },
+        /* 本月 */
+        function(today) {
+            return [new Date(today.getFullYear(), today.getMonth(), 1), new Date(today.getFullYear(), today.getMonth() + 1, 0)];
+        },
+        /* 上月 */
+        function(today) {
+            return [new Date(today.getFullYear(), today.getMonth() - 1, 1), new Date(today.getFullYear(), today.getMonth(), 0)];
+        }
+    ];
+
+    /**
+     * 已转换的容器 → 实例状态
+     * 每项：{ input, type, format, locale, weekStart, range, display, iconBtn, panel, origDisplay, endInput, origEndDisplay, api }
+     * （range 仅日期范围有值，endInput 仅日期范围的双输入框模式有值；api 为 getInstance 返回的公开实例）
+     */
+    var instances = new WeakMap();
 
     /* ============================================================ */
     /* 工具函数                                                       */
@@ -106,11 +344,12 @@
      * 包含上月尾部 + 当月全部 + 下月头部
      * @param {number} year — 年份
      * @param {number} month — 月份（1-12）
+     * @param {number} [weekStart=0] — 每周第一天（0=周日，1=周一 ...）
      * @returns {Array<{year, month, day, isCurrentMonth}>} 42 个日期对象
      */
-    function buildCalendarGrid(year, month) {
+    function buildCalendarGrid(year, month, weekStart) {
         var grid = [];
-        var firstDay = getFirstDayOfWeek(year, month);
+        var firstDay = (getFirstDayOfWeek(year, month) - (weekStart || 0) + 7) % 7;
         var daysInMonth = getDaysInMonth(year, month);
         var daysInPrevMonth = getDaysInMonth(year, month - 1);
 
@@ -148,72 +387,296 @@
     }
 
     /**
-     * 计算周号（1月1日所在周为第1周，每7天一周）
+     * 取某天所在周（周一至周日）的周四
+     * ISO 8601 中周四所在的年份即该周所属年份
      * @param {number} year — 年份
      * @param {number} month — 月份（1-12）
      * @param {number} day — 日期
-     * @returns {number} 周号（1-54）
+     * @returns {Date}
      */
-    function getWeekNumber(year, month, day) {
+    function getWeekThursday(year, month, day) {
         var date = new Date(year, month - 1, day);
-        var firstDayOfYear = new Date(year, 0, 1);
-        var dayOfYear = Math.floor((date - firstDayOfYear) / 86400000) + 1;
-        /* 1月1日是一周中的第几天（周日=0 → 偏移0，周一=1 → 偏移1 ...） */
-        var firstDayOffset = firstDayOfYear.getDay();
-        return Math.ceil((dayOfYear + firstDayOffset) / 7);
+        date.setDate(date.getDate() + 3 - (date.getDay() + 6) % 7);
+        return date;
+    }
+
+    /**
+     * 计算 ISO 8601 周号（每周从周一开始，包含 1 月 4 日的周为第 1 周），与 input[type=week] 一致
+     * @param {number} year — 年份
+     * @param {number} month — 月份（1-12）
+     * @param {number} day — 日期
+     * @returns {number} 周号（1-53）
+     */
+    function getWeekNumber(year, month, day) {
+        var thursday = getWeekThursday(year, month, day);
+        var dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / 86400000);
+        return Math.floor(dayOfYear / 7) + 1;
+    }
+
+    /**
+     * 某天所在 ISO 周所属的年份（年初、年末的几天可能属于相邻年份的周）
+     * @param {number} year — 年份
+     * @param {number} month — 月份（1-12）
+     * @param {number} day — 日期
+     * @returns {number}
+     */
+    function getWeekYear(year, month, day) {
+        return getWeekThursday(year, month, day).getFullYear();
+    }
+
+    /**
+     * ISO 周的第一天（周一）
+     * @param {number} year — 周所属年份
+     * @param {number} week — 周号
+     * @returns {Date}
+     */
+    function getWeekMonday(year, week) {
+        var jan4 = new Date(year, 0, 4);
+        return new Date(year, 0, 4 - (jan4.getDay() + 6) % 7 + (week - 1) * 7);
+    }
+
+    /**
+     * 取语言包：支持 "zh_TW"、"zh-TW"，找不到完整名称时取语言部分（如 "en-US" → en），都没有时用默认语言包
+     * @param {string|null} name — 语言名称
+     * @returns {object} 语言包
+     */
+    function getLocale(name) {
+        var key = String(name || '').replace('-', '_');
+        return LOCALES[key] || LOCALES[key.split('_')[0]] || LOCALES[defaultLocale] || LOCALES.zh_CN;
+    }
+
+    /**
+     * 数字补零到指定位数
+     * @param {number} n — 数字
+     * @param {number} length — 位数
+     * @returns {string}
+     */
+    function padNumber(n, length) {
+        var str = '' + n;
+        while (str.length < length) str = '0' + str;
+        return str;
+    }
+
+    /**
+     * 按格式字符串格式化日期
+     * 记号：yyyy / yy 年，YYYY 周所属年份，Www / ww / w 周号（Www 带 W 前缀），
+     *       MMMM / MMM 月份名，MM / M 月，dddd / ddd 星期名，dd / d 日，
+     *       HH / H 24 小时，hh / h 12 小时，mm / m 分，ss / s 秒，a / A 上午/下午，[...] 原样输出
+     * @param {Date} date — 日期对象
+     * @param {string} fmt — 格式字符串
+     * @param {object} locale — 语言包
+     * @returns {string}
+     */
+    function formatDate(date, fmt, locale) {
+        var year = date.getFullYear();
+        var month = date.getMonth() + 1;
+        var day = date.getDate();
+        var hours = date.getHours();
+        return fmt.replace(FORMAT_TOKENS, function(token, literal) {
+            if (literal !== undefined) return literal;
+            switch (token) {
+                case 'yyyy': return padNumber(year, 4);
+                case 'yy':   return padNumber(year % 100, 2);
+                case 'YYYY': return padNumber(getWeekYear(year, month, day), 4);
+                case 'Www':  return 'W' + padZero(getWeekNumber(year, month, day));
+                case 'ww':   return padZero(getWeekNumber(year, month, day));
+                case 'w':    return '' + getWeekNumber(year, month, day);
+                case 'MMMM': return locale.months[month - 1];
+                case 'MMM':  return locale.monthsShort[month - 1];
+                case 'MM':   return padZero(month);
+                case 'M':    return '' + month;
+                case 'dddd': return locale.weekdays[date.getDay()];
+                case 'ddd':  return locale.weekdaysShort[date.getDay()];
+                case 'dd':   return padZero(day);
+                case 'd':    return '' + day;
+                case 'HH':   return padZero(hours);
+                case 'H':    return '' + hours;
+                case 'hh':   return padZero(hours % 12 || 12);
+                case 'h':    return '' + (hours % 12 || 12);
+                case 'mm':   return padZero(date.getMinutes());
+                case 'm':    return '' + date.getMinutes();
+                case 'ss':   return padZero(date.getSeconds());
+                case 's':    return '' + date.getSeconds();
+                case 'a':    return locale.meridiem[hours < 12 ? 0 : 1];
+                default:     return locale.meridiem[hours < 12 ? 0 : 1].toUpperCase();
+            }
+        });
     }
 
     /**
      * 根据类型和格式字符串，将 input 原生值格式化为显示文本
      * @param {string} type — input 类型（date/datetime-local/month/week/time）
      * @param {string} val — input 的原生值
-     * @param {string} fmt — 目标格式字符串
-     * @returns {string} 格式化后的显示文本
+     * @param {string} fmt — 目标格式字符串（记号见 formatDate）
+     * @param {object} locale — 语言包
+     * @returns {string} 格式化后的显示文本，值格式不符时原样返回
      */
-    function formatValue(type, val, fmt) {
+    function formatValue(type, val, fmt, locale) {
         if (!val) return '';
+        var date = valueToDate(type, val);
+        return date ? formatDate(date, fmt, locale) : val;
+    }
 
-        if (type === 'date') {
-            var parts = val.split('-');
-            if (parts.length !== 3) return val;
-            var y = parts[0], m = parts[1], d = parts[2];
-            return fmt.replace('yyyy', y).replace('MM', m).replace('dd', d);
-        }
+    /**
+     * 转义正则特殊字符；连续空白匹配任意空白
+     * @param {string} text — 原文
+     * @returns {string}
+     */
+    function escapePattern(text) {
+        return text.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&').replace(/\s+/g, '\\s*');
+    }
 
-        if (type === 'datetime-local') {
-            var dtParts = val.split('T');
-            if (dtParts.length !== 2) return val;
-            var datePart = dtParts[0];
-            var timePart = dtParts[1];
-            var dp = datePart.split('-');
-            var tp = timePart.split(':');
-            if (dp.length !== 3 || tp.length < 2) return val;
-            return fmt.replace('yyyy', dp[0])
-                      .replace('MM', dp[1])
-                      .replace('dd', dp[2])
-                      .replace('HH', tp[0])
-                      .replace('mm', tp[1]);
+    /**
+     * 按格式字符串解析手动输入的文字（如 "Aug 15, 2006" 按 "MMM d, yyyy"）
+     * 月份名、上午/下午不区分大小写；星期名只校验不取值
+     * @param {string} type — input 类型（date/datetime-local/month/week/time）
+     * @param {string} text — 输入的文字
+     * @param {string} fmt — 格式字符串
+     * @param {object} locale — 语言包
+     * @returns {string} 原生值，无法解析或缺少必要部分时返回空字符串
+     */
+    function parseFormatted(type, text, fmt, locale) {
+        var names = function(list) {
+            return list.map(escapePattern).join('|');
+        };
+        var tokens = [];
+        var pattern = '';
+        var last = 0;
+        var match;
+        FORMAT_TOKENS.lastIndex = 0;
+        while ((match = FORMAT_TOKENS.exec(fmt))) {
+            pattern += escapePattern(fmt.slice(last, match.index));
+            last = FORMAT_TOKENS.lastIndex;
+            if (match[1] !== undefined) {
+                pattern += escapePattern(match[1]);
+                continue;
+            }
+            var token = match[0];
+            tokens.push(token);
+            if (token === 'yyyy' || token === 'YYYY') {
+                pattern += '(\\d{4})';
+            } else if (token === 'Www') {
+                pattern += 'W(\\d{1,2})';
+            } else if (token === 'MMMM' || token === 'MMM') {
+                pattern += '(' + names(locale.months) + '|' + names(locale.monthsShort) + ')';
+            } else if (token === 'dddd' || token === 'ddd') {
+                pattern += '(' + names(locale.weekdays) + '|' + names(locale.weekdaysShort) + ')';
+            } else if (token === 'a' || token === 'A') {
+                pattern += '(' + names(locale.meridiem) + ')';
+            } else {
+                pattern += '(\\d{1,2})';
+            }
+        }
+        pattern += escapePattern(fmt.slice(last));
+
+        match = new RegExp('^' + pattern + '$', 'i').exec(text);
+        if (!match) return '';
+
+        var parts = {};
+        for (var i = 0; i < tokens.length; i++) {
+            var raw = match[i + 1];
+            var lower = raw.toLowerCase();
+            switch (tokens[i]) {
+                case 'yyyy': parts.year = parseInt(raw, 10); break;
+                case 'yy':   parts.year = 2000 + parseInt(raw, 10); break;
+                case 'YYYY': parts.weekYear = parseInt(raw, 10); break;
+                case 'MMMM':
+                case 'MMM':
+                    for (var m = 0; m < 12; m++) {
+                        if (locale.months[m].toLowerCase() === lower || locale.monthsShort[m].toLowerCase() === lower) {
+                            parts.month = m + 1;
+                        }
+                    }
+                    break;
+                case 'MM':
+                case 'M':    parts.month = parseInt(raw, 10); break;
+                case 'dd':
+                case 'd':    parts.day = parseInt(raw, 10); break;
+                case 'Www':
+                case 'ww':
+                case 'w':    parts.week = parseInt(raw, 10); break;
+                case 'HH':
+                case 'H':
+                case 'hh':
+                case 'h':    parts.hour = parseInt(raw, 10); break;
+                case 'mm':
+                case 'm':    parts.minute = parseInt(raw, 10); break;
+                case 'ss':
+                case 's':    parts.second = parseInt(raw, 10); break;
+                case 'a':
+                case 'A':    parts.pm = lower === locale.meridiem[1].toLowerCase(); break;
+            }
         }
 
-        if (type === 'month') {
-            var mParts = val.split('-');
-            if (mParts.length !== 2) return val;
-            return fmt.replace('yyyy', mParts[0]).replace('MM', mParts[1]);
+        /* 12 小时制：12 上午为 0 点，1-11 下午加 12 */
+        if (parts.pm !== undefined && parts.hour !== undefined) {
+            if (parts.hour < 1 || parts.hour > 12) return '';
+            parts.hour = parts.hour % 12 + (parts.pm ? 12 : 0);
         }
 
         if (type === 'week') {
-            var wParts = val.split('-W');
-            if (wParts.length !== 2) return val;
-            return fmt.replace('YYYY', wParts[0]).replace('Www', 'W' + wParts[1]);
+            var weekYear = parts.weekYear || parts.year;
+            if (!weekYear || !parts.week || parts.week > getWeekNumber(weekYear, 12, 28)) return '';
+            return weekYear + '-W' + padZero(parts.week);
         }
 
-        if (type === 'time') {
-            var tParts = val.split(':');
-            if (tParts.length < 2) return val;
-            return fmt.replace('HH', tParts[0]).replace('mm', tParts[1]);
+        var date = '';
+        if (type !== 'time') {
+            if (!parts.year || !(parts.month >= 1 && parts.month <= 12)) return '';
+            if (type === 'month') return parts.year + '-' + padZero(parts.month);
+            if (!(parts.day >= 1 && parts.day <= getDaysInMonth(parts.year, parts.month))) return '';
+            date = toDateValue(parts.year, parts.month, parts.day);
+            if (type === 'date') return date;
         }
 
-        return val;
+        var hour = parts.hour || 0;
+        var minute = parts.minute || 0;
+        var second = parts.second || 0;
+        if (parts.hour === undefined || hour > 23 || minute > 59 || second > 59) return '';
+        var time = padZero(hour) + ':' + padZero(minute) + (second ? ':' + padZero(second) : '');
+        return type === 'time' ? time : date + 'T' + time;
+    }
+
+    /**
+     * 解析显示框中手动输入的文字
+     * 先按常用写法（yyyy-MM-dd、yyyy/M/d、HH:mm、2006-W33 等），再按当前显示格式解析
+     * @param {string} type — input 类型（date/datetime-local/month/week/time）
+     * @param {string} val — 输入的文字（已去除首尾空白）
+     * @param {string} format — 显示格式
+     * @param {object} locale — 语言包
+     * @returns {string} 原生值，无法解析时返回空字符串
+     */
+    function parseDisplayText(type, val, format, locale) {
+        var match;
+        if (type === 'date') {
+            /* yyyy-MM-dd 或 yyyy/MM/dd */
+            match = val.match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})$/);
+            if (match) {
+                return match[1] + '-' + padZero(parseInt(match[2], 10)) + '-' + padZero(parseInt(match[3], 10));
+            }
+        } else if (type === 'month') {
+            match = val.match(/^(\d{4})[-\/](\d{1,2})$/);
+            if (match) {
+                return match[1] + '-' + padZero(parseInt(match[2], 10));
+            }
+        } else if (type === 'week') {
+            match = val.match(/^(\d{4})-?W(\d{1,2})$/i);
+            if (match) {
+                return match[1] + '-W' + padZero(parseInt(match[2], 10));
+            }
+        } else if (type === 'time') {
+            match = val.match(/^(\d{1,2}):(\d{1,2})$/);
+            if (match) {
+                return padZero(parseInt(match[1], 10)) + ':' + padZero(parseInt(match[2], 10));
+            }
+        } else if (type === 'datetime-local') {
+            match = val.match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})\s+(\d{1,2}):(\d{1,2})$/);
+            if (match) {
+                return match[1] + '-' + padZero(parseInt(match[2], 10)) + '-' + padZero(parseInt(match[3], 10)) +
+                       'T' + padZero(parseInt(match[4], 10)) + ':' + padZero(parseInt(match[5], 10));
+            }
+        }
+        return parseFormatted(type, val, format, locale);
     }
 
     /**
@@ -229,26 +692,449 @@
         }
     }
 
+    /* ============================================================ */
+    /* 取值限制 - min / max / step / 禁用日期                          */
+    /* ============================================================ */
+
+    /**
+     * 各类型值的格式（用于校验 min / max 属性和手动输入）
+     * 数字依次为：年月日、年月、年周、时分[秒[.毫秒]]、年月日时分[秒[.毫秒]]
+     */
+    var VALUE_PATTERNS = {
+        'date':           /^\d{4}-\d{2}-\d{2}$/,
+        'month':          /^\d{4}-\d{2}$/,
+        'week':           /^\d{4}-W\d{2}$/,
+        'time':           /^\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/,
+        'datetime-local': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/
+    };
+
+    /**
+     * 通过 BoblogUI.datePicker.disableDates 设置的回调
+     * 容器 → isDateDisabled(date, unit)
+     */
+    var dateFilters = new WeakMap();
+
+    /**
+     * 节假日数据（所有选择器共用，BoblogUI.datePicker.setHolidays 设置）
+     * "yyyy-MM-dd" → { type: 'holiday'（法定节假日）或 'workday'（调休上班）, name: 名称 }
+     */
+    var holidayData = {};
+
+    /** JSON 地址 → 加载节假日数据的 Promise（同一地址只请求一次） */
+    var holidaySources = {};
+
+    /**
+     * 将一组节假日 / 调休上班日期写入 holidayData
+     * @param {object|Array<string>} dates — { "日期或区间": 名称 } 或 ["日期或区间", ...]，
+     *                                       区间写法同 data-disabled-dates（如 "2006-10-01~2006-10-07"）
+     * @param {string} type — 'holiday' 或 'workday'
+     */
+    function addHolidayDates(dates, type) {
+        if (!dates) return;
+        var isList = Array.isArray(dates);
+        var keys = isList ? dates : Object.keys(dates);
+        for (var i = 0; i < keys.length; i++) {
+            var name = isList ? '' : String(dates[keys[i]] || '');
+            var bounds = parseDisabledDates(String(keys[i]))[0];
+            if (!bounds) continue;
+            var n = valueNumbers(bounds[0]);
+            var date = new Date(n[0], n[1] - 1, n[2]);
+            var value = bounds[0];
+            /* 逐天写入（区间首尾写反时只写开始日期） */
+            do {
+                holidayData[value] = { type: type, name: name };
+                date.setDate(date.getDate() + 1);
+                value = dateToValue(date);
+            } while (value <= bounds[1]);
+        }
+    }
+
+    /**
+     * 以 GET 请求 JSON（节假日数据、内嵌日历的文章数据），返回解析后的数据
+     * @param {string} url — 地址
+     * @returns {Promise<object>}
+     */
+    function requestJSON(url) {
+        return new Promise(function(resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.onload = function() {
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject('HTTP错误: ' + xhr.status);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (e) {
+                    reject('返回格式错误: ' + xhr.responseText);
+                }
+            };
+            xhr.onerror = function() {
+                reject('请求失败: ' + url);
+            };
+            xhr.open('GET', url);
+            xhr.send();
+        });
+    }
+
+    /**
+     * 取出值中的数字（如 "2006-08-15T14:30" → [2006, 8, 15, 14, 30]）
+     * @param {string} val — input 原生值
+     * @returns {Array<number>}
+     */
+    function valueNumbers(val) {
+        return (val.match(/\d+/g) || []).map(Number);
+    }
+
+    /**
+     * 将值转为可比较、可按 step 对齐的序数
+     * 单位与原生 step 一致：date 为天、month 为月、week 为周、time / datetime-local 为秒
+     * @param {string} type — input 类型
+     * @param {string} val — input 原生值
+     * @returns {number} 格式不符时返回 NaN
+     */
+    function toOrdinal(type, val) {
+        if (!val || !VALUE_PATTERNS[type] || !VALUE_PATTERNS[type].test(val)) return NaN;
+        var n = valueNumbers(val);
+        if (type === 'date') {
+            return Date.UTC(n[0], n[1] - 1, n[2]) / 86400000;
+        }
+        if (type === 'month') {
+            return n[0] * 12 + n[1] - 1;
+        }
+        if (type === 'week') {
+            /* 与 getWeekNumber 一致（ISO 8601）：取该周周一；1970-01-05 是周一 */
+            var monday = getWeekMonday(n[0], n[1]);
+            var mondayDays = Date.UTC(monday.getFullYear(), monday.getMonth(), monday.getDate()) / 86400000;
+            return (mondayDays - 4) / 7;
+        }
+        if (type === 'time') {
+            return n[0] * 3600 + n[1] * 60 + (n[2] || 0);
+        }
+        return Date.UTC(n[0], n[1] - 1, n[2], n[3], n[4], n[5] || 0) / 1000;
+    }
+
+    /**
+     * 解析 data-disabled-dates：逗号分隔的日期或日期区间（如 "2006-08-15, 2006-10-01~2006-10-07"）
+     * @param {string|null} attr — 属性值
+     * @returns {Array<Array<string>>} [[开始, 结束], ...]（yyyy-MM-dd）
+     */
+    function parseDisabledDates(attr) {
+        var list = [];
+        if (!attr) return list;
+        var items = attr.split(',');
+        for (var i = 0; i < items.length; i++) {
+            var bounds = items[i].split(RANGE_SEPARATOR);
+            var from = valueNumbers(bounds[0]);
+            var to = bounds.length > 1 ? valueNumbers(bounds[1]) : from;
+            if (from.length < 3 || to.length < 3) continue;
+            list.push([toDateValue(from[0], from[1], from[2]), toDateValue(to[0], to[1], to[2])]);
+        }
+        return list;
+    }
+
+    /**
+     * 读取选择器的取值限制
+     * 每次打开面板时重新读取，脚本修改 min / max 等属性后立即生效
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器
+     * @param {HTMLInputElement} input — 原生 input（日期范围取开始日期的 input）
+     * @returns {{min: string, max: string, step: number, dates: Array, weekdays: Array<number>, filter: Function|null,
+     *            holidays: boolean, disableHolidays: boolean}}
+     */
+    function readRules(wrapper, input) {
+        var weekdays = [];
+        var weekdaysAttr = wrapper.getAttribute('data-disabled-weekdays');
+        if (weekdaysAttr) {
+            var items = weekdaysAttr.split(',');
+            for (var i = 0; i < items.length; i++) {
+                var n = parseInt(items[i], 10);
+                if (n >= 0 && n <= 6) weekdays.push(n);
+            }
+        }
+        /* step="any" 或缺省时不限制 */
+        var step = parseFloat(input.getAttribute('step'));
+        return {
+            min: input.getAttribute('min') || '',
+            max: input.getAttribute('max') || '',
+            step: step > 0 ? step : 0,
+            dates: parseDisabledDates(wrapper.getAttribute('data-disabled-dates')),
+            weekdays: weekdays,
+            filter: dateFilters.get(wrapper) || null,
+            /* data-holidays（"true" 或 JSON 地址）：格子标记节假日 / 调休上班并显示图例 */
+            holidays: !!wrapper.getAttribute('data-holidays') && wrapper.getAttribute('data-holidays') !== 'false',
+            disableHolidays: wrapper.getAttribute('data-disable-holidays') === 'true'
+        };
+    }
+
+    /**
+     * 调用 isDateDisabled 回调（回调出错时视为可选，并在控制台报错）
+     * @param {object} rules — readRules 返回的取值限制
+     * @param {Date} date — 日期（unit 为 'day' 时为当天 0 点）
+     * @param {string} unit — 'day'（日期格子）或 'time'（精确到时刻）
+     * @returns {boolean}
+     */
+    function callDateFilter(rules, date, unit) {
+        if (!rules.filter) return false;
+        try {
+            return !!rules.filter(date, unit);
+        } catch (err) {
+            console.error('[BoblogUI.datePicker] isDateDisabled 执行出错:', err);
+            return false;
+        }
+    }
+
+    /**
+     * 值是否满足 min / max / step（与原生校验一致：step 以 min 为起点，没有 min 时以 0 为起点）
+     * @param {string} type — input 类型（日期范围按 date 处理）
+     * @param {string} val — 值
+     * @param {object} rules — 取值限制
+     * @returns {boolean}
+     */
+    function isValueInRange(type, val, rules) {
+        var ordinal = toOrdinal(type, val);
+        if (isNaN(ordinal)) return false;
+        var min = toOrdinal(type, rules.min);
+        var max = toOrdinal(type, rules.max);
+        if (!isNaN(min) && ordinal < min) return false;
+        if (!isNaN(max) && ordinal > max) return false;
+        if (rules.step && (ordinal - (isNaN(min) ? 0 : min)) % rules.step !== 0) return false;
+        return true;
+    }
+
+    /**
+     * 某一天是否不可选
+     * 依次检查：min / max（date、日期范围还检查 step）→ data-disabled-dates → data-disable-holidays
+     *   → data-disabled-weekdays（data-disable-holidays 时调休上班日不受限）→ isDateDisabled 回调
+     * month / week 的 min / max 按整月 / 整周判断，这里不比较
+     * @param {string} type — 选择器类型
+     * @param {object} rules — 取值限制
+     * @param {number} year — 年份
+     * @param {number} month — 月份（1-12）
+     * @param {number} day — 日期
+     * @returns {boolean}
+     */
+    function isDayDisabled(type, rules, year, month, day) {
+        var value = toDateValue(year, month, day);
+        if (type === 'date' || type === 'range') {
+            if (!isValueInRange('date', value, rules)) return true;
+        } else if (type === 'datetime-local') {
+            /* 只比较日期部分：当天还有可选时刻即可选 */
+            if (rules.min && value < rules.min.slice(0, 10)) return true;
+            if (rules.max && value > rules.max.slice(0, 10)) return true;
+        }
+        for (var i = 0; i < rules.dates.length; i++) {
+            if (value >= rules.dates[i][0] && value <= rules.dates[i][1]) return true;
+        }
+        /* 排班表单：法定节假日不可选，调休上班的周末仍可选 */
+        var holiday = rules.disableHolidays ? holidayData[value] : null;
+        if (holiday && holiday.type === 'holiday') return true;
+        if (rules.weekdays.length && !holiday &&
+            rules.weekdays.indexOf(new Date(year, month - 1, day).getDay()) !== -1) {
+            return true;
+        }
+        return callDateFilter(rules, new Date(year, month - 1, day), 'day');
+    }
+
+    /**
+     * 是否设置了按天禁用的规则（month / week 据此判断是否需要逐天检查）
+     * @param {object} rules — 取值限制
+     * @returns {boolean}
+     */
+    function hasDayRules(rules) {
+        return rules.dates.length > 0 || rules.weekdays.length > 0 || !!rules.filter || rules.disableHolidays;
+    }
+
+    /**
+     * 某个月是否不可选：超出 min / max、不符合 step，或当月每一天都被禁用
+     * @param {object} rules — 取值限制
+     * @param {number} year — 年份
+     * @param {number} month — 月份（1-12）
+     * @returns {boolean}
+     */
+    function isMonthDisabled(rules, year, month) {
+        if (!isValueInRange('month', year + '-' + padZero(month), rules)) return true;
+        if (!hasDayRules(rules)) return false;
+        var days = getDaysInMonth(year, month);
+        for (var d = 1; d <= days; d++) {
+            if (!isDayDisabled('month', rules, year, month, d)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 某一周是否不可选：超出 min / max、不符合 step，或这一周每一天都被禁用
+     * @param {object} rules — 取值限制
+     * @param {number} year — 周所属年份
+     * @param {number} week — 周号
+     * @returns {boolean}
+     */
+    function isWeekDisabled(rules, year, week) {
+        if (!isValueInRange('week', year + '-W' + padZero(week), rules)) return true;
+        if (!hasDayRules(rules)) return false;
+        var monday = getWeekMonday(year, week);
+        for (var i = 0; i < 7; i++) {
+            var date = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i);
+            if (!isDayDisabled('week', rules, date.getFullYear(), date.getMonth() + 1, date.getDate())) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 完整的值是否可选（确定按钮、手动输入时校验）
+     * @param {string} type — 选择器类型（日期范围逐个端点按 'range' 校验）
+     * @param {string} val — 值
+     * @param {object} rules — 取值限制
+     * @returns {boolean}
+     */
+    function isValueAllowed(type, val, rules) {
+        var checkType = type === 'range' ? 'date' : type;
+        if (isNaN(toOrdinal(checkType, val))) return false;
+        var n = valueNumbers(val);
+        if (type === 'date' || type === 'range') {
+            return !isDayDisabled(type, rules, n[0], n[1], n[2]);
+        }
+        if (type === 'datetime-local') {
+            if (!isValueInRange(type, val, rules)) return false;
+            if (isDayDisabled(type, rules, n[0], n[1], n[2])) return false;
+            return !callDateFilter(rules, new Date(n[0], n[1] - 1, n[2], n[3], n[4], n[5] || 0), 'time');
+        }
+        if (type === 'time') {
+            if (!isValueInRange(type, val, rules)) return false;
+            var now = new Date();
+            return !callDateFilter(rules, new Date(now.getFullYear(), now.getMonth(), now.getDate(), n[0], n[1], n[2] || 0), 'time');
+        }
+        if (type === 'month') {
+            return !isMonthDisabled(rules, n[0], n[1]);
+        }
+        return !isWeekDisabled(rules, n[0], n[1]);
+    }
+
+    /* ============================================================ */
+    /* 值转换与 change 事件                                            */
+    /* ============================================================ */
+
+    /**
+     * 将原生值解析为 Date 对象
+     * month 取当月 1 日，week 取该周第一天（周一），time 取今天的该时刻
+     * @param {string} type — input 类型（日期范围按 date 处理）
+     * @param {string} val — 原生值
+     * @returns {Date|null} 空值或格式不符时返回 null
+     */
+    function valueToDate(type, val) {
+        if (type === 'range') type = 'date';
+        if (!val || !VALUE_PATTERNS[type] || !VALUE_PATTERNS[type].test(val)) return null;
+        var n = valueNumbers(val);
+        if (type === 'date') return new Date(n[0], n[1] - 1, n[2]);
+        if (type === 'datetime-local') return new Date(n[0], n[1] - 1, n[2], n[3], n[4], n[5] || 0);
+        if (type === 'month') return new Date(n[0], n[1] - 1, 1);
+        if (type === 'week') return getWeekMonday(n[0], n[1]);
+        var now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate(), n[0], n[1], n[2] || 0);
+    }
+
+    /**
+     * 将 Date 对象转为对应类型的原生值
+     * @param {string} type — input 类型（日期范围按 date 处理）
+     * @param {Date} date — 日期对象
+     * @returns {string}
+     */
+    function dateToInputValue(type, date) {
+        var day = dateToValue(date);
+        var time = padZero(date.getHours()) + ':' + padZero(date.getMinutes());
+        if (type === 'datetime-local') return day + 'T' + time;
+        if (type === 'month') return day.slice(0, 7);
+        if (type === 'week') {
+            var y = date.getFullYear(), m = date.getMonth() + 1, d = date.getDate();
+            return getWeekYear(y, m, d) + '-W' + padZero(getWeekNumber(y, m, d));
+        }
+        if (type === 'time') return time;
+        return day;
+    }
+
+    /**
+     * 用户选定值后派发事件（值没有变化时不派发）：
+     *   - 值有变化的原生 input 上依次派发 input、change（冒泡），与原生控件一致
+     *   - 容器上派发 boblog:datepicker:change，detail 为 { type, value, date }
+     *     （日期范围的 value / date 为 [开始, 结束]）
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器
+     * @param {Array<HTMLInputElement>} changed — 值有变化的 input
+     */
+    function emitChange(wrapper, changed) {
+        if (!changed.length) return;
+        for (var i = 0; i < changed.length; i++) {
+            changed[i].dispatchEvent(new Event('input', { bubbles: true }));
+            changed[i].dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        var api = instances.get(wrapper).api;
+        wrapper.dispatchEvent(new CustomEvent('boblog:datepicker:change', {
+            bubbles: true,
+            detail: {
+                type: api.type,
+                value: api.getValue(),
+                date: api.getDate()
+            }
+        }));
+    }
+
+    /**
+     * 写入用户选定的值：更新原生 input 和显示框，并派发事件
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器
+     * @param {string} value — 原生值（空字符串表示清空）
+     */
+    function pickValue(wrapper, value) {
+        var state = instances.get(wrapper);
+        var changed = state.input.value !== value;
+        state.input.value = value;
+        state.display.value = formatValue(state.type, value, state.format, state.locale);
+        emitChange(wrapper, changed ? [state.input] : []);
+    }
+
     /* ============================================================ */
     /* 通用辅助 - 填充日期格子内容（农历/节气多行）                       */
     /* ============================================================ */
 
     /**
-     * 根据 showLunar / showJieqi / jieqiMode 开关，填充日期格子的内容
+     * 面板标题：年月（语言包 titleFormat）或仅年份（yearFormat）
+     * @param {object} locale — 语言包
+     * @param {number} year — 年份
+     * @param {number} [month] — 月份（1-12），省略时只显示年份
+     * @returns {string}
+     */
+    function formatTitle(locale, year, month) {
+        return formatDate(new Date(year, (month || 1) - 1, 1), month ? locale.titleFormat : locale.yearFormat, locale);
+    }
+
+    /**
+     * 向星期行追加 7 个星期名，从 weekStart 开始
+     * @param {HTMLElement} row — .boblog-date-picker-weekdays 元素
+     * @param {object} locale — 语言包
+     * @param {number} weekStart — 每周第一天（0=周日，1=周一 ...）
+     */
+    function appendWeekdays(row, locale, weekStart) {
+        for (var i = 0; i < 7; i++) {
+            var wd = document.createElement('span');
+            wd.textContent = locale.weekdaysMin[(weekStart + i) % 7];
+            row.appendChild(wd);
+        }
+    }
+
+    /**
+     * 根据 showLunar / showJieqi / jieqiMode / showFestival 开关，填充日期格子的内容
      *
      * 模式说明：
-     *   - showLunar=false, showJieqi=false → 单行纯文本（原始模式）
+     *   - showLunar=false, showJieqi=false, showFestival=false → 单行纯文本（原始模式）
      *   - showLunar=true → 两行（阳历 + 农历），格子增高
      *   - showJieqi=true, jieqiMode='true' → 节气作为第三行文字（格子增高）
      *   - showJieqi=true, jieqiMode='bg' → 节气作为背景色标记（格子不增高）
+     *   - showFestival=true → 节日日在第二行显示节日名（代替农历日名），格子加 title
      *
      * @param {HTMLElement} dayCell — 日期格子元素（button 或 span）
      * @param {{year:number, month:number, day:number}} cell — 日期对象
      * @param {boolean} showLunar — 是否显示农历
      * @param {boolean} showJieqi — 是否显示节气
      * @param {string} jieqiMode — 节气模式：'true'=文字行，'bg'=背景色
+     * @param {boolean} showFestival — 是否标记传统节日
      */
-    function buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode) {
+    function buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode, showFestival) {
         /* 获取农历和节气数据（依赖 BoblogUI.lunar 模块） */
         var lunarModule = window.BoblogUI && window.BoblogUI.lunar;
 
@@ -263,8 +1149,17 @@
             jieqiName = lunarModule.getJieqi(cell.year, cell.month, cell.day);
         }
 
-        /* 没有开启农历，且节气仅为 bg 模式或完全关闭 → 单行 */
-        if (!showLunar && !isTextMode) {
+        /* 传统节日（春节、端午、中秋、除夕等） */
+        var festivalName = null;
+        if (showFestival && lunarModule && lunarModule.getFestival) {
+            festivalName = lunarModule.getFestival(cell.year, cell.month, cell.day);
+        }
+        if (festivalName) {
+            dayCell.title = festivalName;
+        }
+
+        /* 没有开启农历、不是节日，且节气仅为 bg 模式或完全关闭 → 单行 */
+        if (!showLunar && !isTextMode && !festivalName) {
             if (isBgMode && jieqiName) {
                 /* bg 模式：先插入水印层（absolute 定位），再插入日期文本层 */
                 dayCell.classList.add('boblog-date-picker-day--jieqi-bg');
@@ -301,8 +1196,15 @@
         solarSpan.textContent = cell.day;
         dayCell.appendChild(solarSpan);
 
-        /* 第二行：农历日名（如"初六"、"十五"） */
-        if (showLunar && lunarModule && lunarModule.getLunar) {
+        /* 第二行：节日名（开启 data-festival 且为节日时，代替农历日名） */
+        if (festivalName) {
+            var festivalSpan = document.createElement('span');
+            festivalSpan.className = 'boblog-date-picker-day-festival';
+            festivalSpan.textContent = festivalName;
+            dayCell.appendChild(festivalSpan);
+            dayCell.classList.add('boblog-date-picker-day--festival');
+        } else if (showLunar && lunarModule && lunarModule.getLunar) {
+            /* 第二行：农历日名（如"初六"、"十五"） */
             var lunarInfo = lunarModule.getLunar(cell.year, cell.month, cell.day);
             if (lunarInfo && lunarInfo.lunarDayText) {
                 var lunarSpan = document.createElement('span');
@@ -323,6 +1225,56 @@
         }
     }
 
+    /**
+     * 节假日 / 调休上班日的格子加角标（"休" / "班"）和 title（data-holidays）
+     * @param {HTMLElement} dayCell — 日期格子元素
+     * @param {{year:number, month:number, day:number}} cell — 日期对象
+     * @param {object} rules — 取值限制（readRules）
+     * @param {object} locale — 语言包
+     */
+    function markHoliday(dayCell, cell, rules, locale) {
+        if (!rules.holidays) return;
+        var holiday = holidayData[toDateValue(cell.year, cell.month, cell.day)];
+        if (!holiday) return;
+
+        var index = holiday.type === 'holiday' ? 0 : 1;
+        dayCell.classList.add('boblog-date-picker-day--' + holiday.type);
+        var badge = document.createElement('span');
+        badge.className = 'boblog-date-picker-day-badge';
+        badge.textContent = locale.holidayBadges[index];
+        dayCell.appendChild(badge);
+
+        /* title：节日名（data-festival）在前，同名时不重复 */
+        var label = holiday.name || locale.holidayLegend[index];
+        if (dayCell.title !== label) {
+            dayCell.title = dayCell.title ? dayCell.title + ' · ' + label : label;
+        }
+    }
+
+    /**
+     * 在日历下方添加节假日图例（开启 data-holidays 时）
+     * @param {HTMLElement} container — 图例的父元素
+     * @param {object} rules — 取值限制（readRules）
+     * @param {object} locale — 语言包
+     */
+    function appendHolidayLegend(container, rules, locale) {
+        if (!rules.holidays) return;
+        var legend = document.createElement('div');
+        legend.className = 'boblog-date-picker-legend';
+        var types = ['holiday', 'workday'];
+        for (var i = 0; i < types.length; i++) {
+            var item = document.createElement('span');
+            item.className = 'boblog-date-picker-legend-item boblog-date-picker-legend-item--' + types[i];
+            var badge = document.createElement('span');
+            badge.className = 'boblog-date-picker-day-badge';
+            badge.textContent = locale.holidayBadges[i];
+            item.appendChild(badge);
+            item.appendChild(document.createTextNode(locale.holidayLegend[i]));
+            legend.appendChild(item);
+        }
+        container.appendChild(legend);
+    }
+
     /* ============================================================ */
     /* 渲染函数 - date 类型（日历网格面板）                              */
     /* ============================================================ */
@@ -334,9 +1286,12 @@
      * @param {HTMLElement} wrapper — .boblog-date-picker 容器
      * @param {HTMLInputElement} input — 隐藏的原生 input
      * @param {string} format — 显示格式
+     * @param {object} rules — 取值限制（readRules），不可选的日期置灰且不能点击
      */
-    function renderDatePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode) {
+    function renderDatePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode, showFestival, rules) {
         var currentValue = input.value;
+        var state = instances.get(wrapper);
+        var locale = state.locale;
         var now = new Date();
         var todayYear = now.getFullYear();
         var todayMonth = now.getMonth() + 1;
@@ -388,7 +1343,7 @@
 
             var title = document.createElement('span');
             title.className = 'boblog-date-picker-title';
-            title.textContent = viewYear + '年' + viewMonth + '月';
+            title.textContent = formatTitle(locale, viewYear, viewMonth);
 
             var nextMonth = document.createElement('button');
             nextMonth.type = 'button';
@@ -418,7 +1373,7 @@
             var todayBtn = document.createElement('button');
             todayBtn.type = 'button';
             todayBtn.className = 'boblog-date-picker-today-btn';
-            todayBtn.textContent = '今天';
+            todayBtn.textContent = locale.today;
             todayBtn.onclick = function(e) {
                 e.stopPropagation();
                 viewYear = todayYear;
@@ -439,14 +1394,10 @@
 
             var weekdaysRow = document.createElement('div');
             weekdaysRow.className = 'boblog-date-picker-weekdays';
-            for (var i = 0; i < WEEKDAYS.length; i++) {
-                var wd = document.createElement('span');
-                wd.textContent = WEEKDAYS[i];
-                weekdaysRow.appendChild(wd);
-            }
+            appendWeekdays(weekdaysRow, locale, state.weekStart);
             panel.appendChild(weekdaysRow);
 
-            var grid = buildCalendarGrid(viewYear, viewMonth);
+            var grid = buildCalendarGrid(viewYear, viewMonth, state.weekStart);
             var daysContainer = document.createElement('div');
             daysContainer.className = 'boblog-date-picker-days';
 
@@ -457,7 +1408,8 @@
                 dayCell.className = 'boblog-date-picker-day';
 
                 /* 根据农历/节气开关决定格子内容结构 */
-                buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode);
+                buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode, showFestival);
+                markHoliday(dayCell, cell, rules, locale);
 
                 if (!cell.isCurrentMonth) {
                     dayCell.classList.add('other-month');
@@ -475,15 +1427,17 @@
                     dayCell.classList.add('selected');
                 }
 
+                if (isDayDisabled('date', rules, cell.year, cell.month, cell.day)) {
+                    dayCell.classList.add('disabled');
+                    dayCell.disabled = true;
+                }
+
                 (function(c) {
                     dayCell.onclick = function(e) {
                         e.stopPropagation();
                         var value = c.year + '-' + padZero(c.month) + '-' + padZero(c.day);
-                        input.value = value;
-                        var display = wrapper.querySelector('.boblog-date-picker-display');
-                        display.value = formatValue('date', value, format);
                         wrapper.classList.remove('open');
-                        input.dispatchEvent(new Event('change', { bubbles: true }));
+                        pickValue(wrapper, value);
                     };
                 })(cell);
 
@@ -491,6 +1445,7 @@
             }
 
             panel.appendChild(daysContainer);
+            appendHolidayLegend(panel, rules, locale);
         }
 
         render();
@@ -507,9 +1462,11 @@
      * @param {HTMLElement} wrapper — .boblog-date-picker 容器
      * @param {HTMLInputElement} input — 隐藏的原生 input
      * @param {string} format — 显示格式
+     * @param {object} rules — 取值限制（readRules）
      */
-    function renderMonthPanel(panel, wrapper, input, format) {
+    function renderMonthPanel(panel, wrapper, input, format, rules) {
         var currentValue = input.value;
+        var locale = instances.get(wrapper).locale;
         var now = new Date();
         var todayYear = now.getFullYear();
         var todayMonth = now.getMonth() + 1;
@@ -543,7 +1500,7 @@
 
             var title = document.createElement('span');
             title.className = 'boblog-date-picker-title';
-            title.textContent = viewYear + '年';
+            title.textContent = formatTitle(locale, viewYear);
 
             var nextYear = document.createElement('button');
             nextYear.type = 'button';
@@ -559,7 +1516,7 @@
             var todayBtn = document.createElement('button');
             todayBtn.type = 'button';
             todayBtn.className = 'boblog-date-picker-today-btn';
-            todayBtn.textContent = '今天';
+            todayBtn.textContent = locale.today;
             todayBtn.onclick = function(e) {
                 e.stopPropagation();
                 viewYear = todayYear;
@@ -581,7 +1538,7 @@
                 var monthCell = document.createElement('button');
                 monthCell.type = 'button';
                 monthCell.className = 'boblog-date-picker-month';
-                monthCell.textContent = m + '月';
+                monthCell.textContent = locale.monthsShort[m - 1];
 
                 if (viewYear === todayYear && m === todayMonth) {
                     monthCell.classList.add('today');
@@ -591,15 +1548,17 @@
                     monthCell.classList.add('selected');
                 }
 
+                if (isMonthDisabled(rules, viewYear, m)) {
+                    monthCell.classList.add('disabled');
+                    monthCell.disabled = true;
+                }
+
                 (function(month) {
                     monthCell.onclick = function(e) {
                         e.stopPropagation();
                         var value = viewYear + '-' + padZero(month);
-                        input.value = value;
-                        var display = wrapper.querySelector('.boblog-date-picker-display');
-                        display.value = formatValue('month', value, format);
                         wrapper.classList.remove('open');
-                        input.dispatchEvent(new Event('change', { bubbles: true }));
+                        pickValue(wrapper, value);
                     };
                 })(m);
 
@@ -623,9 +1582,11 @@
      * @param {HTMLElement} wrapper — .boblog-date-picker 容器
      * @param {HTMLInputElement} input — 隐藏的原生 input
      * @param {string} format — 显示格式
+     * @param {object} rules — 取值限制（readRules），不可选的周整行置灰
      */
-    function renderWeekPanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode) {
+    function renderWeekPanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode, showFestival, rules) {
         var currentValue = input.value;
+        var locale = instances.get(wrapper).locale;
         var now = new Date();
         var todayYear = now.getFullYear();
         var todayMonth = now.getMonth() + 1;
@@ -639,7 +1600,11 @@
             if (parts.length === 2) {
                 selectedYear = parseInt(parts[0], 10);
                 selectedWeek = parseInt(parts[1], 10);
-                viewYear = selectedYear;
+                /* 显示选中周（周四）所在的月份 */
+                var thursday = getWeekMonday(selectedYear, selectedWeek);
+                thursday.setDate(thursday.getDate() + 3);
+                viewYear = thursday.getFullYear();
+                viewMonth = thursday.getMonth() + 1;
             }
         }
 
@@ -675,7 +1640,7 @@
 
             var title = document.createElement('span');
             title.className = 'boblog-date-picker-title';
-            title.textContent = viewYear + '年' + viewMonth + '月';
+            title.textContent = formatTitle(locale, viewYear, viewMonth);
 
             var nextMonth = document.createElement('button');
             nextMonth.type = 'button';
@@ -705,12 +1670,12 @@
             var todayBtn = document.createElement('button');
             todayBtn.type = 'button';
             todayBtn.className = 'boblog-date-picker-today-btn';
-            todayBtn.textContent = '今天';
+            todayBtn.textContent = locale.today;
             todayBtn.onclick = function(e) {
                 e.stopPropagation();
                 viewYear = todayYear;
                 viewMonth = todayMonth;
-                selectedYear = todayYear;
+                selectedYear = getWeekYear(todayYear, todayMonth, todayDay);
                 selectedWeek = getWeekNumber(todayYear, todayMonth, todayDay);
                 render();
             };
@@ -728,14 +1693,11 @@
             var weekLabel = document.createElement('span');
             weekLabel.textContent = 'W#';
             weekdaysRow.appendChild(weekLabel);
-            for (var i = 0; i < WEEKDAYS.length; i++) {
-                var wd = document.createElement('span');
-                wd.textContent = WEEKDAYS[i];
-                weekdaysRow.appendChild(wd);
-            }
+            /* ISO 周从周一开始，每行恰好是一周 */
+            appendWeekdays(weekdaysRow, locale, 1);
             panel.appendChild(weekdaysRow);
 
-            var grid = buildCalendarGrid(viewYear, viewMonth);
+            var grid = buildCalendarGrid(viewYear, viewMonth, 1);
             var weeksContainer = document.createElement('div');
             weeksContainer.className = 'boblog-date-picker-weeks';
 
@@ -743,17 +1705,10 @@
                 var weekRow = document.createElement('div');
                 weekRow.className = 'boblog-date-picker-week-row';
 
-                /* 取该行中属于当前视图月份的格子来计算周号和年份，
-                   避免跨月/跨年时周号归属到错误的年份 */
-                var refCell = grid[row * 7];
-                for (var rc = 0; rc < 7; rc++) {
-                    if (grid[row * 7 + rc].isCurrentMonth) {
-                        refCell = grid[row * 7 + rc];
-                        break;
-                    }
-                }
-                var weekNum = getWeekNumber(refCell.year, refCell.month, refCell.day);
-                var weekYear = refCell.year;
+                /* 周号和所属年份按 ISO 8601 计算（跨年的周归属周四所在的年份） */
+                var monday = grid[row * 7];
+                var weekNum = getWeekNumber(monday.year, monday.month, monday.day);
+                var weekYear = getWeekYear(monday.year, monday.month, monday.day);
 
                 var weekCell = document.createElement('button');
                 weekCell.type = 'button';
@@ -764,6 +1719,12 @@
                     weekRow.classList.add('selected');
                 }
 
+                var weekDisabled = isWeekDisabled(rules, weekYear, weekNum);
+                if (weekDisabled) {
+                    weekRow.classList.add('disabled');
+                    weekCell.disabled = true;
+                }
+
                 weekRow.appendChild(weekCell);
 
                 for (var col = 0; col < 7; col++) {
@@ -772,149 +1733,401 @@
                     dayCell.className = 'boblog-date-picker-week-day';
 
                     /* 根据农历/节气开关决定格子内容结构 */
-                    buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode);
+                    buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode, showFestival);
+                    markHoliday(dayCell, cell, rules, locale);
 
                     if (!cell.isCurrentMonth) {
                         dayCell.classList.add('other-month');
                     }
 
+                    if (!weekDisabled && isDayDisabled('week', rules, cell.year, cell.month, cell.day)) {
+                        dayCell.classList.add('disabled');
+                    }
+
                     weekRow.appendChild(dayCell);
                 }
 
-                (function(wNum, wYear) {
+                (function(wNum, wYear, wDisabled) {
                     weekRow.onclick = function(e) {
                         e.stopPropagation();
+                        if (wDisabled) return;
                         var value = wYear + '-W' + padZero(wNum);
-                        input.value = value;
-                        var display = wrapper.querySelector('.boblog-date-picker-display');
-                        display.value = formatValue('week', value, format);
                         wrapper.classList.remove('open');
-                        input.dispatchEvent(new Event('change', { bubbles: true }));
+                        pickValue(wrapper, value);
                     };
-                })(weekNum, weekYear);
+                })(weekNum, weekYear, weekDisabled);
 
                 weeksContainer.appendChild(weekRow);
             }
 
             panel.appendChild(weeksContainer);
+            appendHolidayLegend(panel, rules, locale);
         }
 
         render();
     }
 
     /* ============================================================ */
-    /* 渲染函数 - time 类型（时间选择面板）                              */
+    /* 时间列 - time / datetime-local 面板共用                          */
     /* ============================================================ */
 
+    /** 在时间列中连续输入数字的最大间隔（毫秒），超过后重新开始输入 */
+    var TYPE_AHEAD_DELAY = 1000;
+
+    /** 鼠标滚轮累计滚动多少像素切换一项 */
+    var WHEEL_THRESHOLD = 50;
+
     /**
-     * 渲染时间选择面板
-     * 面板结构：时/分各一组（上箭头 + 数字 + 下箭头）+ 确定按钮
-     * @param {HTMLElement} panel — 面板容器
+     * 格式字符串中是否含有指定记号（[...] 中的文字不算）
+     * @param {string} fmt — 格式字符串
+     * @param {Array<string>} tokens — 记号
+     * @returns {boolean}
+     */
+    function hasFormatToken(fmt, tokens) {
+        var match;
+        FORMAT_TOKENS.lastIndex = 0;
+        while ((match = FORMAT_TOKENS.exec(fmt))) {
+            if (match[1] === undefined && tokens.indexOf(match[0]) !== -1) {
+                FORMAT_TOKENS.lastIndex = 0;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 读取时间列配置
+     *   - seconds：显示格式含秒（ss / s），或 step 不是整分钟时显示秒列，值带秒（HH:mm:ss）
+     *   - hour12：显示格式含 12 小时记号（hh / h / a / A）时，时列为 12、1-11，并显示上午/下午列
+     *   - minuteStep：容器 data-minute-step（如 5、15），缺省时按 step 换算（至少 1 分钟）
+     *   - minuteOffset：分钟从 min 的分钟数起对齐（如 min="09:05" step="900" → 05、20、35、50）
+     *   - secondStep：step 小于 60 秒时按 step，否则为 1
      * @param {HTMLElement} wrapper — .boblog-date-picker 容器
-     * @param {HTMLInputElement} input — 隐藏的原生 input
      * @param {string} format — 显示格式
+     * @param {object} rules — 取值限制（readRules）
+     * @returns {{seconds: boolean, hour12: boolean, minuteStep: number, minuteOffset: number, secondStep: number}}
      */
-    function renderTimePanel(panel, wrapper, input, format) {
-        var currentValue = input.value || '00:00';
-        var parts = currentValue.split(':');
-        var hour = parseInt(parts[0], 10) || 0;
-        var minute = parseInt(parts[1], 10) || 0;
+    function getTimeOptions(wrapper, format, rules) {
+        var minuteStep = parseInt(wrapper.getAttribute('data-minute-step'), 10);
+        if (!(minuteStep >= 1)) {
+            minuteStep = rules.step >= 60 ? Math.round(rules.step / 60) : 1;
+        }
+        minuteStep = Math.min(minuteStep, 60);
+        var minParts = valueNumbers(rules.min.split('T').pop());
+        var stepInSeconds = rules.step > 0 && rules.step % 60 !== 0;
+        return {
+            seconds: stepInSeconds || hasFormatToken(format, ['ss', 's']),
+            hour12: hasFormatToken(format, ['hh', 'h', 'a', 'A']),
+            minuteStep: minuteStep,
+            minuteOffset: minParts.length >= 2 ? minParts[1] % minuteStep : 0,
+            secondStep: stepInSeconds && rules.step < 60 ? Math.round(rules.step) || 1 : 1
+        };
+    }
 
-        function render() {
-            panel.innerHTML = '';
+    /**
+     * 将时分秒拼成原生值（HH:mm 或 HH:mm:ss）
+     * @param {{hour: number, minute: number, second: number}} time — 时间
+     * @param {boolean} seconds — 是否带秒
+     * @returns {string}
+     */
+    function toTimeValue(time, seconds) {
+        return padZero(time.hour) + ':' + padZero(time.minute) + (seconds ? ':' + padZero(time.second) : '');
+    }
 
-            var timeContainer = document.createElement('div');
-            timeContainer.className = 'boblog-date-picker-time';
+    /**
+     * 生成 [start, start + step, ...]（小于 60）
+     * @param {number} start — 起点
+     * @param {number} step — 步长
+     * @returns {Array<number>}
+     */
+    function stepValues(start, step) {
+        var list = [];
+        for (var n = start; n < 60; n += step) list.push(n);
+        return list;
+    }
 
-            var hourGroup = document.createElement('div');
-            hourGroup.className = 'boblog-date-picker-time-group';
+    /**
+     * 创建时间滚轮列（时 / 分 / [秒] / [上午下午]）
+     * 每列是可滚动的选项列表，选中项滚动到中间：
+     *   - 点击选项选中；鼠标滚轮上下滚动切换
+     *   - 列可获得焦点：↑ / ↓ 切换，Home / End 跳到首尾，← / → 切换列，
+     *     直接输入数字（如 "0" "5" 选中 05，超过 1 秒重新输入），上午/下午列按首字母（a / p）切换，
+     *     Enter 调用 onEnter
+     * @param {{hour: number, minute: number, second: number}} time — 当前时间，选择时直接修改
+     * @param {object} options — getTimeOptions 返回的配置，另加 labels（是否显示列标签）、separators（是否显示冒号）
+     * @param {object} locale — 语言包（列标签、上午/下午）
+     * @param {Function} onChange — 时间改变后调用
+     * @param {Function} onEnter — 在列上按 Enter 时调用
+     * @returns {{el: HTMLElement, refresh: Function}} el 为 .boblog-date-picker-time 容器；
+     *          插入页面后调用 refresh() 将选中项滚动到中间
+     */
+    function buildTimeColumns(time, options, locale, onChange, onEnter) {
+        var container = document.createElement('div');
+        container.className = 'boblog-date-picker-time';
+
+        /* 每列：nums 为各选项的数值（上午/下午列为 texts），value() 取当前值，select(i) 选中第 i 项 */
+        var columns = [];
+        var hourNums = [];
+        for (var h = 0; h < (options.hour12 ? 12 : 24); h++) {
+            hourNums.push(options.hour12 && h === 0 ? 12 : h);
+        }
+        columns.push({
+            label: locale.hour,
+            nums: hourNums,
+            value: function() {
+                return options.hour12 ? time.hour % 12 || 12 : time.hour;
+            },
+            select: function(i) {
+                time.hour = options.hour12 ? i + (time.hour >= 12 ? 12 : 0) : i;
+            }
+        });
 
-            var hourUp = document.createElement('button');
-            hourUp.type = 'button';
-            hourUp.className = 'boblog-date-picker-time-btn';
-            hourUp.textContent = '▲';
-            hourUp.onclick = function(e) {
-                e.stopPropagation();
-                hour = (hour + 1) % 24;
-                render();
-            };
+        var minuteNums = stepValues(options.minuteOffset, options.minuteStep);
+        columns.push({
+            label: locale.minute,
+            nums: minuteNums,
+            value: function() {
+                return time.minute;
+            },
+            select: function(i) {
+                time.minute = minuteNums[i];
+            }
+        });
 
-            var hourDisplay = document.createElement('div');
-            hourDisplay.className = 'boblog-date-picker-time-value';
-            hourDisplay.textContent = padZero(hour);
+        if (options.seconds) {
+            var secondNums = stepValues(0, options.secondStep);
+            columns.push({
+                label: locale.second,
+                nums: secondNums,
+                value: function() {
+                    return time.second;
+                },
+                select: function(i) {
+                    time.second = secondNums[i];
+                }
+            });
+        }
 
-            var hourDown = document.createElement('button');
-            hourDown.type = 'button';
-            hourDown.className = 'boblog-date-picker-time-btn';
-            hourDown.textContent = '▼';
-            hourDown.onclick = function(e) {
-                e.stopPropagation();
-                hour = (hour - 1 + 24) % 24;
-                render();
-            };
+        if (options.hour12) {
+            columns.push({
+                label: '',
+                texts: locale.meridiem,
+                value: function() {
+                    return time.hour >= 12 ? 1 : 0;
+                },
+                select: function(i) {
+                    time.hour = time.hour % 12 + i * 12;
+                }
+            });
+        }
 
-            hourGroup.appendChild(hourUp);
-            hourGroup.appendChild(hourDisplay);
-            hourGroup.appendChild(hourDown);
+        /* 当前选中项的序号，值不在选项中（如不符合步长）时为 -1 */
+        function indexOf(col) {
+            return col.nums ? col.nums.indexOf(col.value()) : col.value();
+        }
 
-            var separator = document.createElement('div');
-            separator.className = 'boblog-date-picker-time-separator';
-            separator.textContent = ':';
+        /* 更新选中样式并滚动到中间 */
+        function refresh() {
+            for (var c = 0; c < columns.length; c++) {
+                var col = columns[c];
+                var current = indexOf(col);
+                var items = col.list.children;
+                for (var i = 0; i < items.length; i++) {
+                    items[i].classList.toggle('selected', i === current);
+                    items[i].setAttribute('aria-selected', i === current ? 'true' : 'false');
+                }
+                if (items[current]) {
+                    col.list.scrollTop = items[current].offsetTop - (col.list.clientHeight - items[current].offsetHeight) / 2;
+                }
+            }
+        }
 
-            var minuteGroup = document.createElement('div');
-            minuteGroup.className = 'boblog-date-picker-time-group';
+        function choose(col, i) {
+            col.select(i);
+            refresh();
+            onChange();
+        }
 
-            var minuteUp = document.createElement('button');
-            minuteUp.type = 'button';
-            minuteUp.className = 'boblog-date-picker-time-btn';
-            minuteUp.textContent = '▲';
-            minuteUp.onclick = function(e) {
-                e.stopPropagation();
-                minute = (minute + 1) % 60;
-                render();
-            };
+        /* 切换到上一项 / 下一项（循环） */
+        function move(col, delta) {
+            var count = col.list.children.length;
+            var current = indexOf(col);
+            if (current !== -1) {
+                choose(col, (current + delta + count) % count);
+                return;
+            }
+            /* 当前值不在选项中：取前后最接近的一项 */
+            var value = col.value();
+            var target = delta > 0 ? 0 : count - 1;
+            for (var i = 0; i < count; i++) {
+                if (delta > 0 && col.nums[i] > value) {
+                    target = i;
+                    break;
+                }
+                if (delta < 0 && col.nums[i] < value) target = i;
+            }
+            choose(col, target);
+        }
 
-            var minuteDisplay = document.createElement('div');
-            minuteDisplay.className = 'boblog-date-picker-time-value';
-            minuteDisplay.textContent = padZero(minute);
+        /* 输入数字：能组成两位数时等待下一位，否则跳到下一列 */
+        function typeDigit(col, digit) {
+            var now = Date.now();
+            if (now - col.typedAt > TYPE_AHEAD_DELAY) col.typed = '';
+            col.typed += digit;
+            col.typedAt = now;
+            var n = parseInt(col.typed, 10);
+            var i = col.nums.indexOf(n);
+            if (i !== -1) choose(col, i);
+            var max = Math.max.apply(null, col.nums);
+            if (col.typed.length >= 2 || n * 10 > max) {
+                col.typed = '';
+                var next = columns[columns.indexOf(col) + 1];
+                if (i !== -1 && next) next.group.focus();
+            }
+        }
 
-            var minuteDown = document.createElement('button');
-            minuteDown.type = 'button';
-            minuteDown.className = 'boblog-date-picker-time-btn';
-            minuteDown.textContent = '▼';
-            minuteDown.onclick = function(e) {
-                e.stopPropagation();
-                minute = (minute - 1 + 60) % 60;
-                render();
-            };
+        columns.forEach(function(col, c) {
+            if (c > 0 && options.separators && col.nums) {
+                var separator = document.createElement('div');
+                separator.className = 'boblog-date-picker-time-separator';
+                separator.textContent = ':';
+                container.appendChild(separator);
+            }
 
-            minuteGroup.appendChild(minuteUp);
-            minuteGroup.appendChild(minuteDisplay);
-            minuteGroup.appendChild(minuteDown);
+            var group = document.createElement('div');
+            group.className = 'boblog-date-picker-time-group';
+            group.tabIndex = 0;
+            group.setAttribute('role', 'listbox');
+            if (col.label) group.setAttribute('aria-label', col.label);
+            col.group = group;
+            col.typed = '';
+            col.typedAt = 0;
+
+            if (options.labels) {
+                var label = document.createElement('div');
+                label.className = 'boblog-date-picker-time-label';
+                label.textContent = col.label || '\u00a0';
+                group.appendChild(label);
+            }
 
-            timeContainer.appendChild(hourGroup);
-            timeContainer.appendChild(separator);
-            timeContainer.appendChild(minuteGroup);
+            var list = document.createElement('div');
+            list.className = 'boblog-date-picker-time-list';
+            var texts = col.texts || col.nums.map(padZero);
+            texts.forEach(function(text, i) {
+                var option = document.createElement('div');
+                option.className = 'boblog-date-picker-time-option';
+                option.setAttribute('role', 'option');
+                option.textContent = text;
+                option.onclick = function(e) {
+                    e.stopPropagation();
+                    group.focus();
+                    choose(col, i);
+                };
+                list.appendChild(option);
+            });
+            col.list = list;
+            group.appendChild(list);
+
+            /* 鼠标滚轮：累计滚动距离，每 WHEEL_THRESHOLD 像素切换一项 */
+            var wheelDelta = 0;
+            group.addEventListener('wheel', function(e) {
+                e.preventDefault();
+                wheelDelta += e.deltaMode ? e.deltaY * WHEEL_THRESHOLD : e.deltaY;
+                if (Math.abs(wheelDelta) >= WHEEL_THRESHOLD) {
+                    move(col, wheelDelta > 0 ? 1 : -1);
+                    wheelDelta = 0;
+                }
+            }, { passive: false });
+
+            group.addEventListener('keydown', function(e) {
+                var key = e.key;
+                if (key === 'ArrowUp' || key === 'ArrowDown') {
+                    move(col, key === 'ArrowDown' ? 1 : -1);
+                } else if (key === 'Home' || key === 'End') {
+                    choose(col, key === 'Home' ? 0 : list.children.length - 1);
+                } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+                    var sibling = columns[c + (key === 'ArrowLeft' ? -1 : 1)];
+                    if (sibling) sibling.group.focus();
+                } else if (key === 'Enter') {
+                    onEnter();
+                } else if (col.nums && /^[0-9]$/.test(key)) {
+                    typeDigit(col, key);
+                } else if (col.texts && key.length === 1) {
+                    /* a / p 固定对应上午 / 下午（不依赖语言包文字）；其他按键匹配选项首字 */
+                    var lower = key.toLowerCase();
+                    var index = lower === 'a' ? 0 : (lower === 'p' ? 1 : -1);
+                    if (index !== -1 && index < col.texts.length) {
+                        choose(col, index);
+                    } else {
+                        for (var i = 0; i < col.texts.length; i++) {
+                            if (col.texts[i].charAt(0).toLowerCase() === lower) choose(col, i);
+                        }
+                    }
+                } else {
+                    return;
+                }
+                e.preventDefault();
+            });
 
-            var confirmBtn = document.createElement('button');
-            confirmBtn.type = 'button';
-            confirmBtn.className = 'boblog-date-picker-confirm';
-            confirmBtn.textContent = '确定';
-            confirmBtn.onclick = function(e) {
-                e.stopPropagation();
-                var value = padZero(hour) + ':' + padZero(minute);
-                input.value = value;
-                var display = wrapper.querySelector('.boblog-date-picker-display');
-                display.value = formatValue('time', value, format);
-                wrapper.classList.remove('open');
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-            };
+            container.appendChild(group);
+        });
+
+        return { el: container, refresh: refresh };
+    }
+
+    /* ============================================================ */
+    /* 渲染函数 - time 类型（时间选择面板）                              */
+    /* ============================================================ */
+
+    /**
+     * 渲染时间选择面板
+     * 面板结构：时 / 分 / [秒] / [上午下午] 滚轮列（见 buildTimeColumns）+ 确定按钮
+     * @param {HTMLElement} panel — 面板容器
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器
+     * @param {HTMLInputElement} input — 隐藏的原生 input
+     * @param {string} format — 显示格式（决定是否显示秒列、12 小时制）
+     * @param {object} rules — 取值限制（readRules），不可选的时间无法确定
+     */
+    function renderTimePanel(panel, wrapper, input, format, rules) {
+        var locale = instances.get(wrapper).locale;
+        var options = getTimeOptions(wrapper, format, rules);
+        options.separators = true;
+
+        /* 没有值时从 min 开始，避免默认的 00:00 不可选 */
+        var currentValue = input.value || (VALUE_PATTERNS.time.test(rules.min) ? rules.min : '00:00');
+        var parts = valueNumbers(currentValue);
+        var time = {
+            hour: parts[0] || 0,
+            minute: parts[1] || 0,
+            second: parts[2] || 0
+        };
+
+        panel.innerHTML = '';
 
-            panel.appendChild(timeContainer);
-            panel.appendChild(confirmBtn);
+        var confirmBtn = document.createElement('button');
+        confirmBtn.type = 'button';
+        confirmBtn.className = 'boblog-date-picker-confirm';
+        confirmBtn.textContent = locale.confirm;
+        confirmBtn.onclick = function(e) {
+            e.stopPropagation();
+            wrapper.classList.remove('open');
+            pickValue(wrapper, toTimeValue(time, options.seconds));
+        };
+
+        function updateConfirm() {
+            confirmBtn.disabled = !isValueAllowed('time', toTimeValue(time, options.seconds), rules);
         }
 
-        render();
+        var columns = buildTimeColumns(time, options, locale, updateConfirm, function() {
+            if (confirmBtn.disabled) return;
+            wrapper.querySelector('.boblog-date-picker-display').focus();
+            confirmBtn.click();
+        });
+        updateConfirm();
+
+        panel.appendChild(columns.el);
+        panel.appendChild(confirmBtn);
+        columns.refresh();
     }
 
     /* ============================================================ */
@@ -929,9 +2142,12 @@
      * @param {HTMLElement} wrapper — .boblog-date-picker 容器
      * @param {HTMLInputElement} input — 隐藏的原生 input
      * @param {string} format — 显示格式
+     * @param {object} rules — 取值限制（readRules），不可选的日期置灰，不可选的时刻无法确定
      */
-    function renderDatetimePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode) {
+    function renderDatetimePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode, showFestival, rules) {
         var currentValue = input.value;
+        var state = instances.get(wrapper);
+        var locale = state.locale;
         var now = new Date();
         var todayYear = now.getFullYear();
         var todayMonth = now.getMonth() + 1;
@@ -939,8 +2155,9 @@
         var viewYear = todayYear;
         var viewMonth = todayMonth;
         var selectedYear, selectedMonth, selectedDay;
-        var hour = 0;
-        var minute = 0;
+        var time = { hour: 0, minute: 0, second: 0 };
+        var options = getTimeOptions(wrapper, format, rules);
+        options.labels = true;
 
         if (currentValue) {
             var dtParts = currentValue.split('T');
@@ -957,8 +2174,9 @@
                     viewMonth = selectedMonth;
                 }
                 if (tp.length >= 2) {
-                    hour = parseInt(tp[0], 10) || 0;
-                    minute = parseInt(tp[1], 10) || 0;
+                    time.hour = parseInt(tp[0], 10) || 0;
+                    time.minute = parseInt(tp[1], 10) || 0;
+                    time.second = parseInt(tp[2], 10) || 0;
                 }
             }
         }
@@ -995,7 +2213,7 @@
 
             var title = document.createElement('span');
             title.className = 'boblog-date-picker-title';
-            title.textContent = viewYear + '年' + viewMonth + '月';
+            title.textContent = formatTitle(locale, viewYear, viewMonth);
 
             var nextMonth = document.createElement('button');
             nextMonth.type = 'button';
@@ -1025,7 +2243,7 @@
             var todayBtn = document.createElement('button');
             todayBtn.type = 'button';
             todayBtn.className = 'boblog-date-picker-today-btn';
-            todayBtn.textContent = '今天';
+            todayBtn.textContent = locale.today;
             todayBtn.onclick = function(e) {
                 e.stopPropagation();
                 selectedYear = todayYear;
@@ -1054,14 +2272,10 @@
 
             var weekdaysRow = document.createElement('div');
             weekdaysRow.className = 'boblog-date-picker-weekdays';
-            for (var i = 0; i < WEEKDAYS.length; i++) {
-                var wd = document.createElement('span');
-                wd.textContent = WEEKDAYS[i];
-                weekdaysRow.appendChild(wd);
-            }
+            appendWeekdays(weekdaysRow, locale, state.weekStart);
             calendarSide.appendChild(weekdaysRow);
 
-            var grid = buildCalendarGrid(viewYear, viewMonth);
+            var grid = buildCalendarGrid(viewYear, viewMonth, state.weekStart);
             var daysContainer = document.createElement('div');
             daysContainer.className = 'boblog-date-picker-days';
 
@@ -1072,7 +2286,8 @@
                 dayCell.className = 'boblog-date-picker-day';
 
                 /* 根据农历/节气开关决定格子内容结构 */
-                buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode);
+                buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode, showFestival);
+                markHoliday(dayCell, cell, rules, locale);
 
                 if (!cell.isCurrentMonth) {
                     dayCell.classList.add('other-month');
@@ -1090,6 +2305,11 @@
                     dayCell.classList.add('selected');
                 }
 
+                if (isDayDisabled('datetime-local', rules, cell.year, cell.month, cell.day)) {
+                    dayCell.classList.add('disabled');
+                    dayCell.disabled = true;
+                }
+
                 (function(c) {
                     dayCell.onclick = function(e) {
                         e.stopPropagation();
@@ -1104,117 +2324,365 @@
             }
 
             calendarSide.appendChild(daysContainer);
+            appendHolidayLegend(calendarSide, rules, locale);
 
-            /* 右侧：时间选择区域 */
+            /* 右侧：时间选择区域（滚轮列，见 buildTimeColumns） */
             var timeSide = document.createElement('div');
             timeSide.className = 'boblog-date-picker-dt-time';
 
-            var timeContainer = document.createElement('div');
-            timeContainer.className = 'boblog-date-picker-time';
+            var confirmBtn = document.createElement('button');
+            confirmBtn.type = 'button';
+            confirmBtn.className = 'boblog-date-picker-confirm';
+            confirmBtn.textContent = locale.confirm;
+            confirmBtn.onclick = function(e) {
+                e.stopPropagation();
+                if (!selectedYear || !selectedMonth || !selectedDay) {
+                    return;
+                }
+                wrapper.classList.remove('open');
+                pickValue(wrapper, getValue());
+            };
 
-            var hourGroup = document.createElement('div');
-            hourGroup.className = 'boblog-date-picker-time-group';
+            function updateConfirm() {
+                confirmBtn.disabled = !selectedYear || !isValueAllowed('datetime-local', getValue(), rules);
+            }
 
-            /* "时"标签 */
-            var hourLabel = document.createElement('div');
-            hourLabel.className = 'boblog-date-picker-time-label';
-            hourLabel.textContent = '时';
+            var columns = buildTimeColumns(time, options, locale, updateConfirm, function() {
+                if (confirmBtn.disabled) return;
+                wrapper.querySelector('.boblog-date-picker-display').focus();
+                confirmBtn.click();
+            });
+            updateConfirm();
 
-            var hourUp = document.createElement('button');
-            hourUp.type = 'button';
-            hourUp.className = 'boblog-date-picker-time-btn';
-            hourUp.textContent = '▲';
-            hourUp.onclick = function(e) {
-                e.stopPropagation();
-                hour = (hour + 1) % 24;
-                render();
-            };
+            /* 组装右侧时间区域 */
+            timeSide.appendChild(columns.el);
+            timeSide.appendChild(confirmBtn);
+
+            /* 组装左右两栏到面板 */
+            dtBody.appendChild(calendarSide);
+            dtBody.appendChild(timeSide);
+            panel.appendChild(dtBody);
+            columns.refresh();
+        }
 
-            var hourDisplay = document.createElement('div');
-            hourDisplay.className = 'boblog-date-picker-time-value';
-            hourDisplay.textContent = padZero(hour);
+        /* 当前选择的原生值（yyyy-MM-ddTHH:mm[:ss]） */
+        function getValue() {
+            return toDateValue(selectedYear, selectedMonth, selectedDay) + 'T' + toTimeValue(time, options.seconds);
+        }
 
-            var hourDown = document.createElement('button');
-            hourDown.type = 'button';
-            hourDown.className = 'boblog-date-picker-time-btn';
-            hourDown.textContent = '▼';
-            hourDown.onclick = function(e) {
-                e.stopPropagation();
-                hour = (hour - 1 + 24) % 24;
-                render();
-            };
+        render();
+    }
+
+    /* ============================================================ */
+    /* 渲染函数 - 日期范围（双月日历 + 快捷选项）                         */
+    /* ============================================================ */
+
+    /**
+     * 将年月日转为 yyyy-MM-dd（与 input[type=date] 的值一致，可直接按字符串比较先后）
+     * @param {number} year — 年份
+     * @param {number} month — 月份（1-12）
+     * @param {number} day — 日期
+     * @returns {string}
+     */
+    function toDateValue(year, month, day) {
+        return year + '-' + padZero(month) + '-' + padZero(day);
+    }
+
+    /**
+     * 将 Date 对象转为 yyyy-MM-dd
+     * @param {Date} date — 日期对象
+     * @returns {string}
+     */
+    function dateToValue(date) {
+        return toDateValue(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    }
+
+    /**
+     * 读取范围选择器的当前值
+     * @param {{start: HTMLInputElement, end: HTMLInputElement|null}} range — end 为空时为单输入框模式
+     * @returns {Array<string>} [开始, 结束]，未选择时为空字符串
+     */
+    function getRangeValue(range) {
+        if (range.end) {
+            return [range.start.value, range.end.value];
+        }
+        var parts = range.start.value.split(RANGE_SEPARATOR);
+        if (parts.length !== 2) return ['', ''];
+        return [parts[0].trim(), parts[1].trim()];
+    }
+
+    /**
+     * 写入范围值（不派发事件）
+     * @param {{start: HTMLInputElement, end: HTMLInputElement|null}} range — 范围输入框
+     * @param {string} start — 开始日期（yyyy-MM-dd，空字符串表示清空）
+     * @param {string} end — 结束日期
+     * @returns {Array<HTMLInputElement>} 值有变化的 input
+     */
+    function setRangeValue(range, start, end) {
+        var changed = [];
+        if (range.end) {
+            if (range.start.value !== start) {
+                range.start.value = start;
+                changed.push(range.start);
+            }
+            if (range.end.value !== end) {
+                range.end.value = end;
+                changed.push(range.end);
+            }
+        } else {
+            var value = start && end ? start + RANGE_SEPARATOR + end : '';
+            if (range.start.value !== value) {
+                range.start.value = value;
+                changed.push(range.start);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * 将范围值格式化为显示文本（如 "2006-08-01 至 2006-08-31"）
+     * @param {{start: HTMLInputElement, end: HTMLInputElement|null}} range — 范围输入框
+     * @param {string} format — 单个日期的显示格式
+     * @param {object} locale — 语言包（连接文字 rangeJoiner）
+     * @returns {string} 未选择时返回空字符串
+     */
+    function formatRange(range, format, locale) {
+        var value = getRangeValue(range);
+        if (!value[0] || !value[1]) return '';
+        return formatValue('date', value[0], format, locale) + locale.rangeJoiner + formatValue('date', value[1], format, locale);
+    }
+
+    /**
+     * 拆分手动输入的范围文字：开始、结束日期之间用"至"、"到"、~ 或语言包的连接文字分隔
+     * 连接文字是单词（如 "to"）时两侧须有空白，避免拆开月份名
+     * @param {string} text — 输入的文字
+     * @param {object} locale — 语言包
+     * @returns {Array<string>|null} [开始, 结束]，无法拆成两段时返回 null
+     */
+    function splitRangeText(text, locale) {
+        var parts = text.split(/\s*(?:至|到|~|～)\s*/);
+        var joiner = locale.rangeJoiner.trim();
+        if (parts.length !== 2 && joiner) {
+            parts = text.split(new RegExp('\\s+' + escapePattern(joiner) + '\\s+', 'i'));
+        }
+        return parts.length === 2 ? parts : null;
+    }
+
+    /**
+     * 渲染日期范围选择面板
+     * 面板结构：左右两个月的日历（左侧可向前翻、右侧可向后翻）→ 底部快捷选项
+     * 第一次点击选开始日期，移动鼠标预览区间，第二次点击选结束日期（早于开始日期时自动交换）
+     * @param {HTMLElement} panel — 面板容器
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器
+     * @param {{start: HTMLInputElement, end: HTMLInputElement|null}} range — 范围输入框
+     * @param {string} format — 单个日期的显示格式
+     * @param {object} rules — 取值限制（readRules，min / max / step 取开始日期 input 的属性）
+     */
+    function renderRangePanel(panel, wrapper, range, format, showLunar, showJieqi, jieqiMode, showFestival, rules) {
+        var value = getRangeValue(range);
+        var startValue = value[0];
+        var endValue = value[1];
+        var state = instances.get(wrapper);
+        var locale = state.locale;
+        var now = new Date();
+        var todayValue = dateToValue(now);
+        var viewYear = now.getFullYear();
+        var viewMonth = now.getMonth() + 1;
+        /* 已选开始日期、等待选择结束日期时记录开始日期 */
+        var pending = '';
+
+        if (startValue) {
+            var parts = startValue.split('-');
+            if (parts.length === 3) {
+                viewYear = parseInt(parts[0], 10);
+                viewMonth = parseInt(parts[1], 10);
+            }
+        }
+
+        /* 写入选中的范围并关闭面板 */
+        function commit(start, end) {
+            if (end < start) {
+                var tmp = start;
+                start = end;
+                end = tmp;
+            }
+            var changed = setRangeValue(range, start, end);
+            var display = wrapper.querySelector('.boblog-date-picker-display');
+            display.value = formatRange(range, format, locale);
+            wrapper.classList.remove('open');
+            emitChange(wrapper, changed);
+        }
+
+        /* 按当前选择（或选择中的悬停预览）给日期格子加区间高亮 */
+        function paint(hoverValue) {
+            var from = startValue;
+            var to = endValue;
+            if (pending) {
+                from = pending;
+                to = hoverValue || pending;
+                if (to < from) {
+                    var tmp = from;
+                    from = to;
+                    to = tmp;
+                }
+            }
+            var cells = panel.querySelectorAll('.boblog-date-picker-day[data-date]');
+            for (var i = 0; i < cells.length; i++) {
+                var date = cells[i].getAttribute('data-date');
+                cells[i].classList.toggle('range-start', !!from && date === from);
+                cells[i].classList.toggle('range-end', !!to && date === to);
+                cells[i].classList.toggle('in-range', !!from && !!to && date > from && date < to);
+            }
+        }
 
-            hourGroup.appendChild(hourLabel);
-            hourGroup.appendChild(hourUp);
-            hourGroup.appendChild(hourDisplay);
-            hourGroup.appendChild(hourDown);
+        /* 渲染单个月的日历：左侧带向前翻页按钮，右侧带向后翻页按钮 */
+        function renderMonth(year, month, isLeft) {
+            var calendar = document.createElement('div');
+            calendar.className = 'boblog-date-picker-range-calendar';
 
-            var minuteGroup = document.createElement('div');
-            minuteGroup.className = 'boblog-date-picker-time-group';
+            var header = document.createElement('div');
+            header.className = 'boblog-date-picker-header';
 
-            /* "分"标签 */
-            var minuteLabel = document.createElement('div');
-            minuteLabel.className = 'boblog-date-picker-time-label';
-            minuteLabel.textContent = '分';
+            var title = document.createElement('span');
+            title.className = 'boblog-date-picker-title';
+            title.textContent = formatTitle(locale, year, month);
 
-            var minuteUp = document.createElement('button');
-            minuteUp.type = 'button';
-            minuteUp.className = 'boblog-date-picker-time-btn';
-            minuteUp.textContent = '▲';
-            minuteUp.onclick = function(e) {
+            var yearBtn = document.createElement('button');
+            yearBtn.type = 'button';
+            yearBtn.className = 'boblog-date-picker-nav';
+            yearBtn.textContent = isLeft ? '◀◀' : '▶▶';
+            yearBtn.onclick = function(e) {
                 e.stopPropagation();
-                minute = (minute + 1) % 60;
+                viewYear += isLeft ? -1 : 1;
                 render();
             };
 
-            var minuteDisplay = document.createElement('div');
-            minuteDisplay.className = 'boblog-date-picker-time-value';
-            minuteDisplay.textContent = padZero(minute);
-
-            var minuteDown = document.createElement('button');
-            minuteDown.type = 'button';
-            minuteDown.className = 'boblog-date-picker-time-btn';
-            minuteDown.textContent = '▼';
-            minuteDown.onclick = function(e) {
+            var monthBtn = document.createElement('button');
+            monthBtn.type = 'button';
+            monthBtn.className = 'boblog-date-picker-nav';
+            monthBtn.textContent = isLeft ? '◀' : '▶';
+            monthBtn.onclick = function(e) {
                 e.stopPropagation();
-                minute = (minute - 1 + 60) % 60;
+                viewMonth += isLeft ? -1 : 1;
+                if (viewMonth < 1) {
+                    viewMonth = 12;
+                    viewYear--;
+                } else if (viewMonth > 12) {
+                    viewMonth = 1;
+                    viewYear++;
+                }
                 render();
             };
 
-            minuteGroup.appendChild(minuteLabel);
-            minuteGroup.appendChild(minuteUp);
-            minuteGroup.appendChild(minuteDisplay);
-            minuteGroup.appendChild(minuteDown);
+            if (isLeft) {
+                header.appendChild(yearBtn);
+                header.appendChild(monthBtn);
+                header.appendChild(title);
+            } else {
+                header.appendChild(title);
+                header.appendChild(monthBtn);
+                header.appendChild(yearBtn);
+            }
+            calendar.appendChild(header);
 
-            timeContainer.appendChild(hourGroup);
-            timeContainer.appendChild(minuteGroup);
+            var weekdaysRow = document.createElement('div');
+            weekdaysRow.className = 'boblog-date-picker-weekdays';
+            appendWeekdays(weekdaysRow, locale, state.weekStart);
+            calendar.appendChild(weekdaysRow);
 
-            var confirmBtn = document.createElement('button');
-            confirmBtn.type = 'button';
-            confirmBtn.className = 'boblog-date-picker-confirm';
-            confirmBtn.textContent = '确定';
-            confirmBtn.onclick = function(e) {
-                e.stopPropagation();
-                if (!selectedYear || !selectedMonth || !selectedDay) {
-                    return;
+            var grid = buildCalendarGrid(year, month, state.weekStart);
+            var daysContainer = document.createElement('div');
+            daysContainer.className = 'boblog-date-picker-days';
+
+            for (var j = 0; j < grid.length; j++) {
+                var cell = grid[j];
+                var dayCell = document.createElement('button');
+                dayCell.type = 'button';
+                dayCell.className = 'boblog-date-picker-day';
+
+                /* 两个月并排时，非当月日期留空占位，避免同一天在两侧重复出现 */
+                if (!cell.isCurrentMonth) {
+                    dayCell.classList.add('other-month');
+                    dayCell.disabled = true;
+                    daysContainer.appendChild(dayCell);
+                    continue;
                 }
-                var value = selectedYear + '-' + padZero(selectedMonth) + '-' + padZero(selectedDay) +
-                           'T' + padZero(hour) + ':' + padZero(minute);
-                input.value = value;
-                var display = wrapper.querySelector('.boblog-date-picker-display');
-                display.value = formatValue('datetime-local', value, format);
-                wrapper.classList.remove('open');
-                input.dispatchEvent(new Event('change', { bubbles: true }));
-            };
 
-            /* 组装右侧时间区域 */
-            timeSide.appendChild(timeContainer);
-            timeSide.appendChild(confirmBtn);
+                var date = toDateValue(cell.year, cell.month, cell.day);
+                dayCell.setAttribute('data-date', date);
+                buildDayCellContent(dayCell, cell, showLunar, showJieqi, jieqiMode, showFestival);
+                markHoliday(dayCell, cell, rules, locale);
 
-            /* 组装左右两栏到面板 */
-            dtBody.appendChild(calendarSide);
-            dtBody.appendChild(timeSide);
-            panel.appendChild(dtBody);
+                if (date === todayValue) {
+                    dayCell.classList.add('today');
+                }
+
+                if (isDayDisabled('range', rules, cell.year, cell.month, cell.day)) {
+                    dayCell.classList.add('disabled');
+                    dayCell.disabled = true;
+                }
+
+                (function(d) {
+                    dayCell.onclick = function(e) {
+                        e.stopPropagation();
+                        if (!pending) {
+                            pending = d;
+                            paint(d);
+                            return;
+                        }
+                        var start = pending;
+                        pending = '';
+                        commit(start, d);
+                    };
+                    dayCell.onmouseenter = function() {
+                        if (pending) paint(d);
+                    };
+                })(date);
+
+                daysContainer.appendChild(dayCell);
+            }
+
+            calendar.appendChild(daysContainer);
+            return calendar;
+        }
+
+        function render() {
+            panel.innerHTML = '';
+
+            var body = document.createElement('div');
+            body.className = 'boblog-date-picker-range-body';
+            var rightYear = viewMonth === 12 ? viewYear + 1 : viewYear;
+            var rightMonth = viewMonth === 12 ? 1 : viewMonth + 1;
+            body.appendChild(renderMonth(viewYear, viewMonth, true));
+            body.appendChild(renderMonth(rightYear, rightMonth, false));
+            panel.appendChild(body);
+            appendHolidayLegend(panel, rules, locale);
+
+            /* 快捷选项 */
+            var presets = document.createElement('div');
+            presets.className = 'boblog-date-picker-presets';
+            for (var i = 0; i < RANGE_PRESETS.length; i++) {
+                var btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'boblog-date-picker-preset';
+                btn.textContent = locale.presets[i];
+                /* 开始或结束日期不可选时禁用该快捷选项 */
+                var dates = RANGE_PRESETS[i](now);
+                var from = dateToValue(dates[0]);
+                var to = dateToValue(dates[1]);
+                btn.disabled = !isValueAllowed('range', from, rules) || !isValueAllowed('range', to, rules);
+                (function(start, end) {
+                    btn.onclick = function(e) {
+                        e.stopPropagation();
+                        pending = '';
+                        commit(start, end);
+                    };
+                })(from, to);
+                presets.appendChild(btn);
+            }
+            panel.appendChild(presets);
+
+            paint();
         }
 
         render();
@@ -1243,22 +2711,55 @@
             return;
         }
 
+        /* 日期范围：容器或输入框带 data-range 属性 */
+        var isRange = wrapper.hasAttribute('data-range') || input.hasAttribute('data-range');
+
         /* 读取 HTML 中原始写的 type 属性（getAttribute 返回原始值，不受浏览器降级影响） */
-        var type = input.getAttribute('type') || 'date';
+        var type = isRange ? 'range' : (input.getAttribute('type') || 'date');
 
         /* 检查是否为支持的类型 */
         var SUPPORTED = ['date', 'datetime-local', 'month', 'week', 'time'];
-        if (SUPPORTED.indexOf(type) === -1) {
+        if (!isRange && SUPPORTED.indexOf(type) === -1) {
             return;
         }
+
+        /* 范围输入框：两个 input 分别存开始、结束；输入框自身带 data-range 时单个 input 存 "开始~结束" */
+        var range = null;
+        var endInput = null;
+        if (isRange) {
+            var inputs = wrapper.querySelectorAll('input');
+            if (!input.hasAttribute('data-range') && inputs.length > 1) {
+                endInput = inputs[1];
+            }
+            range = { start: input, end: endInput };
+        }
         wrapper.classList.add('boblog-date-picker-custom');
         wrapper.classList.add('boblog-date-picker--' + type);
         wrapper.setAttribute('data-bb-datepicker-init', '1');
 
+        /* 记录原生 input 的内联 display，destroy 时还原 */
+        var origDisplay = input.style.display;
         input.style.display = 'none';
+        var origEndDisplay = endInput ? endInput.style.display : '';
+        if (endInput) endInput.style.display = 'none';
+
+        /* 语言包与每周第一天（data-week-start 缺省时取语言包的 weekStart） */
+        var locale = getLocale(wrapper.getAttribute('data-locale'));
+        var weekStart = parseInt(wrapper.getAttribute('data-week-start'), 10);
+        if (!(weekStart >= 0 && weekStart <= 6)) {
+            weekStart = locale.weekStart;
+        }
 
-        var format = wrapper.getAttribute('data-format') || DEFAULT_FORMATS[type];
-        var placeholder = wrapper.getAttribute('data-placeholder') || DEFAULT_PLACEHOLDERS[type];
+        var format = wrapper.getAttribute('data-format');
+        if (!format) {
+            format = DEFAULT_FORMATS[type];
+            /* step 不是整分钟（如 step="1"）时默认格式带秒，与原生一致 */
+            var step = parseFloat(input.getAttribute('step'));
+            if ((type === 'time' || type === 'datetime-local') && step > 0 && step % 60 !== 0) {
+                format += ':ss';
+            }
+        }
+        var placeholder = wrapper.getAttribute('data-placeholder') || locale.placeholders[type];
 
         /* 读取农历/节气显示开关 */
         /* showLunar: boolean — 是否显示农历 */
@@ -1266,25 +2767,24 @@
         var showLunar = wrapper.getAttribute('data-nongli') === 'true';
         var jieqiMode = wrapper.getAttribute('data-jieqi') || '';
         var showJieqi = (jieqiMode === 'true' || jieqiMode === 'bg');
+        /* showFestival: boolean — 是否在格子里标记传统节日 */
+        var showFestival = wrapper.getAttribute('data-festival') === 'true';
 
         /* 创建显示/输入区域（使用 input[type="text"] 支持手动编辑） */
         var display = document.createElement('input');
         display.type = 'text';
         display.className = 'boblog-date-picker-display';
         display.readOnly = false;
-        if (input.value) {
-            display.value = formatValue(type, input.value, format);
-        } else {
-            display.value = '';
-            display.placeholder = placeholder;
-        }
+        /* 占位文本始终设置：清空后（含 setValue(null)）同样显示 */
+        display.placeholder = placeholder;
+        display.value = range ? formatRange(range, format, locale) : formatValue(type, input.value, format, locale);
 
         /* 创建图标按钮（点击弹出面板） */
         var iconBtn = document.createElement('button');
         iconBtn.type = 'button';
         iconBtn.className = 'boblog-date-picker-icon';
         iconBtn.setAttribute('tabindex', '-1');
-        iconBtn.setAttribute('aria-label', '打开选择器');
+        iconBtn.setAttribute('aria-label', locale.openLabel);
 
         /* 创建面板 */
         var panel = document.createElement('div');
@@ -1295,6 +2795,14 @@
             e.stopPropagation();
         };
 
+        /* 焦点在面板内（时间列）时按 Esc 关闭面板，焦点回到输入框 */
+        panel.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                display.focus();
+                wrapper.classList.remove('open');
+            }
+        });
+
         /* 打开/关闭面板的通用函数 */
         function openPanel() {
             if (input.disabled || input.readOnly ||
@@ -1309,16 +2817,21 @@
             if (!wasOpen) {
                 wrapper.classList.add('open');
 
+                /* 取值限制每次打开时重新读取 */
+                var rules = readRules(wrapper, input);
+
                 if (type === 'date') {
-                    renderDatePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode);
+                    renderDatePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode, showFestival, rules);
                 } else if (type === 'month') {
-                    renderMonthPanel(panel, wrapper, input, format);
+                    renderMonthPanel(panel, wrapper, input, format, rules);
                 } else if (type === 'week') {
-                    renderWeekPanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode);
+                    renderWeekPanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode, showFestival, rules);
                 } else if (type === 'time') {
-                    renderTimePanel(panel, wrapper, input, format);
+                    renderTimePanel(panel, wrapper, input, format, rules);
                 } else if (type === 'datetime-local') {
-                    renderDatetimePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode);
+                    renderDatetimePanel(panel, wrapper, input, format, showLunar, showJieqi, jieqiMode, showFestival, rules);
+                } else if (type === 'range') {
+                    renderRangePanel(panel, wrapper, range, format, showLunar, showJieqi, jieqiMode, showFestival, rules);
                 }
             }
         }
@@ -1357,50 +2870,48 @@
         /* 解析手动输入的值，同步回隐藏 input */
         function parseDisplayInput() {
             var val = display.value.trim();
+            if (!val && range) {
+                emitChange(wrapper, setRangeValue(range, '', ''));
+                return;
+            }
             if (!val) {
-                input.value = '';
-                input.dispatchEvent(new Event('change', { bubbles: true }));
+                pickValue(wrapper, '');
                 return;
             }
 
-            if (type === 'date') {
-                /* 尝试解析 yyyy-MM-dd 或 yyyy/MM/dd */
-                var match = val.match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})$/);
-                if (match) {
-                    input.value = match[1] + '-' + padZero(parseInt(match[2], 10)) + '-' + padZero(parseInt(match[3], 10));
-                    display.value = formatValue(type, input.value, format);
-                    input.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            } else if (type === 'month') {
-                var match2 = val.match(/^(\d{4})[-\/](\d{1,2})$/);
-                if (match2) {
-                    input.value = match2[1] + '-' + padZero(parseInt(match2[2], 10));
-                    display.value = formatValue(type, input.value, format);
-                    input.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            } else if (type === 'week') {
-                var match3 = val.match(/^(\d{4})-?W(\d{1,2})$/i);
-                if (match3) {
-                    input.value = match3[1] + '-W' + padZero(parseInt(match3[2], 10));
-                    display.value = formatValue(type, input.value, format);
-                    input.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            } else if (type === 'time') {
-                var match4 = val.match(/^(\d{1,2}):(\d{1,2})$/);
-                if (match4) {
-                    input.value = padZero(parseInt(match4[1], 10)) + ':' + padZero(parseInt(match4[2], 10));
-                    display.value = formatValue(type, input.value, format);
-                    input.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            } else if (type === 'datetime-local') {
-                var match5 = val.match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})\s+(\d{1,2}):(\d{1,2})$/);
-                if (match5) {
-                    input.value = match5[1] + '-' + padZero(parseInt(match5[2], 10)) + '-' + padZero(parseInt(match5[3], 10)) +
-                                 'T' + padZero(parseInt(match5[4], 10)) + ':' + padZero(parseInt(match5[5], 10));
-                    display.value = formatValue(type, input.value, format);
-                    input.dispatchEvent(new Event('change', { bubbles: true }));
+            /* 不可选的值（min / max / step / 禁用日期）不写入，显示框恢复为当前值 */
+            var rules = readRules(wrapper, input);
+
+            if (type === 'range') {
+                /* 两个日期（写法同 date），中间用"至"、"到"、~ 或语言包的连接文字分隔 */
+                var texts = splitRangeText(val, locale);
+                var rangeStart = texts ? parseDisplayText('date', texts[0], format, locale) : '';
+                var rangeEnd = texts ? parseDisplayText('date', texts[1], format, locale) : '';
+                if (rangeStart && rangeEnd) {
+                    if (rangeEnd < rangeStart) {
+                        var tmp = rangeStart;
+                        rangeStart = rangeEnd;
+                        rangeEnd = tmp;
+                    }
+                    var changed = [];
+                    if (isValueAllowed(type, rangeStart, rules) && isValueAllowed(type, rangeEnd, rules)) {
+                        changed = setRangeValue(range, rangeStart, rangeEnd);
+                    }
+                    display.value = formatRange(range, format, locale);
+                    emitChange(wrapper, changed);
                 }
+                return;
+            }
+
+            var value = parseDisplayText(type, val, format, locale);
+            if (!value) {
+                return;
             }
+            if (!isValueAllowed(type, value, rules)) {
+                display.value = formatValue(type, input.value, format, locale);
+                return;
+            }
+            pickValue(wrapper, value);
         }
 
         /* blur 时也解析输入 */
@@ -1416,6 +2927,213 @@
         wrapper.appendChild(display);
         wrapper.appendChild(iconBtn);
         wrapper.appendChild(panel);
+
+        /* 面板打开时重新渲染（值或 min / max 被脚本修改后） */
+        function refreshPanel() {
+            if (wrapper.classList.contains('open')) {
+                wrapper.classList.remove('open');
+                openPanel();
+            }
+        }
+
+        /* 将 Date 或字符串转为原生值，无效时返回空字符串 */
+        function normalizeValue(value, valueType) {
+            if (value instanceof Date) {
+                return isNaN(value.getTime()) ? '' : dateToInputValue(valueType, value);
+            }
+            value = value == null ? '' : String(value);
+            return VALUE_PATTERNS[valueType].test(value) ? value : '';
+        }
+
+        /* 公开实例（BoblogUI.datePicker.getInstance 返回） */
+        var api = {
+            el: wrapper,
+            input: input,
+            type: type,
+
+            open: function() {
+                if (!wrapper.classList.contains('open')) openPanel();
+            },
+
+            close: function() {
+                wrapper.classList.remove('open');
+            },
+
+            getValue: function() {
+                return range ? getRangeValue(range) : input.value;
+            },
+
+            getDate: function() {
+                if (range) {
+                    var value = getRangeValue(range);
+                    return [valueToDate('date', value[0]), valueToDate('date', value[1])];
+                }
+                return valueToDate(type, input.value);
+            },
+
+            setValue: function(value) {
+                if (range) {
+                    value = value || [];
+                    var start = normalizeValue(value[0], 'date');
+                    var end = normalizeValue(value[1], 'date');
+                    if (end && start > end) {
+                        var tmp = start;
+                        start = end;
+                        end = tmp;
+                    }
+                    setRangeValue(range, start && end ? start : '', start && end ? end : '');
+                    display.value = formatRange(range, format, locale);
+                } else {
+                    input.value = normalizeValue(value, type);
+                    display.value = formatValue(type, input.value, format, locale);
+                }
+                refreshPanel();
+            },
+
+            setMin: function(value) {
+                setLimit('min', value);
+            },
+
+            setMax: function(value) {
+                setLimit('max', value);
+            },
+
+            destroy: function() {
+                destroy(wrapper);
+            }
+        };
+
+        /* 设置 min / max 属性（日期范围同时设置两个 input），null 表示取消限制 */
+        function setLimit(name, value) {
+            var limit = normalizeValue(value, range ? 'date' : type);
+            var targets = endInput ? [input, endInput] : [input];
+            for (var i = 0; i < targets.length; i++) {
+                if (limit) {
+                    targets[i].setAttribute(name, limit);
+                } else {
+                    targets[i].removeAttribute(name);
+                }
+            }
+            refreshPanel();
+        }
+
+        instances.set(wrapper, {
+            input: input,
+            type: type,
+            format: format,
+            locale: locale,
+            weekStart: weekStart,
+            range: range,
+            display: display,
+            iconBtn: iconBtn,
+            panel: panel,
+            origDisplay: origDisplay,
+            endInput: endInput,
+            origEndDisplay: origEndDisplay,
+            api: api
+        });
+
+        /* data-holidays 为 JSON 地址时加载节假日数据，加载完成后刷新已打开的面板 */
+        var holidaySource = wrapper.getAttribute('data-holidays');
+        if (holidaySource && holidaySource !== 'true' && holidaySource !== 'false') {
+            setHolidays(holidaySource).then(refreshPanel, function() {});
+        }
+    }
+
+    /**
+     * 销毁单个日期选择器
+     * 移除显示框、图标按钮和面板（事件随节点一起释放），
+     * 恢复原生 input 的显示，清除转换标记。
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器元素
+     */
+    function destroy(wrapper) {
+        var inst = instances.get(wrapper);
+        if (!inst) return;
+
+        wrapper.removeChild(inst.display);
+        wrapper.removeChild(inst.iconBtn);
+        wrapper.removeChild(inst.panel);
+        inst.input.style.display = inst.origDisplay;
+        if (inst.endInput) inst.endInput.style.display = inst.origEndDisplay;
+
+        wrapper.classList.remove('boblog-date-picker-custom', 'boblog-date-picker--' + inst.type, 'open');
+        wrapper.removeAttribute('data-bb-datepicker-init');
+        instances.delete(wrapper);
+    }
+
+    /**
+     * 获取日期选择器实例
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器元素
+     * @returns {object|null} 实例（open / close / getValue / getDate / setValue / setMin / setMax / destroy），未初始化返回 null
+     */
+    function getInstance(wrapper) {
+        var state = instances.get(wrapper);
+        return state ? state.api : null;
+    }
+
+    /**
+     * 设置禁用日期回调 isDateDisabled(date, unit)，返回 true 表示不可选
+     *   - unit 为 'day'：date 是某天 0 点，用于日历格子（month / week 整月 / 整周都不可选时置灰）
+     *   - unit 为 'time'：date 是精确时刻，time / datetime-local 点击"确定"和手动输入时校验
+     * 初始化前后都可调用，下次打开面板时生效；传 null 取消
+     * @param {HTMLElement} wrapper — .boblog-date-picker 容器元素
+     * @param {Function|null} isDateDisabled — 回调
+     */
+    function disableDates(wrapper, isDateDisabled) {
+        if (isDateDisabled) {
+            dateFilters.set(wrapper, isDateDisabled);
+        } else {
+            dateFilters.delete(wrapper);
+        }
+    }
+
+    /**
+     * 设置节假日数据（所有选择器共用，与已有数据合并，下次打开面板时生效）
+     *   - 对象：{ holidays: { "2026-10-01~2026-10-08": "国庆节" }, workdays: { "2026-09-27": "国庆节调休" } }，
+     *     holidays 为法定节假日、workdays 为调休上班日，也可以是日期数组（不带名称）
+     *   - 字符串：JSON 地址，返回内容格式同上，同一地址只请求一次
+     *   - null：清空
+     * @param {object|string|null} data — 节假日数据
+     * @returns {Promise} 数据就绪后 resolve，地址加载失败时 reject
+     */
+    function setHolidays(data) {
+        if (!data) {
+            holidayData = {};
+            holidaySources = {};
+            return Promise.resolve();
+        }
+        if (typeof data === 'string') {
+            if (!holidaySources[data]) {
+                holidaySources[data] = requestJSON(data).then(function(json) {
+                    if (json && typeof json === 'object') {
+                        addHolidayDates(json.holidays, 'holiday');
+                        addHolidayDates(json.workdays, 'workday');
+                    }
+                }, function(err) {
+                    /* 失败后允许重新请求 */
+                    delete holidaySources[data];
+                    console.error('[BoblogUI.datePicker] 节假日数据加载失败:', err);
+                    throw err;
+                });
+            }
+            return holidaySources[data];
+        }
+        addHolidayDates(data.holidays, 'holiday');
+        addHolidayDates(data.workdays, 'workday');
+        return Promise.resolve();
+    }
+
+    /**
+     * 设置默认语言包（之后初始化、且未指定 data-locale 的选择器生效）
+     * @param {string} name — 语言名称：'zh_CN'、'zh_TW'、'en' 或自定义语言包名称
+     */
+    function setLocale(name) {
+        var key = String(name || '').replace('-', '_');
+        if (!LOCALES[key]) {
+            console.error('[BoblogUI.datePicker] 未知的语言包:', name);
+            return;
+        }
+        defaultLocale = key;
     }
 
     /* ============================================================ */
@@ -1435,6 +3153,314 @@
         }
     }
 
+    /* ============================================================ */
+    /* 内嵌日历（BoblogUI.calendar，侧边栏文章日历）                     */
+    /* ============================================================ */
+
+    /** 内嵌日历实例：容器 → 状态 */
+    var calendars = new WeakMap();
+
+    /** 通过 BoblogUI.calendar.setLoader 设置的加载函数：容器 → loader(year, month) */
+    var calendarLoaders = new WeakMap();
+
+    /**
+     * 按地址模板生成地址：{yyyy}、{MM}、{dd} 等占位符替换为日期（记号同 data-format）
+     * @param {string} template — 如 "/archive/{yyyy}/{MM}/{dd}"
+     * @param {Date} date — 日期
+     * @param {object} locale — 语言包
+     * @returns {string}
+     */
+    function formatUrl(template, date, locale) {
+        return template.replace(/\{(\w+)\}/g, function(all, token) {
+            return formatDate(date, token, locale);
+        });
+    }
+
+    /**
+     * 合并文章数据（日期 → 文章数），日期写法如 "2006-08-15"，文章数为 0 的日期移除
+     * @param {object} state — 内嵌日历状态
+     * @param {object} posts — { "yyyy-MM-dd": 文章数 }
+     */
+    function addCalendarPosts(state, posts) {
+        if (!posts || typeof posts !== 'object') return;
+        for (var key in posts) {
+            var n = valueNumbers(key);
+            if (n.length < 3) continue;
+            var value = toDateValue(n[0], n[1], n[2]);
+            var count = Number(posts[key]) || 0;
+            if (count > 0) {
+                state.posts[value] = count;
+            } else {
+                delete state.posts[value];
+            }
+        }
+    }
+
+    /**
+     * 渲染内嵌日历：头部（上月 / 标题 / 下月）→ 星期行 → 日期网格
+     * 只渲染包含当月日期的行，其他月份的格子留空；有文章的日期链接到 data-url
+     * @param {HTMLElement} wrapper — .boblog-calendar 容器
+     */
+    function renderCalendar(wrapper) {
+        var state = calendars.get(wrapper);
+        var locale = state.locale;
+        var now = new Date();
+        var todayValue = dateToValue(now);
+        var url = wrapper.getAttribute('data-url');
+        var monthUrl = wrapper.getAttribute('data-month-url');
+
+        wrapper.innerHTML = '';
+        wrapper.classList.toggle('loading', state.loaded[state.year + '-' + padZero(state.month)] === 'loading');
+
+        var header = document.createElement('div');
+        header.className = 'boblog-calendar-header';
+
+        var prev = document.createElement('button');
+        prev.type = 'button';
+        prev.className = 'boblog-calendar-nav';
+        prev.textContent = '◀';
+        prev.onclick = function() {
+            state.api.prev();
+        };
+
+        var title = document.createElement(monthUrl ? 'a' : 'span');
+        title.className = 'boblog-calendar-title';
+        title.textContent = formatTitle(locale, state.year, state.month);
+        if (monthUrl) {
+            title.href = formatUrl(monthUrl, new Date(state.year, state.month - 1, 1), locale);
+        }
+
+        var next = document.createElement('button');
+        next.type = 'button';
+        next.className = 'boblog-calendar-nav';
+        next.textContent = '▶';
+        next.onclick = function() {
+            state.api.next();
+        };
+
+        header.appendChild(prev);
+        header.appendChild(title);
+        header.appendChild(next);
+        wrapper.appendChild(header);
+
+        var weekdaysRow = document.createElement('div');
+        weekdaysRow.className = 'boblog-calendar-weekdays';
+        appendWeekdays(weekdaysRow, locale, state.weekStart);
+        wrapper.appendChild(weekdaysRow);
+
+        var grid = buildCalendarGrid(state.year, state.month, state.weekStart);
+        var daysContainer = document.createElement('div');
+        daysContainer.className = 'boblog-calendar-days';
+
+        for (var row = 0; row < grid.length; row += 7) {
+            /* 当月已结束（整行都是下月日期）时不再渲染，大多数月份只需 5 行 */
+            if (row > 0 && !grid[row].isCurrentMonth) break;
+
+            for (var j = row; j < row + 7; j++) {
+                var cell = grid[j];
+                var value = toDateValue(cell.year, cell.month, cell.day);
+                var count = cell.isCurrentMonth ? state.posts[value] : 0;
+                var dayCell = document.createElement(count && url ? 'a' : 'span');
+                dayCell.className = 'boblog-calendar-day';
+
+                if (!cell.isCurrentMonth) {
+                    dayCell.classList.add('other-month');
+                    daysContainer.appendChild(dayCell);
+                    continue;
+                }
+
+                dayCell.textContent = cell.day;
+                if (value === todayValue) {
+                    dayCell.classList.add('today');
+                }
+                if (count) {
+                    dayCell.classList.add('has-posts');
+                    dayCell.title = locale.calendarPosts.replace('{count}', count);
+                    if (url) {
+                        dayCell.href = formatUrl(url, new Date(cell.year, cell.month - 1, cell.day), locale);
+                    }
+                }
+                daysContainer.appendChild(dayCell);
+            }
+        }
+
+        wrapper.appendChild(daysContainer);
+    }
+
+    /**
+     * 加载当前月份的文章数据（setLoader 设置的函数，或 data-source 地址）
+     * 每个月只加载一次；加载失败时下次切换到该月重试
+     * @param {HTMLElement} wrapper — .boblog-calendar 容器
+     */
+    function loadCalendarMonth(wrapper) {
+        var state = calendars.get(wrapper);
+        var loader = calendarLoaders.get(wrapper);
+        var source = wrapper.getAttribute('data-source');
+        if (!loader && source) {
+            loader = function(year, month) {
+                return requestJSON(formatUrl(source, new Date(year, month - 1, 1), state.locale));
+            };
+        }
+        if (!loader) return;
+
+        var year = state.year;
+        var month = state.month;
+        var key = year + '-' + padZero(month);
+        if (state.loaded[key]) return;
+
+        state.loaded[key] = 'loading';
+        wrapper.classList.add('loading');
+
+        /* 加载完成后，仍在显示这个月份才重新渲染 */
+        function done() {
+            if (calendars.get(wrapper) !== state) return;
+            if (state.year === year && state.month === month) {
+                renderCalendar(wrapper);
+            }
+        }
+
+        new Promise(function(resolve) {
+            resolve(loader(year, month));
+        }).then(function(posts) {
+            state.loaded[key] = true;
+            addCalendarPosts(state, posts);
+            done();
+        }, function(err) {
+            delete state.loaded[key];
+            console.error('[BoblogUI.calendar] 文章数据加载失败:', err);
+            done();
+        });
+    }
+
+    /**
+     * 初始化单个内嵌日历
+     * @param {HTMLElement} wrapper — .boblog-calendar 容器
+     */
+    function initCalendar(wrapper) {
+        if (calendars.has(wrapper)) return;
+
+        var locale = getLocale(wrapper.getAttribute('data-locale'));
+        var weekStart = parseInt(wrapper.getAttribute('data-week-start'), 10);
+        if (!(weekStart >= 0 && weekStart <= 6)) {
+            weekStart = locale.weekStart;
+        }
+
+        /* 初始月份：data-month（yyyy-MM），缺省为当月 */
+        var now = new Date();
+        var initial = valueNumbers(wrapper.getAttribute('data-month') || '');
+        var state = {
+            locale: locale,
+            weekStart: weekStart,
+            year: initial.length >= 2 ? initial[0] : now.getFullYear(),
+            month: initial.length >= 2 && initial[1] >= 1 && initial[1] <= 12 ? initial[1] : now.getMonth() + 1,
+            posts: {},
+            /* 已加载（true）或加载中（'loading'）的月份，key 为 "yyyy-MM" */
+            loaded: {},
+            origHTML: wrapper.innerHTML,
+            api: null
+        };
+
+        /* data-posts 由页面直接输出，初始月份视为已加载 */
+        var postsAttr = wrapper.getAttribute('data-posts');
+        if (postsAttr) {
+            try {
+                addCalendarPosts(state, JSON.parse(postsAttr));
+                state.loaded[state.year + '-' + padZero(state.month)] = true;
+            } catch (err) {
+                console.error('[BoblogUI.calendar] data-posts 不是有效的 JSON:', err);
+            }
+        }
+
+        /* 切换到指定月份：重新渲染、派发事件、加载该月文章数据 */
+        function setMonth(year, month) {
+            var date = new Date(year, month - 1, 1);
+            if (isNaN(date.getTime())) return;
+            state.year = date.getFullYear();
+            state.month = date.getMonth() + 1;
+            renderCalendar(wrapper);
+            wrapper.dispatchEvent(new CustomEvent('boblog:calendar:month-change', {
+                bubbles: true,
+                detail: { year: state.year, month: state.month }
+            }));
+            loadCalendarMonth(wrapper);
+        }
+
+        state.api = {
+            getMonth: function() {
+                return { year: state.year, month: state.month };
+            },
+            setMonth: setMonth,
+            prev: function() {
+                setMonth(state.year, state.month - 1);
+            },
+            next: function() {
+                setMonth(state.year, state.month + 1);
+            },
+            setPosts: function(posts) {
+                addCalendarPosts(state, posts);
+                renderCalendar(wrapper);
+            },
+            destroy: function() {
+                destroyCalendar(wrapper);
+            }
+        };
+
+        calendars.set(wrapper, state);
+        renderCalendar(wrapper);
+        loadCalendarMonth(wrapper);
+    }
+
+    /**
+     * 销毁单个内嵌日历，恢复容器原有内容
+     * @param {HTMLElement} wrapper — .boblog-calendar 容器
+     */
+    function destroyCalendar(wrapper) {
+        var state = calendars.get(wrapper);
+        if (!state) return;
+        wrapper.innerHTML = state.origHTML;
+        wrapper.classList.remove('loading');
+        calendars.delete(wrapper);
+    }
+
+    /**
+     * 初始化指定容器内所有内嵌日历
+     * @param {HTMLElement} [container=document] — 搜索范围
+     */
+    function initCalendars(container) {
+        var root = container || document;
+        var list = root.querySelectorAll('.boblog-calendar');
+        for (var i = 0; i < list.length; i++) {
+            initCalendar(list[i]);
+        }
+    }
+
+    /**
+     * 获取内嵌日历实例
+     * @param {HTMLElement} wrapper — .boblog-calendar 容器
+     * @returns {object|null} 实例（getMonth / setMonth / prev / next / setPosts / destroy），未初始化返回 null
+     */
+    function getCalendar(wrapper) {
+        var state = calendars.get(wrapper);
+        return state ? state.api : null;
+    }
+
+    /**
+     * 设置文章数据加载函数 loader(year, month)，返回（或 resolve）{ "yyyy-MM-dd": 文章数 }
+     * 切换到未加载过的月份时调用，优先于 data-source；初始化前后都可调用，传 null 取消
+     * @param {HTMLElement} wrapper — .boblog-calendar 容器
+     * @param {Function|null} loader — 加载函数
+     */
+    function setCalendarLoader(wrapper, loader) {
+        if (loader) {
+            calendarLoaders.set(wrapper, loader);
+        } else {
+            calendarLoaders.delete(wrapper);
+        }
+        if (loader && calendars.has(wrapper)) {
+            loadCalendarMonth(wrapper);
+        }
+    }
+
     /* ============================================================ */
     /* 全局事件：点击外部关闭所有面板                                     */
     /* ============================================================ */
@@ -1446,12 +3472,32 @@
     /* 挂载到全局命名空间                                               */
     /* ============================================================ */
     BoblogUI.datePicker = {
-        init: init
+        init: init,
+        destroy: destroy,
+        getInstance: getInstance,
+        disableDates: disableDates,
+        setHolidays: setHolidays,
+        setLocale: setLocale,
+        locales: LOCALES
     };
 
+    BoblogUI.calendar = {
+        init: initCalendars,
+        destroy: destroyCalendar,
+        getInstance: getCalendar,
+        setLoader: setCalendarLoader
+    };
+
+    /* 同一文件登记两个组件：日期选择器和内嵌日历各自初始化 / 销毁 */
+    if (BoblogUI.register) {
+        BoblogUI.register('datePicker', '.boblog-date-picker', transformPicker, destroy);
+        BoblogUI.register('calendar', '.boblog-calendar', initCalendar, destroyCalendar);
+    }
+
     /* DOMContentLoaded 时自动初始化 */
     document.addEventListener('DOMContentLoaded', function() {
         init();
+        initCalendars();
     });
 
 })();
@@ -12,6 +12,7 @@
  *   BoblogUI.Dialog.confirm(message, options)
  *   BoblogUI.Dialog.prompt(message, options)
  *   BoblogUI.Dialog.init([container])
+ *   BoblogUI.Dialog.destroy(el)
  *
  * 依赖：
  *   - BoblogUI.Modal
@@ -401,81 +402,138 @@
         });
     }
 
+    /** 已绑定确认行为的表单 / 触发元素 → AbortController（destroy 时解绑） */
+    var controllers = new WeakMap();
+
+    /** 声明式确认的触发元素选择器 */
+    var TRIGGER_SELECTOR = 'a[data-boblog-confirm], button[data-boblog-confirm], input[type="submit"][data-boblog-confirm]';
+
     /**
-     * 声明式绑定 form / a / button 的确认行为
-     *
-     * 约定：
-     *   - form[data-boblog-confirm]
-     *   - a[data-boblog-confirm]
-     *   - button[data-boblog-confirm]
-     *   - input[type=submit][data-boblog-confirm]
+     * 为 form[data-boblog-confirm] 绑定提交前确认
      *
-     * @param {HTMLElement} [container] - 绑定范围
+     * @param {HTMLFormElement} form - 表单元素
      */
-    function init(container) {
-        var root = container || document;
+    function bindForm(form) {
+        if (form.dataset.boblogDialogBound === 'true') {
+            return;
+        }
+
+        form.dataset.boblogDialogBound = 'true';
 
-        root.querySelectorAll('form[data-boblog-confirm]').forEach(function (form) {
-            if (form.dataset.boblogDialogBound === 'true') {
+        var controller = new AbortController();
+        controllers.set(form, controller);
+
+        form.addEventListener('submit', async function (event) {
+            if (form.dataset.boblogDialogSubmitting === 'true') {
                 return;
             }
 
-            form.dataset.boblogDialogBound = 'true';
-            form.addEventListener('submit', async function (event) {
-                if (form.dataset.boblogDialogSubmitting === 'true') {
-                    return;
-                }
+            event.preventDefault();
+            var ok = await open('confirm', form.getAttribute('data-boblog-confirm') || '确认继续吗？', getConfirmOptionsFromElement(form));
+            if (!ok) {
+                return;
+            }
 
-                event.preventDefault();
-                var ok = await open('confirm', form.getAttribute('data-boblog-confirm') || '确认继续吗？', getConfirmOptionsFromElement(form));
-                if (!ok) {
-                    return;
-                }
+            form.dataset.boblogDialogSubmitting = 'true';
+            form.submit();
+        }, { signal: controller.signal });
+    }
 
-                form.dataset.boblogDialogSubmitting = 'true';
-                form.submit();
-            });
-        });
+    /**
+     * 为 a / button / input[type=submit] 绑定点击前确认
+     *
+     * @param {HTMLElement} element - 触发元素
+     */
+    function bindTrigger(element) {
+        if (element.dataset.boblogDialogBound === 'true') {
+            return;
+        }
+
+        element.dataset.boblogDialogBound = 'true';
+
+        var controller = new AbortController();
+        controllers.set(element, controller);
 
-        root.querySelectorAll('a[data-boblog-confirm], button[data-boblog-confirm], input[type="submit"][data-boblog-confirm]').forEach(function (element) {
-            if (element.dataset.boblogDialogBound === 'true') {
+        element.addEventListener('click', async function (event) {
+            if (element.dataset.boblogDialogConfirmed === 'true') {
+                element.dataset.boblogDialogConfirmed = 'false';
                 return;
             }
 
-            element.dataset.boblogDialogBound = 'true';
-            element.addEventListener('click', async function (event) {
-                if (element.dataset.boblogDialogConfirmed === 'true') {
-                    element.dataset.boblogDialogConfirmed = 'false';
-                    return;
-                }
+            event.preventDefault();
 
-                event.preventDefault();
+            var ok = await open('confirm', element.getAttribute('data-boblog-confirm') || '确认继续吗？', getConfirmOptionsFromElement(element));
+            if (!ok) {
+                return;
+            }
 
-                var ok = await open('confirm', element.getAttribute('data-boblog-confirm') || '确认继续吗？', getConfirmOptionsFromElement(element));
-                if (!ok) {
-                    return;
-                }
+            if (element.tagName === 'A' && element.href) {
+                window.location.href = element.href;
+                return;
+            }
 
-                if (element.tagName === 'A' && element.href) {
-                    window.location.href = element.href;
-                    return;
+            var form = element.form || element.closest('form');
+            if (form) {
+                element.dataset.boblogDialogConfirmed = 'true';
+                if (typeof form.requestSubmit === 'function' && element.tagName !== 'A') {
+                    form.requestSubmit(element);
+                } else {
+                    form.submit();
                 }
+                return;
+            }
 
-                var form = element.form || element.closest('form');
-                if (form) {
-                    element.dataset.boblogDialogConfirmed = 'true';
-                    if (typeof form.requestSubmit === 'function' && element.tagName !== 'A') {
-                        form.requestSubmit(element);
-                    } else {
-                        form.submit();
-                    }
-                    return;
-                }
+            element.dataset.boblogDialogConfirmed = 'true';
+            element.click();
+        }, { signal: controller.signal });
+    }
 
-                element.dataset.boblogDialogConfirmed = 'true';
-                element.click();
-            });
-        });
+    /**
+     * 绑定单个声明式确认元素（表单或触发元素）
+     *
+     * @param {HTMLElement} element - 带 data-boblog-confirm 的元素
+     */
+    function initOne(element) {
+        if (element.tagName === 'FORM') {
+            bindForm(element);
+        } else {
+            bindTrigger(element);
+        }
+    }
+
+    /**
+     * 解除单个声明式确认元素的绑定
+     *
+     * @param {HTMLElement} element - 带 data-boblog-confirm 的元素
+     */
+    function destroy(element) {
+        var controller = controllers.get(element);
+        if (controller) {
+            controller.abort();
+            controllers.delete(element);
+        }
+
+        delete element.dataset.boblogDialogBound;
+        delete element.dataset.boblogDialogSubmitting;
+        delete element.dataset.boblogDialogConfirmed;
+    }
+
+    /**
+     * 声明式绑定 form / a / button 的确认行为
+     *
+     * 约定：
+     *   - form[data-boblog-confirm]
+     *   - a[data-boblog-confirm]
+     *   - button[data-boblog-confirm]
+     *   - input[type=submit][data-boblog-confirm]
+     *
+     * @param {HTMLElement} [container] - 绑定范围
+     */
+    function init(container) {
+        var root = container || document;
+
+        root.querySelectorAll('form[data-boblog-confirm]').forEach(bindForm);
+        root.querySelectorAll(TRIGGER_SELECTOR).forEach(bindTrigger);
     }
 
     if (document.readyState === 'loading') {
@@ -498,6 +556,12 @@
         prompt: function (message, options) {
             return open('prompt', message, options);
         },
-        init: init
+        init: init,
+        destroy: destroy
     };
+
+    /* 确认元素不生成 UI，init / destroy 只绑定、解绑确认拦截 */
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('Dialog', 'form[data-boblog-confirm], ' + TRIGGER_SELECTOR, initOne, destroy);
+    }
 })();
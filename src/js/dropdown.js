@@ -15,6 +15,7 @@
  *
  * 公开 API：
  *   BoblogUI.dropdown.init([container])  — 初始化指定容器（默认 document）内所有 Dropdown
+ *   BoblogUI.dropdown.destroy(el)         — 撤销单个 Dropdown 的宽度锁定
  *
  * 依赖：
  *   - src/components/dropdown.css（样式）
@@ -26,6 +27,9 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已初始化容器 → 锁定前的内联 min-width，destroy 时还原 */
+    var origMinWidths = new WeakMap();
+
     /**
      * 初始化等宽下拉菜单
      * 遍历容器内所有 .boblog-dropdown（排除 .boblog-dropdown-auto），
@@ -79,6 +83,7 @@
 
         /* 将面板宽度设为容器 min-width，按钮 width:100% 会撑满容器 */
         if (menuWidth > 0) {
+            origMinWidths.set(dropdown, dropdown.style.minWidth);
             dropdown.style.minWidth = menuWidth + 'px';
         }
 
@@ -86,11 +91,29 @@
         dropdown.setAttribute('data-boblog-dropdown-init', '1');
     }
 
+    /**
+     * 撤销单个下拉菜单的等宽锁定，恢复原始 min-width 并清除初始化标记
+     *
+     * @param {HTMLElement} dropdown .boblog-dropdown 容器元素
+     */
+    function destroy(dropdown) {
+        if (origMinWidths.has(dropdown)) {
+            dropdown.style.minWidth = origMinWidths.get(dropdown);
+            origMinWidths.delete(dropdown);
+        }
+        dropdown.removeAttribute('data-boblog-dropdown-init');
+    }
+
     /* 注册到全局命名空间 */
     BoblogUI.dropdown = {
-        init: init
+        init: init,
+        destroy: destroy
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('dropdown', '.boblog-dropdown:not(.boblog-dropdown-auto)', initOne, destroy);
+    }
+
     /* DOM 就绪后自动初始化 */
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function () {
@@ -491,6 +491,10 @@
         setContent: setContent
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('editor', '.boblog-editor', initOne, destroy);
+    }
+
     /* ============ 自动初始化 ============ */
     document.addEventListener('DOMContentLoaded', function () {
         init();
@@ -13,6 +13,7 @@
  *
  * 公开 API：
  *   BoblogUI.FormValidation.init([container])  — 初始化指定容器内的表单验证
+ *   BoblogUI.FormValidation.destroy(form)       — 解绑单个表单的验证事件并清除验证样式
  *
  * 依赖：
  *   - src/controls/input.css（.boblog-input-error / .boblog-input-success 样式）
@@ -25,6 +26,75 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已绑定验证的表单 → AbortController（destroy 时解绑表单及字段上的事件） */
+    var controllers = new WeakMap();
+
+    /**
+     * 初始化单个表单的验证
+     * 仅对包含验证规则的表单绑定提交和输入事件
+     *
+     * @param {HTMLFormElement} form — 表单元素
+     */
+    function initOne(form) {
+        /* 检查表单是否包含需要验证的字段 */
+        var hasValidation = form.querySelector('[required], [data-val="true"]');
+        if (!hasValidation) return;
+
+        /* 跳过已绑定的表单 */
+        if (form.dataset.boblogValidationBound) return;
+        form.dataset.boblogValidationBound = 'true';
+
+        var controller = new AbortController();
+        var signal = controller.signal;
+        controllers.set(form, controller);
+
+        /* 提交时验证：如果表单无效则阻止提交并添加验证样式 */
+        form.addEventListener('submit', function (event) {
+            if (!form.checkValidity()) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+            form.classList.add('boblog-form-validated');
+        }, { signal: signal });
+
+        /* 输入时实时验证：根据字段有效性动态更新样式类 */
+        var inputs = form.querySelectorAll('input, select, textarea');
+        inputs.forEach(function (input) {
+            input.addEventListener('input', function () {
+                if (input.checkValidity()) {
+                    input.classList.remove('boblog-input-error');
+                    input.classList.add('boblog-input-success');
+                } else {
+                    input.classList.remove('boblog-input-success');
+                    input.classList.add('boblog-input-error');
+                }
+            }, { signal: signal });
+        });
+    }
+
+    /**
+     * 销毁单个表单的验证
+     * 解绑提交和输入事件，移除验证状态样式类，清除绑定标记
+     *
+     * @param {HTMLFormElement} form — 表单元素
+     */
+    function destroy(form) {
+        /* 未绑定验证的表单不做处理 */
+        if (!form.dataset.boblogValidationBound) return;
+
+        var controller = controllers.get(form);
+        if (controller) {
+            controller.abort();
+            controllers.delete(form);
+        }
+
+        form.classList.remove('boblog-form-validated');
+        form.querySelectorAll('.boblog-input-error, .boblog-input-success').forEach(function (input) {
+            input.classList.remove('boblog-input-error', 'boblog-input-success');
+        });
+        delete form.dataset.boblogValidationBound;
+    }
+
     /**
      * 初始化表单验证
      * 扫描 container 内所有表单，为包含验证规则的表单绑定提交和输入事件
@@ -35,38 +105,7 @@
         var root = container || document;
         var forms = root.querySelectorAll('form');
 
-        Array.from(forms).forEach(function (form) {
-            /* 检查表单是否包含需要验证的字段 */
-            var hasValidation = form.querySelector('[required], [data-val="true"]');
-            if (!hasValidation) return;
-
-            /* 跳过已绑定的表单 */
-            if (form.dataset.boblogValidationBound) return;
-            form.dataset.boblogValidationBound = 'true';
-
-            /* 提交时验证：如果表单无效则阻止提交并添加验证样式 */
-            form.addEventListener('submit', function (event) {
-                if (!form.checkValidity()) {
-                    event.preventDefault();
-                    event.stopPropagation();
-                }
-                form.classList.add('boblog-form-validated');
-            }, false);
-
-            /* 输入时实时验证：根据字段有效性动态更新样式类 */
-            var inputs = form.querySelectorAll('input, select, textarea');
-            inputs.forEach(function (input) {
-                input.addEventListener('input', function () {
-                    if (input.checkValidity()) {
-                        input.classList.remove('boblog-input-error');
-                        input.classList.add('boblog-input-success');
-                    } else {
-                        input.classList.remove('boblog-input-success');
-                        input.classList.add('boblog-input-error');
-                    }
-                });
-            });
-        });
+        Array.from(forms).forEach(initOne);
     }
 
     /* DOMContentLoaded 时自动初始化 */
@@ -78,6 +117,11 @@
 
     /* 挂载到全局命名空间 */
     window.BoblogUI.FormValidation = {
-        init: init
+        init: init,
+        destroy: destroy
     };
+
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('FormValidation', 'form', initOne, destroy);
+    }
 })();
@@ -33,6 +33,7 @@
  *
  * 公开 API：
  *   BoblogUI.input.init([container])  — 初始化指定容器（默认 document）内所有密码输入框
+ *   BoblogUI.input.destroy(el)         — 销毁单个密码输入框：移除切换按钮，恢复原始 type
  *
  * 依赖：
  *   - src/controls/input.css（密码输入框样式）
@@ -70,6 +71,12 @@
     /** 显示密码时的按钮提示文字 */
     var TITLE_HIDE = '隐藏密码';
 
+    /**
+     * 已初始化容器 → 实例状态
+     * 每项：{ input, btn, origType }（btn 在 data-toggle-password="false" 时为 null）
+     */
+    var instances = new WeakMap();
+
     /* ============ 核心逻辑 ============ */
 
     /**
@@ -84,6 +91,9 @@
         var input = container.querySelector('.boblog-input');
         if (!input) return;
 
+        var inst = { input: input, btn: null, origType: input.getAttribute('type') };
+        instances.set(container, inst);
+
         /* 读取 data-visible 属性，决定默认是否明文显示 */
         var defaultVisible = container.getAttribute('data-visible') === 'true';
 
@@ -128,6 +138,28 @@
 
         /* 将切换按钮插入容器 */
         container.appendChild(btn);
+        inst.btn = btn;
+    }
+
+    /**
+     * 销毁单个密码输入框容器
+     * 移除切换按钮（事件随节点一起释放），恢复 input 的原始 type，清除初始化标记
+     * @param {HTMLElement} container — .boblog-input-password 容器元素
+     */
+    function destroy(container) {
+        var inst = instances.get(container);
+        if (inst) {
+            if (inst.btn && inst.btn.parentNode) {
+                inst.btn.parentNode.removeChild(inst.btn);
+            }
+            if (inst.origType) {
+                inst.input.setAttribute('type', inst.origType);
+            } else {
+                inst.input.removeAttribute('type');
+            }
+            instances.delete(container);
+        }
+        delete container.dataset.pwInit;
     }
 
     /**
@@ -144,9 +176,14 @@
 
     /* ============ 公开 API ============ */
     BoblogUI.input = {
-        init: init
+        init: init,
+        destroy: destroy
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('input', '.boblog-input-password', initOne, destroy);
+    }
+
     /* ============ 自动初始化 ============ */
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function () { init(); });
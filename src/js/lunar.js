@@ -2,15 +2,27 @@
  * BoblogUI 农历和节气计算模块
  *
  * 功能：
- * 1. 公历转农历（支持 1900-2100 年）
+ * 1. 公历转农历、农历转公历（支持农历 1900-2100 年）
  * 2. 计算二十四节气日期
+ * 3. 传统节日（春节、端午、中秋、除夕等，闰月不过节）
+ * 4. 年、月、日干支及生肖
  *
  * 算法：
  * - 农历：经典查表法，基于农历数据编码表
  * - 节气：寿星万年历公式，使用 [Y*D+C]-L 算法
+ * - 干支：年柱、月柱以节气为界（立春换年，每月的"节"换月），日柱按天数六十循环
+ *
+ * 公开 API：
+ *   BoblogUI.lunar.getLunar(y, m, d)        — 公历转农历，返回农历年月日、干支、生肖
+ *   BoblogUI.lunar.getSolar(y, m, d, leap)  — 农历转公历，返回 { year, month, day }，日期不存在返回 null
+ *   BoblogUI.lunar.getJieqi(y, m, d)        — 公历日期的节气名，不是节气返回 null
+ *   BoblogUI.lunar.getFestival(y, m, d)     — 公历日期的传统节日名，不是节日返回 null
+ *   BoblogUI.lunar.getGanZhi(y, m, d)       — 以节气为界的年、月、日干支和生肖
+ *   BoblogUI.lunar.getLeapMonth(y)          — 农历年的闰月（0 表示无闰月）
+ *   BoblogUI.lunar.getMonthDays(y, m, leap) — 农历月的天数（29 或 30）
  *
  * @module BoblogUI.lunar
- * @version 1.0.0
+ * @version 1.1.0
  */
 (function() {
     'use strict';
@@ -19,8 +31,8 @@
     /**
      * 农历信息编码表
      * 每个十六进制数编码一年的农历信息：
-     * - 低 12 位：第 1-12 个月的大小（1=30天，0=29天）
-     * - 第 13-16 位：闰月月份（0=无闰月，1-12=对应月份）
+     * - 第 1-4 位（最低位）：闰月月份（0=无闰月，1-12=对应月份）
+     * - 第 5-16 位：12 个月的大小，第 16 位为正月、第 5 位为腊月（1=30天，0=29天）
      * - 第 17 位：闰月大小（1=30天，0=29天）
      */
     var LUNAR_INFO = [
@@ -49,7 +61,8 @@
 
     /* === 农历常量定义 === */
     var LUNAR_BASE_YEAR = 1900;  // 农历数据表起始年份
-    var LUNAR_BASE_DATE = new Date(1900, 0, 31);  // 基准日期：1900年1月31日 = 农历正月初一
+    var LUNAR_BASE_DATE = Date.UTC(1900, 0, 31);  // 基准日期：1900年1月31日 = 农历正月初一
+    var DAY_MS = 24 * 60 * 60 * 1000;
 
     // 农历月份名称
     var LUNAR_MONTH_NAMES = ['正月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '冬月', '腊月'];
@@ -67,6 +80,26 @@
     // 地支
     var ZHI = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
 
+    // 生肖（与地支一一对应）
+    var ZODIAC = ['鼠', '牛', '虎', '兔', '龙', '蛇', '马', '羊', '猴', '鸡', '狗', '猪'];
+
+    /**
+     * 农历传统节日表，key 为 "月-日"（闰月不过节）
+     * 除夕是腊月的最后一天（腊月小时为廿九），单独计算
+     */
+    var LUNAR_FESTIVALS = {
+        '1-1':   '春节',
+        '1-15':  '元宵',
+        '2-2':   '龙抬头',
+        '5-5':   '端午',
+        '7-7':   '七夕',
+        '7-15':  '中元',
+        '8-15':  '中秋',
+        '9-9':   '重阳',
+        '12-8':  '腊八',
+        '12-23': '小年'
+    };
+
     /* === 二十四节气数据表 === */
     /**
      * 节气名称表（按月份排列，每月两个节气）
@@ -140,7 +173,7 @@
      */
     function getLeapMonth(year) {
         var info = getLunarYearInfo(year);
-        return (info >> 13) & 0x0F;  // 提取第13-16位
+        return info & 0x0F;  // 提取第1-4位
     }
 
     /**
@@ -164,7 +197,24 @@
      */
     function getMonthDays(year, month) {
         var info = getLunarYearInfo(year);
-        return (info & (1 << (month - 1))) ? 30 : 29;  // 检查对应位
+        return (info & (0x10000 >> month)) ? 30 : 29;  // 正月在第16位，依次往低位
+    }
+
+    /**
+     * 获取农历某月的天数（公开 API，闰月传 isLeapMonth=true）
+     * @param {number} year - 农历年份（1900-2100）
+     * @param {number} month - 农历月份（1-12）
+     * @param {boolean} [isLeapMonth] - 是否为闰月
+     * @returns {number} 天数（29或30），月份不存在（如该年没有这个闰月）返回 0
+     */
+    function getLunarMonthDays(year, month, isLeapMonth) {
+        if (!isLunarYear(year) || month < 1 || month > 12) {
+            return 0;
+        }
+        if (isLeapMonth) {
+            return getLeapMonth(year) === month ? getLeapMonthDays(year) : 0;
+        }
+        return getMonthDays(year, month);
     }
 
     /**
@@ -174,7 +224,6 @@
      */
     function getYearDays(year) {
         var days = 0;
-        var info = getLunarYearInfo(year);
 
         // 计算12个月的天数
         for (var i = 1; i <= 12; i++) {
@@ -188,24 +237,45 @@
     }
 
     /**
-     * 计算两个日期之间的天数差
-     * @param {Date} date1 - 日期1
-     * @param {Date} date2 - 日期2
+     * 判断是否为农历数据表覆盖的年份
+     * @param {number} year - 农历年份
+     * @returns {boolean}
+     */
+    function isLunarYear(year) {
+        return year >= LUNAR_BASE_YEAR && year < LUNAR_BASE_YEAR + LUNAR_INFO.length;
+    }
+
+    /**
+     * 计算公历日期距离基准日期（1900年1月31日）的天数
+     * 用 UTC 时间计算，不受夏令时影响
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份（1-12）
+     * @param {number} day - 公历日期（1-31）
      * @returns {number} 天数差
      */
-    function getDaysBetween(date1, date2) {
-        var diff = date1.getTime() - date2.getTime();
-        return Math.floor(diff / (24 * 60 * 60 * 1000));
+    function getDaysFromBase(year, month, day) {
+        return Math.round((Date.UTC(year, month - 1, day) - LUNAR_BASE_DATE) / DAY_MS);
+    }
+
+    /**
+     * 干支序号（0-59，0 为甲子）转干支文字
+     * @param {number} index - 干支序号，可为负数或超过 59
+     * @returns {string} 干支，如"甲子"
+     */
+    function toGanZhi(index) {
+        index = ((index % 60) + 60) % 60;
+        return GAN[index % 10] + ZHI[index % 12];
     }
 
     /* === 农历转换核心函数 === */
 
     /**
      * 公历转农历
+     * 干支年和生肖以春节为界（民俗习惯），干支月和干支日同 getGanZhi
      * @param {number} year - 公历年份
      * @param {number} month - 公历月份（1-12）
      * @param {number} day - 公历日期（1-31）
-     * @returns {Object} 农历信息对象
+     * @returns {Object|null} 农历信息对象；1900年1月31日之前（农历数据表以外）返回 null
      */
     function getLunar(year, month, day) {
         // 参数校验
@@ -213,61 +283,44 @@
             throw new Error('年份必须在 1900-2100 之间');
         }
 
-        // 计算距离基准日期的天数
-        var inputDate = new Date(year, month - 1, day);
-        var offset = getDaysBetween(inputDate, LUNAR_BASE_DATE);
-
-        // 初始化农历年份（从1900年正月初一开始）
-        var lunarYear = LUNAR_BASE_YEAR;
-        var lunarMonth = 1;
-        var lunarDay = 1;
-        var isLeapMonth = false;
+        // 计算距离基准日期（1900年正月初一）的天数
+        var offset = getDaysFromBase(year, month, day);
+        if (offset < 0) {
+            return null;
+        }
 
         // 逐年递减天数，确定农历年份
-        var yearDays;
-        while (lunarYear < 2101 && offset > 0) {
-            yearDays = getYearDays(lunarYear);
-            if (offset < yearDays) {
-                break;
-            }
+        var lunarYear = LUNAR_BASE_YEAR;
+        var yearDays = getYearDays(lunarYear);
+        while (offset >= yearDays) {
             offset -= yearDays;
             lunarYear++;
+            yearDays = getYearDays(lunarYear);
         }
 
-        // 逐月递减天数，确定农历月份
+        // 逐月递减天数，确定农历月份（闰月紧跟在同名月之后）
         var leapMonth = getLeapMonth(lunarYear);
-        var monthDays;
-
-        for (var i = 1; i <= 12; i++) {
-            // 处理闰月
-            if (leapMonth > 0 && i === leapMonth + 1 && !isLeapMonth) {
-                i--;
+        var lunarMonth = 1;
+        var isLeapMonth = false;
+        var monthDays = getMonthDays(lunarYear, 1);
+        while (offset >= monthDays) {
+            offset -= monthDays;
+            if (!isLeapMonth && lunarMonth === leapMonth) {
                 isLeapMonth = true;
                 monthDays = getLeapMonthDays(lunarYear);
             } else {
-                monthDays = getMonthDays(lunarYear, i);
-            }
-
-            if (offset < monthDays) {
-                lunarMonth = i;
-                break;
-            }
-
-            offset -= monthDays;
-
-            // 闰月处理完毕，重置标记
-            if (isLeapMonth && i === leapMonth + 1) {
                 isLeapMonth = false;
+                lunarMonth++;
+                monthDays = getMonthDays(lunarYear, lunarMonth);
             }
         }
 
         // 剩余天数即为农历日期
-        lunarDay = offset + 1;
+        var lunarDay = offset + 1;
 
-        // 计算天干地支年
-        var ganIndex = (lunarYear - 4) % 10;  // 甲子年为公元4年
-        var zhiIndex = (lunarYear - 4) % 12;
-        var ganZhiYear = GAN[ganIndex] + ZHI[zhiIndex];
+        // 天干地支年（甲子年为公元4年）
+        var yearIndex = lunarYear - 4;
+        var ganZhi = getGanZhi(year, month, day);
 
         return {
             lunarYear: lunarYear,
@@ -276,7 +329,51 @@
             isLeapMonth: isLeapMonth,
             lunarMonthText: (isLeapMonth ? '闰' : '') + LUNAR_MONTH_NAMES[lunarMonth - 1],
             lunarDayText: LUNAR_DAY_NAMES[lunarDay - 1],
-            ganZhiYear: ganZhiYear
+            ganZhiYear: toGanZhi(yearIndex),
+            ganZhiMonth: ganZhi.month,
+            ganZhiDay: ganZhi.day,
+            zodiac: ZODIAC[yearIndex % 12]
+        };
+    }
+
+    /**
+     * 农历转公历（如输入农历生日）
+     * @param {number} lunarYear - 农历年份（1900-2100）
+     * @param {number} lunarMonth - 农历月份（1-12）
+     * @param {number} lunarDay - 农历日期（1-30）
+     * @param {boolean} [isLeapMonth] - 是否为闰月
+     * @returns {{year:number, month:number, day:number}|null} 公历日期；
+     *          日期不存在（该年没有这个闰月、小月的三十等）返回 null
+     */
+    function getSolar(lunarYear, lunarMonth, lunarDay, isLeapMonth) {
+        var monthDays = getLunarMonthDays(lunarYear, lunarMonth, isLeapMonth);
+        if (!monthDays || lunarDay < 1 || lunarDay > monthDays) {
+            return null;
+        }
+
+        // 累加之前各年、各月（含闰月）的天数
+        var offset = 0;
+        for (var y = LUNAR_BASE_YEAR; y < lunarYear; y++) {
+            offset += getYearDays(y);
+        }
+        var leapMonth = getLeapMonth(lunarYear);
+        for (var m = 1; m < lunarMonth; m++) {
+            offset += getMonthDays(lunarYear, m);
+            if (m === leapMonth) {
+                offset += getLeapMonthDays(lunarYear);
+            }
+        }
+        // 闰月在同名月之后
+        if (isLeapMonth) {
+            offset += getMonthDays(lunarYear, lunarMonth);
+        }
+        offset += lunarDay - 1;
+
+        var date = new Date(LUNAR_BASE_DATE + offset * DAY_MS);
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate()
         };
     }
 
@@ -373,6 +470,75 @@
         return null;
     }
 
+    /* === 干支和节日 === */
+
+    /**
+     * 获取公历日期的干支（年柱、月柱以节气为界）
+     * - 年：立春换年（春节前、立春后已是新的干支年）
+     * - 月：每月的"节"（小寒、立春、惊蛰……）换月，立春起为寅月
+     * - 日：六十甲子循环，1900年1月1日为甲戌日
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份（1-12）
+     * @param {number} day - 公历日期（1-31）
+     * @returns {{year:string, month:string, day:string, zodiac:string}|null}
+     *          干支和生肖（生肖同样以立春为界），超出 1900-2100 年返回 null
+     */
+    function getGanZhi(year, month, day) {
+        if (year < 1900 || year > 2100) {
+            return null;
+        }
+
+        // 本月的"节"是否已过（每月第一个节气）
+        var afterJie = day >= getJieqiDate(year, (month - 1) * 2);
+
+        // 年柱：1、2 月立春前仍属上一干支年
+        var ganZhiYear = (month > 2 || (month === 2 && afterJie)) ? year : year - 1;
+
+        // 月柱：1900年1月小寒前为丙子月（序号 12），此后每过一个"节"加一
+        var monthIndex = (year - 1900) * 12 + (month - 1) + 12 + (afterJie ? 1 : 0);
+
+        // 日柱：1900年1月31日为甲辰日（序号 40）
+        var dayIndex = getDaysFromBase(year, month, day) + 40;
+
+        return {
+            year: toGanZhi(ganZhiYear - 4),
+            month: toGanZhi(monthIndex),
+            day: toGanZhi(dayIndex),
+            zodiac: ZODIAC[(ganZhiYear - 4) % 12]
+        };
+    }
+
+    /**
+     * 获取指定公历日期的农历传统节日
+     * 闰月不过节；除夕为腊月最后一天（腊月小时为廿九）
+     * @param {number} year - 公历年份
+     * @param {number} month - 公历月份（1-12）
+     * @param {number} day - 公历日期（1-31）
+     * @returns {string|null} 节日名称，如果不是节日则返回 null
+     */
+    function getFestival(year, month, day) {
+        if (year < 1900 || year > 2100) {
+            return null;
+        }
+
+        var lunar = getLunar(year, month, day);
+        if (!lunar) {
+            return null;
+        }
+
+        // 除夕：一年最后一个月（腊月，闰腊月年份为闰腊月）的最后一天
+        var lastIsLeap = getLeapMonth(lunar.lunarYear) === 12;
+        if (lunar.lunarMonth === 12 && lunar.isLeapMonth === lastIsLeap &&
+            lunar.lunarDay === getLunarMonthDays(lunar.lunarYear, 12, lastIsLeap)) {
+            return '除夕';
+        }
+
+        if (lunar.isLeapMonth) {
+            return null;
+        }
+        return LUNAR_FESTIVALS[lunar.lunarMonth + '-' + lunar.lunarDay] || null;
+    }
+
     /* === 模块导出 === */
 
     // 初始化 BoblogUI 命名空间
@@ -381,7 +547,14 @@
     // 导出农历和节气模块
     window.BoblogUI.lunar = {
         getLunar: getLunar,
-        getJieqi: getJieqi
+        getSolar: getSolar,
+        getJieqi: getJieqi,
+        getFestival: getFestival,
+        getGanZhi: getGanZhi,
+        getLeapMonth: function(year) {
+            return isLunarYear(year) ? getLeapMonth(year) : 0;
+        },
+        getMonthDays: getLunarMonthDays
     };
 
 })();
@@ -27,6 +27,7 @@
  *   BoblogUI.Modal.hide(id)    — 隐藏指定 ID 的模态框
  *   BoblogUI.Modal.toggle(id)  — 切换指定 ID 模态框的显示/隐藏
  *   BoblogUI.Modal.init([container])  — 初始化指定容器内的模态框事件
+ *   BoblogUI.Modal.destroy(el)         — 解绑单个模态框的事件（打开中的会先关闭）
  *
  * 依赖：
  *   - src/components/modal.css（样式）
@@ -38,6 +39,9 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已绑定的遮罩层 / 关闭按钮 → AbortController（destroy 时解绑点击事件） */
+    var controllers = new WeakMap();
+
     /**
      * 触发模态框生命周期事件
      * 说明：
@@ -127,6 +131,88 @@
         }
     }
 
+    /**
+     * 为关闭按钮绑定点击关闭事件
+     *
+     * @param {HTMLElement} btn — .boblog-modal-close 按钮
+     */
+    function bindCloseButton(btn) {
+        /* 跳过已绑定的按钮 */
+        if (btn.dataset.boblogModalBound) return;
+        btn.dataset.boblogModalBound = 'true';
+
+        var controller = new AbortController();
+        controllers.set(btn, controller);
+
+        btn.addEventListener('click', function () {
+            /* 向上查找最近的 .boblog-modal-backdrop 祖先元素 */
+            var backdrop = btn.closest('.boblog-modal-backdrop');
+            hideByElement(backdrop);
+        }, { signal: controller.signal });
+    }
+
+    /**
+     * 为遮罩层空白区域绑定点击关闭事件（点击 backdrop 但不是 modal 内部）
+     *
+     * @param {HTMLElement} backdrop — .boblog-modal-backdrop 元素
+     */
+    function bindBackdrop(backdrop) {
+        /* 跳过已绑定的 backdrop */
+        if (backdrop.dataset.boblogBackdropBound) return;
+        backdrop.dataset.boblogBackdropBound = 'true';
+
+        var controller = new AbortController();
+        controllers.set(backdrop, controller);
+
+        backdrop.addEventListener('click', function (e) {
+            /* 仅在直接点击 backdrop 本身时关闭（不是点击 modal 内部元素） */
+            if (e.target === backdrop && backdrop.dataset.boblogCloseOnMask !== 'false') {
+                hideByElement(backdrop);
+            }
+        }, { signal: controller.signal });
+    }
+
+    /**
+     * 解除元素上由本模块绑定的点击事件
+     *
+     * @param {HTMLElement} el — 遮罩层或关闭按钮
+     */
+    function unbind(el) {
+        var controller = controllers.get(el);
+        if (controller) {
+            controller.abort();
+            controllers.delete(el);
+        }
+    }
+
+    /**
+     * 初始化单个模态框：遮罩层 + 其内部的关闭按钮
+     *
+     * @param {HTMLElement} backdrop — .boblog-modal-backdrop 元素
+     */
+    function initOne(backdrop) {
+        bindBackdrop(backdrop);
+        backdrop.querySelectorAll('.boblog-modal-close').forEach(bindCloseButton);
+    }
+
+    /**
+     * 销毁单个模态框：解绑遮罩层和关闭按钮的事件并清除绑定标记
+     * 打开中的模态框先关闭，避免 body 一直处于禁止滚动状态
+     *
+     * @param {HTMLElement} backdrop — .boblog-modal-backdrop 元素
+     */
+    function destroy(backdrop) {
+        hideByElement(backdrop);
+
+        unbind(backdrop);
+        delete backdrop.dataset.boblogBackdropBound;
+
+        backdrop.querySelectorAll('.boblog-modal-close').forEach(function (btn) {
+            unbind(btn);
+            delete btn.dataset.boblogModalBound;
+        });
+    }
+
     /**
      * 初始化模态框事件绑定
      * 为关闭按钮、遮罩层空白区域绑定点击关闭事件
@@ -137,33 +223,10 @@
         var root = container || document;
 
         /* 绑定关闭按钮点击事件 */
-        var closeButtons = root.querySelectorAll('.boblog-modal-close');
-        closeButtons.forEach(function (btn) {
-            /* 跳过已绑定的按钮 */
-            if (btn.dataset.boblogModalBound) return;
-            btn.dataset.boblogModalBound = 'true';
-
-            btn.addEventListener('click', function () {
-                /* 向上查找最近的 .boblog-modal-backdrop 祖先元素 */
-                var backdrop = btn.closest('.boblog-modal-backdrop');
-                hideByElement(backdrop);
-            });
-        });
+        root.querySelectorAll('.boblog-modal-close').forEach(bindCloseButton);
 
-        /* 绑定遮罩层空白区域点击事件（点击 backdrop 但不是 modal 内部） */
-        var backdrops = root.querySelectorAll('.boblog-modal-backdrop');
-        backdrops.forEach(function (backdrop) {
-            /* 跳过已绑定的 backdrop */
-            if (backdrop.dataset.boblogBackdropBound) return;
-            backdrop.dataset.boblogBackdropBound = 'true';
-
-            backdrop.addEventListener('click', function (e) {
-                /* 仅在直接点击 backdrop 本身时关闭（不是点击 modal 内部元素） */
-                if (e.target === backdrop && backdrop.dataset.boblogCloseOnMask !== 'false') {
-                    hideByElement(backdrop);
-                }
-            });
-        });
+        /* 绑定遮罩层空白区域点击事件 */
+        root.querySelectorAll('.boblog-modal-backdrop').forEach(bindBackdrop);
     }
 
     /* ESC 键关闭当前打开的模态框 */
@@ -192,6 +255,11 @@
         show: show,
         hide: hide,
         toggle: toggle,
-        init: init
+        init: init,
+        destroy: destroy
     };
+
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('Modal', '.boblog-modal-backdrop', initOne, destroy);
+    }
 })();
@@ -0,0 +1,571 @@
+/**
+ * Bo-Blog UI 组件 - 分页 (pagination)
+ *
+ * 功能：
+ *   - 按总条数、每页条数、当前页生成分页导航（.boblog-pagination 样式，与表格分页一致）
+ *   - 页码超出 7 个时用省略号折叠，始终显示首页和末页
+ *   - 每页条数选择：pageSizes 给出可选项时生成下拉框（BoblogUI.select），切换后回到第 1 页
+ *   - 跳转：jump 为 true 时生成 .boblog-page-jump 输入框，输入页码后按 Enter 或点击"跳转"
+ *   - URL 同步：urlSync 为 true（或查询参数名）时，当前页写入地址栏 ?page=3（第 1 页不写），
+ *     页码链接带真实地址（可新标签页打开），浏览器前进 / 后退时同步页码
+ *   - 键盘：焦点在分页导航内时 ← / → 或 PageUp / PageDown 上一页 / 下一页，Home / End 首页 / 末页
+ *   - 页码变化时调用 onChange(page, pageSize)，并在容器上派发 boblog:pagination:change 事件，
+ *     detail 为 { page, pageSize, total, totalPages }
+ *
+ * HTML 结构约定（声明式，自动初始化）：
+ *   <div class="boblog-pagination" data-total="150" data-page-size="10"
+ *        data-page-sizes="10,20,50" data-jump data-url-sync></div>
+ *
+ *   - data-total: 总条数（必填，有此属性才自动初始化）
+ *   - data-page-size: 每页条数，默认 10
+ *   - data-current: 当前页，默认 1（开启 URL 同步时以地址栏为准）
+ *   - data-page-sizes: 可选的每页条数，逗号分隔
+ *   - data-jump: 显示跳转输入框
+ *   - data-url-sync: 同步地址栏，值为查询参数名（缺省 page）
+ *
+ * 公开 API：
+ *   BoblogUI.pagination.init([container])      — 初始化指定容器（默认 document）内所有声明式分页
+ *   BoblogUI.pagination.create(el, options)    — 在 el 中生成分页导航，返回实例（见下）
+ *   BoblogUI.pagination.getInstance(el)        — 获取实例，未初始化返回 null
+ *   BoblogUI.pagination.destroy(el)            — 销毁：解绑事件并清空分页导航
+ *
+ * create 参数：
+ *   total      — 总条数
+ *   pageSize   — 每页条数，默认 10
+ *   current    — 当前页，默认 1
+ *   pageSizes  — 可选的每页条数数组，如 [10, 20, 50]
+ *   jump       — 是否显示跳转输入框
+ *   info       — 是否显示"共 N 条，第 x/y 页"，默认 true
+ *   urlSync    — true 或查询参数名；每页条数同时写入 pageSize 参数
+ *   onChange   — function(page, pageSize)，点击、跳转、切换每页条数、浏览器前进后退时调用
+ *
+ * 实例方法：
+ *   inst.goTo(page)          — 跳到指定页（触发 onChange）
+ *   inst.update(options)     — 更新 total / current / pageSize 并重绘（不触发 onChange），如数据加载后更新总数
+ *   inst.getState()          — { page, pageSize, total, totalPages }
+ *   inst.destroy()           — 同 BoblogUI.pagination.destroy(el)
+ *
+ * 依赖：
+ *   - src/components/pagination.css（分页样式）
+ *   - select.js（每页条数下拉框，可选）
+ */
+
+(function () {
+    'use strict';
+
+    /* 确保全局命名空间存在 */
+    window.BoblogUI = window.BoblogUI || {};
+
+    /** 分页容器 → 实例 */
+    var instances = new WeakMap();
+
+    /** 最多显示的页码数（含首末页和省略号位置） */
+    var MAX_VISIBLE = 7;
+
+    /* ============ 工具函数 ============ */
+
+    /**
+     * 计算要显示的页码数组
+     * 超出范围时用 '...' 表示省略
+     *
+     * 例如：current=5, total=20, maxVisible=7
+     * 结果：[1, '...', 4, 5, 6, '...', 20]
+     *
+     * @param {number} current - 当前页码
+     * @param {number} total - 总页数
+     * @param {number} maxVisible - 最多显示的页码数
+     * @returns {Array} 页码数组（数字或 '...'）
+     */
+    function calcPageNumbers(current, total, maxVisible) {
+        /* 总页数 <= maxVisible 时，全部显示 */
+        if (total <= maxVisible) {
+            var all = [];
+            for (var i = 1; i <= total; i++) all.push(i);
+            return all;
+        }
+
+        var pages = [];
+        /* 始终显示第一页 */
+        pages.push(1);
+
+        /* 计算中间区域的起止页码 */
+        var half = Math.floor((maxVisible - 2) / 2);
+        var start = Math.max(2, current - half);
+        var end = Math.min(total - 1, current + half);
+
+        /* 调整：确保中间区域有足够的页码 */
+        if (current - half < 2) {
+            end = Math.min(total - 1, maxVisible - 1);
+        }
+        if (current + half > total - 1) {
+            start = Math.max(2, total - maxVisible + 2);
+        }
+
+        /* 左侧省略号 */
+        if (start > 2) {
+            pages.push('...');
+        }
+
+        /* 中间页码 */
+        for (var j = start; j <= end; j++) {
+            pages.push(j);
+        }
+
+        /* 右侧省略号 */
+        if (end < total - 1) {
+            pages.push('...');
+        }
+
+        /* 始终显示最后一页 */
+        pages.push(total);
+
+        return pages;
+    }
+
+    /**
+     * 解析正整数，无效时返回默认值
+     * @param {*} value - 原始值
+     * @param {number} fallback - 默认值
+     * @returns {number}
+     */
+    function toPositiveInt(value, fallback) {
+        var n = parseInt(value, 10);
+        return n > 0 ? n : fallback;
+    }
+
+    /* ============ URL 同步 ============ */
+
+    /**
+     * 从地址栏读取页码和每页条数
+     * @param {object} state - 分页状态
+     * @returns {object} { page, pageSize }（页码参数不存在时为 null；没有每页条数选择时 pageSize 为 null）
+     */
+    function readUrl(state) {
+        var params = new URLSearchParams(window.location.search);
+        return {
+            page: params.has(state.urlKey) ? toPositiveInt(params.get(state.urlKey), 1) : null,
+            pageSize: state.pageSizes ? toPositiveInt(params.get('pageSize'), state.defaultPageSize) : null
+        };
+    }
+
+    /**
+     * 生成指定页的地址（第 1 页、默认每页条数时去掉对应参数）
+     * @param {object} state - 分页状态
+     * @param {number} page - 页码
+     * @returns {string}
+     */
+    function buildUrl(state, page) {
+        var params = new URLSearchParams(window.location.search);
+        if (page > 1) params.set(state.urlKey, page);
+        else params.delete(state.urlKey);
+        if (state.pageSizes) {
+            if (state.pageSize !== state.defaultPageSize) params.set('pageSize', state.pageSize);
+            else params.delete('pageSize');
+        }
+        var query = params.toString();
+        return window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+    }
+
+    /* ============ 渲染 ============ */
+
+    /**
+     * 总页数（没有数据时为 1）
+     * @param {object} state - 分页状态
+     * @returns {number}
+     */
+    function getTotalPages(state) {
+        return Math.ceil(state.total / state.pageSize) || 1;
+    }
+
+    /**
+     * 生成页码链接 HTML
+     * @param {object} state - 分页状态
+     * @param {number} page - 目标页码
+     * @param {string} className - 附加类名
+     * @param {string} label - 链接文字
+     * @returns {string}
+     */
+    function pageLink(state, page, className, label) {
+        var href = state.urlKey ? buildUrl(state, page).replace(/&/g, '&amp;').replace(/"/g, '&quot;') : '#';
+        return '<a class="boblog-page-link' + className + '" href="' + href + '" data-page="' + page + '">' + label + '</a>';
+    }
+
+    /**
+     * 重绘页码和页码信息（每页条数、跳转控件只生成一次，保留在末尾）
+     * @param {object} state - 分页状态
+     */
+    function render(state) {
+        var el = state.el;
+        var totalPages = getTotalPages(state);
+        /* 总数未知（如等待服务端返回后再 update）时保留当前页，避免地址栏中的页码被重置；
+           给出总数后限制在 1..totalPages（总数为 0 时只有第 1 页），并修正地址栏 */
+        if (state.totalKnown && state.current > totalPages) {
+            state.current = totalPages;
+            if (state.urlKey) window.history.replaceState(null, '', buildUrl(state, state.current));
+        }
+        if (state.current < 1) state.current = 1;
+        var current = state.current;
+        var html = '';
+
+        /* 上一页按钮 */
+        if (current <= 1) {
+            html += '<span class="boblog-page-link boblog-page-prev boblog-page-disabled">&laquo; 上一页</span>';
+        } else {
+            html += pageLink(state, current - 1, ' boblog-page-prev', '&laquo; 上一页');
+        }
+
+        /* 页码按钮（最多显示 7 个页码，超出用省略号） */
+        var pages = calcPageNumbers(current, totalPages, MAX_VISIBLE);
+        for (var i = 0; i < pages.length; i++) {
+            var p = pages[i];
+            if (p === '...') {
+                html += '<span class="boblog-page-ellipsis">...</span>';
+            } else if (p === current) {
+                html += '<span class="boblog-page-current" aria-current="page">' + p + '</span>';
+            } else {
+                html += pageLink(state, p, '', p);
+            }
+        }
+
+        /* 下一页按钮 */
+        if (current >= totalPages) {
+            html += '<span class="boblog-page-link boblog-page-next boblog-page-disabled">下一页 &raquo;</span>';
+        } else {
+            html += pageLink(state, current + 1, ' boblog-page-next', '下一页 &raquo;');
+        }
+
+        /* 页码信息 */
+        if (state.info) {
+            html += '<span class="boblog-page-info">共 ' + state.total + ' 条，第 ' + current + '/' + totalPages + ' 页</span>';
+        }
+
+        /* 只替换页码部分，保留每页条数、跳转控件 */
+        Array.prototype.slice.call(el.childNodes).forEach(function (node) {
+            if (state.extras.indexOf(node) === -1) el.removeChild(node);
+        });
+        el.insertAdjacentHTML('afterbegin', html);
+
+        if (state.jumpInput) state.jumpInput.setAttribute('max', totalPages);
+    }
+
+    /**
+     * 生成每页条数下拉框
+     * @param {object} state - 分页状态
+     */
+    function createSizeSelect(state) {
+        var wrap = document.createElement('span');
+        wrap.className = 'boblog-page-size';
+        var box = document.createElement('div');
+        box.className = 'boblog-select boblog-select-sm';
+        box.setAttribute('data-fixed-width', 'false');
+        var select = document.createElement('select');
+        if (state.pageSizes.indexOf(state.pageSize) === -1) {
+            state.pageSizes = state.pageSizes.concat(state.pageSize).sort(function (a, b) { return a - b; });
+        }
+        state.pageSizes.forEach(function (size) {
+            var option = document.createElement('option');
+            option.value = size;
+            option.textContent = size + ' 条/页';
+            select.appendChild(option);
+        });
+        select.value = String(state.pageSize);
+        box.appendChild(select);
+        wrap.appendChild(box);
+        state.el.appendChild(wrap);
+        state.extras.push(wrap);
+        state.sizeSelect = select;
+        if (window.BoblogUI.select) window.BoblogUI.select.init(wrap);
+
+        select.addEventListener('change', function () {
+            state.pageSize = toPositiveInt(select.value, state.pageSize);
+            /* 每页条数变化后原页码失去意义，回到第 1 页 */
+            change(state, 1, true);
+        }, { signal: state.controller.signal });
+    }
+
+    /**
+     * 生成跳转输入框（沿用 .boblog-page-jump 结构）
+     * @param {object} state - 分页状态
+     */
+    function createJump(state) {
+        var jump = document.createElement('span');
+        jump.className = 'boblog-page-jump';
+        jump.innerHTML = '<span class="boblog-page-jump-label">跳转到</span>'
+            + '<input type="number" class="boblog-page-jump-input" min="1" aria-label="页码">'
+            + '<span class="boblog-page-jump-label">页</span>'
+            + '<button type="button" class="boblog-page-jump-btn">跳转</button>';
+        state.el.appendChild(jump);
+        state.extras.push(jump);
+        state.jumpInput = jump.querySelector('input');
+
+        var go = function () {
+            var page = parseInt(state.jumpInput.value, 10);
+            if (!page) return;
+            state.jumpInput.value = '';
+            change(state, Math.min(Math.max(page, 1), getTotalPages(state)));
+        };
+        jump.querySelector('button').addEventListener('click', go, { signal: state.controller.signal });
+        state.jumpInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                go();
+            }
+        }, { signal: state.controller.signal });
+    }
+
+    /* ============ 页码切换 ============ */
+
+    /**
+     * 切换页码：重绘、同步地址栏、调用 onChange 并派发事件
+     * @param {object} state - 分页状态
+     * @param {number} page - 目标页码
+     * @param {boolean} [force] - 页码未变时也通知（每页条数变化）
+     * @param {boolean} [fromHistory] - 由浏览器前进 / 后退触发，不再写入历史
+     */
+    function change(state, page, force, fromHistory) {
+        page = Math.min(Math.max(page, 1), getTotalPages(state));
+        if (page === state.current && !force) return;
+
+        /* 焦点在分页导航内时，重绘后移回容器，键盘可继续翻页 */
+        var active = document.activeElement;
+        var hadFocus = active === state.el || (active && active.tagName === 'A' && state.el.contains(active));
+        state.current = page;
+        render(state);
+        if (hadFocus) state.el.focus();
+
+        if (state.urlKey && !fromHistory) {
+            window.history.pushState(null, '', buildUrl(state, page));
+        }
+
+        var detail = {
+            page: page,
+            pageSize: state.pageSize,
+            total: state.total,
+            totalPages: getTotalPages(state)
+        };
+        if (state.onChange) {
+            try {
+                state.onChange(page, state.pageSize);
+            } catch (err) {
+                console.error('[BoblogUI.pagination] onChange 执行出错:', err);
+            }
+        }
+        state.el.dispatchEvent(new CustomEvent('boblog:pagination:change', {
+            bubbles: true,
+            detail: detail
+        }));
+    }
+
+    /* ============ 创建 / 销毁 ============ */
+
+    /**
+     * 创建实例对象（公开方法直接挂在对象上）
+     * @param {object} state - 分页状态
+     * @returns {object} 实例对象
+     */
+    function createInstance(state) {
+        var inst = { el: state.el };
+
+        inst.goTo = function (page) {
+            change(state, toPositiveInt(page, 1));
+        };
+
+        inst.update = function (options) {
+            options = options || {};
+            if (options.total != null) {
+                state.total = Math.max(0, parseInt(options.total, 10) || 0);
+                state.totalKnown = true;
+            }
+            if (options.pageSize != null) {
+                state.pageSize = toPositiveInt(options.pageSize, state.pageSize);
+                if (state.sizeSelect) state.sizeSelect.value = String(state.pageSize);
+            }
+            if (options.current != null) state.current = toPositiveInt(options.current, 1);
+            render(state);
+        };
+
+        inst.getState = function () {
+            return {
+                page: state.current,
+                pageSize: state.pageSize,
+                total: state.total,
+                totalPages: getTotalPages(state)
+            };
+        };
+
+        inst.destroy = function () {
+            destroy(state.el);
+        };
+
+        return inst;
+    }
+
+    /**
+     * 在容器中生成分页导航
+     * 容器已初始化时先销毁再重建
+     *
+     * @param {HTMLElement} el - 分页容器
+     * @param {object} [options] - { total, pageSize, current, pageSizes, jump, info, urlSync, onChange }
+     * @returns {object} 实例对象
+     */
+    function create(el, options) {
+        options = options || {};
+        destroy(el);
+
+        var pageSize = toPositiveInt(options.pageSize, 10);
+        var state = {
+            el: el,
+            total: Math.max(0, parseInt(options.total, 10) || 0),
+            totalKnown: options.total != null,
+            pageSize: pageSize,
+            defaultPageSize: pageSize,
+            current: toPositiveInt(options.current, 1),
+            pageSizes: options.pageSizes && options.pageSizes.length ? options.pageSizes.map(function (size) {
+                return toPositiveInt(size, pageSize);
+            }) : null,
+            info: options.info !== false,
+            urlKey: options.urlSync ? (typeof options.urlSync === 'string' ? options.urlSync : 'page') : null,
+            onChange: options.onChange || null,
+            extras: [],             /* 每页条数、跳转控件：重绘页码时保留 */
+            sizeSelect: null,
+            jumpInput: null,
+            controller: new AbortController()
+        };
+        var signal = state.controller.signal;
+
+        /* 地址栏中的页码、每页条数优先 */
+        if (state.urlKey) {
+            var fromUrl = readUrl(state);
+            if (fromUrl.page) state.current = fromUrl.page;
+            if (fromUrl.pageSize) state.pageSize = fromUrl.pageSize;
+        }
+
+        el.classList.add('boblog-pagination');
+        el.setAttribute('role', 'navigation');
+        el.setAttribute('aria-label', '分页');
+        if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '0');
+        el.innerHTML = '';
+        if (state.pageSizes) createSizeSelect(state);
+        if (options.jump) createJump(state);
+        render(state);
+
+        /* 页码点击：带修饰键时交给浏览器（新标签页打开真实地址） */
+        el.addEventListener('click', function (e) {
+            var link = e.target.closest('a[data-page]');
+            if (!link || !el.contains(link)) return;
+            if (state.urlKey && (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0)) return;
+            e.preventDefault();
+            change(state, parseInt(link.getAttribute('data-page'), 10));
+        }, { signal: signal });
+
+        /* 键盘翻页（输入框、下拉框内不处理） */
+        el.addEventListener('keydown', function (e) {
+            if (e.target.closest('input, select, .boblog-select')) return;
+            var page = null;
+            if (e.key === 'ArrowLeft' || e.key === 'PageUp') page = state.current - 1;
+            else if (e.key === 'ArrowRight' || e.key === 'PageDown') page = state.current + 1;
+            else if (e.key === 'Home') page = 1;
+            else if (e.key === 'End') page = getTotalPages(state);
+            if (page === null) return;
+            e.preventDefault();
+            change(state, page);
+        }, { signal: signal });
+
+        /* 浏览器前进 / 后退 */
+        if (state.urlKey) {
+            window.addEventListener('popstate', function () {
+                var fromUrl = readUrl(state);
+                if (fromUrl.pageSize && fromUrl.pageSize !== state.pageSize) {
+                    state.pageSize = fromUrl.pageSize;
+                    if (state.sizeSelect) state.sizeSelect.value = String(state.pageSize);
+                    change(state, fromUrl.page || 1, true, true);
+                } else {
+                    change(state, fromUrl.page || 1, false, true);
+                }
+            }, { signal: signal });
+        }
+
+        var inst = createInstance(state);
+        instances.set(el, inst);
+        instances.set(inst, state);
+        return inst;
+    }
+
+    /**
+     * 获取分页实例
+     * @param {HTMLElement} el - 分页容器
+     * @returns {object|null}
+     */
+    function getInstance(el) {
+        return instances.get(el) || null;
+    }
+
+    /**
+     * 销毁分页：解绑事件，销毁每页条数下拉框，清空容器
+     * @param {HTMLElement} el - 分页容器
+     */
+    function destroy(el) {
+        var inst = instances.get(el);
+        if (!inst) return;
+        var state = instances.get(inst);
+        state.controller.abort();
+        state.extras.forEach(function (node) {
+            if (window.BoblogUI.destroy) window.BoblogUI.destroy(node);
+        });
+        instances.delete(el);
+        instances.delete(inst);
+        el.innerHTML = '';
+        el.removeAttribute('role');
+        el.removeAttribute('aria-label');
+        if (el.getAttribute('tabindex') === '0') el.removeAttribute('tabindex');
+    }
+
+    /**
+     * 初始化单个声明式分页（.boblog-pagination[data-total]）
+     * @param {HTMLElement} el - 分页容器
+     */
+    function initOne(el) {
+        if (instances.has(el)) return;
+        var sizes = el.getAttribute('data-page-sizes');
+        create(el, {
+            total: el.getAttribute('data-total'),
+            pageSize: el.getAttribute('data-page-size'),
+            current: el.getAttribute('data-current'),
+            pageSizes: sizes ? sizes.split(',') : null,
+            jump: el.hasAttribute('data-jump'),
+            urlSync: el.hasAttribute('data-url-sync') ? (el.getAttribute('data-url-sync') || true) : false
+        });
+    }
+
+    /**
+     * 初始化指定容器内所有声明式分页
+     * @param {HTMLElement} [root=document] - 搜索范围
+     */
+    function init(root) {
+        root = root || document;
+        var list = root.querySelectorAll('.boblog-pagination[data-total]');
+        for (var i = 0; i < list.length; i++) {
+            initOne(list[i]);
+        }
+    }
+
+    /* ============ 公开 API ============ */
+    BoblogUI.pagination = {
+        init: init,
+        create: create,
+        getInstance: getInstance,
+        destroy: destroy
+    };
+
+    if (BoblogUI.register) {
+        BoblogUI.register('pagination', '.boblog-pagination[data-total]', initOne, destroy);
+    }
+
+    /* ============ 自动初始化 ============ */
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function () { init(); });
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,1413 @@
+/**
+ * BoblogUI 拼音数据包（可选）
+ *
+ * 为 BoblogUI.pinyin 补全 GB2312 全部 6763 个汉字的带声调拼音，多音字收录全部读音。
+ * 核心模块 pinyin.js 只内置数百个常用字，引入本文件后标签、分类名等常用汉字都能参与拼音搜索，
+ * 不引入时核心功能不受影响。
+ *
+ * 使用方式（不参与 boblog-ui.js 合并，构建时复制为 dist/pinyin-data.js，按需引入）：
+ *   <script src="dist/boblog-ui.js"></script>
+ *   <script src="dist/pinyin-data.js"></script>
+ *
+ * 先于 boblog-ui.js 引入也可以：数据会暂存在 BoblogUI.pinyinData，由 pinyin.js 初始化时合并。
+ *
+ * 数据格式：
+ *   - 读音小写，数字标调（1–4 为四声，轻声不标），ü 写作 v
+ *   - 多音字按「常用读音在前」排列，getFullPinyin / toPinyin 取首个读音，matches 匹配全部读音
+ *
+ * 数据来源：pinyin 2.11.2 的 data/dict-zi.js，按 GB2312 字符集筛选，部分多音字调整了常用读音顺序
+ *   Copyright (c) 闲耘 <hotoo.cn@gmail.com> (MIT Licensed)
+ *
+ * @module BoblogUI.pinyin
+ */
+(function() {
+    'use strict';
+
+    /* ==========================================================================
+       单音字表
+       读音 → 该读音下的全部汉字
+       ========================================================================== */
+    var SINGLE = {
+        'a1': '锕',
+        'ai1': '埃哎哀锿',
+        'ai2': '皑癌捱',
+        'ai3': '蔼矮霭',
+        'ai4': '碍爱隘嫒瑷暧砹',
+        'an1': '鞍氨安谙庵桉鹌',
+        'an3': '俺埯揞铵',
+        'an4': '按暗岸胺案黯',
+        'ang1': '肮',
+        'ang2': '昂',
+        'ang4': '盎',
+        'ao2': '敖翱嗷廒遨骜獒聱螯鳌鏖',
+        'ao3': '袄艹媪',
+        'ao4': '傲懊澳坳岙鏊',
+        'ba1': '芭捌叭笆八疤巴岜粑',
+        'ba2': '拔跋茇菝魃',
+        'ba3': '靶',
+        'ba4': '坝霸爸灞鲅',
+        'bai1': '掰',
+        'bai2': '白',
+        'bai3': '百摆佰捭',
+        'bai4': '败拜稗',
+        'ban1': '斑班搬扳般颁瘢癍',
+        'ban3': '板版阪坂钣舨',
+        'ban4': '扮伴瓣半办绊',
+        'bang1': '邦帮梆浜',
+        'bang3': '绑',
+        'bang4': '棒镑傍谤蒡',
+        'bao1': '苞胞包褒勹孢煲龅',
+        'bao2': '雹',
+        'bao3': '保饱宝葆鸨褓',
+        'bao4': '抱报豹鲍爆',
+        'bei1': '杯碑悲卑庳鹎',
+        'bei4': '辈贝钡倍狈备惫焙孛邶蓓悖碚褙鐾鞴',
+        'ben1': '锛',
+        'ben3': '苯本畚',
+        'ben4': '笨坌',
+        'beng1': '崩嘣',
+        'beng2': '甭',
+        'beng4': '泵蹦迸甏',
+        'bi1': '逼',
+        'bi2': '鼻荸',
+        'bi3': '比鄙笔彼匕俾妣秕舭',
+        'bi4': '碧蓖蔽毕毙毖币庇痹闭敝弊必壁避陛荜萆薜哔狴愎滗弼婢嬖璧畀铋筚箅篦襞跸髀',
+        'bian1': '鞭边编煸砭蝙笾鳊',
+        'bian3': '贬匾碥窆褊',
+        'bian4': '变卞辨辩辫遍弁苄忭汴',
+        'biao1': '标彪膘飑飙飚镖镳瘭髟',
+        'biao3': '表婊裱',
+        'biao4': '鳔',
+        'bie1': '鳖憋',
+        'bie2': '蹩',
+        'bin1': '彬斌濒滨宾傧豳缤镔',
+        'bin4': '摈殡膑髌鬓',
+        'bing1': '兵冰冫',
+        'bing3': '柄丙秉饼炳禀邴',
+        'bing4': '病摒',
+        'bo1': '玻菠播拨钵波饽',
+        'bo2': '博搏铂箔帛舶脖膊渤驳亳礴钹鹁踣',
+        'bo3': '跛',
+        'bo4': '檗',
+        'bo': '啵',
+        'bu1': '逋晡钸',
+        'bu2': '醭',
+        'bu3': '捕哺补卟',
+        'bu4': '埠布步部怖瓿钚',
+        'ca1': '擦',
+        'ca3': '礤',
+        'cai1': '猜',
+        'cai2': '裁材才财',
+        'cai3': '睬踩彩',
+        'cai4': '菜蔡',
+        'can1': '餐骖',
+        'can2': '蚕残惭',
+        'can3': '惨黪',
+        'can4': '灿璨粲',
+        'cang1': '苍舱仓沧',
+        'cao1': '操糙',
+        'cao2': '槽曹嘈漕螬艚',
+        'cao3': '草',
+        'ce4': '厕策册测恻',
+        'cen2': '岑涔',
+        'ceng1': '噌',
+        'ceng2': '层',
+        'ceng4': '蹭',
+        'cha1': '插馇锸',
+        'cha2': '茬茶搽察猹槎檫',
+        'cha3': '镲',
+        'cha4': '岔诧汊姹衩',
+        'chai1': '钗',
+        'chai2': '柴豺侪',
+        'chai4': '虿',
+        'chan1': '搀觇',
+        'chan2': '蝉馋谗缠廛潺澶婵蟾躔',
+        'chan3': '铲产阐冁谄蒇骣',
+        'chan4': '忏羼',
+        'chang1': '昌猖伥菖阊娼鲳',
+        'chang2': '尝常偿肠苌徜嫦',
+        'chang3': '敞惝昶氅',
+        'chang4': '畅唱鬯怅',
+        'chao1': '超抄钞怊',
+        'chao2': '潮巢晁',
+        'chao3': '炒',
+        'chao4': '耖',
+        'che1': '砗',
+        'che3': '扯',
+        'che4': '撤掣彻澈坼',
+        'chen1': '郴抻嗔琛',
+        'chen2': '臣辰尘晨忱沉陈宸',
+        'chen3': '碜',
+        'chen4': '趁衬谶榇龀',
+        'cheng1': '撑柽瞠蛏',
+        'cheng2': '城橙成呈程惩诚承丞埕枨塍铖酲',
+        'cheng3': '逞骋',
+        'cheng4': '秤',
+        'chi1': '吃痴哧嗤媸眵鸱蚩螭笞魑',
+        'chi2': '持池迟弛驰墀茌篪踟',
+        'chi3': '耻齿侈褫豉',
+        'chi4': '赤翅斥炽傺叱啻彳饬敕瘛',
+        'chong1': '充茺忡憧舂艟',
+        'chong2': '虫崇',
+        'chong3': '宠',
+        'chong4': '铳',
+        'chou1': '抽瘳',
+        'chou2': '酬畴踌稠愁筹绸俦惆雠',
+        'chou3': '瞅丑',
+        'chu1': '初出樗',
+        'chu2': '橱厨躇锄雏滁除刍蜍蹰',
+        'chu3': '楚础储杵楮',
+        'chu4': '矗搐触亍怵憷绌黜',
+        'chuai1': '搋',
+        'chuai4': '膪踹',
+        'chuan1': '川穿巛氚',
+        'chuan2': '椽船遄舡',
+        'chuan3': '喘舛',
+        'chuan4': '串钏',
+        'chuang1': '疮窗',
+        'chuang2': '床',
+        'chuang3': '闯',
+        'chuang4': '怆',
+        'chui1': '吹炊',
+        'chui2': '捶锤垂陲棰槌',
+        'chun1': '春椿蝽',
+        'chun2': '醇唇纯莼鹑',
+        'chun3': '蠢',
+        'chuo1': '戳踔',
+        'chuo4': '辶辍龊',
+        'ci1': '疵',
+        'ci2': '茨磁雌辞慈瓷词祠鹚糍',
+        'ci3': '此',
+        'ci4': '赐次',
+        'cong1': '聪葱囱匆苁骢璁',
+        'cong2': '丛淙琮',
+        'cou4': '凑辏腠',
+        'cu1': '粗',
+        'cu2': '徂殂',
+        'cu4': '醋簇促蔟猝蹙蹴',
+        'cuan1': '蹿汆撺镩',
+        'cuan4': '篡窜爨',
+        'cui1': '摧崔催榱',
+        'cui3': '璀',
+        'cui4': '脆瘁粹淬翠萃悴毳',
+        'cun1': '村皴',
+        'cun2': '存',
+        'cun3': '忖',
+        'cun4': '寸',
+        'cuo1': '磋搓蹉',
+        'cuo2': '嵯矬痤鹾',
+        'cuo3': '脞',
+        'cuo4': '措挫错厝锉',
+        'da1': '搭耷哒褡',
+        'da2': '达怛妲笪靼鞑',
+        'dai1': '呆呔',
+        'dai3': '歹傣',
+        'dai4': '戴带殆代贷袋逮怠埭甙岱迨绐玳黛',
+        'dan1': '耽丹郸殚眈聃箪',
+        'dan3': '胆赕疸',
+        'dan4': '旦氮但淡诞蛋萏啖',
+        'dang1': '裆',
+        'dang3': '党谠',
+        'dang4': '荡档凼菪宕砀',
+        'dao1': '刀刂忉氘',
+        'dao3': '捣蹈岛祷导',
+        'dao4': '到稻悼道盗焘纛',
+        'de2': '德锝',
+        'deng1': '蹬灯登噔簦',
+        'deng3': '等戥',
+        'deng4': '瞪凳邓嶝磴镫',
+        'di1': '堤低滴羝',
+        'di2': '迪敌笛狄涤嫡籴荻嘀觌镝',
+        'di3': '抵诋邸砥骶',
+        'di4': '蒂第帝递缔谛娣碲睇',
+        'dia3': '嗲',
+        'dian1': '颠掂滇巅癫',
+        'dian3': '碘点典踮',
+        'dian4': '靛垫电店惦奠淀殿阽坫玷癜簟',
+        'diao1': '碉叼雕凋刁貂鲷',
+        'diao4': '掉吊钓铞',
+        'die1': '跌爹',
+        'die2': '碟蝶迭谍叠垤堞牒瓞耋蹀鲽',
+        'ding1': '盯叮仃玎疔耵',
+        'ding3': '顶鼎',
+        'ding4': '锭定订啶腚碇',
+        'diu1': '丢铥',
+        'dong1': '东冬咚岽氡鸫',
+        'dong3': '董懂',
+        'dong4': '动栋恫冻洞胨胴硐',
+        'dou1': '兜蔸篼',
+        'dou3': '抖陡钭蚪',
+        'dou4': '豆逗痘窦',
+        'du1': '督嘟',
+        'du2': '犊独椟牍髑黩',
+        'du3': '堵睹赌笃',
+        'du4': '杜镀渡妒芏蠹',
+        'duan1': '端',
+        'duan3': '短',
+        'duan4': '锻段断缎椴煅簖',
+        'dui1': '堆镦',
+        'dui4': '队对怼憝碓',
+        'dun1': '墩吨蹲礅',
+        'dun3': '盹趸',
+        'dun4': '顿钝盾遁沌炖砘',
+        'duo1': '掇哆多咄裰',
+        'duo2': '夺铎踱',
+        'duo3': '躲朵哚缍',
+        'duo4': '跺舵剁惰',
+        'e1': '屙婀',
+        'e2': '峨鹅俄额讹娥莪锇',
+        'e4': '厄扼遏鄂饿噩谔垩苊萼呃愕阏轭腭锷鹗颚鳄',
+        'en1': '恩蒽',
+        'en4': '摁',
+        'er2': '而儿鸸鲕',
+        'er3': '耳尔饵洱迩珥铒',
+        'er4': '二贰',
+        'fa2': '罚筏伐乏阀垡',
+        'fa3': '法砝',
+        'fa4': '珐',
+        'fan1': '藩帆翻幡',
+        'fan2': '樊矾钒凡烦蕃蘩燔蹯',
+        'fan3': '反返',
+        'fan4': '范贩犯饭泛梵畈',
+        'fang1': '芳方匚邡钫',
+        'fang2': '肪房防妨鲂',
+        'fang3': '仿访纺舫',
+        'fang4': '放',
+        'fei1': '非啡飞绯扉蜚霏鲱',
+        'fei2': '肥淝腓',
+        'fei3': '匪诽悱榧篚翡',
+        'fei4': '吠肺废沸费狒镄',
+        'fen1': '芬酚吩氛纷',
+        'fen2': '坟焚汾棼鼢',
+        'fen3': '粉',
+        'fen4': '奋忿愤粪偾瀵鲼',
+        'feng1': '丰封枫蜂峰锋疯烽酆葑沣砜',
+        'feng2': '逢',
+        'feng3': '讽唪',
+        'feng4': '奉凤俸',
+        'fou3': '缶',
+        'fu1': '敷肤孵呋稃麸趺跗',
+        'fu2': '扶辐幅氟符伏俘浮涪福袱弗匐凫郛芙苻茯菔幞怫艴孚绂绋桴祓黻罘蚨蜉蝠',
+        'fu3': '甫抚辅俯釜斧脯腑府腐阝拊呒滏黼',
+        'fu4': '赴覆赋复傅付阜腹负富讣附妇缚咐驸赙馥蝮鲋鳆',
+        'ga1': '旮',
+        'ga2': '噶尜钆',
+        'ga3': '尕',
+        'ga4': '尬',
+        'gai1': '该陔垓赅',
+        'gai3': '改',
+        'gai4': '概钙溉丐戤',
+        'gan1': '甘柑竿肝坩苷尴泔矸疳酐',
+        'gan3': '赶感秆敢擀澉橄',
+        'gan4': '赣淦绀',
+        'gang1': '冈刚缸肛纲罡',
+        'gang3': '岗',
+        'gang4': '筻',
+        'gao1': '篙高羔糕睾槔',
+        'gao3': '搞稿藁缟槁杲',
+        'gao4': '告诰郜锆',
+        'ge1': '哥歌戈鸽割圪袼',
+        'ge2': '革格阁隔塥嗝搿膈骼',
+        'ge3': '舸',
+        'ge4': '铬虼',
+        'gen1': '根跟',
+        'gen4': '亘茛艮',
+        'geng1': '耕庚羹赓',
+        'geng3': '埂耿梗哽绠鲠',
+        'gong1': '工攻功恭龚躬公宫弓肱觥',
+        'gong3': '巩汞拱廾珙',
+        'gong4': '贡',
+        'gou1': '钩沟缑篝鞲',
+        'gou3': '苟狗岣笱',
+        'gou4': '垢构购够诟遘媾觏彀',
+        'gu1': '辜菇咕箍沽孤姑菰轱鸪蛄酤觚',
+        'gu3': '鼓古蛊谷股嘏诂牯臌毂瞽罟钴鹘',
+        'gu4': '故顾固雇崮梏牿锢痼鲴',
+        'gua1': '刮瓜胍鸹',
+        'gua3': '剐寡',
+        'gua4': '挂褂卦诖',
+        'guai1': '乖',
+        'guai3': '拐',
+        'guai4': '怪',
+        'guan1': '棺关官倌涫鳏',
+        'guan3': '管馆',
+        'guan4': '罐惯灌贯掼盥鹳',
+        'guang1': '光咣胱',
+        'guang3': '犷',
+        'guang4': '逛',
+        'gui1': '瑰规圭硅归闺妫皈',
+        'gui3': '轨鬼诡癸匦庋宄晷簋',
+        'gui4': '桂跪贵刽刿',
+        'gun3': '辊滚丨衮绲磙鲧',
+        'guo1': '锅郭埚崞猓聒蝈',
+        'guo2': '国馘掴帼虢',
+        'guo3': '果裹椁蜾',
+        'hai2': '骸孩',
+        'hai3': '海胲醢',
+        'hai4': '氦亥害骇',
+        'han1': '酣憨顸蚶鼾',
+        'han2': '邯韩含涵寒函邗晗焓',
+        'han3': '喊罕',
+        'han4': '翰撼捍旱憾悍焊汉菡撖瀚颔',
+        'hang2': '杭航绗颃',
+        'hang4': '沆',
+        'hao1': '蒿薅嚆',
+        'hao2': '壕嚎豪毫嗥濠蚝',
+        'hao3': '郝',
+        'hao4': '耗浩灏昊皓颢',
+        'he1': '诃嗬',
+        'he2': '荷菏禾盒阂河涸劾阖曷盍翮',
+        'he4': '赫褐鹤贺壑',
+        'hei1': '黑',
+        'hen2': '痕',
+        'hen3': '很狠',
+        'hen4': '恨',
+        'heng2': '衡恒蘅珩',
+        'hong1': '轰烘訇薨',
+        'hong2': '虹鸿洪宏弘黉荭闳泓',
+        'hong4': '讧蕻',
+        'hou2': '喉猴瘊篌糇骺',
+        'hou3': '吼',
+        'hou4': '厚候后堠後逅鲎',
+        'hu1': '呼乎忽唿惚滹轷烀虍',
+        'hu2': '瑚壶葫胡蝴狐湖弧囫猢槲觳煳鹄鹕醐斛',
+        'hu3': '虎琥',
+        'hu4': '护互沪户冱岵怙戽扈祜瓠鹱笏',
+        'hua1': '花',
+        'hua2': '猾滑骅铧',
+        'hua4': '画话桦',
+        'huai2': '槐徊怀淮踝',
+        'huai4': '坏',
+        'huan1': '欢獾',
+        'huan2': '环桓萑洹寰缳锾鬟',
+        'huan3': '缓',
+        'huan4': '换患唤痪豢焕涣宦幻奂擐浣漶逭鲩',
+        'huang1': '荒慌肓',
+        'huang2': '黄磺蝗簧皇凰惶煌隍徨湟遑璜癀蟥篁鳇',
+        'huang3': '幌恍谎',
+        'hui1': '灰挥辉徽恢诙咴晖麾',
+        'hui2': '蛔回茴洄',
+        'hui3': '毁悔',
+        'hui4': '慧卉惠晦贿秽烩汇讳诲绘荟蕙喙彗恚蟪',
+        'hun1': '荤昏婚阍',
+        'hun2': '魂浑馄',
+        'hun4': '诨溷',
+        'huo1': '劐攉耠',
+        'huo2': '活',
+        'huo3': '伙火夥钬',
+        'huo4': '获或惑霍货祸藿嚯锪镬蠖',
+        'ji1': '击圾基机畸积箕肌饥激讥鸡姬乩剞墼芨叽唧屐畿玑赍犄齑矶羁嵇笄跻',
+        'ji2': '吉极棘辑籍集及急疾汲即嫉级佶蒺蕺岌楫殛戢瘠笈',
+        'ji3': '挤脊己掎嵴戟虮麂',
+        'ji4': '迹绩蓟技冀季剂悸寄寂计记既忌际妓继芰洎骥觊稷暨跽霁鲚鲫髻',
+        'jia1': '嘉枷佳加葭浃迦珈镓痂笳袈跏',
+        'jia2': '荚颊郏戛恝铗蛱',
+        'jia3': '甲钾岬胛',
+        'jia4': '稼架驾嫁',
+        'jian1': '歼坚尖笺煎兼肩艰奸缄菅蒹搛湔缣戋鹣鲣鞯',
+        'jian3': '茧检柬碱硷拣捡简俭剪减谫蹇謇枧戬睑锏裥笕翦趼',
+        'jian4': '荐鉴践贱键箭件健舰剑饯涧建僭谏楗牮毽腱踺',
+        'jiang1': '僵姜江茳缰礓豇',
+        'jiang3': '蒋桨奖讲耩',
+        'jiang4': '匠酱洚绛犟糨',
+        'jiao1': '蕉椒礁焦胶交郊浇骄娇僬茭鹪蛟跤鲛',
+        'jiao3': '搅铰脚狡饺绞佼挢敫皎',
+        'jiao4': '酵轿较叫窖噍醮',
+        'jie1': '接皆秸街阶喈嗟疖',
+        'jie2': '截劫杰捷睫竭洁讦卩婕孑桀羯鲒',
+        'jie3': '姐',
+        'jie4': '戒界借介疥诫届蚧骱',
+        'jin1': '巾筋斤金今津襟堇钅衿',
+        'jin3': '紧锦谨卺馑瑾槿',
+        'jin4': '进靳晋近烬浸荩噤妗缙赆觐',
+        'jing1': '荆兢茎睛晶鲸京惊精粳经菁泾腈旌',
+        'jing3': '井警刭儆阱憬肼',
+        'jing4': '静境敬镜径痉靖竟竞獍迳弪婧胫',
+        'jiong1': '冂扃',
+        'jiong3': '炯窘迥',
+        'jiu1': '揪究纠啾阄鸠赳鬏',
+        'jiu3': '玖韭久灸九酒',
+        'jiu4': '厩救旧臼舅咎就疚僦柩桕鹫',
+        'ju1': '鞠狙疽居驹掬琚椐锔裾雎鞫',
+        'ju2': '菊局橘',
+        'ju3': '矩举莒榘榉踽龃',
+        'ju4': '聚拒巨具距踞锯俱惧炬剧倨讵遽屦犋飓钜窭醵',
+        'juan1': '捐鹃娟涓蠲镌',
+        'juan3': '锩',
+        'juan4': '倦眷绢鄄狷桊',
+        'jue1': '噘',
+        'jue2': '攫抉掘爵决诀绝厥劂谲矍蕨崛獗孓珏桷橛爝镢觖',
+        'jun1': '均钧军君皲',
+        'jun4': '峻俊竣郡骏捃',
+        'ka1': '喀',
+        'ka3': '佧咔胩',
+        'kai1': '开揩锎',
+        'kai3': '凯慨剀垲蒈恺铠锴',
+        'kan1': '刊堪勘戡龛',
+        'kan3': '坎砍侃莰',
+        'kan4': '阚瞰',
+        'kang1': '康慷糠',
+        'kang4': '抗亢炕伉钪',
+        'kao1': '尻',
+        'kao3': '考拷烤栲',
+        'kao4': '靠犒铐',
+        'ke1': '柯棵磕颗科珂轲瞌钶稞疴窠颏蚵蝌髁',
+        'ke3': '渴岢',
+        'ke4': '克刻客课恪溘骒缂氪锞',
+        'ken3': '肯啃垦恳',
+        'ken4': '裉',
+        'keng1': '坑铿',
+        'kong1': '崆箜',
+        'kong3': '恐孔',
+        'kong4': '控',
+        'kou1': '抠芤眍',
+        'kou3': '口',
+        'kou4': '扣寇蔻叩筘',
+        'ku1': '枯哭窟刳堀骷',
+        'ku3': '苦',
+        'ku4': '酷库裤喾绔',
+        'kua3': '垮侉',
+        'kua4': '跨胯',
+        'kuai3': '蒯',
+        'kuai4': '块筷侩快郐哙狯脍',
+        'kuan1': '宽髋',
+        'kuan3': '款',
+        'kuang1': '匡筐诓哐',
+        'kuang2': '狂诳',
+        'kuang3': '夼',
+        'kuang4': '框矿眶旷况邝圹纩贶',
+        'kui1': '亏盔岿窥',
+        'kui2': '葵奎魁馗夔揆喹逵暌睽蝰',
+        'kui3': '跬',
+        'kui4': '馈愧喟愦聩篑',
+        'kun1': '坤昆琨锟醌鲲髡',
+        'kun3': '捆悃阃',
+        'kun4': '困',
+        'kuo4': '扩廓阔蛞',
+        'la1': '垃邋',
+        'la2': '旯',
+        'la3': '喇',
+        'la4': '蜡辣瘌',
+        'lai2': '莱来崃涞铼',
+        'lai4': '赖濑赉睐癞籁',
+        'lan2': '蓝婪栏拦篮阑兰澜谰岚斓镧褴',
+        'lan3': '揽览懒缆漤榄罱',
+        'lan4': '烂滥',
+        'lang1': '啷',
+        'lang2': '琅榔狼廊锒稂螂',
+        'lang3': '朗',
+        'lang4': '浪蒗阆',
+        'lao1': '捞',
+        'lao2': '劳牢崂铹痨醪',
+        'lao3': '老佬栳铑',
+        'lao4': '酪涝耢',
+        'le4': '仂叻泐鳓',
+        'lei2': '雷镭羸嫘缧檑',
+        'lei3': '蕾磊儡垒诔耒',
+        'lei4': '类泪酹',
+        'leng2': '楞塄',
+        'leng3': '冷',
+        'leng4': '愣',
+        'li2': '厘梨犁黎篱狸离漓璃蓠藜喱嫠骊缡罹鹂鲡黧',
+        'li3': '理李里鲤礼俚澧逦娌锂蠡醴鳢',
+        'li4': '莉荔吏栗厉励砾历利傈例俐痢立粒沥隶力俪坜苈莅呖唳猁溧枥轹戾砺詈疬蛎蜊笠篥粝雳',
+        'lian2': '联莲连镰廉怜涟帘奁濂臁裢蠊鲢',
+        'lian3': '敛脸蔹琏裣',
+        'lian4': '链恋炼练潋楝殓',
+        'liang2': '粮梁粱良墚椋',
+        'liang3': '两魉',
+        'liang4': '辆晾亮谅',
+        'liao2': '聊僚疗寥辽嘹獠寮缭鹩',
+        'liao4': '撂镣廖料尥',
+        'lie4': '列烈劣猎冽埒捩洌趔躐鬣',
+        'lin1': '拎',
+        'lin2': '琳林磷霖临邻鳞嶙遴辚瞵粼麟',
+        'lin3': '凛廪懔檩',
+        'lin4': '赁吝蔺膦躏',
+        'ling2': '玲菱零龄铃伶羚凌灵陵酃苓呤囹泠绫柃棂瓴聆蛉翎鲮',
+        'ling3': '领',
+        'ling4': '另',
+        'liu1': '熘',
+        'liu2': '琉榴硫留刘瘤流浏骝旒镏鎏',
+        'liu3': '柳绺锍',
+        'liu4': '遛鹨',
+        'long2': '龙聋咙窿隆茏珑栊胧砻癃',
+        'long3': '垄拢陇垅',
+        'lou2': '楼娄蒌耧蝼髅',
+        'lou3': '篓嵝',
+        'lou4': '漏陋镂瘘',
+        'lu1': '撸噜',
+        'lu2': '芦卢颅庐炉垆泸栌轳胪鸬舻鲈',
+        'lu3': '掳卤虏鲁橹氇镥',
+        'lu4': '麓路赂鹿潞禄录陆戮渌漉逯璐辂辘鹭簏',
+        'luan2': '峦挛孪滦脔娈栾鸾銮',
+        'luan3': '卵',
+        'luan4': '乱',
+        'lun2': '轮伦仑沦囵',
+        'luo2': '萝螺罗逻锣箩骡猡椤脶镙',
+        'luo3': '裸倮蠃瘰',
+        'luo4': '洛骆荦摞珞雒',
+        'lv2': '驴闾榈',
+        'lv3': '吕铝侣旅履屡缕膂稆褛',
+        'lv4': '虑氯律滤',
+        'lve4': '掠略锊',
+        'ma1': '妈',
+        'ma2': '麻',
+        'ma3': '玛码马犸',
+        'ma4': '骂',
+        'mai2': '霾',
+        'mai3': '买荬',
+        'mai4': '麦卖迈劢唛',
+        'man1': '颟',
+        'man2': '馒蛮谩鳗',
+        'man3': '满螨',
+        'man4': '曼慢漫墁幔缦熳镘',
+        'mang2': '芒茫盲忙邙硭',
+        'mang3': '莽漭',
+        'mao2': '茅锚毛矛茆牦蝥蟊髦',
+        'mao3': '铆卯峁泖昴',
+        'mao4': '茂帽貌贸袤瑁耄懋瞀',
+        'mei2': '玫枚梅酶霉煤眉媒莓嵋猸湄楣镅鹛',
+        'mei3': '镁每美浼',
+        'mei4': '昧寐妹媚袂魅',
+        'men2': '门们扪钔',
+        'men4': '焖懑',
+        'meng2': '萌檬盟甍朦礞虻艨',
+        'meng3': '锰猛勐懵蜢蠓艋',
+        'meng4': '梦孟',
+        'mi1': '咪',
+        'mi2': '醚靡迷谜蘼猕祢縻麋',
+        'mi3': '米芈弭脒敉',
+        'mi4': '觅蜜密幂冖谧嘧汨',
+        'mian2': '棉眠绵宀',
+        'mian3': '冕免勉娩缅沔湎腼眄',
+        'mian4': '面',
+        'miao1': '喵',
+        'miao2': '苗描瞄鹋',
+        'miao3': '藐秒渺邈缈杪淼眇',
+        'miao4': '庙妙',
+        'mie1': '咩',
+        'mie4': '蔑灭蠛篾',
+        'min2': '民苠岷缗珉',
+        'min3': '抿皿敏悯闽闵泯愍鳘',
+        'ming2': '明螟鸣铭名冥茗溟暝瞑',
+        'ming3': '酩',
+        'ming4': '命',
+        'miu4': '谬',
+        'mo1': '摸',
+        'mo2': '摹蘑膜魔谟馍嫫嬷',
+        'mo4': '末墨默沫漠寞陌茉蓦殁镆秣瘼耱貊貘',
+        'mou1': '哞',
+        'mou2': '谋侔眸蛑鍪',
+        'mou3': '某',
+        'mu2': '毪',
+        'mu3': '拇牡亩姆母',
+        'mu4': '墓暮幕募慕木目睦牧穆仫苜沐钼',
+        'na2': '拿镎',
+        'na4': '钠纳捺肭衲',
+        'nai3': '氖乃奶艿',
+        'nai4': '耐奈鼐萘柰',
+        'nan1': '囡',
+        'nan2': '男喃楠',
+        'nan3': '腩蝻赧',
+        'nang1': '囔',
+        'nang3': '攮曩',
+        'nao1': '孬',
+        'nao2': '挠呶猱硇铙蛲',
+        'nao3': '脑恼垴瑙',
+        'nao4': '闹',
+        'ne4': '讷疒',
+        'nei3': '馁',
+        'nen4': '嫩',
+        'ni1': '妮',
+        'ni2': '霓倪尼坭猊怩铌鲵',
+        'ni3': '拟你旎',
+        'ni4': '匿腻逆昵睨',
+        'nian1': '蔫拈',
+        'nian2': '年黏鲇鲶',
+        'nian3': '碾撵辇',
+        'nian4': '念廿埝',
+        'niang2': '娘',
+        'niang4': '酿',
+        'niao3': '鸟茑嬲袅',
+        'niao4': '脲',
+        'nie1': '捏',
+        'nie4': '聂孽啮镊镍涅陧蘖嗫颞臬蹑',
+        'nin2': '您',
+        'ning2': '柠狞凝咛聍',
+        'ning4': '泞佞',
+        'niu1': '妞',
+        'niu2': '牛',
+        'niu3': '扭钮纽狃忸',
+        'nong2': '脓浓农侬哝',
+        'nou4': '耨',
+        'nu2': '奴孥驽',
+        'nu3': '努弩胬',
+        'nu4': '怒',
+        'nuan3': '暖',
+        'nuo2': '挪傩',
+        'nuo4': '懦糯诺搦锘',
+        'nv3': '钕',
+        'nv4': '恧衄',
+        'nve4': '虐',
+        'o1': '噢',
+        'ou1': '欧鸥殴讴瓯',
+        'ou3': '藕偶耦',
+        'ou4': '怄',
+        'pa1': '啪趴葩',
+        'pa2': '爬琶杷筢',
+        'pa4': '帕怕',
+        'pai1': '拍',
+        'pai2': '牌徘俳',
+        'pai4': '湃派蒎哌',
+        'pan1': '攀潘',
+        'pan2': '盘磐丬爿蟠蹒',
+        'pan4': '盼畔判叛泮袢襻',
+        'pang1': '乓滂',
+        'pang2': '庞逄螃',
+        'pang3': '耪',
+        'pao1': '抛脬',
+        'pao2': '咆袍匏狍庖',
+        'pao4': '疱',
+        'pei1': '呸胚醅',
+        'pei2': '培裴赔陪锫',
+        'pei4': '配佩沛辔帔旆霈',
+        'pen2': '盆湓',
+        'peng1': '砰抨烹嘭怦',
+        'peng2': '澎蓬棚硼篷膨朋鹏蟛',
+        'peng3': '捧',
+        'peng4': '碰',
+        'pi1': '坯砒霹批披丕陴邳噼',
+        'pi2': '琵毗啤脾疲皮郫鼙枇罴蚍蜱貔',
+        'pi3': '匹痞圮庀癖',
+        'pi4': '僻屁譬媲甓',
+        'pian1': '篇偏犏翩',
+        'pian2': '骈胼蹁',
+        'pian3': '谝',
+        'pian4': '骗',
+        'piao1': '飘剽嘌螵',
+        'piao2': '瓢',
+        'piao3': '殍瞟',
+        'pie1': '瞥氕',
+        'pie3': '丿苤',
+        'pin1': '拼姘',
+        'pin2': '贫嫔颦',
+        'pin3': '品榀',
+        'pin4': '聘牝',
+        'ping1': '乒俜娉',
+        'ping2': '坪萍平凭瓶评枰鲆',
+        'po1': '坡泼颇钋',
+        'po2': '婆鄱皤',
+        'po3': '叵钷笸',
+        'po4': '破魄粕珀',
+        'pou1': '剖',
+        'pou2': '裒',
+        'pu1': '扑噗攴攵',
+        'pu2': '莆葡菩蒲匍濮璞镤',
+        'pu3': '圃普浦谱溥氆镨蹼',
+        'qi1': '欺戚七凄漆柒沏萋嘁桤欹',
+        'qi2': '棋歧畦崎脐旗祈祁骑亓芪萁蕲岐淇骐琪琦祺颀蛴蜞綦鳍麒',
+        'qi3': '起乞企启芑屺绮杞',
+        'qi4': '器气迄弃汽泣讫葺汔憩碛',
+        'qia1': '掐葜',
+        'qia4': '恰洽髂',
+        'qian1': '牵扦钎千迁签仟谦佥阡芊岍悭骞搴褰愆',
+        'qian2': '黔钱钳前潜掮钤虔箝',
+        'qian3': '遣谴缱肷',
+        'qian4': '堑欠歉倩芡茜椠',
+        'qiang1': '枪腔羌戕锖锵蜣',
+        'qiang2': '墙蔷嫱樯',
+        'qiang3': '镪襁羟',
+        'qiang4': '炝',
+        'qiao1': '橇锹敲劁硗跷',
+        'qiao2': '桥瞧乔侨谯荞憔樵鞒',
+        'qiao3': '巧愀',
+        'qiao4': '撬峭窍诮',
+        'qie2': '茄',
+        'qie4': '怯窃惬妾挈锲箧',
+        'qin1': '钦侵衾',
+        'qin2': '秦琴勤芹擒禽芩嗪噙檎螓',
+        'qin3': '寝锓',
+        'qin4': '沁揿吣',
+        'qing1': '青轻氢倾卿清圊蜻鲭',
+        'qing2': '擎晴氰情檠黥',
+        'qing3': '顷请苘謦',
+        'qing4': '庆磬罄',
+        'qiong2': '琼穷邛茕穹蛩筇跫銎',
+        'qiu1': '秋丘邱楸蚯鳅',
+        'qiu2': '球求囚酋泅俅巯犰逑遒赇虬蝤裘鼽',
+        'qiu3': '糗',
+        'qu1': '蛆躯屈驱诎岖祛蛐麴黢',
+        'qu2': '劬蕖蘧衢璩氍磲鸲癯蠼',
+        'qu3': '取娶龋',
+        'qu4': '去阒',
+        'quan1': '悛',
+        'quan2': '颧权醛泉全痊拳诠荃辁铨蜷筌鬈',
+        'quan3': '犬犭绻畎',
+        'quan4': '劝',
+        'que1': '缺炔',
+        'que2': '瘸',
+        'que4': '却鹊榷确阕悫',
+        'qun1': '逡',
+        'qun2': '裙群',
+        'ran2': '然燃蚺髯',
+        'ran3': '冉染苒',
+        'rang2': '瓤禳穰',
+        'rang3': '壤攘',
+        'rang4': '让',
+        'rao2': '饶荛',
+        'rao3': '扰',
+        'rao4': '绕',
+        're3': '惹',
+        're4': '热',
+        'ren2': '壬仁人亻',
+        'ren3': '忍荏稔',
+        'ren4': '韧认刃妊纫仞饪轫衽',
+        'reng1': '扔',
+        'reng2': '仍',
+        'ri4': '日',
+        'rong2': '戎茸蓉荣融熔溶容绒嵘狨榕蝾',
+        'rong3': '冗',
+        'rou2': '揉柔糅蹂鞣',
+        'rou4': '肉',
+        'ru2': '茹蠕儒孺如薷嚅濡铷襦颥',
+        'ru3': '辱乳汝',
+        'ru4': '入褥蓐洳溽缛',
+        'ruan3': '软阮朊',
+        'rui2': '蕤',
+        'rui3': '蕊',
+        'rui4': '瑞锐芮枘睿蚋',
+        'run4': '闰润',
+        'ruo4': '弱偌箬',
+        'sa1': '仨',
+        'sa4': '萨卅脎飒',
+        'sai1': '腮噻',
+        'sai4': '赛',
+        'san1': '三叁毵',
+        'san3': '伞馓',
+        'sang1': '桑',
+        'sang3': '嗓搡磉颡',
+        'sao1': '搔缫鳋',
+        'sao3': '嫂',
+        'sao4': '瘙',
+        'se4': '瑟色涩啬铯穑',
+        'sen1': '森',
+        'seng1': '僧',
+        'sha1': '砂杀纱铩痧裟鲨',
+        'sha2': '啥',
+        'sha3': '傻',
+        'sha4': '唼歃霎',
+        'shai1': '筛',
+        'shai4': '晒',
+        'shan1': '珊山删煽衫芟潸舢跚',
+        'shan3': '闪陕',
+        'shan4': '擅赡膳善汕缮讪鄯嬗骟疝蟮鳝',
+        'shang1': '墒伤商殇熵觞',
+        'shang3': '赏晌垧',
+        'shang4': '尚绱',
+        'shao1': '烧筲艄',
+        'shao2': '芍勺韶',
+        'shao4': '哨邵绍劭潲',
+        'she1': '奢赊猞畲',
+        'she2': '舌佘',
+        'she4': '赦慑涉社设厍滠麝',
+        'shen1': '砷申呻伸身深娠绅诜',
+        'shen2': '神',
+        'shen3': '审婶谂哂渖矧',
+        'shen4': '肾慎渗葚胂蜃',
+        'sheng1': '声生甥牲升笙',
+        'sheng2': '绳',
+        'sheng3': '眚',
+        'sheng4': '剩胜圣嵊',
+        'shi1': '师失狮施湿诗尸虱蓍酾鲺',
+        'shi2': '十时蚀实埘饣炻鲥',
+        'shi3': '史矢使屎驶始豕',
+        'shi4': '式示士世柿事拭誓逝势是嗜噬适仕侍释饰市恃室视试谥弑轼贳礻铈舐筮',
+        'shou1': '收',
+        'shou3': '手首守扌艏',
+        'shou4': '寿授售受瘦兽狩绶',
+        'shu1': '蔬枢梳殊抒输叔舒淑疏书倏菽摅姝纾毹殳',
+        'shu2': '赎孰熟塾秫',
+        'shu3': '薯暑曙署蜀黍鼠',
+        'shu4': '述树束戍竖墅庶漱恕沭腧',
+        'shua1': '唰',
+        'shua3': '耍',
+        'shuai1': '摔',
+        'shuai3': '甩',
+        'shuai4': '帅蟀',
+        'shuan1': '栓拴闩',
+        'shuan4': '涮',
+        'shuang1': '霜双孀',
+        'shuang3': '爽',
+        'shui2': '谁',
+        'shui3': '水氵',
+        'shui4': '睡税',
+        'shun3': '吮',
+        'shun4': '瞬顺舜',
+        'shuo4': '朔烁蒴搠妁槊铄',
+        'si1': '斯撕嘶私司丝厮咝澌纟缌锶鸶蛳',
+        'si3': '死',
+        'si4': '肆寺嗣四饲巳兕汜泗姒驷祀耜笥',
+        'song1': '松凇菘崧嵩淞',
+        'song3': '耸怂悚竦',
+        'song4': '颂送宋讼诵',
+        'sou1': '搜艘嗖馊溲飕锼螋',
+        'sou3': '叟薮嗾瞍',
+        'sou4': '嗽',
+        'su1': '酥稣',
+        'su2': '俗',
+        'su4': '素速粟僳塑溯诉肃夙谡蔌嗉愫涑簌觫',
+        'suan1': '酸狻',
+        'suan4': '蒜算',
+        'sui1': '虽荽濉',
+        'sui2': '随绥',
+        'sui3': '髓',
+        'sui4': '碎岁穗遂隧祟谇邃燧',
+        'sun1': '荪狲飧',
+        'sun3': '损笋榫隼',
+        'suo1': '蓑梭唆嗦嗍娑桫睃羧',
+        'suo3': '琐索锁所唢',
+        'ta1': '塌他它溻趿',
+        'ta3': '塔獭鳎',
+        'ta4': '挞蹋踏闼遢榻',
+        'tai1': '胎',
+        'tai2': '抬邰薹骀炱跆鲐',
+        'tai4': '泰酞太态汰肽钛',
+        'tan1': '坍摊贪瘫滩',
+        'tan2': '坛檀痰潭谭谈郯昙锬',
+        'tan3': '坦毯袒忐钽',
+        'tan4': '碳探叹炭',
+        'tang1': '镗羰',
+        'tang2': '塘搪堂棠膛唐糖溏瑭樘螗螳醣',
+        'tang3': '躺傥耥',
+        'tang4': '烫',
+        'tao1': '掏涛滔绦韬饕',
+        'tao2': '萄桃逃淘陶鼗啕洮',
+        'tao3': '讨',
+        'tao4': '套',
+        'te4': '特忑慝铽',
+        'teng2': '藤腾疼誊滕',
+        'ti1': '梯剔踢锑',
+        'ti2': '题蹄啼缇鹈',
+        'ti4': '替嚏惕涕剃屉倜悌逖',
+        'tian1': '天添',
+        'tian2': '田甜恬阗畋',
+        'tian3': '舔腆忝殄',
+        'tian4': '掭',
+        'tiao1': '佻祧',
+        'tiao2': '迢蜩笤龆鲦髫',
+        'tiao4': '眺粜',
+        'tie1': '贴萜',
+        'tie3': '铁',
+        'tie4': '餮',
+        'ting1': '厅听烃汀',
+        'ting2': '廷停亭庭莛葶婷蜓霆',
+        'ting3': '挺艇',
+        'tong1': '通嗵',
+        'tong2': '桐酮瞳铜彤童佟仝茼潼砼',
+        'tong3': '桶捅筒统',
+        'tong4': '痛恸',
+        'tou1': '偷',
+        'tou2': '投亠骰',
+        'tou4': '透',
+        'tu1': '凸秃突',
+        'tu2': '图徒途涂屠荼酴',
+        'tu3': '土钍',
+        'tu4': '兔堍',
+        'tuan1': '湍',
+        'tuan2': '团抟',
+        'tuan3': '疃',
+        'tuan4': '彖',
+        'tui1': '推',
+        'tui2': '颓',
+        'tui3': '腿',
+        'tui4': '蜕退煺',
+        'tun1': '吞暾',
+        'tun2': '臀饨豚',
+        'tun3': '氽',
+        'tuo1': '拖托脱',
+        'tuo2': '鸵陀驮驼佗坨沱橐砣酡跎鼍',
+        'tuo3': '椭妥庹',
+        'tuo4': '唾柝箨',
+        'wa1': '挖蛙洼娲',
+        'wa2': '娃',
+        'wa3': '佤',
+        'wa4': '袜腽',
+        'wai1': '歪',
+        'wai4': '外',
+        'wan1': '豌弯湾剜蜿',
+        'wan2': '玩顽丸烷完芄纨',
+        'wan3': '碗挽晚皖惋婉绾琬脘畹',
+        'wan4': '腕',
+        'wang1': '汪',
+        'wang3': '枉网往罔惘辋魍',
+        'wang4': '旺望忘妄',
+        'wei1': '威巍微危偎隈葳薇逶煨',
+        'wei2': '韦违桅围唯惟潍维帏帷嵬闱沩涠',
+        'wei3': '苇萎伟伪纬诿猥洧娓玮韪炜痿艉鲔',
+        'wei4': '未蔚味畏胃喂魏位渭谓慰卫猬軎',
+        'wen1': '瘟温',
+        'wen2': '蚊文闻阌雯',
+        'wen3': '吻稳紊刎',
+        'wen4': '问璺',
+        'weng1': '嗡翁',
+        'weng3': '蓊',
+        'weng4': '瓮蕹',
+        'wo1': '蜗窝莴',
+        'wo3': '我',
+        'wo4': '卧握沃幄渥肟硪龌',
+        'wu1': '巫呜钨乌污诬屋邬圬',
+        'wu2': '无芜梧吴毋浯蜈鼯',
+        'wu3': '武五捂午舞伍侮仵庑怃忤迕妩牾鹉',
+        'wu4': '坞戊雾晤物勿务悟误兀阢寤婺骛杌焐鹜痦鋈',
+        'xi1': '昔熙析西硒矽晰嘻吸锡牺稀息希悉膝夕惜熄烯溪汐犀僖兮郗菥奚唏浠淅嬉樨曦欷熹皙穸蜥螅蟋舾羲粞翕醯鼷',
+        'xi2': '檄袭席习媳隰觋',
+        'xi3': '喜葸蓰徙屣玺禧',
+        'xi4': '隙细饩阋禊舄',
+        'xia1': '瞎呷',
+        'xia2': '匣霞辖暇峡侠狭狎遐瑕柙硖黠',
+        'xia4': '下夏罅',
+        'xian1': '掀锨先仙暹氙祆籼酰跹',
+        'xian2': '咸贤衔舷闲涎弦嫌娴鹇痫',
+        'xian3': '显险冼藓猃燹蚬筅跣',
+        'xian4': '现献腺馅羡宪陷限线苋岘霰',
+        'xiang1': '厢镶香箱襄湘乡芗葙骧缃',
+        'xiang2': '翔祥庠',
+        'xiang3': '想响享饷鲞飨',
+        'xiang4': '项橡像向象蟓',
+        'xiao1': '萧硝霄嚣销消宵哓潇逍骁绡枭枵蛸箫魈',
+        'xiao2': '淆崤',
+        'xiao3': '晓小筱',
+        'xiao4': '哮孝啸笑效',
+        'xie1': '楔歇蝎',
+        'xie2': '鞋协携斜胁谐偕勰撷缬',
+        'xie3': '写',
+        'xie4': '械卸蟹懈泻谢屑亵燮薤獬廨渫瀣邂绁榭榍躞',
+        'xin1': '薪锌欣辛新忻心馨忄昕歆鑫',
+        'xin2': '镡',
+        'xin4': '衅囟',
+        'xing1': '星腥猩惺',
+        'xing2': '刑型形邢陉饧硎',
+        'xing3': '醒擤',
+        'xing4': '幸杏性姓荇悻',
+        'xiong1': '兄凶胸匈汹芎',
+        'xiong2': '雄熊',
+        'xiu1': '修羞咻馐庥鸺貅髹',
+        'xiu3': '朽',
+        'xiu4': '嗅锈秀袖绣岫溴',
+        'xu1': '墟戌需虚须顼盱胥',
+        'xu2': '徐',
+        'xu3': '诩栩糈醑',
+        'xu4': '蓄酗叙旭序恤絮婿绪续勖蓿洫溆煦',
+        'xuan1': '轩喧宣儇谖萱揎暄煊',
+        'xuan2': '悬玄漩璇痃',
+        'xuan3': '选癣',
+        'xuan4': '眩绚泫渲楦炫碹铉镟',
+        'xue1': '靴薛',
+        'xue2': '学穴泶踅',
+        'xue3': '雪鳕',
+        'xue4': '谑',
+        'xun1': '勋埙薰獯曛醺',
+        'xun2': '循旬询寻巡荀峋恂洵浔鲟',
+        'xun4': '驯殉汛训讯逊迅巽蕈徇',
+        'ya1': '押鸦鸭丫垭桠',
+        'ya2': '芽牙蚜崖衙涯伢岈琊睚',
+        'ya3': '雅痖',
+        'ya4': '亚讶轧揠迓娅氩砑',
+        'yan1': '焉阉烟淹鄢菸崦恹嫣胭',
+        'yan2': '盐严蜒岩延言颜阎炎沿讠闫妍檐筵',
+        'yan3': '掩眼衍演厣俨偃兖郾琰罨魇鼹',
+        'yan4': '艳堰厌砚雁唁彦焰宴谚验赝谳滟晏焱酽餍',
+        'yang1': '殃央鸯秧泱',
+        'yang2': '杨扬佯疡洋阳徉炀蛘',
+        'yang3': '氧痒养',
+        'yang4': '样漾怏恙',
+        'yao1': '邀腰妖夭吆幺',
+        'yao2': '瑶摇尧遥窑谣姚爻徭珧轺肴鳐',
+        'yao3': '咬舀崾杳窈',
+        'yao4': '药耀曜鹞',
+        'ye1': '椰噎',
+        'ye2': '爷揶铘',
+        'ye3': '野冶也',
+        'ye4': '页业曳腋夜液靥谒邺晔烨',
+        'yi1': '一壹医揖铱依伊衣咿噫漪衤黟',
+        'yi2': '颐夷遗移仪胰沂宜姨彝圯咦嶷饴怡贻痍',
+        'yi3': '蚁倚已乙矣以苡旖钇舣酏',
+        'yi4': '艺抑易邑屹亿役臆逸肄疫亦裔意毅忆义益溢诣议谊译异翼翌绎刈劓佾埸懿薏弈奕挹弋呓峄怿悒驿缢殪轶熠镒镱瘗癔翊蜴羿翳',
+        'yin1': '茵因音阴姻堙喑洇氤铟',
+        'yin2': '吟银淫寅鄞垠狺夤霪',
+        'yin3': '饮尹引瘾蚓',
+        'yin4': '印胤茚',
+        'ying1': '英樱婴鹰缨莺撄嘤膺瑛璎鹦罂',
+        'ying2': '莹萤营荧蝇迎赢盈嬴茔萦蓥滢潆瀛楹',
+        'ying3': '影颖郢瘿颍',
+        'ying4': '硬映媵',
+        'yo1': '唷',
+        'yong1': '拥臃痈庸雍壅墉慵邕镛鳙饔',
+        'yong2': '喁',
+        'yong3': '踊蛹咏泳永恿勇俑甬',
+        'yong4': '用',
+        'you1': '幽优悠忧攸呦',
+        'you2': '尤由邮铀犹油游莜莸尢猷疣蚰蝣鱿',
+        'you3': '酉友卣莠牖铕黝',
+        'you4': '右佑釉诱又幼侑囿宥蚴鼬',
+        'yu1': '迂淤纡瘀',
+        'yu2': '于盂榆虞愚舆余逾鱼渝渔隅娱谀萸揄嵛狳馀妤瑜觎腴欤窬蝓竽臾舁雩',
+        'yu3': '屿禹宇羽伛俣圄圉庾瘐窳龉',
+        'yu4': '玉域芋郁遇喻峪御愈欲狱育誉浴寓裕预豫驭毓谕蓣饫阈鬻妪昱煜燠肀聿钰鹆鹬蜮',
+        'yuan1': '鸳渊冤眢鸢',
+        'yuan2': '元垣袁原援辕园圆猿源缘塬沅橼爰螈鼋',
+        'yuan4': '苑愿怨院掾瑗',
+        'yue1': '曰',
+        'yue4': '越跃岳粤月悦阅龠瀹樾刖钺',
+        'yun1': '氲',
+        'yun2': '耘云郧匀芸纭昀',
+        'yun3': '陨允狁殒',
+        'yun4': '运蕴酝韵孕郓恽愠',
+        'za1': '匝咂',
+        'za2': '砸杂',
+        'zai1': '栽哉灾',
+        'zai3': '宰崽',
+        'zai4': '再在',
+        'zan1': '簪糌',
+        'zan3': '昝趱',
+        'zan4': '暂赞瓒錾',
+        'zang1': '赃',
+        'zang3': '驵',
+        'zang4': '葬',
+        'zao1': '遭糟',
+        'zao2': '凿',
+        'zao3': '藻枣早澡蚤',
+        'zao4': '躁噪造皂灶燥唣',
+        'ze2': '则赜啧帻迮箦舴',
+        'ze4': '仄昃',
+        'zei2': '贼',
+        'zen3': '怎',
+        'zen4': '谮',
+        'zeng1': '增憎罾',
+        'zeng4': '赠甑锃',
+        'zha1': '渣揸哳齄',
+        'zha2': '札铡闸',
+        'zha3': '眨砟',
+        'zha4': '榨乍诈咤痄蚱',
+        'zhai1': '摘斋',
+        'zhai2': '宅',
+        'zhai3': '窄',
+        'zhai4': '债寨砦瘵',
+        'zhan1': '瞻毡詹沾谵旃',
+        'zhan3': '盏斩展搌',
+        'zhan4': '蘸栈战站湛绽',
+        'zhang1': '樟章彰漳张鄣獐嫜璋蟑',
+        'zhang3': '掌仉',
+        'zhang4': '杖丈帐账仗胀瘴障幛嶂',
+        'zhao1': '招昭钊',
+        'zhao3': '找沼',
+        'zhao4': '赵照罩兆肇诏笊',
+        'zhe1': '遮',
+        'zhe2': '哲蛰辙谪摺辄磔蜇',
+        'zhe3': '者锗褶赭',
+        'zhe4': '蔗浙柘鹧',
+        'zhen1': '珍斟真甄砧臻贞针侦帧蓁浈桢榛胗祯箴',
+        'zhen3': '枕疹诊缜轸畛稹',
+        'zhen4': '震振镇阵圳赈朕鸩',
+        'zheng1': '蒸睁征狰争怔峥铮筝',
+        'zheng3': '整拯',
+        'zheng4': '政郑证诤',
+        'zhi1': '芝支蜘肢脂汁之卮栀胝祗',
+        'zhi2': '职直植执值侄埴摭絷跖踯',
+        'zhi3': '址指止趾旨纸芷咫枳轵祉黹酯',
+        'zhi4': '志挚掷至致置帜制智秩稚质炙痔滞治窒陟郅帙忮彘骘栉桎轾贽膣雉鸷痣蛭踬豸觯',
+        'zhong1': '盅忠钟衷终锺螽舯',
+        'zhong3': '肿冢踵',
+        'zhong4': '仲众',
+        'zhou1': '舟周州洲诌',
+        'zhou2': '妯碡',
+        'zhou3': '肘帚',
+        'zhou4': '咒皱宙昼骤荮纣绉胄籀酎',
+        'zhu1': '珠株蛛猪诸诛侏邾茱洙潴槠橥铢',
+        'zhu2': '逐竹烛瘃舳躅',
+        'zhu3': '煮拄瞩嘱主丶渚麈',
+        'zhu4': '柱蛀贮铸住注祝驻伫苎杼炷疰箸翥',
+        'zhua1': '抓',
+        'zhuan1': '专砖颛',
+        'zhuan4': '撰赚篆啭馔',
+        'zhuang1': '桩庄装妆',
+        'zhuang4': '撞壮状',
+        'zhui1': '锥骓',
+        'zhui4': '赘坠缀惴缒',
+        'zhun1': '谆窀',
+        'zhun3': '准',
+        'zhuo1': '捉拙桌倬涿',
+        'zhuo2': '卓茁酌啄灼浊诼擢浞禚斫镯',
+        'zi1': '咨资姿滋淄孜谘嵫孳缁辎赀锱趑訾龇鲻髭',
+        'zi3': '紫籽滓子茈姊梓秭耔笫',
+        'zi4': '自渍字恣眦',
+        'zong1': '鬃棕踪宗腙',
+        'zong3': '总偬',
+        'zong4': '粽',
+        'zou1': '邹诹陬鄹驺鲰',
+        'zou3': '走',
+        'zou4': '奏揍',
+        'zu1': '租菹',
+        'zu2': '足族镞',
+        'zu3': '祖诅阻组俎',
+        'zuan1': '躜',
+        'zuan3': '纂缵',
+        'zuan4': '攥',
+        'zui3': '嘴',
+        'zui4': '醉最罪蕞',
+        'zun1': '尊遵樽鳟',
+        'zun3': '撙',
+        'zuo1': '嘬',
+        'zuo2': '昨',
+        'zuo3': '左佐',
+        'zuo4': '做作坐座阼唑胙祚酢'
+    };
+
+
+    /* ==========================================================================
+       多音字表
+       汉字 → 全部读音（逗号分隔，常用读音在前）
+       ========================================================================== */
+    var POLYPHONES = {
+        '啊': 'a1,a2,a3,a4,a', '阿': 'a1,e1', '挨': 'ai1,ai2', '唉': 'ai1,ai4', '艾': 'ai4,yi4',
+        '凹': 'ao1,wa1', '熬': 'ao1,ao2', '奥': 'ao4,yu4', '扒': 'ba1,pa2', '吧': 'ba,ba1',
+        '把': 'ba3,ba4', '耙': 'ba4,pa2', '罢': 'ba4,ba,pi2', '柏': 'bai3,bo2,bo4', '拌': 'ban4,pan4',
+        '榜': 'bang3,bang4', '膀': 'bang3,pang2', '磅': 'bang4,pang2', '蚌': 'bang4,beng4',
+        '剥': 'bao1,bo1', '薄': 'bao2,bo2,bo4', '堡': 'bao3,bu3,pu4', '暴': 'bao4,pu4', '北': 'bei3,bei4',
+        '背': 'bei4,bei1', '被': 'bei4,pi1', '奔': 'ben1,ben4', '绷': 'beng1,beng3,beng4',
+        '辟': 'bi4,pi4', '臂': 'bi4,bei', '扁': 'bian3,pian1', '便': 'bian4,pian2', '别': 'bie2,bie4',
+        '瘪': 'bie1,bie3', '并': 'bing4,bing1', '勃': 'bo2,bei4', '伯': 'bo2,bai3,ba4', '泊': 'bo2,po1',
+        '卜': 'bu3,bo', '不': 'bu4,fou3', '簿': 'bu4,bo2', '采': 'cai3,cai4',
+        '参': 'can1,shen1,cen1,san1', '藏': 'cang2,zang4', '侧': 'ce4,ze4,zhai1', '叉': 'cha1,cha2,cha3',
+        '查': 'cha2,zha1', '碴': 'cha2,cha1', '差': 'cha4,cha1,chai1,ci1', '拆': 'chai1,ca1',
+        '掺': 'chan1,xian1,can4,shan3', '颤': 'chan4,zhan4', '场': 'chang2,chang3',
+        '长': 'chang2,zhang3', '厂': 'chang3,an1,han4', '倡': 'chang4,chang1', '朝': 'zhao1,chao2',
+        '嘲': 'chao2,zhao1', '吵': 'chao3,chao1', '车': 'che1,ju1', '称': 'cheng1,chen4,cheng4',
+        '乘': 'cheng2,sheng4', '澄': 'cheng2,deng4', '匙': 'chi2,shi', '尺': 'chi3,che3',
+        '冲': 'chong1,chong4', '仇': 'chou2,qiu2', '臭': 'chou4,xiu4', '处': 'chu3,chu4',
+        '揣': 'chuai3,chuai4,chuai1,tuan2,zhui1', '传': 'chuan2,zhuan4', '幢': 'chuang2,zhuang4',
+        '创': 'chuang4,chuang1', '淳': 'chun2,zhun1', '绰': 'chuo4,chao1', '刺': 'ci4,ci1',
+        '从': 'cong2,zong4', '撮': 'cuo1,zuo3', '答': 'da2,da1', '瘩': 'da2,da', '打': 'da3,da2',
+        '大': 'da4,dai4,tai4', '待': 'dai4,dai1', '担': 'dan1,dan4,dan3', '单': 'dan1,shan4,chan2',
+        '掸': 'dan3,shan4', '惮': 'dan4,da2', '弹': 'dan4,tan2', '当': 'dang1,dang4', '挡': 'dang3,dang4',
+        '倒': 'dao3,dao4', '得': 'de2,dei3,de', '的': 'de,di4,di2', '翟': 'di2,zhai2', '底': 'di3,de',
+        '地': 'di4,de', '弟': 'di4,ti4,tui2', '佃': 'dian4,tian2', '甸': 'dian4,tian2,sheng4',
+        '调': 'tiao2,diao4,zhou1', '丁': 'ding1,zheng1', '钉': 'ding1,ding4', '侗': 'dong4,tong2,tong3',
+        '斗': 'dou3,dou4', '都': 'dou1,du1', '毒': 'du2,dai4', '读': 'du2,dou4', '肚': 'du4,du3',
+        '度': 'du4,duo2', '兑': 'dui4,rui4,yue4', '敦': 'dun1,dui4', '囤': 'dun4,tun2', '垛': 'duo3,duo4',
+        '堕': 'duo4,hui1', '蛾': 'e2,yi3', '恶': 'e4,wu4,e3,wu1', '发': 'fa1,fa4', '番': 'fan1,pan1',
+        '繁': 'fan2,po2', '坊': 'fang1,fang2', '菲': 'fei1,fei3', '分': 'fen1,fen4', '份': 'fen4,bin1',
+        '风': 'feng1,feng3', '冯': 'feng2,ping2', '缝': 'feng2,feng4', '佛': 'fo2,fu2,bi4,bo2',
+        '否': 'fou3,pi3', '夫': 'fu1,fu2', '拂': 'fu2,bi4', '服': 'fu2,fu4', '副': 'fu4,pi4',
+        '父': 'fu4,fu3', '嘎': 'ga1,ga2,ga3', '盖': 'gai4,ge3,he2', '干': 'gan1,gan4', '杆': 'gan1,gan3',
+        '钢': 'gang1,gang4', '港': 'gang3,jiang3', '杠': 'gang4,gang1', '皋': 'gao1,hao2',
+        '膏': 'gao1,gao4', '镐': 'gao3,hao4', '搁': 'ge1,ge2', '胳': 'ge1,ge2', '疙': 'ge1,yi4',
+        '葛': 'ge2,ge3', '蛤': 'ge2,ha2', '个': 'ge4,ge3', '各': 'ge4,ge3', '给': 'gei3,ji3',
+        '更': 'geng1,geng4', '供': 'gong1,gong4', '共': 'gong4,gong1', '勾': 'gou1,gou4', '估': 'gu1,gu4',
+        '骨': 'gu3,gu1', '冠': 'guan1,guan4', '观': 'guan1,guan4', '广': 'guang3,an1',
+        '龟': 'gui1,jun1,qiu1', '柜': 'gui4,ju3', '棍': 'gun4,hun4', '过': 'guo4,guo,guo1',
+        '哈': 'ha1,ha3,ha4', '汗': 'han4,han2', '夯': 'hang1,ben4', '好': 'hao3,hao4', '号': 'hao4,hao2',
+        '呵': 'he1,a,ke1', '喝': 'he1,he4,ye4', '核': 'he2,hu2', '和': 'he2,he4,huo2,huo4,hu2',
+        '何': 'he2,he1,he4', '合': 'he2,ge3', '貉': 'he2,hao2,mo4', '嘿': 'hei1,mo4', '哼': 'heng1,hng',
+        '亨': 'heng1,peng1', '横': 'heng2,heng4', '哄': 'hong1,hong3,hong4', '红': 'hong2,gong1',
+        '侯': 'hou2,hou4', '糊': 'hu1,hu2,hu4', '唬': 'hu3,xia4', '哗': 'hua2,hua1',
+        '华': 'hua2,hua4,hua1', '划': 'hua2,hua4', '化': 'hua4,hua1', '还': 'hai2,huan2',
+        '晃': 'huang3,huang4', '会': 'hui4,kuai4', '混': 'hun4,hun2', '豁': 'huo1,huo4,hua2',
+        '稽': 'ji1,qi3', '缉': 'ji1,qi1', '几': 'ji1,ji3', '伎': 'ji4,qi2', '祭': 'ji4,zhai4',
+        '济': 'ji4,ji3', '纪': 'ji4,ji3', '夹': 'jia1,jia2,ga1', '家': 'jia1,jia,jie', '贾': 'jia3,gu3',
+        '假': 'jia3,jia4', '价': 'jia4,jie4,jie', '监': 'jian1,jian4', '间': 'jian1,jian4',
+        '槛': 'jian4,kan3', '见': 'jian4,xian4', '渐': 'jian4,jian1', '溅': 'jian4,jian1',
+        '将': 'jiang1,jiang4', '浆': 'jiang1,jiang4', '疆': 'jiang1,qiang2', '降': 'jiang4,xiang2',
+        '嚼': 'jiao2,jue2,jiao4', '矫': 'jiao3,jiao2', '侥': 'jiao3,yao2', '角': 'jiao3,jue2',
+        '缴': 'jiao3,zhuo2', '剿': 'jiao3,chao1', '教': 'jiao4,jiao1', '揭': 'jie1,qi4',
+        '节': 'jie2,jie1', '桔': 'ju2,jie2', '结': 'jie2,jie1', '解': 'jie3,jie4,xie4', '藉': 'jie4,ji2',
+        '芥': 'jie4,gai4', '仅': 'jin3,jin4', '禁': 'jin1,jin4', '尽': 'jin4,jin3', '劲': 'jin4,jing4',
+        '景': 'jing3,ying3', '颈': 'jing3,geng3', '净': 'jing4,cheng1', '拘': 'ju1,gou1',
+        '咀': 'ju3,zui3', '沮': 'ju3,ju4', '据': 'ju4,ju1', '句': 'ju4,gou1', '卷': 'juan4,juan3',
+        '撅': 'jue1,jue2', '倔': 'jue2,jue4', '觉': 'jue2,jiao4', '菌': 'jun1,jun4', '浚': 'jun4,xun4',
+        '咖': 'ka1,ga1', '卡': 'ka3,qia3', '咯': 'ka3,luo4,lo,ge1', '楷': 'kai3,jie1', '看': 'kan4,kan1',
+        '扛': 'kang2,gang1', '坷': 'ke1,ke3', '苛': 'ke1,he1', '壳': 'ke2,qiao4', '咳': 'ke2,hai1',
+        '可': 'ke3,ke4', '吭': 'hang2,keng1', '空': 'kong1,kong4,kong3', '夸': 'kua1,kua4',
+        '挎': 'kua4,ku1', '傀': 'kui3,gui1', '溃': 'kui4,hui4', '括': 'kuo4,gua1', '拉': 'la1,la2',
+        '腊': 'la4,xi1', '啦': 'la1,la', '郎': 'lang2,lang4', '姥': 'mu3,lao3', '烙': 'lao4,luo4',
+        '勒': 'le4,lei1', '乐': 'le4,yue4,yao4,lao4', '累': 'lei2,lei3,lei4', '擂': 'lei2,lei4',
+        '肋': 'lei4,le1', '棱': 'leng2,leng1,ling2', '丽': 'li4,li2', '哩': 'li,li3,li1',
+        '俩': 'liang3,lia3', '凉': 'liang2,liang4', '量': 'liang2,liang4', '撩': 'liao1,liao2',
+        '燎': 'liao2,liao3', '潦': 'lao3,lao4,liao2', '了': 'le,liao3', '裂': 'lie4,lie3',
+        '淋': 'lin2,lin4', '岭': 'ling3,ling2', '令': 'ling2,ling3,ling4', '溜': 'liu1,liu4',
+        '馏': 'liu4,liu2', '六': 'liu4,lu4', '笼': 'long2,long3', '搂': 'lou3,lou1', '碌': 'lu4,liu4',
+        '露': 'lu4,lou4', '率': 'shuai4,lv4', '绿': 'lv4,lu4', '抡': 'lun1,lun2', '纶': 'lun2,guan1',
+        '论': 'lun4,lun2', '落': 'luo4,la4,lao4', '络': 'luo4,lao4', '蚂': 'ma3,ma1,ma4', '嘛': 'ma2,ma',
+        '吗': 'ma,ma2,ma3', '埋': 'mai2,man2', '脉': 'mai4,mo4', '瞒': 'man2,men2', '蔓': 'man4,wan4',
+        '氓': 'mang2,meng2', '猫': 'mao1,mao2', '冒': 'mao4,mo4', '么': 'me,mo2,ma,yao1',
+        '没': 'mei2,mo4', '闷': 'men4,men1', '蒙': 'meng1,meng2,meng3', '眯': 'mi1,mi2', '糜': 'mi2,mei2',
+        '弥': 'mi2,mi3', '秘': 'mi4,bi4', '泌': 'mi4,bi4', '模': 'mo2,mu2', '磨': 'mo2,mo4',
+        '摩': 'mo2,ma1', '抹': 'mo3,mo4,ma1', '莫': 'mo4,mu4', '牟': 'mou2,mu4', '哪': 'na3,nei3,na,ne2',
+        '呐': 'na4,ne4', '那': 'na4,na3,nei4,na1', '娜': 'na4,nuo2', '南': 'nan2,na1',
+        '难': 'nan2,nan4,nuo2', '囊': 'nang2,nang1', '淖': 'nao4,chuo4,zhuo1', '呢': 'ne,ni2',
+        '内': 'nei4,na4', '能': 'neng2,nai4', '泥': 'ni2,ni4', '溺': 'ni4,niao4', '捻': 'nian3,nie1',
+        '尿': 'niao4,sui1', '宁': 'ning2,ning4,zhu4', '拧': 'ning2,ning3,ning4', '弄': 'nong4,long4',
+        '女': 'nv3,ru3', '疟': 'nve4,yao4', '哦': 'o2,o4,e2', '呕': 'ou3,ou1,ou4', '沤': 'ou4,ou1',
+        '排': 'pai2,pai3', '旁': 'pang2,bang4', '胖': 'pang4,pan2,pan4', '刨': 'pao2,bao4',
+        '炮': 'pao2,bao1,pao4', '跑': 'pao3,pao2', '泡': 'pao4,pao1', '喷': 'pen1,pen4',
+        '彭': 'peng2,bang1', '劈': 'pi1,pi3', '片': 'pian4,pian1', '漂': 'piao1,piao3,piao4',
+        '票': 'piao4,piao1', '撇': 'pie1,pie3', '频': 'pin2,bin1', '苹': 'ping2,peng1',
+        '屏': 'ping2,bing3', '迫': 'po4,pai3', '铺': 'pu1,pu4', '仆': 'pu1,pu2', '埔': 'pu3,bu4',
+        '朴': 'pu3,po4,po1,piao2', '曝': 'pu4,bao4', '瀑': 'pu4,bao4', '期': 'qi1,ji1', '栖': 'qi1,xi1',
+        '妻': 'qi1,qi4', '其': 'qi2,ji1', '奇': 'qi2,ji1', '齐': 'qi2,ji4,zi1,zhai1', '岂': 'qi3,kai3',
+        '契': 'qi4,qie4,xie4', '砌': 'qi4,qie4', '铅': 'qian1,yan2', '乾': 'qian2,gan1',
+        '浅': 'qian3,jian1', '嵌': 'qian4,kan4', '呛': 'qiang1,qiang4', '强': 'qiang2,qiang3,jiang4',
+        '抢': 'qiang1,qiang3,cheng1', '悄': 'qiao3,qiao1', '鞘': 'qiao4,shao1', '翘': 'qiao2,qiao4',
+        '俏': 'qiao4,xiao4', '切': 'qie1,qie4', '且': 'qie3,ju1', '亲': 'qin1,qing4', '趋': 'qu1,cu4',
+        '区': 'qu1,ou1', '曲': 'qu1,qu3', '渠': 'qu2,ju4', '趣': 'qu4,cu4', '圈': 'quan1,juan4,juan1',
+        '券': 'quan4,xuan4', '雀': 'que4,qiao1,qiao3', '嚷': 'rang3,rang1', '任': 'ren4,ren2',
+        '若': 'ruo4,re3', '撒': 'sa1,sa3', '洒': 'sa3,xi3', '鳃': 'sai1,xi3', '塞': 'sai1,sai4,se4',
+        '散': 'san4,san3', '丧': 'sang1,sang4', '骚': 'sao1,sao3', '扫': 'sao3,sao4', '莎': 'suo1,sha1',
+        '刹': 'cha4,sha1', '沙': 'sha1,sha4', '煞': 'sha1,sha4', '苫': 'shan1,shan4', '杉': 'shan1,sha1',
+        '扇': 'shan4,shan1', '上': 'shang4,shang3', '裳': 'chang2,shang', '梢': 'shao1,sao4',
+        '捎': 'shao1,shao4', '稍': 'shao1,shao4', '少': 'shao3,shao4', '蛇': 'she2,yi2',
+        '舍': 'she3,she4', '摄': 'she4,nie4', '射': 'she4,ye4,yi4', '沈': 'shen3,chen2',
+        '甚': 'shen4,shen2', '省': 'sheng3,xing3', '盛': 'sheng4,cheng2', '石': 'shi2,dan4',
+        '拾': 'shi2,she4', '什': 'shen2,shi2', '食': 'shi2,si4,yi4', '识': 'shi2,zhi4', '氏': 'shi4,zhi1',
+        '属': 'shu3,zhu3', '术': 'shu4,shu2,zhu2', '数': 'shu4,shu3,shuo4', '刷': 'shua1,shua4',
+        '衰': 'shuai1,cui1', '说': 'shuo1,shui4,yue4', '硕': 'shuo4,shi2', '思': 'si1,sai1',
+        '伺': 'si4,ci4', '似': 'si4,shi4', '擞': 'sou4,sou3', '苏': 'su1,su4', '宿': 'su4,xiu3,xiu4',
+        '隋': 'sui2,duo4', '孙': 'sun1,xun4', '缩': 'suo1,su4', '她': 'ta1,jie3', '苔': 'tai2,tai1',
+        '台': 'tai2,tai1', '汤': 'tang1,shang1', '倘': 'tang3,chang2', '淌': 'tang3,chang3',
+        '趟': 'tang4,tang1', '提': 'ti2,di1,di3', '体': 'ti3,ti1', '填': 'tian2,zhen4',
+        '挑': 'tiao1,tiao3', '条': 'tiao2,tiao1', '跳': 'tiao4,tao2', '帖': 'tie4,tie3,tie1',
+        '同': 'tong2,tong4', '头': 'tou2,tou', '吐': 'tu3,tu4', '褪': 'tui4,tun4', '屯': 'tun2,zhun1',
+        '拓': 'tuo4,ta4,zhi2', '哇': 'wa1,wa', '瓦': 'wa3,wa4', '宛': 'wan3,yuan1', '万': 'wan4,mo4',
+        '王': 'wang2,wang4', '亡': 'wang2,wu2', '为': 'wei2,wei4', '委': 'wei3,wei1', '尾': 'wei3,yi3',
+        '尉': 'wei4,yu4', '纹': 'wen2,wen4', '挝': 'zhua1,wo1', '涡': 'wo1,guo1', '斡': 'wo4,guan3',
+        '吾': 'wu2,yu4', '铣': 'xian3,xi3', '洗': 'xi3,xian3', '系': 'xi4,ji4', '戏': 'xi4,hu1',
+        '虾': 'xia1,ha1', '厦': 'sha4,xia4', '吓': 'xia4,he4', '鲜': 'xian1,xian3', '纤': 'xian1,qian4',
+        '县': 'xian4,xuan2', '相': 'xiang1,xiang4', '详': 'xiang2,yang2', '巷': 'xiang4,hang4',
+        '削': 'xiao1,xue1', '校': 'xiao4,jiao4', '肖': 'xiao1,xiao4', '些': 'xie1,suo4',
+        '挟': 'xie2,jia1', '邪': 'xie2,ya2,ye2,yu2,xu2', '泄': 'xie4,yi4', '芯': 'xin1,xin4',
+        '信': 'xin4,shen1', '兴': 'xing1,xing4', '行': 'xing2,hang2', '休': 'xiu1,xu3', '嘘': 'xu1,shi1',
+        '许': 'xu3,hu3', '畜': 'xu4,chu4', '旋': 'xuan2,xuan4', '血': 'xue4,xie3', '熏': 'xun1,xun4',
+        '压': 'ya1,ya4', '呀': 'ya1,ya', '哑': 'ya3,ya1', '咽': 'yan1,yan4,ye4', '研': 'yan2,yan4',
+        '奄': 'yan3,yan1', '燕': 'yan4,yan1', '羊': 'yang2,xiang2', '仰': 'yang3,ang2', '要': 'yao4,yao1',
+        '耶': 'ye2,ye1', '掖': 'ye4,ye1', '叶': 'ye4,xie2', '疑': 'yi2,ni3', '椅': 'yi3,yi1',
+        '荫': 'yin1,yin4', '殷': 'yin1,yan1,yin3', '隐': 'yin3,yin4', '应': 'ying1,ying4', '哟': 'yo1,yo',
+        '佣': 'yong1,yong4', '涌': 'yong3,chong1', '有': 'you3,you4', '俞': 'yu2,yu4,shu4',
+        '愉': 'yu2,tou1', '予': 'yu2,yu3', '雨': 'yu3,yu4', '与': 'yu3,yu4,yu2', '语': 'yu3,yu4',
+        '吁': 'xu1,yu4', '员': 'yuan2,yun2,yun4', '远': 'yuan3,yuan4', '约': 'yue1,yao1',
+        '钥': 'yue4,yao4', '晕': 'yun4,yun1', '载': 'zai3,zai4', '咱': 'zan2,za2,za3', '攒': 'zan3,cuan2',
+        '脏': 'zang1,zang4', '责': 'ze2,zhai4', '择': 'ze2,zhai2', '泽': 'ze2,shi4', '曾': 'zeng1,ceng2',
+        '扎': 'za1,zha1,zha2', '喳': 'zha1,cha1', '栅': 'zha4,shan1,shi,ce4', '咋': 'za3,ze2,zha1',
+        '炸': 'zha4,zha2', '粘': 'nian2,zhan1', '辗': 'zhan3,nian3', '崭': 'zhan3,chan2',
+        '占': 'zhan1,zhan4', '涨': 'zhang3,zhang4', '召': 'zhao4,shao4', '折': 'zhe1,zhe2,she2',
+        '这': 'zhe4,zhei4', '挣': 'zheng4,zheng1', '正': 'zheng4,zheng1', '症': 'zheng4,zheng1',
+        '枝': 'zhi1,qi2', '吱': 'zhi1,zi1', '知': 'zhi1,zhi4', '织': 'zhi1,zhi4', '殖': 'zhi2,shi',
+        '只': 'zhi1,zhi3', '峙': 'zhi4,shi4', '中': 'zhong1,zhong4', '种': 'zhong3,zhong4,chong2',
+        '重': 'zhong4,chong2', '粥': 'zhou1,yu4', '轴': 'zhou2,zhou4', '朱': 'zhu1,shu2',
+        '著': 'zhu4,zhuo2,zhe', '助': 'zhu4,chu2', '筑': 'zhu4,zhu2', '爪': 'zhao3,zhua3',
+        '拽': 'zhuai4,zhuai1,ye4', '转': 'zhuan3,zhuan4,zhuai3', '椎': 'zhui1,chui2', '追': 'zhui1,dui1',
+        '琢': 'zhuo2,zuo2', '着': 'zhe,zhuo2,zhao2,zhao1', '兹': 'zi1,ci2', '仔': 'zi1,zi3,zai3',
+        '综': 'zong1,zeng4', '纵': 'zong4,zong3', '卒': 'zu2,cu4', '钻': 'zuan1,zuan4', '柞': 'zuo4,zha4',
+        '丌': 'qi2,ji1', '鬲': 'ge2,li4', '禺': 'yu2,yu4,ou3', '乇': 'tuo1,zhe2', '氐': 'di1,di3',
+        '亟': 'ji2,qi4', '乜': 'mie1,nie4', '匮': 'kui4,gui4', '剌': 'la4,la2', '剡': 'yan3,shan4',
+        '仡': 'yi4,ge1', '仳': 'pi3,pi2', '伧': 'cang1,chen', '佚': 'yi4,die2', '佝': 'gou1,kou4',
+        '伲': 'ni3,ni4', '伽': 'qie2,jia1,ga1', '佴': 'er4,nai4', '俟': 'si4,qi2', '倭': 'wo1,wei1',
+        '倥': 'kong1,kong3', '偈': 'ji4,jie2', '偻': 'lv3,lou2', '僮': 'tong2,zhuang4', '儋': 'dan1,dan4',
+        '诒': 'yi2,dai4', '诘': 'jie2,ji2', '诶': 'ei1,ei2,ei3,ei4,xi1', '谌': 'chen2,shen4',
+        '陂': 'bei1,pi2,po1', '隗': 'wei3,kui2', '郄': 'qie4,xi4', '郇': 'xun2,huan2', '郦': 'li4,zhi2',
+        '哿': 'ge3,jia1', '廴': 'yin3,yin4', '凵': 'kan3,qian3', '厶': 'si1,mou3', '圩': 'wei2,xu1',
+        '圻': 'qi2,yin2', '坻': 'di3,chi2', '坶': 'mu4,mu3', '垌': 'dong4,tong2', '埏': 'yan2,shan1',
+        '垸': 'yuan4,huan2', '埤': 'pi2,pi4', '堋': 'peng2,beng4', '埽': 'sao4,sao3', '艽': 'jiao1,qiu2',
+        '芫': 'yuan2,yan2', '芾': 'fei4,fu2', '苣': 'ju4,qu3', '芘': 'bi4,pi2', '芴': 'wu4,hu1',
+        '苴': 'ju1,cha2', '苕': 'tiao2,shao2', '荑': 'yi2,ti2', '荠': 'ji4,qi2', '荥': 'xing2,ying1',
+        '荨': 'qian2,xun2', '莳': 'shi4,shi2', '莶': 'xian1,lian3', '莩': 'fu2,piao3', '莘': 'shen1,xin1',
+        '莞': 'guan1,guan3,wan3', '莨': 'lang4,liang2', '菟': 'tu4,tu2', '菀': 'wan3,yun4',
+        '蒉': 'kui4,kuai4', '蓼': 'liao3,lu4', '瞢': 'meng2,meng3', '奘': 'zang4,zhuang3',
+        '拚': 'pan4,pin1,fan1', '拗': 'ao3,ao4,niu4', '拮': 'jie2,jia2', '拶': 'za1,zan3',
+        '捋': 'luo1,lv3', '掊': 'pou3,pou2', '揲': 'she2,die2,ye4', '擗': 'pi3,bo4', '忒': 'te4,tui1',
+        '叨': 'tao1,dao1', '吒': 'zha4,zha1', '吖': 'ya1,a1', '吡': 'pi3,bi3', '呗': 'bei,bai4',
+        '呙': 'wai1,he2,wo3,wa1,gua3,guo1', '吲': 'yin3,shen3', '呱': 'gua1,gu1,gua3',
+        '咭': 'ji1,xi1,qia4', '咧': 'lie3,lie1,lie2,lie', '呲': 'zi1,ci1', '哕': 'yue3,hui4',
+        '哜': 'ji4,jie1,zhai1', '哏': 'gen2,hen3', '唠': 'lao4,lao2', '唔': 'wu4,wu2,n2',
+        '喏': 'nuo4,re3', '啉': 'lan2,lin2', '啁': 'zhou1,zhao1,tiao4', '啐': 'cui4,qi',
+        '啜': 'chuo4,chuai4', '喋': 'die2,zha2', '嗒': 'ta4,da1', '喽': 'lou2,lou', '喔': 'o1,wo1',
+        '嗑': 'ke1,ke4', '嗄': 'sha4,a2', '嗯': 'ng3,n2,n3', '嗳': 'ai3,ai4,ai1', '嗌': 'yi4,ai4',
+        '嗨': 'hai1,hei1', '嘞': 'lei,le1', '噱': 'jue2,xue2', '嚓': 'ca1,cha1', '囗': 'wei2,guo2',
+        '囝': 'jian3,nan1', '圜': 'huan2,yuan2', '帑': 'tang3,nu2', '帱': 'chou2,dao4',
+        '峒': 'tong2,dong4', '峤': 'jiao4,qiao2', '崴': 'wai3,wei1', '彷': 'pang2,fang3',
+        '徕': 'lai4,lai2', '徵': 'zhi3,zheng1', '徼': 'jiao3,jiao4', '彡': 'shan1,xian3',
+        '犴': 'han1,an4', '猗': 'yi1,yi3', '夂': 'zhi3,zhong1', '馕': 'nang2,nang3', '廑': 'jin3,qin2',
+        '忾': 'kai4,xi4', '忪': 'song1,zhong1', '怍': 'zuo4,zha4', '悝': 'kui1,li3', '慊': 'qian4,qie4',
+        '隳': 'hui1,duo4', '闶': 'kang4,kang1', '阙': 'que1,que4', '汩': 'gu3,yu4', '汶': 'wen4,men2',
+        '泷': 'long2,shuang1', '沲': 'tuo2,duo4', '泺': 'luo4,po1', '浍': 'kuai4,hui4', '浒': 'hu3,xu3',
+        '渎': 'du2,dou4', '淠': 'pi4,pei4', '渑': 'mian3,sheng2', '湮': 'yan1,yin1', '湫': 'qiu1,jiao3',
+        '溱': 'zhen1,qin2', '潢': 'huang2,guang1', '漯': 'luo4,ta4', '澍': 'shu4,zhu4', '澹': 'dan4,tan2',
+        '濞': 'bi4,pi4', '濯': 'zhuo2,zhao4', '宓': 'mi4,fu2', '甯': 'ning2,ning4', '迤': 'yi3,yi2',
+        '彐': 'ji4,xue3', '孱': 'chan2,can4', '屮': 'che4,cao3', '妃': 'fei1,pei4', '姗': 'shan1,shan4',
+        '娆': 'rao2,rao3', '姣': 'jiao1,xiao2', '媛': 'yuan4,yuan2', '嫖': 'piao2,piao1',
+        '骠': 'piao4,biao1', '纥': 'he2,ge1', '纰': 'pi1,pi2,bi3', '绨': 'ti2,ti4', '缋': 'hui4,hui2',
+        '缏': 'bian4,pian2', '缥': 'piao3,piao1', '缪': 'mou2,miu4,miao4,mu4,liao3', '缯': 'zeng1,zeng4',
+        '缲': 'qiao1,sao1', '甾': 'zai1,zi1', '玢': 'bin1,fen1', '玟': 'min2,wen2', '珲': 'hun2,hui1',
+        '韫': 'yun4,wen1', '杓': 'shao2,biao1', '杈': 'cha1,cha4', '杩': 'ma4,ma3', '枞': 'cong1,zong1',
+        '枋': 'fang1,bing4', '柚': 'you4,you2', '枸': 'ju3,gou3', '柢': 'di3,chi2', '栎': 'li4,yue4',
+        '柁': 'tuo2,duo4', '桡': 'rao2,nao2', '桄': 'guang1,guang4', '梃': 'ting3,ting4',
+        '栝': 'gua1,tian3', '桁': 'heng2,hang2', '桧': 'gui4,hui4', '棹': 'zhao4,zhuo1',
+        '棣': 'di4,dai4,ti4', '楱': 'cou4,zou4', '椹': 'zhen1,shen4', '楂': 'zha1,cha2',
+        '槟': 'bin1,bing1', '槭': 'qi4,se4', '戗': 'qiang1,qiang4', '臧': 'zang1,zang4,cang2',
+        '旰': 'gan4,han4', '炅': 'jiong3,gui4', '耆': 'qi2,shi4', '晟': 'sheng4,cheng2', '贲': 'bi4,ben1',
+        '觑': 'qu4,qu1', '犍': 'jian1,qian2', '挲': 'suo1,sha1', '擘': 'bo4,bai1', '肜': 'rong2,chen1',
+        '肫': 'zhun1,chun2', '朐': 'qu2,xu4,chun3', '腌': 'a1,yan1', '臊': 'sao1,sao4',
+        '膻': 'shan1,dan4', '歙': 'xi1,she4', '斐': 'fei3,fei1', '於': 'yu2,wu1', '旄': 'mao2,mao4',
+        '烊': 'yang2,yang4', '焯': 'zhuo1,chao1', '熨': 'yun4,yu4', '灬': 'huo3,biao1',
+        '禅': 'chan2,shan4', '恁': 'nen4,nin2', '戆': 'gang4,zhuang4', '沓': 'ta4,da2', '砉': 'xu1,hua1',
+        '砬': 'li4,la1,la2', '砩': 'fu2,fei4', '硌': 'luo4,ge4', '碣': 'jie2,ya4', '眙': 'yi2,chi4',
+        '眭': 'gui4,sui1', '睢': 'hui1,sui1', '睥': 'bi4,pi4', '町': 'ting3,ding1', '钌': 'liao3,liao4',
+        '钐': 'shan1,shan4', '钯': 'ba3,pa2', '钲': 'zheng1,zheng4', '钿': 'dian4,tian2',
+        '铊': 'ta1,tuo2', '铍': 'pi2,pi1', '铛': 'dang1,cheng1', '铤': 'ting3,ding4', '铪': 'ha1,ke1',
+        '铫': 'diao4,tiao2,yao2', '铴': 'tang4,tang1', '镉': 'ge2,li4', '疠': 'li4,lai4',
+        '痱': 'fei4,fei2', '瘅': 'dan4,dan1', '瘥': 'chai4,cuo2', '瘕': 'jia3,xia2,xia1',
+        '窕': 'tiao3,yao2', '窨': 'yin4,xun1', '袷': 'jia2,jie2,qia1', '裎': 'cheng2,cheng3',
+        '褚': 'zhu3,chu3', '裼': 'xi1,ti4', '裨': 'bi4,pi2', '疋': 'pi3,ya3,shu1',
+        '矜': 'jin1,qin2,guan1', '覃': 'tan2,qin2', '颉': 'jie2,xie2,jia2', '颌': 'he2,ge2',
+        '虺': 'hui3,hui1', '蚣': 'gong1,zhong1', '蟒': 'mang3,meng3', '蟆': 'ma2,mo4', '螫': 'shi4,zhe1',
+        '竺': 'zhu2,du3', '笮': 'zuo2,ze2', '筠': 'yun2,jun1', '箐': 'qing4,jing1', '箢': 'wan3,yuan1',
+        '簸': 'bo4,bo3', '粢': 'zi1,ci2', '糁': 'san3,shen1', '糸': 'mi4,si1', '綮': 'qing4,qi3',
+        '繇': 'yao2,you2,zhou4', '趄': 'qie4,ju1', '酊': 'ding1,ding3', '醍': 'ti2,ti3', '趵': 'bao4,bo1',
+        '跄': 'qiang1,qiang4', '跞': 'li4,luo4', '踉': 'liang2,liang4', '蹊': 'qi1,xi1',
+        '蹶': 'jue2,jue3', '觜': 'zi1,zui3', '靓': 'jing4,liang4', '龈': 'yin2,ken3',
+        '黾': 'min3,mian3,meng3', '隹': 'zhui1,cui1,wei2', '隽': 'jun4,juan4', '瞿': 'qu2,ju4',
+        '鲑': 'gui1,xie2', '鳜': 'gui4,jue2', '鞅': 'yang1,yang4', '鞔': 'man2,men4', '麽': 'mo2,me,ma',
+        '麇': 'jun1,qun2'
+    };
+
+
+    /* ==========================================================================
+       注册到 BoblogUI.pinyin
+       ========================================================================== */
+
+    var map = {};
+    var reading, chars, i;
+
+    for (reading in SINGLE) {
+        if (SINGLE.hasOwnProperty(reading)) {
+            chars = SINGLE[reading];
+            for (i = 0; i < chars.length; i++) {
+                map[chars.charAt(i)] = reading;
+            }
+        }
+    }
+    for (var ch in POLYPHONES) {
+        if (POLYPHONES.hasOwnProperty(ch)) {
+            map[ch] = POLYPHONES[ch];
+        }
+    }
+
+    window.BoblogUI = window.BoblogUI || {};
+    if (window.BoblogUI.pinyin && window.BoblogUI.pinyin.extend) {
+        window.BoblogUI.pinyin.extend(map);
+    } else {
+        /* 核心模块尚未加载：暂存，由 pinyin.js 初始化时合并 */
+        window.BoblogUI.pinyinData = map;
+    }
+
+})();
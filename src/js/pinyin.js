@@ -6,88 +6,269 @@
  * 2. 拼音首字母匹配 — 如 "js" 可匹配 "技术"
  * 3. 完整拼音匹配 — 如 "jishu" 可匹配 "技术"
  *
+ * 多音字会尝试全部读音，如 "yinhang" 和 "yinxing" 都能匹配 "银行"、"zhongxin" 和 "chongxin" 都能匹配 "重新"
+ *
  * 使用方式：
  *   BoblogUI.pinyin.matches("技术分享", "js");    // true（首字母匹配）
  *   BoblogUI.pinyin.matches("技术分享", "jishu"); // true（完整拼音匹配）
  *   BoblogUI.pinyin.matches("技术分享", "技术");  // true（直接匹配）
+ *   BoblogUI.pinyin.toPinyin("技术分享", { tone: true }); // "jì shù fēn xiǎng"
+ *
+ * 拼音数据：
+ *   - 核心模块只内置数百个常用字（带声调）
+ *   - 可选数据包 dist/pinyin-data.js 补全 GB2312 全部 6763 个汉字及多音字读音，在 boblog-ui.js 之后引入即可
+ *   - 其余生僻字通过 extend() 补充
  *
- * 扩展映射表：
- *   BoblogUI.pinyin.extend({ '赟': 'yun', '翀': 'chong' });
+ * 扩展映射表（读音可带声调，多音字用逗号分隔或传数组，常用读音在前）：
+ *   BoblogUI.pinyin.extend({ '赟': 'yun1', '翀': 'chōng', '吖': ['a1', 'ya1'] });
+ *
+ * 公开 API：
+ *   BoblogUI.pinyin.matches(text, search)        — 是否匹配（直接 / 首字母 / 全拼，多音字任一读音）
+ *   BoblogUI.pinyin.getMatchType(text, search)   — 匹配类型：'direct' | 'initials' | 'fullPinyin' | null
+ *   BoblogUI.pinyin.getPinyinInitials(str)       — 首字母序列（取常用读音）
+ *   BoblogUI.pinyin.getFullPinyin(str)           — 完整拼音，无声调、无空格（取常用读音）
+ *   BoblogUI.pinyin.toPinyin(str, options)       — 转为拼音文本，options: { tone, separator }
+ *   BoblogUI.pinyin.getReadings(char, options)   — 单字的全部读音数组，options: { tone }
+ *   BoblogUI.pinyin.extend(mappings)             — 扩展 / 覆盖映射表
  *
  * 向后兼容：同时挂载为 window.PinyinUtil，旧代码无需修改
  *
  * @module BoblogUI.pinyin
- * @version 1.0.0
+ * @version 1.1.0
  */
 (function() {
     'use strict';
 
     /* ==========================================================================
        汉字拼音映射表
-       包含常用汉字的拼音（小写、无声调），可通过 extend() 动态扩展
+       包含常用汉字的拼音：小写、数字标调（1–4 为四声，轻声不标），ü 写作 v，
+       多音字用逗号分隔且常用读音在前；可通过 extend() 或数据包 pinyin-data.js 扩展
        ========================================================================== */
     var PINYIN_MAP = {
         /* --- 技术/计算机相关 --- */
-        '技': 'ji', '术': 'shu', '基': 'ji', '数': 'shu', '计': 'ji',
-        '编': 'bian', '程': 'cheng', '开': 'kai', '发': 'fa',
-        '前': 'qian', '端': 'duan', '后': 'hou', '设': 'she',
-        '软': 'ruan', '硬': 'ying', '件': 'jian', '网': 'wang', '络': 'luo',
-        '系': 'xi', '统': 'tong', '据': 'ju', '库': 'ku',
-        '服': 'fu', '务': 'wu', '器': 'qi', '云': 'yun', '平': 'ping', '台': 'tai',
-        '移': 'yi', '动': 'dong', '应': 'ying', '用': 'yong',
-        '人': 'ren', '工': 'gong', '智': 'zhi', '能': 'neng', '机': 'ji',
-        '深': 'shen', '度': 'du', '算': 'suan', '法': 'fa', '模': 'mo', '型': 'xing',
-        '框': 'kuang', '架': 'jia', '组': 'zu', '插': 'cha', '扩': 'kuo', '展': 'zhan',
-        '配': 'pei', '置': 'zhi', '优': 'you', '化': 'hua', '性': 'xing',
-        '调': 'tiao', '试': 'shi', '错': 'cuo', '误': 'wu', '处': 'chu', '异': 'yi', '常': 'chang',
-        '接': 'jie', '口': 'kou', '规': 'gui', '范': 'fan', '标': 'biao', '准': 'zhun',
-        '协': 'xie', '议': 'yi', '格': 'ge', '式': 'shi', '版': 'ban', '本': 'ben',
-        '控': 'kong', '制': 'zhi', '更': 'geng', '功': 'gong', '需': 'xu', '求': 'qiu',
-        '析': 'xi', '源': 'yuan', '码': 'ma', '代': 'dai',
-        '测': 'ce', '部': 'bu', '署': 'shu', '运': 'yun', '维': 'wei',
-        '安': 'an', '全': 'quan', '密': 'mi', '钥': 'yue', '证': 'zheng', '书': 'shu',
+        '技': 'ji4', '术': 'shu4,shu2,zhu2', '基': 'ji1', '数': 'shu4,shu3,shuo4', '计': 'ji4',
+        '编': 'bian1', '程': 'cheng2', '开': 'kai1', '发': 'fa1,fa4',
+        '前': 'qian2', '端': 'duan1', '后': 'hou4', '设': 'she4',
+        '软': 'ruan3', '硬': 'ying4', '件': 'jian4', '网': 'wang3', '络': 'luo4,lao4',
+        '系': 'xi4,ji4', '统': 'tong3', '据': 'ju4,ju1', '库': 'ku4',
+        '服': 'fu2,fu4', '务': 'wu4', '器': 'qi4', '云': 'yun2', '平': 'ping2', '台': 'tai2,tai1',
+        '移': 'yi2', '动': 'dong4', '应': 'ying1,ying4', '用': 'yong4',
+        '人': 'ren2', '工': 'gong1', '智': 'zhi4', '能': 'neng2,nai4', '机': 'ji1',
+        '深': 'shen1', '度': 'du4,duo2', '算': 'suan4', '法': 'fa3', '模': 'mo2,mu2', '型': 'xing2',
+        '框': 'kuang4', '架': 'jia4', '组': 'zu3', '插': 'cha1', '扩': 'kuo4', '展': 'zhan3',
+        '配': 'pei4', '置': 'zhi4', '优': 'you1', '化': 'hua4,hua1', '性': 'xing4',
+        '调': 'tiao2,diao4,zhou1', '试': 'shi4', '错': 'cuo4', '误': 'wu4',
+        '处': 'chu3,chu4', '异': 'yi4', '常': 'chang2',
+        '接': 'jie1', '口': 'kou3', '规': 'gui1', '范': 'fan4', '标': 'biao1', '准': 'zhun3',
+        '协': 'xie2', '议': 'yi4', '格': 'ge2', '式': 'shi4', '版': 'ban3', '本': 'ben3',
+        '控': 'kong4', '制': 'zhi4', '更': 'geng1,geng4', '功': 'gong1', '需': 'xu1', '求': 'qiu2',
+        '析': 'xi1', '源': 'yuan2', '码': 'ma3', '代': 'dai4',
+        '测': 'ce4', '部': 'bu4', '署': 'shu3', '运': 'yun4', '维': 'wei2',
+        '安': 'an1', '全': 'quan2', '密': 'mi4', '钥': 'yue4,yao4', '证': 'zheng4', '书': 'shu1',
 
         /* --- 生活/分类相关 --- */
-        '分': 'fen', '类': 'lei', '生': 'sheng', '活': 'huo', '学': 'xue', '习': 'xi',
-        '作': 'zuo', '游': 'you', '戏': 'xi', '音': 'yin', '乐': 'le',
-        '影': 'ying', '视': 'shi', '读': 'du', '旅': 'lv', '行': 'xing',
-        '美': 'mei', '食': 'shi', '健': 'jian', '康': 'kang',
-        '科': 'ke', '新': 'xin', '闻': 'wen', '资': 'zi', '讯': 'xun',
-        '教': 'jiao', '育': 'yu', '文': 'wen', '章': 'zhang', '博': 'bo', '客': 'ke',
-        '日': 'ri', '记': 'ji', '笔': 'bi', '随': 'sui', '杂': 'za', '谈': 'tan',
-        '经': 'jing', '验': 'yan', '心': 'xin', '得': 'de', '总': 'zong', '结': 'jie',
-        '指': 'zhi', '南': 'nan', '入': 'ru', '门': 'men', '进': 'jin', '阶': 'jie',
-        '高': 'gao', '级': 'ji', '专': 'zhuan', '业': 'ye',
-        '产': 'chan', '品': 'pin', '项': 'xiang', '目': 'mu', '管': 'guan', '理': 'li',
-        '档': 'dang', '电': 'dian', '脑': 'nao', '手': 'shou', '板': 'ban',
-        '图': 'tu', '片': 'pian', '频': 'pin', '声': 'sheng',
+        '分': 'fen1,fen4', '享': 'xiang3', '类': 'lei4', '生': 'sheng1', '活': 'huo2', '学': 'xue2', '习': 'xi2',
+        '作': 'zuo4', '游': 'you2', '戏': 'xi4,hu1', '音': 'yin1', '乐': 'le4,yue4,yao4,lao4',
+        '影': 'ying3', '视': 'shi4', '读': 'du2,dou4', '旅': 'lv3', '行': 'xing2,hang2',
+        '美': 'mei3', '食': 'shi2,si4,yi4', '健': 'jian4', '康': 'kang1',
+        '科': 'ke1', '新': 'xin1', '闻': 'wen2', '资': 'zi1', '讯': 'xun4',
+        '教': 'jiao4,jiao1', '育': 'yu4', '文': 'wen2', '章': 'zhang1', '博': 'bo2', '客': 'ke4',
+        '日': 'ri4', '记': 'ji4', '笔': 'bi3', '随': 'sui2', '杂': 'za2', '谈': 'tan2',
+        '经': 'jing1', '验': 'yan4', '心': 'xin1', '得': 'de2,dei3,de', '总': 'zong3', '结': 'jie2,jie1',
+        '指': 'zhi3', '南': 'nan2,na1', '入': 'ru4', '门': 'men2', '进': 'jin4', '阶': 'jie1',
+        '高': 'gao1', '级': 'ji2', '专': 'zhuan1', '业': 'ye4',
+        '产': 'chan3', '品': 'pin3', '项': 'xiang4', '目': 'mu4', '管': 'guan3', '理': 'li3',
+        '档': 'dang4', '电': 'dian4', '脑': 'nao3', '手': 'shou3', '板': 'ban3',
+        '图': 'tu2', '片': 'pian4,pian1', '频': 'pin2,bin1', '声': 'sheng1',
 
         /* --- 常用字 --- */
-        '中': 'zhong', '国': 'guo', '上': 'shang', '下': 'xia', '左': 'zuo', '右': 'you',
-        '大': 'da', '小': 'xiao', '多': 'duo', '少': 'shao', '长': 'chang', '短': 'duan',
-        '快': 'kuai', '慢': 'man', '好': 'hao', '坏': 'huai', '对': 'dui', '是': 'shi', '否': 'fou',
-        '有': 'you', '无': 'wu', '在': 'zai', '不': 'bu', '和': 'he', '或': 'huo',
-        '的': 'de', '了': 'le', '着': 'zhe', '过': 'guo', '个': 'ge', '这': 'zhe', '那': 'na',
-        '一': 'yi', '二': 'er', '三': 'san', '四': 'si', '五': 'wu',
-        '六': 'liu', '七': 'qi', '八': 'ba', '九': 'jiu', '十': 'shi', '百': 'bai', '千': 'qian', '万': 'wan',
-        '年': 'nian', '月': 'yue', '时': 'shi', '秒': 'miao',
-        '今': 'jin', '天': 'tian', '明': 'ming', '昨': 'zuo',
-        '我': 'wo', '你': 'ni', '他': 'ta', '她': 'ta', '它': 'ta', '们': 'men',
-        '哪': 'na', '什': 'shen', '么': 'me', '谁': 'shui', '怎': 'zen', '样': 'yang',
-        '会': 'hui', '可': 'ke', '以': 'yi', '要': 'yao', '想': 'xiang', '做': 'zuo', '说': 'shuo',
-        '看': 'kan', '听': 'ting', '写': 'xie', '找': 'zhao', '给': 'gei', '让': 'rang', '把': 'ba', '被': 'bei',
-        '点': 'dian', '击': 'ji', '选': 'xuan', '择': 'ze', '确': 'que', '定': 'ding', '取': 'qu', '消': 'xiao',
-        '保': 'bao', '存': 'cun', '删': 'shan', '除': 'chu', '添': 'tian', '加': 'jia', '修': 'xiu', '改': 'gai',
-        '查': 'cha', '询': 'xun', '搜': 'sou', '索': 'suo', '显': 'xian', '示': 'shi', '隐': 'yin', '藏': 'cang'
+        '中': 'zhong1,zhong4', '国': 'guo2', '上': 'shang4,shang3', '下': 'xia4', '左': 'zuo3', '右': 'you4',
+        '大': 'da4,dai4,tai4', '小': 'xiao3', '多': 'duo1', '少': 'shao3,shao4', '长': 'chang2,zhang3', '短': 'duan3',
+        '快': 'kuai4', '慢': 'man4', '好': 'hao3,hao4', '坏': 'huai4', '对': 'dui4', '是': 'shi4', '否': 'fou3,pi3',
+        '有': 'you3,you4', '无': 'wu2', '在': 'zai4', '不': 'bu4,fou3', '和': 'he2,he4,huo2,huo4,hu2', '或': 'huo4',
+        '的': 'de,di4,di2', '了': 'le,liao3', '着': 'zhe,zhuo2,zhao2,zhao1', '过': 'guo4,guo,guo1',
+        '个': 'ge4,ge3', '这': 'zhe4,zhei4', '那': 'na4,na3,nei4,na1',
+        '一': 'yi1', '二': 'er4', '三': 'san1', '四': 'si4', '五': 'wu3',
+        '六': 'liu4,lu4', '七': 'qi1', '八': 'ba1', '九': 'jiu3',
+        '十': 'shi2', '百': 'bai3', '千': 'qian1', '万': 'wan4,mo4',
+        '年': 'nian2', '月': 'yue4', '时': 'shi2', '秒': 'miao3',
+        '今': 'jin1', '天': 'tian1', '明': 'ming2', '昨': 'zuo2',
+        '我': 'wo3', '你': 'ni3', '他': 'ta1', '她': 'ta1,jie3', '它': 'ta1', '们': 'men2',
+        '哪': 'na3,nei3,na,ne2', '什': 'shen2,shi2', '么': 'me,mo2,ma,yao1',
+        '谁': 'shui2', '怎': 'zen3', '样': 'yang4',
+        '会': 'hui4,kuai4', '可': 'ke3,ke4', '以': 'yi3', '要': 'yao4,yao1',
+        '想': 'xiang3', '做': 'zuo4', '说': 'shuo1,shui4,yue4',
+        '看': 'kan4,kan1', '听': 'ting1', '写': 'xie3', '找': 'zhao3',
+        '给': 'gei3,ji3', '让': 'rang4', '把': 'ba3,ba4', '被': 'bei4,pi1',
+        '点': 'dian3', '击': 'ji1', '选': 'xuan3', '择': 'ze2,zhai2',
+        '确': 'que4', '定': 'ding4', '取': 'qu3', '消': 'xiao1',
+        '保': 'bao3', '存': 'cun2', '删': 'shan1', '除': 'chu2',
+        '添': 'tian1', '加': 'jia1', '修': 'xiu1', '改': 'gai3',
+        '查': 'cha2,zha1', '询': 'xun2', '搜': 'sou1', '索': 'suo3',
+        '显': 'xian3', '示': 'shi4', '隐': 'yin3,yin4', '藏': 'cang2,zang4'
     };
 
 
+    /* ==========================================================================
+       读音处理
+       ========================================================================== */
+
+    /* 声调符号：元音（及 n / m）→ 一至四声的带调写法 */
+    var TONE_MARKS = {
+        a: ['ā', 'á', 'ǎ', 'à'],
+        e: ['ē', 'é', 'ě', 'è'],
+        i: ['ī', 'í', 'ǐ', 'ì'],
+        o: ['ō', 'ó', 'ǒ', 'ò'],
+        u: ['ū', 'ú', 'ǔ', 'ù'],
+        v: ['ǖ', 'ǘ', 'ǚ', 'ǜ'],
+        n: ['n\u0304', 'ń', 'ň', 'ǹ'],
+        m: ['m\u0304', 'ḿ', 'm\u030c', 'm\u0300']
+    };
+
+    /* 带调字母 → [字母, 声调]，由 TONE_MARKS 反推（只收单字符写法，组合符号另行处理） */
+    var MARKED_LETTERS = buildMarkedLetters();
+
+    function buildMarkedLetters() {
+        var result = { 'ü': ['v', 0], 'ê': ['e', 0] };
+        for (var letter in TONE_MARKS) {
+            if (TONE_MARKS.hasOwnProperty(letter)) {
+                for (var t = 0; t < 4; t++) {
+                    if (TONE_MARKS[letter][t].length === 1) {
+                        result[TONE_MARKS[letter][t]] = [letter, t + 1];
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    /* 组合声调符号：U+0304 / U+0301 / U+030C / U+0300 */
+    var COMBINING_TONES = { '\u0304': 1, '\u0301': 2, '\u030c': 3, '\u0300': 4 };
+
+    /**
+     * 把单个读音规范为「小写 + 数字标调」写法
+     * 支持 'zhōng' / 'zhong1' / 'zhong' / 'lü' / 'lu:' 等写法，5 或 0 视为轻声
+     * 例如: "xíng" → "xing2"，"lǚ" → "lv3"，"de5" → "de"
+     *
+     * @param {string} reading - 原始读音
+     * @returns {string} 规范读音；无法识别时返回空字符串
+     */
+    function normalizeReading(reading) {
+        var str = String(reading).replace(/^\s+|\s+$/g, '').toLowerCase().replace(/u:/g, 'v');
+        var letters = '';
+        var tone = 0;
+        for (var i = 0; i < str.length; i++) {
+            var ch = str.charAt(i);
+            if (MARKED_LETTERS[ch]) {
+                letters += MARKED_LETTERS[ch][0];
+                tone = MARKED_LETTERS[ch][1] || tone;
+            } else if (COMBINING_TONES[ch]) {
+                tone = COMBINING_TONES[ch];
+            } else if (ch === '\u0308') {
+                /* 组合分音符 U+0308：u 加分音符即 ü */
+                letters = letters.replace(/u$/, 'v');
+            } else if (/[0-5]/.test(ch) && i === str.length - 1) {
+                /* 末尾数字标调，0 / 5 为轻声 */
+                tone = +ch % 5;
+            } else if (/[a-z]/.test(ch)) {
+                letters += ch;
+            } else {
+                return '';
+            }
+        }
+        return letters ? letters + (tone || '') : '';
+    }
+
+    /**
+     * 把映射值解析为规范读音数组（去重，保持原顺序）
+     *
+     * @param {string|string[]} value - 读音，多个读音用逗号 / 空白分隔或传数组
+     * @returns {string[]} 规范读音数组
+     */
+    function parseReadings(value) {
+        var list = Object.prototype.toString.call(value) === '[object Array]'
+            ? value
+            : String(value == null ? '' : value).split(/[,，\s]+/);
+        var result = [];
+        for (var i = 0; i < list.length; i++) {
+            var reading = normalizeReading(list[i]);
+            if (reading && result.indexOf(reading) === -1) result.push(reading);
+        }
+        return result;
+    }
+
+    /**
+     * 获取单个字符的规范读音数组
+     *
+     * @param {string} char - 单个字符
+     * @returns {string[]|null} 规范读音数组；映射表中没有时返回 null
+     */
+    function getCharReadings(char) {
+        var value = PINYIN_MAP.hasOwnProperty(char) ? PINYIN_MAP[char] : '';
+        return value ? value.split(',') : null;
+    }
+
+    /**
+     * 去掉读音的数字声调
+     * 例如: "xing2" → "xing"
+     *
+     * @param {string} reading - 规范读音
+     * @returns {string} 无声调读音
+     */
+    function stripTone(reading) {
+        return reading.replace(/\d$/, '');
+    }
+
+    /**
+     * 把规范读音转为带声调符号的写法
+     * 标调规则：有 a 标 a，否则有 e 标 e，ou 标 o，其余标最后一个元音；没有元音时标在 n / m 上
+     * 例如: "xing2" → "xíng"，"lv3" → "lǚ"，"gui4" → "guì"，"ng3" → "ňg"
+     *
+     * @param {string} reading - 规范读音
+     * @returns {string} 带声调符号的读音
+     */
+    function addToneMark(reading) {
+        var tone = +(reading.match(/\d$/) || [0])[0];
+        var letters = stripTone(reading);
+        var index = -1;
+        if (tone) {
+            if (letters.indexOf('a') !== -1) index = letters.indexOf('a');
+            else if (letters.indexOf('e') !== -1) index = letters.indexOf('e');
+            else if (letters.indexOf('ou') !== -1) index = letters.indexOf('ou');
+            else index = Math.max(
+                letters.lastIndexOf('i'), letters.lastIndexOf('o'),
+                letters.lastIndexOf('u'), letters.lastIndexOf('v')
+            );
+            if (index === -1 && /^[nm]/.test(letters)) index = 0;
+        }
+        var result = '';
+        for (var i = 0; i < letters.length; i++) {
+            var ch = letters.charAt(i);
+            if (i === index) result += TONE_MARKS[ch][tone - 1];
+            else result += ch === 'v' ? 'ü' : ch;
+        }
+        return result;
+    }
+
+    /**
+     * 按 tone 选项格式化读音
+     *
+     * @param {string} reading - 规范读音
+     * @param {boolean|string} tone - true: 声调符号；'number': 数字标调；其他: 无声调
+     * @returns {string} 格式化后的读音
+     */
+    function formatReading(reading, tone) {
+        if (tone === 'number') return reading;
+        return tone ? addToneMark(reading) : stripTone(reading);
+    }
+
+
     /* ==========================================================================
        内部工具函数
        ========================================================================== */
 
     /**
-     * 获取字符串的拼音首字母序列
+     * 获取字符串的拼音首字母序列（多音字取常用读音）
      * 例如: "技术分享" → "jsfx"
      *
      * @param {string} str - 要转换的中文字符串
@@ -98,10 +279,10 @@
         var result = '';
         for (var i = 0; i < str.length; i++) {
             var char = str[i];
-            var pinyin = PINYIN_MAP[char];
-            if (pinyin) {
+            var readings = getCharReadings(char);
+            if (readings) {
                 /* 取拼音的第一个字母作为首字母 */
-                result += pinyin[0];
+                result += readings[0][0];
             } else if (/[a-zA-Z0-9]/.test(char)) {
                 /* 英文字母和数字保持原样（转小写） */
                 result += char.toLowerCase();
@@ -112,7 +293,7 @@
     }
 
     /**
-     * 获取字符串的完整拼音（无声调）
+     * 获取字符串的完整拼音（无声调，多音字取常用读音）
      * 例如: "技术" → "jishu"
      *
      * @param {string} str - 要转换的中文字符串
@@ -123,9 +304,9 @@
         var result = '';
         for (var i = 0; i < str.length; i++) {
             var char = str[i];
-            var pinyin = PINYIN_MAP[char];
-            if (pinyin) {
-                result += pinyin;
+            var readings = getCharReadings(char);
+            if (readings) {
+                result += stripTone(readings[0]);
             } else if (/[a-zA-Z0-9]/.test(char)) {
                 result += char.toLowerCase();
             }
@@ -133,9 +314,112 @@
         return result;
     }
 
+    /**
+     * 把文本拆成逐字的候选读音列表（无声调、去重）
+     * 汉字取映射表中的全部读音，英文字母和数字以自身作为唯一候选，其他字符忽略
+     * 例如: "银行" → [['yin'], ['xing', 'hang']]
+     *
+     * @param {string} str - 要拆分的文本
+     * @returns {Array<string[]>} 候选读音列表
+     */
+    function getCandidates(str) {
+        var result = [];
+        for (var i = 0; i < str.length; i++) {
+            var char = str[i];
+            var readings = getCharReadings(char);
+            if (readings) {
+                var options = [];
+                for (var j = 0; j < readings.length; j++) {
+                    var plain = stripTone(readings[j]);
+                    if (options.indexOf(plain) === -1) options.push(plain);
+                }
+                result.push(options);
+            } else if (/[a-zA-Z0-9]/.test(char)) {
+                result.push([char.toLowerCase()]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 首字母匹配：搜索词的每个字母依次对应连续各字某个读音的首字母
+     *
+     * @param {Array<string[]>} candidates - getCandidates() 的结果
+     * @param {string} search - 小写搜索词
+     * @returns {boolean} 是否匹配
+     */
+    function matchInitials(candidates, search) {
+        for (var start = 0; start + search.length <= candidates.length; start++) {
+            var ok = true;
+            for (var k = 0; k < search.length && ok; k++) {
+                var options = candidates[start + k];
+                ok = false;
+                for (var j = 0; j < options.length; j++) {
+                    if (options[j].charAt(0) === search.charAt(k)) {
+                        ok = true;
+                        break;
+                    }
+                }
+            }
+            if (ok) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 全拼匹配：搜索词是某种读音组合拼接后的子串（可从读音中间开始、在读音中间结束）
+     * 按「字位置 + 搜索词位置」记忆化，多音字再多也不会组合爆炸
+     *
+     * @param {Array<string[]>} candidates - getCandidates() 的结果
+     * @param {string} search - 小写搜索词
+     * @returns {boolean} 是否匹配
+     */
+    function matchFullPinyin(candidates, search) {
+        var failed = {};
+
+        /* 从第 index 个字的读音开头匹配 search 的第 pos 位之后的部分 */
+        function matchFrom(index, pos) {
+            if (index >= candidates.length) return false;
+            var key = index + ':' + pos;
+            if (failed[key]) return false;
+            var rest = search.length - pos;
+            var options = candidates[index];
+            for (var j = 0; j < options.length; j++) {
+                var reading = options[j];
+                if (rest <= reading.length) {
+                    if (reading.indexOf(search.substr(pos)) === 0) return true;
+                } else if (search.substr(pos, reading.length) === reading
+                        && matchFrom(index + 1, pos + reading.length)) {
+                    return true;
+                }
+            }
+            failed[key] = true;
+            return false;
+        }
+
+        for (var i = 0; i < candidates.length; i++) {
+            var options = candidates[i];
+            for (var j = 0; j < options.length; j++) {
+                var reading = options[j];
+                /* 搜索词的开头可以落在读音的任意位置 */
+                for (var offset = 0; offset < reading.length; offset++) {
+                    var tail = reading.substr(offset);
+                    if (search.length <= tail.length) {
+                        if (tail.indexOf(search) === 0) return true;
+                    } else if (search.substr(0, tail.length) === tail
+                            && matchFrom(i + 1, tail.length)) {
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
     /**
      * 检查文本是否匹配搜索词
      * 依次尝试：直接文本匹配 → 拼音首字母匹配 → 完整拼音匹配
+     * 多音字的每个读音都参与首字母和全拼匹配
      *
      * @param {string} text - 要搜索的文本
      * @param {string} search - 搜索词
@@ -145,24 +429,10 @@
      * matches("技术分享", "技术")   // true — 直接匹配
      * matches("技术分享", "js")     // true — 首字母匹配
      * matches("技术分享", "jishu")  // true — 完整拼音匹配
+     * matches("银行", "yinhang")    // true — 多音字
      */
     function matches(text, search) {
-        if (!text || !search) return false;
-        var lowerText = text.toLowerCase();
-        var lowerSearch = search.toLowerCase();
-
-        /* 1. 直接文本匹配 */
-        if (lowerText.indexOf(lowerSearch) !== -1) return true;
-
-        /* 2. 拼音首字母匹配 */
-        var initials = getPinyinInitials(text);
-        if (initials.indexOf(lowerSearch) !== -1) return true;
-
-        /* 3. 完整拼音匹配 */
-        var fullPinyin = getFullPinyin(text);
-        if (fullPinyin.indexOf(lowerSearch) !== -1) return true;
-
-        return false;
+        return getMatchType(text, search) !== null;
     }
 
     /**
@@ -180,29 +450,97 @@
 
         if (lowerText.indexOf(lowerSearch) !== -1) return 'direct';
 
-        var initials = getPinyinInitials(text);
-        if (initials.indexOf(lowerSearch) !== -1) return 'initials';
+        var candidates = getCandidates(text);
+        if (matchInitials(candidates, lowerSearch)) return 'initials';
 
-        var fullPinyin = getFullPinyin(text);
-        if (fullPinyin.indexOf(lowerSearch) !== -1) return 'fullPinyin';
+        if (matchFullPinyin(candidates, lowerSearch)) return 'fullPinyin';
 
         return null;
     }
 
+    /**
+     * 把文本转为拼音（多音字取常用读音）
+     * 汉字逐字转换；连续的非汉字片段（英文、数字、标点）原样保留为一段，首尾空白去掉
+     *
+     * @param {string} str - 要转换的文本
+     * @param {Object} [options]
+     * @param {boolean|string} [options.tone=false] - true: 声调符号（"zhōng"）；'number': 数字标调（"zhong1"）
+     * @param {string} [options.separator=' '] - 各段之间的分隔符
+     * @returns {string} 拼音文本
+     *
+     * @example
+     * toPinyin("技术分享")                  // "ji shu fen xiang"
+     * toPinyin("技术分享", { tone: true })  // "jì shù fēn xiǎng"
+     * toPinyin("Vue 入门", { tone: true })  // "Vue rù mén"
+     */
+    function toPinyin(str, options) {
+        if (!str) return '';
+        options = options || {};
+        var separator = options.separator != null ? String(options.separator) : ' ';
+        var parts = [];
+        var buffer = '';
+
+        function flush() {
+            buffer = buffer.replace(/^\s+|\s+$/g, '');
+            if (buffer) parts.push(buffer);
+            buffer = '';
+        }
+
+        for (var i = 0; i < str.length; i++) {
+            var readings = getCharReadings(str[i]);
+            if (readings) {
+                flush();
+                parts.push(formatReading(readings[0], options.tone));
+            } else {
+                buffer += str[i];
+            }
+        }
+        flush();
+        return parts.join(separator);
+    }
+
+    /**
+     * 获取单个汉字的全部读音（常用读音在前）
+     *
+     * @param {string} char - 单个汉字
+     * @param {Object} [options]
+     * @param {boolean|string} [options.tone=false] - 同 toPinyin()
+     * @returns {string[]} 读音数组；映射表中没有时返回空数组
+     *
+     * @example
+     * getReadings("行", { tone: true })  // ["xíng", "háng"]（需引入 pinyin-data.js）
+     */
+    function getReadings(char, options) {
+        var readings = char ? getCharReadings(char) : null;
+        if (!readings) return [];
+        var tone = options && options.tone;
+        var result = [];
+        for (var i = 0; i < readings.length; i++) {
+            var reading = formatReading(readings[i], tone);
+            if (result.indexOf(reading) === -1) result.push(reading);
+        }
+        return result;
+    }
+
     /**
      * 扩展拼音映射表
-     * 允许动态添加新的汉字拼音映射
+     * 允许动态添加新的汉字拼音映射；已有的字会被覆盖
+     *
+     * 读音写法：无声调（'yun'）、数字标调（'yun1'）或声调符号（'yūn'）均可；
+     * 多音字用逗号分隔（'xing2,hang2'）或传数组，常用读音放在第一个
      *
      * @param {Object} newMappings - 新的映射对象，格式: { '字': 'pinyin', ... }
      *
      * @example
-     * BoblogUI.pinyin.extend({ '赟': 'yun', '翀': 'chong' });
+     * BoblogUI.pinyin.extend({ '赟': 'yun', '翀': 'chōng' });
+     * BoblogUI.pinyin.extend({ '吖': ['a1', 'ya1'] });
      */
     function extend(newMappings) {
         if (newMappings && typeof newMappings === 'object') {
             for (var key in newMappings) {
                 if (newMappings.hasOwnProperty(key)) {
-                    PINYIN_MAP[key] = newMappings[key];
+                    var readings = parseReadings(newMappings[key]);
+                    if (readings.length) PINYIN_MAP[key] = readings.join(',');
                 }
             }
         }
@@ -218,6 +556,8 @@
         getPinyinInitials: getPinyinInitials,
         getFullPinyin: getFullPinyin,
         getMatchType: getMatchType,
+        toPinyin: toPinyin,
+        getReadings: getReadings,
         extend: extend
     };
 
@@ -225,6 +565,12 @@
     window.BoblogUI = window.BoblogUI || {};
     window.BoblogUI.pinyin = pinyin;
 
+    /* 数据包 pinyin-data.js 先于本模块加载时会暂存在 BoblogUI.pinyinData，这里补合并 */
+    if (window.BoblogUI.pinyinData) {
+        extend(window.BoblogUI.pinyinData);
+        delete window.BoblogUI.pinyinData;
+    }
+
     /* 向后兼容：旧代码使用 PinyinUtil.matches() 可直接工作 */
     window.PinyinUtil = pinyin;
 
@@ -9,6 +9,7 @@
  *   - 支持 data-max 属性设置最大星数（默认 5）
  *   - 鼠标悬停时预览效果（hover 时临时高亮），移出时恢复
  *   - 防止重复初始化（dataset.ratingInit）
+ *   - destroy 解绑事件并清除初始化标记
  *
  * HTML 结构约定：
  *   <div class="boblog-rating" data-value="3">
@@ -22,6 +23,7 @@
  *
  * 公开 API：
  *   BoblogUI.rating.init([container])  — 初始化指定容器（默认 document）内所有评分组件
+ *   BoblogUI.rating.destroy(el)         — 销毁单个评分组件
  *
  * 依赖：
  *   - src/controls/rating.css（评分组件样式）
@@ -33,6 +35,9 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已初始化容器 → AbortController（destroy 时一次性解绑所有事件） */
+    var controllers = new WeakMap();
+
     /* ============ 核心逻辑 ============ */
 
     /**
@@ -94,6 +99,10 @@
         /* 是否允许半星（需要 data-allow-half 属性） */
         var allowHalf = container.hasAttribute('data-allow-half');
 
+        var controller = new AbortController();
+        var signal = controller.signal;
+        controllers.set(container, controller);
+
         /* 为每个星星添加点击事件 */
         for (var i = 0; i < stars.length; i++) {
             /* 使用立即执行函数保存索引 */
@@ -112,19 +121,32 @@
                 star.addEventListener('click', function (e) {
                     currentValue = getValueFromEvent(e);
                     updateRating(container, currentValue);
-                });
+                }, { signal: signal });
 
                 /* 鼠标移动事件：实时预览评分 */
                 star.addEventListener('mousemove', function (e) {
                     updateRating(container, getValueFromEvent(e));
-                });
+                }, { signal: signal });
             })(i);
         }
 
         /* 鼠标移出容器时，恢复到当前评分值 */
         container.addEventListener('mouseleave', function () {
             updateRating(container, currentValue);
-        });
+        }, { signal: signal });
+    }
+
+    /**
+     * 销毁单个评分组件（保留当前评分显示）
+     * @param {HTMLElement} container — .boblog-rating 容器元素
+     */
+    function destroy(container) {
+        var controller = controllers.get(container);
+        if (controller) {
+            controller.abort();
+            controllers.delete(container);
+        }
+        delete container.dataset.ratingInit;
     }
 
     /**
@@ -141,9 +163,14 @@
 
     /* ============ 公开 API ============ */
     BoblogUI.rating = {
-        init: init
+        init: init,
+        destroy: destroy
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('rating', '.boblog-rating:not(.readonly):not(.disabled)', initOne, destroy);
+    }
+
     /* ============ 自动初始化 ============ */
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function () { init(); });
@@ -0,0 +1,239 @@
+/**
+ * Bo-Blog UI 核心 - 组件注册表 (registry)
+ *
+ * 功能：
+ *   - 各组件模块加载时通过 BoblogUI.register() 登记自己的选择器与初始化函数
+ *   - BoblogUI.init(container) 一次性初始化容器内（含容器本身）所有已登记组件
+ *   - BoblogUI.destroy(container) 一次性销毁容器内所有已登记组件
+ *   - 可选开启 MutationObserver：节点插入时自动初始化，节点移除时自动销毁
+ *     （适用于 AJAX 加载、后台页面局部替换等动态内容场景）
+ *
+ * 注册约定：
+ *   BoblogUI.register('tabs', '.boblog-tabs', initOne, destroyOne);
+ *
+ *   - name      — 组件名，与 BoblogUI 下的命名空间一致（如 'tabs'、'datePicker'）
+ *   - selector  — 组件根元素的 CSS 选择器
+ *   - initFn    — 初始化「单个」根元素：function (el)，需自行防止重复初始化
+ *   - destroyFn — 销毁「单个」根元素：function (el)（可选）
+ *
+ *   各组件在自身文件末尾登记（用 if (BoblogUI.register) 判断，单独引入组件文件时也不报错）。
+ *   登记之后，AJAX 插入 / 移除的组件根元素即可由 BoblogUI.init / destroy 统一处理，
+ *   开启 BoblogUI.observe 后则完全自动，组件自身无需再监听 DOM 变化。
+ *
+ * 启用自动观察（二选一）：
+ *   <body data-boblog-observe>              — DOMContentLoaded 时自动开启
+ *   BoblogUI.observe([root])                — 手动开启，默认观察 document.body
+ *
+ * 公开 API：
+ *   BoblogUI.register(name, selector, initFn, destroyFn)  — 登记组件
+ *   BoblogUI.init([container])                           — 初始化容器内所有组件
+ *   BoblogUI.destroy([container])                        — 销毁容器内所有组件
+ *   BoblogUI.observe([root])                             — 开启自动初始化/销毁
+ *   BoblogUI.disconnect()                                — 关闭自动初始化/销毁
+ *
+ * 依赖：无（必须在所有组件脚本之前加载）
+ */
+(function () {
+    'use strict';
+
+    /* 确保全局命名空间存在 */
+    window.BoblogUI = window.BoblogUI || {};
+
+    /**
+     * 已登记的组件列表（按登记顺序，即 build.sh 中的合并顺序）
+     * 每项：{ name, selector, init, destroy }
+     */
+    var components = [];
+
+    /** 当前生效的 MutationObserver（未开启时为 null） */
+    var observer = null;
+
+    /* ============ 工具函数 ============ */
+
+    /**
+     * 收集 root 本身及其后代中匹配 selector 的元素
+     * 与 querySelectorAll 不同：root 本身匹配时也会被收录
+     *
+     * @param {Node} root — 扫描起点（Element / Document / DocumentFragment）
+     * @param {string} selector — CSS 选择器
+     * @returns {Array<HTMLElement>}
+     */
+    function collect(root, selector) {
+        var list = [];
+        if (!root || !root.querySelectorAll) return list;
+
+        if (root.nodeType === 1 && root.matches(selector)) {
+            list.push(root);
+        }
+        var found = root.querySelectorAll(selector);
+        for (var i = 0; i < found.length; i++) {
+            list.push(found[i]);
+        }
+        return list;
+    }
+
+    /**
+     * 调用组件的初始化/销毁函数，单个组件出错不影响其他组件
+     *
+     * @param {Object} component — 登记项
+     * @param {string} action — 'init' 或 'destroy'
+     * @param {HTMLElement} el — 组件根元素
+     */
+    function invoke(component, action, el) {
+        try {
+            component[action](el);
+        } catch (err) {
+            console.error('[BoblogUI.' + component.name + '] ' + action + ' 失败', err);
+        }
+    }
+
+    /* ============ 注册与批量初始化 ============ */
+
+    /**
+     * 登记组件
+     * 同名组件重复登记时覆盖旧登记
+     *
+     * @param {string} name — 组件名
+     * @param {string} selector — 根元素选择器
+     * @param {Function} initFn — 单元素初始化函数
+     * @param {Function} [destroyFn] — 单元素销毁函数
+     */
+    function register(name, selector, initFn, destroyFn) {
+        var entry = {
+            name: name,
+            selector: selector,
+            init: initFn,
+            destroy: destroyFn || null
+        };
+
+        for (var i = 0; i < components.length; i++) {
+            if (components[i].name === name) {
+                components[i] = entry;
+                return;
+            }
+        }
+        components.push(entry);
+    }
+
+    /**
+     * 初始化容器内（含容器本身）所有已登记组件
+     *
+     * @param {HTMLElement} [container=document] — 扫描范围
+     */
+    function init(container) {
+        var root = container || document;
+        for (var i = 0; i < components.length; i++) {
+            var els = collect(root, components[i].selector);
+            for (var j = 0; j < els.length; j++) {
+                invoke(components[i], 'init', els[j]);
+            }
+        }
+    }
+
+    /**
+     * 销毁容器内（含容器本身）所有已登记组件
+     * 按登记顺序的逆序执行，后登记的组件（可能依赖前面的组件）先销毁
+     *
+     * @param {HTMLElement} [container=document] — 扫描范围
+     */
+    function destroy(container) {
+        var root = container || document;
+        for (var i = components.length - 1; i >= 0; i--) {
+            if (!components[i].destroy) continue;
+            var els = collect(root, components[i].selector);
+            for (var j = 0; j < els.length; j++) {
+                invoke(components[i], 'destroy', els[j]);
+            }
+        }
+    }
+
+    /* ============ 自动观察（MutationObserver） ============ */
+
+    /**
+     * 处理一批 DOM 变更记录
+     *
+     * 注意：组件自身也会移动节点（如表格排序时重新 appendChild 行），
+     * 同一节点会同时出现在 removedNodes 和 addedNodes 中。
+     * MutationObserver 回调是异步的，处理时节点已回到文档中，
+     * 因此移除时以 isConnected 判断「真正离开文档」才销毁。
+     *
+     * @param {Array<MutationRecord>} mutations
+     */
+    function handleMutations(mutations) {
+        var i, j, k, node, els;
+
+        /* 先处理移除：真正脱离文档的组件才销毁 */
+        for (i = 0; i < mutations.length; i++) {
+            var removed = mutations[i].removedNodes;
+            for (j = 0; j < removed.length; j++) {
+                node = removed[j];
+                if (node.nodeType !== 1 || node.isConnected) continue;
+                for (k = components.length - 1; k >= 0; k--) {
+                    if (!components[k].destroy) continue;
+                    els = collect(node, components[k].selector);
+                    for (var m = 0; m < els.length; m++) {
+                        invoke(components[k], 'destroy', els[m]);
+                    }
+                }
+            }
+        }
+
+        /* 再处理插入：仍在文档中的新节点才初始化（组件自身防重复） */
+        for (i = 0; i < mutations.length; i++) {
+            var added = mutations[i].addedNodes;
+            for (j = 0; j < added.length; j++) {
+                node = added[j];
+                if (node.nodeType !== 1 || !node.isConnected) continue;
+                init(node);
+            }
+        }
+    }
+
+    /**
+     * 开启自动初始化/销毁
+     * 重复调用时先断开旧的观察器
+     *
+     * @param {HTMLElement} [root=document.body] — 观察范围
+     */
+    function observe(root) {
+        if (typeof MutationObserver === 'undefined') return;
+
+        disconnect();
+        observer = new MutationObserver(handleMutations);
+        observer.observe(root || document.body, {
+            childList: true,
+            subtree: true
+        });
+    }
+
+    /**
+     * 关闭自动初始化/销毁
+     */
+    function disconnect() {
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+    }
+
+    /* 挂载到全局命名空间 */
+    BoblogUI.register = register;
+    BoblogUI.init = init;
+    BoblogUI.destroy = destroy;
+    BoblogUI.observe = observe;
+    BoblogUI.disconnect = disconnect;
+
+    /* <body data-boblog-observe> 时自动开启观察 */
+    function autoObserve() {
+        if (document.body && document.body.hasAttribute('data-boblog-observe')) {
+            observe(document.body);
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoObserve);
+    } else {
+        autoObserve();
+    }
+
+})();
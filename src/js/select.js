@@ -7,6 +7,15 @@
  *   - 支持键盘操作（上下箭头、Enter、Escape）
  *   - 支持禁用状态、错误状态
  *   - 点击外部自动关闭
+ *   - 多选（select[multiple]）：已选项以标签（chip）显示，点击 × 取消选中
+ *   - 分组（<optgroup>）：渲染为不可点击的分组标题
+ *   - 搜索过滤（data-searchable）：支持拼音首字母 / 全拼匹配（BoblogUI.pinyin）
+ *   - 远程数据源（data-remote-url）：输入时防抖请求、滚动到底加载下一页、
+ *     加载中 / 无结果 / 加载失败（点击重试）状态行
+ *   - 隐藏的原生 select 始终是唯一数据源，表单提交不受影响
+ *   - 原生 select 被代码修改（value / selectedIndex 赋值、增删 option、修改 option 属性、
+ *     切换 disabled、触发 change）时自定义 UI 自动同步；value / selectedIndex 的拦截只装在
+ *     已转换的这个 select 上，destroy() 时移除，不影响页面上其他 select
  *
  * HTML 结构约定（转换前）：
  *   <div class="boblog-select">
@@ -28,16 +37,44 @@
  *       </div>
  *   </div>
  *
+ * 多选 / 分组 / 搜索时：
+ *   .boblog-select-display 内为 .boblog-select-chip 标签（无选中项时为 .boblog-select-placeholder）
+ *   .boblog-select-dropdown 顶部为 .boblog-select-search 搜索框，
+ *   分组标题为 .boblog-select-group，无匹配时显示 .boblog-select-empty
+ *   远程模式底部状态行：.boblog-select-loading（加载中）/ .boblog-select-retry（加载失败，点击重试）
+ *
  * 公开 API：
  *   BoblogUI.select.init([container])  — 初始化指定容器（默认 document）内所有下拉
+ *   BoblogUI.select.destroy(el)         — 销毁单个下拉：移除自定义 UI，恢复显示原生 select
+ *   BoblogUI.select.getInstance(el)     — 获取实例（el 可为 .boblog-select 容器或其内的原生 select），
+ *                                         未转换时返回 null
+ *
+ * 实例方法：
+ *   inst.getValue()             — 当前值（多选时为值数组）
+ *   inst.setValue(value)        — 设置选中值，多选时传数组（与原生赋值一致，不触发 change）
+ *   inst.refresh()              — 按原生 select 重新生成选项并同步显示
+ *   inst.setOptions(options)    — 替换全部选项：[{ value, text, disabled?, selected? }] 或字符串数组，
+ *                                 分组写作 { label, disabled?, options: [...] }
+ *   inst.enable() / disable()   — 启用 / 禁用（同时设置原生 disabled 与容器 .disabled）
+ *   inst.destroy()              — 同 BoblogUI.select.destroy(el)
  *
  * 参数（HTML data 属性）：
  *   data-fixed-width="false"  — 禁用自动宽度固定，容器宽度由 CSS/style 控制
  *                               默认行为：自动计算所有选项最大宽度并固定容器宽度，
- *                               防止切换选项时宽度跳动
+ *                               防止切换选项时宽度跳动（多选模式不固定）
+ *   data-searchable           — 在下拉面板顶部显示搜索框，按文字或拼音过滤选项
+ *   data-placeholder="..."    — 多选未选中任何项时的占位文字（默认"请选择"）
+ *   data-remote-url="..."     — 远程数据地址，启用后自动带搜索框，选项由服务端按搜索词返回
+ *                               请求：GET url?q=搜索词&page=页码(从 1 开始)&pageSize=每页条数
+ *                               响应：{ items: [{ value, text, disabled? }], hasMore: true }
+ *                                     或直接返回数组（条数不足一页视为没有更多）；
+ *                                     value / text 缺省时依次取 id / name、label
+ *   data-remote-page-size="20" — 远程每页条数（默认 20）
+ *   data-remote-delay="300"   — 输入防抖毫秒数（默认 300）
  *
  * 依赖：
  *   - src/controls/select.css（基础样式）
+ *   - src/js/pinyin.js（可选，搜索时的拼音匹配；未引入时仅按文字匹配）
  */
 
 (function () {
@@ -46,6 +83,13 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /**
+     * 已转换的容器 → 实例对象
+     * 内部字段：{ el, select, display, dropdown, search, multiple, placeholder, remote,
+     *            origDisplay, origWidth, origProto, controller, observer }
+     */
+    var instances = new WeakMap();
+
     /* ============ 工具函数 ============ */
 
     /**
@@ -70,8 +114,607 @@
         }
     }
 
+    /**
+     * 判断选项文字是否匹配搜索词
+     * 优先使用 BoblogUI.pinyin.matches（支持拼音首字母 / 全拼），未引入时退化为文字包含匹配
+     */
+    function matchText(text, query) {
+        if (BoblogUI.pinyin) return BoblogUI.pinyin.matches(text, query);
+        return text.toLowerCase().indexOf(query.toLowerCase()) !== -1;
+    }
+
+    /**
+     * 在原生 select 上触发 change 事件，确保外部监听器能感知用户操作
+     */
+    function fireChange(nativeSelect) {
+        nativeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /* ============ 渲染与同步 ============ */
+
+    /**
+     * 创建单个自定义选项
+     * @param {HTMLOptionElement} opt — 原生 option
+     * @param {HTMLOptGroupElement} [group] — 所属分组
+     */
+    function createItem(opt, group) {
+        var item = document.createElement('div');
+        item.className = 'boblog-select-option';
+        item.setAttribute('data-value', opt.value);
+        item.setAttribute('data-index', opt.index);
+        item.textContent = opt.textContent;
+
+        /* 分组内选项缩进 */
+        if (group) {
+            item.classList.add('boblog-select-option-grouped');
+        }
+
+        /* 禁用选项（禁用的分组内选项全部禁用） */
+        if (opt.disabled || (group && group.disabled)) {
+            item.classList.add('disabled');
+        }
+        return item;
+    }
+
+    /**
+     * 按原生 select 的 option / optgroup 重新生成下拉面板中的选项
+     * 搜索框保留不动，重建后按当前搜索词重新过滤
+     * @param {Object} inst — 实例对象
+     */
+    function renderOptions(inst) {
+        var dropdown = inst.dropdown;
+
+        /* 清空旧选项和状态行（保留搜索框） */
+        var old = dropdown.querySelectorAll('.boblog-select-option, .boblog-select-group, .boblog-select-empty, .boblog-select-status');
+        for (var i = 0; i < old.length; i++) {
+            dropdown.removeChild(old[i]);
+        }
+
+        /* 按原生顺序遍历，optgroup 生成分组标题 + 组内选项 */
+        var children = inst.select.children;
+        for (var j = 0; j < children.length; j++) {
+            var child = children[j];
+            if (child.tagName === 'OPTGROUP') {
+                var header = document.createElement('div');
+                header.className = 'boblog-select-group';
+                header.textContent = child.label;
+                dropdown.appendChild(header);
+
+                var groupOptions = child.querySelectorAll('option');
+                for (var k = 0; k < groupOptions.length; k++) {
+                    dropdown.appendChild(createItem(groupOptions[k], child));
+                }
+            } else if (child.tagName === 'OPTION') {
+                dropdown.appendChild(createItem(child));
+            }
+        }
+
+        /* 搜索无结果提示 */
+        if (inst.search) {
+            var empty = document.createElement('div');
+            empty.className = 'boblog-select-empty';
+            empty.textContent = '无匹配项';
+            dropdown.appendChild(empty);
+        }
+
+        /* 远程模式：加载中 / 加载失败状态行 */
+        if (inst.remote) {
+            renderStatus(inst);
+        }
+
+        if (inst.search) {
+            applyFilter(inst);
+        }
+    }
+
+    /**
+     * 按搜索框内容过滤选项
+     * 不匹配的选项隐藏；组内选项全部隐藏时分组标题一并隐藏；全部不匹配时显示"无匹配项"
+     * @param {Object} inst — 实例对象
+     */
+    function applyFilter(inst) {
+        var query = inst.search.value.trim();
+        var remote = inst.remote;
+        var header = null;
+        var headerVisible = false;
+        var anyVisible = false;
+
+        var nodes = inst.dropdown.children;
+        for (var i = 0; i < nodes.length; i++) {
+            var node = nodes[i];
+            if (node.classList.contains('boblog-select-group')) {
+                if (header) header.style.display = headerVisible ? '' : 'none';
+                header = node;
+                headerVisible = false;
+            } else if (node.classList.contains('boblog-select-option')) {
+                /* 远程模式由服务端过滤：只显示当前结果中的选项（隐藏保留下来的已选项） */
+                var visible = remote
+                    ? remote.values.indexOf(node.getAttribute('data-value')) !== -1
+                    : !query || matchText(node.textContent, query);
+                node.style.display = visible ? '' : 'none';
+                if (visible) {
+                    anyVisible = true;
+                    if (node.classList.contains('boblog-select-option-grouped')) headerVisible = true;
+                }
+            } else if (node.classList.contains('boblog-select-empty')) {
+                /* 远程加载中 / 出错时由状态行提示，不显示"无匹配项" */
+                var busy = remote && remote.state !== 'idle';
+                node.style.display = anyVisible || busy ? 'none' : '';
+            }
+        }
+        if (header) header.style.display = headerVisible ? '' : 'none';
+    }
+
+    /**
+     * 多选模式：在显示区域渲染已选项标签
+     * @param {Object} inst — 实例对象
+     */
+    function renderChips(inst) {
+        var display = inst.display;
+        var options = inst.select.options;
+        var count = 0;
+        display.innerHTML = '';
+
+        for (var i = 0; i < options.length; i++) {
+            if (!options[i].selected) continue;
+            count++;
+            var chip = document.createElement('span');
+            chip.className = 'boblog-select-chip';
+            chip.setAttribute('data-index', i);
+            chip.textContent = options[i].textContent;
+
+            /* 禁用时不可移除 */
+            if (!inst.select.disabled) {
+                var remove = document.createElement('span');
+                remove.className = 'boblog-select-chip-remove';
+                remove.textContent = '\u00d7';
+                chip.appendChild(remove);
+            }
+            display.appendChild(chip);
+        }
+
+        if (count === 0) {
+            var placeholder = document.createElement('span');
+            placeholder.className = 'boblog-select-placeholder';
+            placeholder.textContent = inst.placeholder;
+            display.appendChild(placeholder);
+        }
+    }
+
+    /**
+     * 将原生 select 的选中项和禁用状态同步到自定义 UI
+     * @param {Object} inst — 实例对象
+     */
+    function syncSelection(inst) {
+        var nativeSelect = inst.select;
+        var index = nativeSelect.selectedIndex;
+
+        if (inst.multiple) {
+            /* 多选：显示已选项标签 */
+            renderChips(inst);
+        } else {
+            /* 单选：显示当前选中项的文字 */
+            var selectedOption = nativeSelect.options[index];
+            inst.display.textContent = selectedOption ? selectedOption.textContent : '';
+        }
+
+        /* 当前选中项高亮（多选时高亮所有已选项） */
+        var allItems = inst.dropdown.querySelectorAll('.boblog-select-option');
+        for (var i = 0; i < allItems.length; i++) {
+            var optIndex = parseInt(allItems[i].getAttribute('data-index'), 10);
+            var isSelected = inst.multiple ? nativeSelect.options[optIndex].selected : optIndex === index;
+            allItems[i].classList.toggle('selected', isSelected);
+        }
+
+        /* 原生 disabled 同步到容器 .disabled（自定义模式的禁用样式挂在容器上） */
+        if (nativeSelect.disabled) {
+            inst.el.classList.add('disabled');
+            inst.el.classList.remove('open');
+        } else if (inst.nativeDisabled) {
+            /* 仅撤销由原生 disabled 带来的 .disabled，不影响手写在容器上的类名 */
+            inst.el.classList.remove('disabled');
+        }
+        inst.nativeDisabled = nativeSelect.disabled;
+    }
+
+    /**
+     * 固定容器宽度为所有选项最大宽度
+     * 默认开启，可通过 data-fixed-width="false" 禁用
+     * @param {Object} inst — 实例对象
+     */
+    function fixWidth(inst) {
+        var container = inst.el;
+        var display = inst.display;
+        var nativeSelect = inst.select;
+        /* 多选标签会换行、远程选项随搜索变化，宽度不固定 */
+        if (inst.multiple || inst.remote || container.dataset.fixedWidth === 'false') return;
+
+        /* 先恢复转换前的宽度，避免上次固定的宽度影响测量 */
+        container.style.width = inst.origWidth;
+
+        /* 将 display 元素临时设为 visibility:hidden + white-space:nowrap，
+           逐一填入每个选项文字，用 offsetWidth 测量实际渲染宽度（含 padding/箭头），
+           取最大值后固定容器宽度 */
+        var origText = display.textContent;
+        var origVisibility = display.style.visibility;
+        var origWhiteSpace = display.style.whiteSpace;
+        display.style.visibility = 'hidden';
+        display.style.whiteSpace = 'nowrap';
+        var maxW = 0;
+        for (var j = 0; j < nativeSelect.options.length; j++) {
+            display.textContent = nativeSelect.options[j].textContent;
+            var w = display.offsetWidth;
+            if (w > maxW) maxW = w;
+        }
+        /* 还原显示文字 */
+        display.textContent = origText;
+        display.style.visibility = origVisibility;
+        display.style.whiteSpace = origWhiteSpace;
+        if (maxW > 0) container.style.width = maxW + 'px';
+    }
+
+    /** 需要拦截赋值以便自动同步的原生 select 属性（见 hookAssignments） */
+    var SYNC_PROPS = ['value', 'selectedIndex'];
+
+    /**
+     * 拦截单个原生 select 的 value / selectedIndex 赋值
+     * 这些赋值不会触发 change 事件，也不产生 DOM 变化，MutationObserver 观察不到。
+     * 只给这一个 select 插入一层原型：继承它原来的原型，同名访问器委托给原生描述符，写入后同步实例显示。
+     * 全局的 HTMLSelectElement.prototype 不做修改；销毁时由 unhookAssignments 恢复原来的原型。
+     * （不直接定义在元素自身上：jsdom 等实现把元素包装为 Proxy，自有访问器的赋值会被拒绝）
+     *
+     * @param {Object} inst — 实例对象
+     */
+    function hookAssignments(inst) {
+        var proto = Object.getPrototypeOf(inst.select);
+        var hooks = Object.create(proto);
+        SYNC_PROPS.forEach(function (prop) {
+            var desc = findDescriptor(proto, prop);
+            if (!desc || !desc.get || !desc.set) return;
+            Object.defineProperty(hooks, prop, {
+                configurable: true,
+                enumerable: desc.enumerable,
+                get: function () {
+                    return desc.get.call(this);
+                },
+                set: function (v) {
+                    desc.set.call(this, v);
+                    syncSelection(inst);
+                }
+            });
+        });
+        inst.origProto = proto;
+        Object.setPrototypeOf(inst.select, hooks);
+    }
+
+    /**
+     * 沿原型链查找属性描述符
+     * @param {Object} obj — 起始对象
+     * @param {string} prop — 属性名
+     * @returns {Object|undefined}
+     */
+    function findDescriptor(obj, prop) {
+        while (obj) {
+            var desc = Object.getOwnPropertyDescriptor(obj, prop);
+            if (desc) return desc;
+            obj = Object.getPrototypeOf(obj);
+        }
+        return undefined;
+    }
+
+    /**
+     * 撤销 hookAssignments：恢复 select 原来的原型
+     * @param {Object} inst — 实例对象
+     */
+    function unhookAssignments(inst) {
+        if (inst.origProto) Object.setPrototypeOf(inst.select, inst.origProto);
+    }
+
+    /* ============ 远程数据源 ============ */
+
+    /**
+     * 渲染远程状态行（加载中 / 加载失败）到下拉面板底部
+     * @param {Object} inst — 实例对象
+     */
+    function renderStatus(inst) {
+        var old = inst.dropdown.querySelector('.boblog-select-status');
+        if (old) inst.dropdown.removeChild(old);
+
+        var state = inst.remote.state;
+        if (state === 'idle') return;
+
+        var row = document.createElement('div');
+        if (state === 'loading') {
+            row.className = 'boblog-select-status boblog-select-loading';
+            row.textContent = '加载中...';
+        } else {
+            row.className = 'boblog-select-status boblog-select-retry';
+            row.textContent = '加载失败，点击重试';
+        }
+        inst.dropdown.appendChild(row);
+    }
+
+    /**
+     * 切换远程状态并刷新状态行和"无匹配项"提示
+     * @param {Object} inst — 实例对象
+     * @param {string} state — 'idle' | 'loading' | 'error'
+     */
+    function setRemoteState(inst, state) {
+        inst.remote.state = state;
+        renderStatus(inst);
+        applyFilter(inst);
+    }
+
+    /**
+     * 将服务端返回的条目规整为 setOptions 的选项描述
+     * value / text 缺省时依次取 id / name、label
+     */
+    function normalizeItem(item) {
+        if (typeof item !== 'object' || item === null) {
+            return { value: item, text: item };
+        }
+        var value = item.value != null ? item.value : item.id;
+        var text = item.text != null ? item.text : (item.name != null ? item.name : item.label);
+        return { value: value, text: text != null ? text : value, disabled: item.disabled };
+    }
+
+    /**
+     * 将一页远程结果写入原生 select
+     * 第一页替换旧结果，后续页追加；已选中但不在结果中的选项保留（表单提交需要），
+     * 在面板中隐藏。
+     *
+     * @param {Object} inst — 实例对象
+     * @param {Array} items — 规整后的选项描述
+     * @param {boolean} append — 是否追加（非第一页）
+     */
+    function applyRemoteItems(inst, items, append) {
+        var nativeSelect = inst.select;
+        var remote = inst.remote;
+
+        /* 批量修改期间暂停观察，结束后统一刷新一次 */
+        inst.observer.disconnect();
+
+        if (!append) {
+            remote.values = [];
+            var options = Array.prototype.slice.call(nativeSelect.options);
+            options.forEach(function (opt) {
+                if (!opt.selected) opt.parentNode.removeChild(opt);
+            });
+        }
+
+        items.forEach(function (item) {
+            var value = item.value == null ? '' : String(item.value);
+            if (remote.values.indexOf(value) !== -1) return;
+            remote.values.push(value);
+
+            /* 已存在（保留的已选项）则不重复添加 */
+            for (var i = 0; i < nativeSelect.options.length; i++) {
+                if (nativeSelect.options[i].value === value) return;
+            }
+            var opt = createOption(item);
+            /* 新结果不改变当前选中项 */
+            opt.selected = false;
+            opt.defaultSelected = false;
+            nativeSelect.appendChild(opt);
+        });
+
+        observe(inst);
+        inst.refresh();
+    }
+
+    /**
+     * 请求一页远程数据
+     * 新请求会中止尚未返回的旧请求，避免乱序覆盖
+     *
+     * @param {Object} inst — 实例对象
+     * @param {number} page — 页码，1 为按当前搜索词重新加载
+     */
+    function loadRemote(inst, page) {
+        var remote = inst.remote;
+        var query = inst.search.value.trim();
+
+        clearTimeout(remote.timer);
+        if (remote.xhr) remote.xhr.abort();
+
+        remote.query = query;
+        remote.page = page;
+        setRemoteState(inst, 'loading');
+
+        var url = remote.url + (remote.url.indexOf('?') === -1 ? '?' : '&')
+            + 'q=' + encodeURIComponent(query)
+            + '&page=' + page
+            + '&pageSize=' + remote.pageSize;
+
+        var xhr = new XMLHttpRequest();
+        remote.xhr = xhr;
+        xhr.withCredentials = true;
+
+        xhr.onload = function () {
+            remote.xhr = null;
+            if (xhr.status < 200 || xhr.status >= 300) {
+                console.error('[BoblogUI.select] 远程数据加载失败: HTTP ' + xhr.status);
+                setRemoteState(inst, 'error');
+                return;
+            }
+
+            var json;
+            try {
+                json = JSON.parse(xhr.responseText);
+            } catch (e) {
+                json = null;
+            }
+            var items = Array.isArray(json) ? json : (json && json.items);
+            if (!Array.isArray(items)) {
+                console.error('[BoblogUI.select] 远程数据格式错误: ' + xhr.responseText);
+                setRemoteState(inst, 'error');
+                return;
+            }
+
+            remote.hasMore = Array.isArray(json)
+                ? items.length >= remote.pageSize
+                : !!json.hasMore;
+            remote.loaded = true;
+            remote.state = 'idle';
+            applyRemoteItems(inst, items.map(normalizeItem), page > 1);
+
+            /* 结果不足以出现滚动条时继续加载，直到可滚动或没有更多 */
+            if (inst.el.classList.contains('open')) loadMoreIfNeeded(inst);
+        };
+
+        xhr.onerror = function () {
+            remote.xhr = null;
+            console.error('[BoblogUI.select] 远程数据加载失败: ' + url);
+            setRemoteState(inst, 'error');
+        };
+
+        xhr.open('GET', url);
+        xhr.send();
+    }
+
+    /**
+     * 面板滚动到底部时加载下一页
+     * @param {Object} inst — 实例对象
+     */
+    function loadMoreIfNeeded(inst) {
+        var remote = inst.remote;
+        var dropdown = inst.dropdown;
+        if (remote.state !== 'idle' || !remote.hasMore) return;
+        if (dropdown.scrollTop + dropdown.clientHeight >= dropdown.scrollHeight - 20) {
+            loadRemote(inst, remote.page + 1);
+        }
+    }
+
+    /* ============ 实例对象 ============ */
+
+    /**
+     * 按 setOptions 的选项描述创建原生 option
+     * @param {Object|string} item — { value, text, disabled?, selected? } 或字符串
+     */
+    function createOption(item) {
+        if (typeof item !== 'object' || item === null) {
+            item = { value: item, text: item };
+        }
+        var opt = document.createElement('option');
+        opt.value = item.value == null ? '' : String(item.value);
+        opt.textContent = item.text != null ? item.text : opt.value;
+        if (item.disabled) opt.disabled = true;
+        if (item.selected) opt.selected = true;
+        return opt;
+    }
+
+    /**
+     * 创建实例对象（公开方法直接挂在对象上）
+     * @param {Object} state — 内部字段
+     * @returns {Object} 实例对象
+     */
+    function createInstance(state) {
+        var inst = state;
+
+        inst.getValue = function () {
+            if (!inst.multiple) return inst.select.value;
+            var values = [];
+            var options = inst.select.options;
+            for (var i = 0; i < options.length; i++) {
+                if (options[i].selected) values.push(options[i].value);
+            }
+            return values;
+        };
+
+        inst.setValue = function (value) {
+            if (inst.multiple) {
+                var values = [].concat(value == null ? [] : value).map(String);
+                var options = inst.select.options;
+                for (var i = 0; i < options.length; i++) {
+                    options[i].selected = values.indexOf(options[i].value) !== -1;
+                }
+            } else {
+                inst.select.value = value == null ? '' : String(value);
+            }
+            syncSelection(inst);
+        };
+
+        inst.refresh = function () {
+            renderOptions(inst);
+            syncSelection(inst);
+            fixWidth(inst);
+        };
+
+        inst.setOptions = function (options) {
+            var nativeSelect = inst.select;
+            /* 批量替换期间暂停观察，结束后统一刷新一次 */
+            inst.observer.disconnect();
+            nativeSelect.innerHTML = '';
+            (options || []).forEach(function (item) {
+                if (item && item.options) {
+                    /* 分组 */
+                    var group = document.createElement('optgroup');
+                    group.label = item.label || '';
+                    if (item.disabled) group.disabled = true;
+                    item.options.forEach(function (child) {
+                        group.appendChild(createOption(child));
+                    });
+                    nativeSelect.appendChild(group);
+                } else {
+                    nativeSelect.appendChild(createOption(item));
+                }
+            });
+            observe(inst);
+            inst.refresh();
+        };
+
+        inst.enable = function () {
+            inst.select.disabled = false;
+            inst.el.classList.remove('disabled');
+            syncSelection(inst);
+        };
+
+        inst.disable = function () {
+            inst.select.disabled = true;
+            syncSelection(inst);
+        };
+
+        inst.destroy = function () {
+            destroy(inst.el);
+        };
+
+        return inst;
+    }
+
+    /**
+     * 监听原生 select 的结构和属性变化（增删 option、修改文字、切换 disabled 等）
+     * @param {Object} inst — 实例对象
+     */
+    function observe(inst) {
+        inst.observer.observe(inst.select, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['disabled', 'selected', 'label', 'value']
+        });
+    }
+
     /* ============ 核心：转换单个 select ============ */
 
+    /**
+     * 展开下拉面板
+     * 有搜索框时清空搜索词并聚焦搜索框
+     * @param {Object} inst — 实例对象
+     */
+    function open(inst) {
+        closeAll(inst.el);
+        inst.el.classList.add('open');
+        if (inst.search) {
+            inst.search.value = '';
+            applyFilter(inst);
+            inst.search.focus();
+        }
+        /* 远程模式：首次展开或上次搜索词非空时，按空搜索词重新加载第一页 */
+        if (inst.remote && (!inst.remote.loaded || inst.remote.query !== '')) {
+            loadRemote(inst, 1);
+        }
+    }
+
     /**
      * 将一个 .boblog-select 容器内的原生 select 转换为自定义下拉
      * @param {HTMLElement} container — .boblog-select 容器元素
@@ -80,11 +723,15 @@
         var nativeSelect = container.querySelector('select');
         if (!nativeSelect) return;
 
-        /* 多选下拉框不转换，保留原生渲染 */
-        if (nativeSelect.multiple) return;
+        /* 记录转换前的内联样式，destroy 时还原 */
+        var origDisplay = nativeSelect.style.display;
+        var origWidth = container.style.width;
 
         /* 标记为自定义模式 */
         container.classList.add('boblog-select-custom');
+        if (nativeSelect.multiple) {
+            container.classList.add('boblog-select-multiple');
+        }
 
         /* 隐藏原生 select（保留在 DOM 中以便表单提交） */
         nativeSelect.style.display = 'none';
@@ -92,61 +739,69 @@
         /* ---------- 创建显示区域 ---------- */
         var display = document.createElement('div');
         display.className = 'boblog-select-display';
-        /* 显示当前选中项的文字 */
-        var selectedOption = nativeSelect.options[nativeSelect.selectedIndex];
-        display.textContent = selectedOption ? selectedOption.textContent : '';
         container.appendChild(display);
 
-        /* ---------- 固定容器宽度为所有选项最大宽度 ---------- */
-        /* 默认开启，可通过 data-fixed-width="false" 禁用 */
-        if (container.dataset.fixedWidth !== 'false') {
-            /* 将 display 元素临时设为 visibility:hidden + white-space:nowrap，
-               逐一填入每个选项文字，用 offsetWidth 测量实际渲染宽度（含 padding/箭头），
-               取最大值后固定容器宽度 */
-            var origVisibility = display.style.visibility;
-            var origWhiteSpace = display.style.whiteSpace;
-            display.style.visibility = 'hidden';
-            display.style.whiteSpace = 'nowrap';
-            var maxW = 0;
-            for (var j = 0; j < nativeSelect.options.length; j++) {
-                display.textContent = nativeSelect.options[j].textContent;
-                var w = display.offsetWidth;
-                if (w > maxW) maxW = w;
-            }
-            /* 还原显示文字 */
-            display.textContent = selectedOption ? selectedOption.textContent : '';
-            display.style.visibility = origVisibility;
-            display.style.whiteSpace = origWhiteSpace;
-            if (maxW > 0) container.style.width = maxW + 'px';
-        }
-
         /* ---------- 创建下拉面板 ---------- */
         var dropdown = document.createElement('div');
         dropdown.className = 'boblog-select-dropdown';
+        container.appendChild(dropdown);
 
-        /* 遍历所有 option，生成自定义选项 */
-        var options = nativeSelect.options;
-        for (var i = 0; i < options.length; i++) {
-            var opt = options[i];
-            var item = document.createElement('div');
-            item.className = 'boblog-select-option';
-            item.setAttribute('data-value', opt.value);
-            item.setAttribute('data-index', i);
-            item.textContent = opt.textContent;
-
-            /* 禁用选项 */
-            if (opt.disabled) {
-                item.classList.add('disabled');
-            }
+        /* ---------- 搜索框（data-searchable，远程模式总是显示） ---------- */
+        var search = null;
+        var searchable = container.dataset.searchable;
+        var remoteUrl = container.dataset.remoteUrl;
+        if (remoteUrl || (searchable !== undefined && searchable !== 'false')) {
+            search = document.createElement('input');
+            search.type = 'text';
+            search.className = 'boblog-select-search';
+            search.setAttribute('placeholder', '搜索...');
+            search.setAttribute('autocomplete', 'off');
+            dropdown.appendChild(search);
+        }
 
-            /* 当前选中项高亮 */
-            if (i === nativeSelect.selectedIndex) {
-                item.classList.add('selected');
-            }
+        var inst = createInstance({
+            el: container,
+            select: nativeSelect,
+            display: display,
+            dropdown: dropdown,
+            search: search,
+            multiple: nativeSelect.multiple,
+            placeholder: container.dataset.placeholder || '请选择',
+            remote: remoteUrl ? {
+                url: remoteUrl,
+                pageSize: parseInt(container.dataset.remotePageSize, 10) || 20,
+                delay: parseInt(container.dataset.remoteDelay, 10) || 300,
+                query: '',
+                page: 0,
+                hasMore: false,
+                loaded: false,
+                state: 'idle',
+                values: [],
+                xhr: null,
+                timer: null
+            } : null,
+            origDisplay: origDisplay,
+            origProto: null,
+            origWidth: origWidth,
+            nativeDisabled: false,
+            controller: new AbortController(),
+            observer: null
+        });
+        inst.observer = new MutationObserver(function () {
+            inst.refresh();
+        });
+        instances.set(container, inst);
 
-            dropdown.appendChild(item);
-        }
-        container.appendChild(dropdown);
+        renderOptions(inst);
+        syncSelection(inst);
+        fixWidth(inst);
+
+        /* ---------- 自动同步：原生 select 结构 / 属性变化或触发 change 时刷新自定义 UI ---------- */
+        hookAssignments(inst);
+        observe(inst);
+        nativeSelect.addEventListener('change', function () {
+            syncSelection(inst);
+        }, { signal: inst.controller.signal });
 
         /* ---------- 事件：点击显示区域，切换下拉 ---------- */
         display.addEventListener('click', function (e) {
@@ -154,67 +809,122 @@
             /* 禁用状态不响应 */
             if (isDisabled(container)) return;
 
-            /* 关闭其他已打开的下拉 */
-            closeAll(container);
-            /* 切换当前下拉 */
-            container.classList.toggle('open');
+            /* 多选：点击标签上的 × 取消选中该项 */
+            var remove = e.target.closest('.boblog-select-chip-remove');
+            if (remove) {
+                var chip = remove.parentNode;
+                nativeSelect.options[parseInt(chip.getAttribute('data-index'), 10)].selected = false;
+                fireChange(nativeSelect);
+                return;
+            }
+
+            /* 切换当前下拉（展开时关闭其他已打开的下拉） */
+            if (container.classList.contains('open')) {
+                container.classList.remove('open');
+            } else {
+                open(inst);
+            }
         });
 
-        /* ---------- 事件：点击选项，选中并关闭 ---------- */
+        /* ---------- 事件：点击选项 ---------- */
         dropdown.addEventListener('click', function (e) {
-            var target = e.target;
-            /* 确保点击的是选项元素 */
-            if (!target.classList.contains('boblog-select-option')) return;
-            /* 禁用选项不响应 */
-            if (target.classList.contains('disabled')) return;
-
-            var index = parseInt(target.getAttribute('data-index'), 10);
+            /* 面板内点击（含搜索框）不冒泡到 document，避免被"点击外部关闭"收起 */
+            e.stopPropagation();
 
-            /* 更新原生 select 的值 */
-            nativeSelect.selectedIndex = index;
+            /* 远程加载失败：点击重试上一次请求 */
+            if (e.target.closest('.boblog-select-retry')) {
+                loadRemote(inst, inst.remote.page);
+                return;
+            }
 
-            /* 触发 change 事件，确保外部监听器能感知变化 */
-            var changeEvent = new Event('change', { bubbles: true });
-            nativeSelect.dispatchEvent(changeEvent);
+            var target = e.target.closest('.boblog-select-option');
+            /* 确保点击的是选项元素，禁用选项不响应 */
+            if (!target || target.classList.contains('disabled')) return;
 
-            /* 更新显示文字 */
-            display.textContent = target.textContent;
+            var index = parseInt(target.getAttribute('data-index'), 10);
 
-            /* 更新选中高亮 */
-            var allItems = dropdown.querySelectorAll('.boblog-select-option');
-            for (var j = 0; j < allItems.length; j++) {
-                allItems[j].classList.remove('selected');
+            if (inst.multiple) {
+                /* 多选：切换该项选中状态，面板保持展开以便继续选择 */
+                var opt = nativeSelect.options[index];
+                opt.selected = !opt.selected;
+                fireChange(nativeSelect);
+                if (search) search.focus();
+                return;
             }
-            target.classList.add('selected');
+
+            /* 单选：更新原生 select 的值，fireChange 触发的 change 监听同步显示文字和选中高亮 */
+            nativeSelect.selectedIndex = index;
+            fireChange(nativeSelect);
 
             /* 关闭下拉 */
             container.classList.remove('open');
+            if (search) display.focus();
         });
 
+        /* ---------- 事件：搜索过滤 ---------- */
+        if (search) {
+            search.addEventListener('input', function () {
+                if (!inst.remote) {
+                    applyFilter(inst);
+                    return;
+                }
+                /* 远程模式：防抖后按新搜索词加载第一页 */
+                clearTimeout(inst.remote.timer);
+                inst.remote.timer = setTimeout(function () {
+                    loadRemote(inst, 1);
+                }, inst.remote.delay);
+            });
+        }
+
+        /* ---------- 事件：远程模式滚动加载 ---------- */
+        if (inst.remote) {
+            dropdown.addEventListener('scroll', function () {
+                loadMoreIfNeeded(inst);
+            });
+        }
+
         /* ---------- 事件：键盘操作 ---------- */
-        display.setAttribute('tabindex', '0');
-        display.addEventListener('keydown', function (e) {
+        /* 单选沿用 .selected 作为键盘光标（Enter 确认）；多选时 .selected 表示已选，光标改用 .active */
+        var cursorClass = inst.multiple ? 'active' : 'selected';
+
+        function onKeydown(e) {
             if (isDisabled(container)) return;
 
+            var inSearch = e.target === search;
             var isOpen = container.classList.contains('open');
-            var allItems = dropdown.querySelectorAll('.boblog-select-option:not(.disabled)');
+            var allItems = Array.prototype.filter.call(
+                dropdown.querySelectorAll('.boblog-select-option:not(.disabled)'),
+                function (item) { return item.style.display !== 'none'; }
+            );
             var currentIndex = -1;
 
             /* 找到当前高亮项 */
             for (var k = 0; k < allItems.length; k++) {
-                if (allItems[k].classList.contains('selected')) {
+                if (allItems[k].classList.contains(cursorClass)) {
                     currentIndex = k;
                     break;
                 }
             }
 
+            /* 移动光标到指定项 */
+            function moveTo(next) {
+                var items = dropdown.querySelectorAll('.boblog-select-option');
+                for (var m = 0; m < items.length; m++) {
+                    items[m].classList.remove(cursorClass);
+                }
+                allItems[next].classList.add(cursorClass);
+                /* 滚动到可见区域 */
+                allItems[next].scrollIntoView({ block: 'nearest' });
+            }
+
             switch (e.key) {
                 case 'Enter':
                 case ' ':
+                    /* 搜索框内空格为正常输入 */
+                    if (e.key === ' ' && inSearch) return;
                     e.preventDefault();
                     if (!isOpen) {
-                        closeAll(container);
-                        container.classList.add('open');
+                        open(inst);
                     } else {
                         /* 确认选中当前高亮项 */
                         if (currentIndex >= 0) {
@@ -226,39 +936,34 @@
                 case 'Escape':
                     e.preventDefault();
                     container.classList.remove('open');
+                    if (inSearch) display.focus();
                     break;
 
                 case 'ArrowDown':
                     e.preventDefault();
                     if (!isOpen) {
-                        closeAll(container);
-                        container.classList.add('open');
-                    } else {
+                        open(inst);
+                    } else if (allItems.length) {
                         /* 向下移动高亮 */
-                        var nextIndex = (currentIndex + 1) % allItems.length;
-                        for (var m = 0; m < allItems.length; m++) {
-                            allItems[m].classList.remove('selected');
-                        }
-                        allItems[nextIndex].classList.add('selected');
-                        /* 滚动到可见区域 */
-                        allItems[nextIndex].scrollIntoView({ block: 'nearest' });
+                        moveTo((currentIndex + 1) % allItems.length);
                     }
                     break;
 
                 case 'ArrowUp':
                     e.preventDefault();
-                    if (isOpen) {
+                    if (isOpen && allItems.length) {
                         /* 向上移动高亮 */
-                        var prevIndex = (currentIndex - 1 + allItems.length) % allItems.length;
-                        for (var n = 0; n < allItems.length; n++) {
-                            allItems[n].classList.remove('selected');
-                        }
-                        allItems[prevIndex].classList.add('selected');
-                        allItems[prevIndex].scrollIntoView({ block: 'nearest' });
+                        moveTo((currentIndex - 1 + allItems.length) % allItems.length);
                     }
                     break;
             }
-        });
+        }
+
+        display.setAttribute('tabindex', '0');
+        display.addEventListener('keydown', onKeydown);
+        if (search) {
+            search.addEventListener('keydown', onKeydown);
+        }
     }
 
     /* ============ 初始化入口 ============ */
@@ -275,13 +980,65 @@
 
         var selectContainers = root.querySelectorAll('.boblog-select');
 
-        selectContainers.forEach(function (el) {
-            /* 跳过已初始化的容器 */
-            if (el.dataset.bbSelectInit) return;
-            el.dataset.bbSelectInit = '1';
+        selectContainers.forEach(initOne);
+    }
 
-            transformSelect(el);
-        });
+    /**
+     * 初始化单个 .boblog-select 容器（防止重复转换）
+     *
+     * @param {HTMLElement} el — .boblog-select 容器
+     */
+    function initOne(el) {
+        /* 跳过已初始化的容器 */
+        if (el.dataset.bbSelectInit) return;
+        el.dataset.bbSelectInit = '1';
+
+        transformSelect(el);
+    }
+
+    /**
+     * 销毁单个 .boblog-select 容器
+     * 移除自定义显示区域和下拉面板（事件随节点一起释放），停止自动同步并移除赋值拦截，
+     * 恢复原生 select 的显示和容器宽度，清除初始化标记。
+     *
+     * @param {HTMLElement} el — .boblog-select 容器
+     */
+    function destroy(el) {
+        var inst = instances.get(el);
+        if (inst) {
+            inst.observer.disconnect();
+            inst.controller.abort();
+            unhookAssignments(inst);
+            /* 停止未完成的远程请求 */
+            if (inst.remote) {
+                clearTimeout(inst.remote.timer);
+                if (inst.remote.xhr) inst.remote.xhr.abort();
+            }
+
+            el.removeChild(inst.display);
+            el.removeChild(inst.dropdown);
+            inst.select.style.display = inst.origDisplay;
+            el.style.width = inst.origWidth;
+            el.classList.remove('boblog-select-custom', 'boblog-select-multiple', 'open');
+            if (inst.nativeDisabled) el.classList.remove('disabled');
+            instances.delete(el);
+        }
+        delete el.dataset.bbSelectInit;
+    }
+
+    /**
+     * 获取下拉实例
+     *
+     * @param {HTMLElement} el — .boblog-select 容器，或其内的原生 select
+     * @returns {Object|null} 实例对象，未转换时返回 null
+     */
+    function getInstance(el) {
+        if (!el) return null;
+        if (el.tagName === 'SELECT') {
+            el = el.closest('.boblog-select');
+            if (!el) return null;
+        }
+        return instances.get(el) || null;
     }
 
     /* ============ 全局事件：点击外部关闭所有下拉 ============ */
@@ -291,9 +1048,15 @@
 
     /* 挂载到全局命名空间 */
     BoblogUI.select = {
-        init: init
+        init: init,
+        destroy: destroy,
+        getInstance: getInstance
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('select', '.boblog-select', initOne, destroy);
+    }
+
     /* DOMContentLoaded 时自动初始化 */
     document.addEventListener('DOMContentLoaded', function () {
         init();
@@ -6,6 +6,7 @@
  * - 触屏滑动支持
  * - 支持 min / max / step / value 属性
  * - 拖拽过程中实时更新数值标签
+ * - destroy 时解绑所有事件（含拖拽中挂在 document 上的 move/up 监听）
  *
  * HTML 结构约定：
  *   <div class="boblog-slider-vertical" data-min="0" data-max="100" data-value="40" data-step="1">
@@ -17,6 +18,7 @@
  *
  * 公开 API：
  *   BoblogUI.slider.init([container])  — 初始化指定容器（默认 document）内所有竖向滑块
+ *   BoblogUI.slider.destroy(el)         — 销毁单个竖向滑块
  *
  * 依赖：
  *   - src/components/slider.css（滑块样式）
@@ -27,6 +29,9 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已初始化滑块 → 销毁函数 */
+    var teardowns = new WeakMap();
+
     /**
      * 初始化单个竖向滑块
      * @param {HTMLElement} slider — .boblog-slider-vertical 容器
@@ -79,6 +84,10 @@
         value = clamp(value);
         updateUI(value);
 
+        /* 手柄/轨道上的事件统一挂在 controller 上，destroy 时一次性解绑 */
+        var controller = new AbortController();
+        var signal = controller.signal;
+
         /* ---- 鼠标拖拽 ---- */
         var dragging = false;
 
@@ -87,7 +96,7 @@
             dragging = true;
             document.addEventListener('mousemove', onMouseMove);
             document.addEventListener('mouseup', onMouseUp);
-        });
+        }, { signal: signal });
 
         function onMouseMove(e) {
             if (!dragging) return;
@@ -106,7 +115,7 @@
             if (e.target === thumb) return;
             value = getValueFromY(e.clientY);
             updateUI(value);
-        });
+        }, { signal: signal });
 
         /* ---- 触屏拖拽 ---- */
         thumb.addEventListener('touchstart', function (e) {
@@ -114,7 +123,7 @@
             dragging = true;
             document.addEventListener('touchmove', onTouchMove, { passive: false });
             document.addEventListener('touchend', onTouchEnd);
-        });
+        }, { signal: signal });
 
         function onTouchMove(e) {
             if (!dragging) return;
@@ -129,6 +138,26 @@
             document.removeEventListener('touchmove', onTouchMove);
             document.removeEventListener('touchend', onTouchEnd);
         }
+
+        teardowns.set(slider, function () {
+            controller.abort();
+            /* 拖拽中被销毁时，移除挂在 document 上的监听 */
+            onMouseUp();
+            onTouchEnd();
+        });
+    }
+
+    /**
+     * 销毁单个竖向滑块（保留当前值与手柄位置）
+     * @param {HTMLElement} slider — .boblog-slider-vertical 容器
+     */
+    function destroy(slider) {
+        var teardown = teardowns.get(slider);
+        if (teardown) {
+            teardown();
+            teardowns.delete(slider);
+        }
+        slider.removeAttribute('data-slider-init');
     }
 
     /**
@@ -145,9 +174,14 @@
 
     /* ============ 公开 API ============ */
     BoblogUI.slider = {
-        init: init
+        init: init,
+        destroy: destroy
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('slider', '.boblog-slider-vertical', initOne, destroy);
+    }
+
     /* ============ 自动初始化 ============ */
     document.addEventListener('DOMContentLoaded', function () {
         init();
@@ -6,8 +6,16 @@
  *   - 自动扫描页面中带 .boblog-th-sortable 的表头单元格
  *   - 点击表头切换排序方向：无序 → 升序(asc) → 降序(desc) → 无序
  *   - 自动识别数据类型：数字、日期(YYYY-MM-DD)、字符串
+ *   - th 加 data-sort-type 指定类型：
+ *       number   — 数字，允许千分位 "1,200"
+ *       date     — 日期 YYYY-MM-DD / YYYY/MM/DD（可带时间）、时间戳、相对时间 "3 天前"、"昨天"
+ *       filesize — 文件大小 "1.2 MB"、"512KB"（按 1024 进位）
+ *       currency — 金额 "¥1,200"、"$-3.50"、"(1,000)"
+ *       pinyin   — 按汉字拼音排序
+ *       custom   — 配合 data-sort-comparator="名称"，使用 registerComparator 注册的比较器
+ *   - 空单元格（或按类型解析失败，如 "-"）无论升降序都排在最后；值相同的行保持原有相对顺序
  *   - 排序时自动更新 CSS 类名（.boblog-sort-asc / .boblog-sort-desc）
- *   - 同一表格同时只有一列处于排序状态
+ *   - 普通点击只按当前列排序；Shift + 点击追加为次级排序列，表头以 data-sort-priority 标出优先级
  *
  *   【分页】
  *   - 自动扫描带 data-page-size 属性的 .boblog-table 表格
@@ -15,6 +23,68 @@
  *   - 在表格下方自动生成分页导航栏（使用 .boblog-pagination 样式）
  *   - 排序后自动跳回第一页，保持排序与分页联动
  *
+ *   【筛选与搜索】
+ *   - table 加 data-searchable：表格上方生成工具栏搜索框，任一单元格匹配即保留该行（支持拼音）
+ *   - th 加 data-filter="text|select|date-range"：表头下方生成筛选行
+ *       text       — 文本框，包含匹配（支持拼音）
+ *       select     — 下拉框，完全匹配；选项取 data-filter-options="a,b,c"，缺省时取该列所有不同值
+ *       date-range — 起止日期，按单元格开头的 YYYY-MM-DD 比较（含边界）
+ *   - 排序、筛选、分页联动：先排序再筛选，筛选后回到第 1 页，"共 N 条"为筛选后的条数
+ *
+ *   【行选择】
+ *   - table 加 data-selectable：首列生成复选框，表头复选框全选/取消全选当前页（部分选中时为半选）
+ *   - Shift + 点击复选框：选中/取消上次点击行与本行之间的所有行（按当前排序、筛选后的顺序）
+ *   - 选中状态跨分页、排序、筛选保留；数据驱动表格按行唯一键记录，服务端模式翻页后仍保留
+ *   - 选中行加 .boblog-row-selected；选择变化时在 table 上派发 boblog:table:selection 事件，
+ *     detail 为 { rows, count }（rows 同 getSelectedRows）
+ *
+ *   【列布局】
+ *   - table 加 data-resizable：拖动表头右边框调整列宽
+ *   - table 加 data-reorderable：拖动表头调整列顺序（整列移动，含筛选行；rowspan 合并单元格随所在列移动）
+ *   - table 加 data-hideable：工具栏生成"列"菜单，勾选显示/隐藏列，可恢复默认
+ *   - table 加 data-table-key="唯一名"：列宽、顺序、显隐保存到 localStorage，刷新后自动恢复
+ *   - 列以 th 的 data-key 标识（没有时为初始列序号）；布局变化后重新计算手动斑马纹
+ *
+ *   【单元格编辑】
+ *   - td 加 data-editable="text|number|select|date"：双击切换为 .boblog-input / BoblogUI.select / BoblogUI.datePicker
+ *       select 的选项取 data-edit-options="a,b,c"；number 可加 data-step
+ *   - 文本、数字按 Enter 或失焦提交，Esc 取消；下拉、日期选中即提交，点击单元格外部取消
+ *   - 校验：data-required 必填，data-min / data-max 数值或日期范围；未通过时保持编辑并以 title 提示
+ *   - 提交后在 table 上派发 boblog:table:cell-change 事件，
+ *     detail 为 { row, cell, key, rowKey, record, oldValue, newValue }（rowKey、record 仅数据驱动表格）
+ *   - onCellSave 保存钩子返回 Promise：等待期间单元格加 .boblog-table-cell-saving，
+ *     被拒绝时恢复旧值且不派发事件
+ *
+ *   【数据驱动】
+ *   - BoblogUI.table.create(table, { columns, data, rowKey }) 按列定义从 JSON 渲染表头和行
+ *   - 列可定义 render 格式化函数；排序按原始值比较（与 DOM 模式共用比较函数）
+ *   - setData() 整体替换数据、updateRow() 局部更新单行，无需重建页面
+ *
+ *   【展开行与树形表格】
+ *   - 详情行：tr.boblog-table-detail 紧跟在主行之后，主行首个单元格生成展开按钮，展开时显示
+ *     数据驱动表格传入 detail: function(row) → HTML 字符串或 Node，首次展开时生成详情行
+ *   - 树形：table 加 data-tree，tr 以 data-row-key 标识、data-parent-key 指向父行；
+ *     数据驱动表格传入 tree: true，子行写在记录的 children 中（字段名可用 childrenKey 指定）
+ *   - 展开按钮沿用 .boblog-tree-toggle，子行按层级缩进；初始带 .boblog-row-expanded 的行为展开状态
+ *   - 排序只在同级之间进行，子行和详情行始终跟在父行之后；搜索、筛选保留匹配行及其所有上级行
+ *   - 展开 / 收起时在 table 上派发 boblog:table:toggle 事件，detail 为 { row, expanded, record }
+ *   - 虚拟滚动表格支持树形，不支持详情行（行高不固定）
+ *
+ *   【虚拟滚动】
+ *   - create 传入 virtual: true（或 table 加 data-virtual）：tbody 中只保留可视区域内的行，上下以占位行撑起滚动高度
+ *   - 表格放在 .boblog-table-scroll / .boblog-table-scroll-both 中滚动（没有时自动包裹 .boblog-table-scroll），表头固定
+ *   - 行高固定：rowHeight / data-row-height 指定，缺省时取首个渲染行的实际高度；
+ *     容器高度 height / data-virtual-height（缺省 300px，同 .boblog-table-scroll 的 --table-max-height）
+ *   - 排序、筛选、行选择、列布局、单元格编辑、导出照常工作；同时分页时只虚拟化当前页
+ *
+ *   【服务端模式】
+ *   - create 传入 remote（回调或地址），或在 table 上写 data-remote-url 自动接管
+ *   - 点击排序表头、分页链接时发出 { page, pageSize, sortKey, direction } 请求并渲染返回的当前页
+ *     （多列排序时另附 sort: ['字段:方向', ...]，sortKey/direction 为首列）
+ *     （有搜索/筛选条件时附带 search 和 filters: { 字段名: 值 }，日期范围值为 [起, 止]）
+ *   - 请求期间表格加 .boblog-table-loading；总条数取服务端返回的 total，显示在分页信息中
+ *   - 加载失败显示"点击重试"行
+ *
  * HTML 结构约定：
  *   <!-- 排序 + 分页 -->
  *   <table class="boblog-table" data-page-size="5">
@@ -32,7 +102,77 @@
  *   - .boblog-sort-asc / .boblog-sort-desc: JS 自动管理
  *   - 分页导航栏自动插入到 table 后面
  *
- * 依赖：pagination.css（分页导航样式）
+ * 公开 API：
+ *   BoblogUI.table.init([container])     — 初始化指定容器（默认 document）内所有表格
+ *   BoblogUI.table.initManualStriped()   — 重新计算手动斑马纹
+ *   BoblogUI.table.destroy(table)        — 销毁单个表格：解绑表头事件、恢复原始行序、移除分页导航
+ *   BoblogUI.table.create(table, options) — 数据驱动模式，返回实例（见下）
+ *   BoblogUI.table.getInstance(table)    — 获取数据驱动表格的实例，非数据驱动表格返回 null
+ *   BoblogUI.table.getSelectedRows(table) — 选中的行：数据驱动表格为行数据，DOM 表格为 tr 元素
+ *   BoblogUI.table.clearSelection(table) — 清空选中行（含服务端模式其他页）
+ *   BoblogUI.table.export(table, options) — 导出为 CSV / JSON 并下载，返回文本内容（见下）
+ *   BoblogUI.table.registerComparator(name, compare, [parse]) — 注册排序类型：
+ *       compare(a, b) 返回升序比较结果；parse(text) 把单元格文本转为比较值，返回 null 按空值排在最后
+ *   BoblogUI.table.getLayout(table)      — 当前列布局 { order: [列标识], hidden: [列标识], widths: { 列标识: 像素 } }
+ *   BoblogUI.table.setLayout(table, layout) — 应用并保存列布局（可只传部分字段）
+ *   BoblogUI.table.resetLayout(table)    — 恢复初始列布局并清除已保存的布局
+ *   BoblogUI.table.onCellSave(table, handler) — 设置单元格保存钩子 handler(detail) → Promise，传 null 取消
+ *   BoblogUI.table.toggleRow(table, row, [expanded]) — 展开 / 收起一行（row 为 tr 或行键），缺省 expanded 时切换
+ *   BoblogUI.table.expandAll(table)      — 展开全部行
+ *   BoblogUI.table.collapseAll(table)    — 收起全部行
+ *
+ * create 参数：
+ *   columns  — 列定义数组，每列：
+ *                key        — 行数据字段名
+ *                title      — 表头文字
+ *                sortable   — 是否可排序
+ *                render     — function(value, row, index) → HTML 字符串或 Node（缺省时按纯文本显示 value）
+ *                sortValue  — function(row) → 排序用的值（缺省时用 row[key]）
+ *                sortType   — 排序类型，同 th 的 data-sort-type
+ *                width / align / className — 列宽、对齐、td 类名
+ *                export     — false 时导出跳过该列（同 th 的 data-export="false"）
+ *                editable   — 'text' | 'number' | 'select' | 'date'，同 td 的 data-editable
+ *                editOptions / required / min / max — 同 td 的 data-edit-options、data-required、data-min、data-max
+ *                validate   — function(value, row) → 错误提示字符串，返回空值表示通过
+ *   data     — 行数据数组
+ *   rowKey   — 行唯一键字段名或 function(row) → key（默认 'id'）
+ *   pageSize — 每页条数（缺省时读取 table 的 data-page-size，都没有则不分页；服务端模式默认 20）
+ *   remote   — 服务端模式数据源：
+ *                function(params) → Promise<{ items, total }>，params 为 { page, pageSize, sortKey, direction }
+ *                或地址字符串：GET url?page=&pageSize=&sortKey=&direction=（未排序时不带后两项；
+ *                多列排序另附 sort=字段:方向,字段:方向；筛选为 search=&filters[字段名]=，日期范围写作 起,止），
+ *                响应 JSON { items: [...], total: N }
+ *              缺省时读取 table 的 data-remote-url
+ *   columns 缺省时从现有表头读取：th 的 data-key 为字段名、文字为标题、.boblog-th-sortable 为可排序
+ *   列定义中的 filter: 'text' | 'select' | 'date-range'、filterOptions: [...] 对应 th 的
+ *   data-filter、data-filter-options；searchable: true 对应 table 的 data-searchable；
+ *   selectable: true 对应 table 的 data-selectable
+ *   virtual / rowHeight / height — 虚拟滚动，对应 table 的 data-virtual、data-row-height、data-virtual-height
+ *   tree / childrenKey — 树形表格，tree 对应 table 的 data-tree，childrenKey 默认 'children'
+ *   detail   — function(row) → 详情行内容（HTML 字符串或 Node）
+ *   onCellSave — 单元格保存钩子，同 BoblogUI.table.onCellSave；number 列保存时写回数值
+ *
+ * export 参数：
+ *   format   — 'csv'（默认，带 UTF-8 BOM，Excel 打开中文不乱码）| 'json'
+ *   scope    — 'all'（默认）全部行 | 'filtered' 筛选后 | 'page' 当前页 | 'selected' 选中行，均按当前排序
+ *   filename — 下载文件名，默认 table.csv / table.json
+ *   download — false 时只返回文本不下载
+ *   跳过复选框列、隐藏的列和 th[data-export="false"] 的列（如操作列）；DOM 表格导出单元格文字，
+ *   数据驱动表格导出有 key 的列的原始值；服务端模式只有已加载的当前页（selected 含其他页已选行）
+ *
+ * 实例方法：
+ *   inst.setData(data)          — 替换全部数据（保持当前排序，页码超出时回到末页）
+ *   inst.updateRow(key, changes) — 合并更新单行字段并只重绘该行，找不到时返回 false
+ *   inst.getData()              — 当前数据（原始顺序；服务端模式为当前页）
+ *   inst.getSelectedRows()      — 同 BoblogUI.table.getSelectedRows(table)
+ *   inst.clearSelection()       — 同 BoblogUI.table.clearSelection(table)
+ *   inst.scrollToRow(key)       — 滚动到指定行（虚拟滚动时先渲染该行），行不在当前页时返回 false
+ *   inst.toggleRow(key, [expanded]) — 同 BoblogUI.table.toggleRow(table, key, expanded)
+ *   inst.expandAll() / inst.collapseAll() — 展开 / 收起全部行
+ *   inst.reload()               — 服务端模式：按当前页码和排序重新请求
+ *   inst.destroy()              — 同 BoblogUI.table.destroy(table)
+ *
+ * 依赖：pagination.js、pagination.css（分页导航）
  */
 (function () {
     'use strict';
@@ -99,23 +239,252 @@
         return direction === 'desc' ? -result : result;
     }
 
+    /* ==================================================
+     * 排序类型（th 的 data-sort-type）
+     * ================================================== */
+
+    /**
+     * 排序类型注册表
+     * key: 类型名
+     * value: { parse: function(text) → 可比较的值（null 视为空值）, compare: function(a, b) → 升序比较结果 }
+     */
+    var sortTypes = {};
+
+    /**
+     * 注册排序比较器
+     * 注册后可写作 data-sort-type="名称"，或 data-sort-type="custom" + data-sort-comparator="名称"
+     *
+     * @param {string} name - 类型名
+     * @param {Function} compareFn - function(a, b) → 负数/0/正数（升序），降序时自动取反
+     * @param {Function} [parseFn] - function(text) → 比较用的值，返回 null 时按空值排在最后；缺省时直接比较文本
+     */
+    function registerComparator(name, compareFn, parseFn) {
+        sortTypes[name] = { compare: compareFn, parse: parseFn || null };
+    }
+
+    /**
+     * 数值相减比较（number / date / filesize / currency 共用）
+     */
+    function compareNumbers(a, b) {
+        return a - b;
+    }
+
+    /**
+     * 解析数字：允许千分位逗号和空格，如 "1,200"
+     * @param {string} text - 单元格文本
+     * @returns {number|null}
+     */
+    function parseNumber(text) {
+        var str = text.replace(/[,\s]/g, '');
+        return isNumeric(str) ? parseFloat(str) : null;
+    }
+
+    /**
+     * 解析金额：去掉货币符号、单位和千分位，如 "¥1,200"、"$-3.50"、"(1,000)"、"1200 元"
+     * 括号或负号表示负数
+     *
+     * @param {string} text - 单元格文本
+     * @returns {number|null}
+     */
+    function parseCurrency(text) {
+        var digits = text.replace(/[^\d.]/g, '');
+        if (!isNumeric(digits)) return null;
+        var value = parseFloat(digits);
+        return /-|^\(.*\)$/.test(text) ? -value : value;
+    }
+
+    /** 文件大小单位 → 字节倍数（按 1024 进位） */
+    var FILESIZE_UNITS = { '': 1, b: 1, k: 1024, m: Math.pow(1024, 2), g: Math.pow(1024, 3), t: Math.pow(1024, 4), p: Math.pow(1024, 5) };
+
+    /**
+     * 解析文件大小为字节数，如 "1.2 MB"、"512KB"、"3 GiB"、"800 B"
+     * @param {string} text - 单元格文本
+     * @returns {number|null}
+     */
+    function parseFilesize(text) {
+        var match = /^([\d.,]+)\s*([bkmgtp]?)(?:i?b|bytes?)?$/i.exec(text);
+        if (!match) return null;
+        var value = parseNumber(match[1]);
+        return value === null ? null : value * FILESIZE_UNITS[match[2].toLowerCase()];
+    }
+
+    /** 相对时间单位 → 毫秒 */
+    var RELATIVE_UNITS = {
+        '秒': 1000,
+        '分钟': 60000,
+        '小时': 3600000,
+        '天': 86400000,
+        '周': 604800000,
+        '个月': 2592000000,
+        '月': 2592000000,
+        '年': 31536000000
+    };
+
+    /**
+     * 解析日期为时间戳
+     * 支持 YYYY-MM-DD / YYYY/MM/DD / YYYY.MM.DD（可带 HH:MM[:SS]）、时间戳数字，
+     * 以及相对时间 "刚刚"、"昨天"、"前天"、"3 天前"、"2 小时后"
+     *
+     * @param {string} text - 单元格文本
+     * @returns {number|null}
+     */
+    function parseDate(text) {
+        var match = /^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(text);
+        if (match) {
+            return new Date(+match[1], match[2] - 1, +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0)).getTime();
+        }
+        if (isNumeric(text)) return parseFloat(text);
+
+        var now = Date.now();
+        if (text === '刚刚') return now;
+        if (text === '昨天') return now - RELATIVE_UNITS['天'];
+        if (text === '前天') return now - 2 * RELATIVE_UNITS['天'];
+        var relative = /^(\d+)\s*(秒|分钟|小时|天|周|个月|月|年)\s*(前|后)$/.exec(text);
+        if (relative) {
+            var offset = relative[1] * RELATIVE_UNITS[relative[2]];
+            return relative[3] === '前' ? now - offset : now + offset;
+        }
+        return null;
+    }
+
+    /** 拼音排序：使用浏览器内置的中文拼音排序规则，数字按数值比较 */
+    var pinyinCollator = typeof Intl !== 'undefined'
+        ? new Intl.Collator('zh-CN-u-co-pinyin', { numeric: true })
+        : null;
+
+    function comparePinyin(a, b) {
+        return pinyinCollator ? pinyinCollator.compare(a, b) : a.localeCompare(b, 'zh-CN');
+    }
+
+    /* 内置排序类型；未声明 data-sort-type 时按 compare() 自动识别 */
+    registerComparator('auto', function (a, b) { return compare(a, b, 'asc'); });
+    registerComparator('number', compareNumbers, parseNumber);
+    registerComparator('date', compareNumbers, parseDate);
+    registerComparator('filesize', compareNumbers, parseFilesize);
+    registerComparator('currency', compareNumbers, parseCurrency);
+    registerComparator('pinyin', comparePinyin);
+
+    /**
+     * 读取表头单元格声明的排序类型，未声明或未注册时为 auto
+     * @param {HTMLElement} th - 表头单元格
+     * @returns {object} 排序类型 { parse, compare }
+     */
+    function getSortType(th) {
+        var name = (th && th.getAttribute('data-sort-type')) || 'auto';
+        if (name === 'custom') name = th.getAttribute('data-sort-comparator');
+        if (!sortTypes[name]) {
+            console.error('[BoblogUI.table] 未注册的排序类型:', name);
+            return sortTypes.auto;
+        }
+        return sortTypes[name];
+    }
+
     /* ==================================================
      * 排序功能
      * ================================================== */
 
     /**
-     * 对表格按指定列排序（操作 allRows 数组，不直接操作 DOM）
+     * 获取行在指定列上用于排序的值
+     * 数据驱动表格按行数据的原始值（或列的 sortValue）比较，其余按单元格文本比较
+     *
+     * @param {HTMLTableRowElement} row - 行元素
+     * @param {number} colIndex - 列索引
+     * @param {object} [column] - 数据驱动表格的列定义
+     * @returns {string|null} 排序值，单元格不存在时返回 null
+     */
+    function getSortValue(row, colIndex, column) {
+        var record = column && rowRecords.get(row);
+        if (record) {
+            var value = column.sortValue ? column.sortValue(record) : getCellValue(column, record);
+            return value == null ? '' : String(value);
+        }
+        var cell = row.cells[colIndex];
+        return cell ? getCellText(cell) : null;
+    }
+
+    /**
+     * 对表格按一列或多列排序（操作 allRows 数组，不直接操作 DOM）
+     * - 按 sorts 顺序依次比较，前一列相同时才比较下一列
+     * - 空单元格（或按类型解析失败）无论升降序都排在最后
+     * - 所有排序列都相同的行保持传入时的相对顺序
+     *
+     * @param {object} state - 表格状态对象（非分页表格为 null）
      * @param {Array} rows - 所有行的数组
-     * @param {number} colIndex - 排序列的索引（从 0 开始）
-     * @param {string} direction - 排序方向 'asc' 或 'desc'
+     * @param {Array} sorts - 排序列 [{ th, colIndex, direction }]，direction 为 'asc' 或 'desc'
      * @returns {Array} 排序后的行数组
      */
-    function sortRows(rows, colIndex, direction) {
-        return rows.slice().sort(function (rowA, rowB) {
-            var cellA = rowA.cells[colIndex];
-            var cellB = rowB.cells[colIndex];
-            if (!cellA || !cellB) return 0;
-            return compare(getCellText(cellA), getCellText(cellB), direction);
+    function sortRows(state, rows, sorts) {
+        var keys = sorts.map(function (sort) {
+            return {
+                colIndex: sort.colIndex,
+                column: getColumn(state, sort.colIndex),
+                type: getSortType(sort.th),
+                desc: sort.direction === 'desc'
+            };
+        });
+
+        /* 每行每列只解析一次 */
+        var items = rows.map(function (row, index) {
+            return {
+                row: row,
+                index: index,
+                values: keys.map(function (key) {
+                    var text = getSortValue(row, key.colIndex, key.column);
+                    if (text === null || text === '') return null;
+                    return key.type.parse ? key.type.parse(text) : text;
+                })
+            };
+        });
+
+        items.sort(function (x, y) {
+            for (var i = 0; i < keys.length; i++) {
+                var a = x.values[i];
+                var b = y.values[i];
+                if (a === null || b === null) {
+                    if (a === b) continue;
+                    return a === null ? 1 : -1;
+                }
+                var result = keys[i].type.compare(a, b);
+                if (result) return keys[i].desc ? -result : result;
+            }
+            return x.index - y.index;
+        });
+
+        return items.map(function (item) { return item.row; });
+    }
+
+    /**
+     * 读取表头行当前的排序列，按优先级排列
+     * @param {HTMLElement} headerRow - thead 中的 tr 元素
+     * @returns {Array} [{ th, colIndex, direction }]
+     */
+    function getSortSpec(headerRow) {
+        if (!headerRow) return [];
+        var sorts = [];
+        var active = headerRow.querySelectorAll('.boblog-sort-asc, .boblog-sort-desc');
+        for (var i = 0; i < active.length; i++) {
+            sorts.push({
+                th: active[i],
+                colIndex: Array.prototype.indexOf.call(headerRow.cells, active[i]),
+                direction: getCurrentDirection(active[i])
+            });
+        }
+        return sorts.sort(function (a, b) {
+            return (parseInt(a.th.getAttribute('data-sort-priority'), 10) || 0)
+                 - (parseInt(b.th.getAttribute('data-sort-priority'), 10) || 0);
+        });
+    }
+
+    /**
+     * 按排序列更新表头样式；多列排序时在表头标出优先级（data-sort-priority）
+     * @param {HTMLElement} headerRow - thead 中的 tr 元素
+     * @param {Array} sorts - 排序列 [{ th, direction }]
+     */
+    function setSortStates(headerRow, sorts) {
+        clearSortStates(headerRow);
+        sorts.forEach(function (sort, i) {
+            sort.th.classList.add('boblog-sort-' + sort.direction);
+            if (sorts.length > 1) sort.th.setAttribute('data-sort-priority', i + 1);
         });
     }
 
@@ -128,6 +497,7 @@
         for (var i = 0; i < sortables.length; i++) {
             sortables[i].classList.remove('boblog-sort-asc');
             sortables[i].classList.remove('boblog-sort-desc');
+            sortables[i].removeAttribute('data-sort-priority');
         }
     }
 
@@ -173,149 +543,92 @@
         var tbody = state.table.querySelector('tbody');
         if (!tbody) return;
 
-        var totalRows = state.allRows.length;
+        var totalRows = getTotalRows(state);
         var totalPages = Math.ceil(totalRows / state.pageSize) || 1;
 
-        /* 确保当前页在有效范围内 */
-        if (state.currentPage < 1) state.currentPage = 1;
-        if (state.currentPage > totalPages) state.currentPage = totalPages;
-
-        var startIndex = (state.currentPage - 1) * state.pageSize;
-        var endIndex = startIndex + state.pageSize;
+        /* 服务端模式：已加载的行就是当前页，页码以请求为准 */
+        var remote = !!state.remote;
 
-        /* 先清空 tbody，再按排序顺序插入当前页的行 */
-        /* 隐藏所有行 */
-        for (var i = 0; i < state.allRows.length; i++) {
-            state.allRows[i].style.display = 'none';
-            /* 确保行在 tbody 中（排序可能改变了顺序） */
-            tbody.appendChild(state.allRows[i]);
-        }
-
-        /* 显示当前页的行 */
-        for (var j = startIndex; j < endIndex && j < totalRows; j++) {
-            state.allRows[j].style.display = '';
+        /* 确保当前页在有效范围内 */
+        if (!remote) {
+            if (state.currentPage < 1) state.currentPage = 1;
+            if (state.currentPage > totalPages) state.currentPage = totalPages;
         }
 
-        /* 更新分页导航 */
-        renderPagination(state, totalPages);
-    }
-
-    /**
-     * 生成分页导航 HTML
-     * 使用 .boblog-pagination 样式，与 pagination.css 配合
-     *
-     * @param {object} state - 表格状态对象
-     * @param {number} totalPages - 总页数
-     */
-    function renderPagination(state, totalPages) {
-        if (!state.paginationEl) return;
-
-        var current = state.currentPage;
-        var html = '';
+        /* 服务端模式、不分页（pageSize 为 Infinity）时显示全部已加载的行 */
+        var paged = !remote && isFinite(state.pageSize);
+        var startIndex = paged ? (state.currentPage - 1) * state.pageSize : 0;
+        var endIndex = paged ? startIndex + state.pageSize : state.allRows.length;
 
-        /* 上一页按钮 */
-        if (current <= 1) {
-            html += '<span class="boblog-page-link boblog-page-prev boblog-page-disabled">&laquo; 上一页</span>';
+        if (state.virtual) {
+            /* 虚拟滚动：tbody 中只保留当前页可视区域内的行 */
+            renderVirtualPage(state, startIndex, Math.min(endIndex, state.allRows.length));
         } else {
-            html += '<a class="boblog-page-link boblog-page-prev" href="#" data-page="' + (current - 1) + '">&laquo; 上一页</a>';
-        }
+            /* 先清空 tbody，再按排序顺序插入当前页的行 */
+            /* 隐藏所有行（含被筛选掉的行） */
+            for (var h = 0; h < state.originalRows.length; h++) {
+                state.originalRows[h].style.display = 'none';
+            }
+            for (var i = 0; i < state.allRows.length; i++) {
+                /* 确保行在 tbody 中（排序可能改变了顺序） */
+                tbody.appendChild(state.allRows[i]);
+            }
 
-        /* 页码按钮（最多显示 7 个页码，超出用省略号） */
-        var pages = calcPageNumbers(current, totalPages, 7);
-        for (var i = 0; i < pages.length; i++) {
-            var p = pages[i];
-            if (p === '...') {
-                html += '<span class="boblog-page-ellipsis">...</span>';
-            } else if (p === current) {
-                html += '<span class="boblog-page-current">' + p + '</span>';
-            } else {
-                html += '<a class="boblog-page-link" href="#" data-page="' + p + '">' + p + '</a>';
+            /* 显示当前页的行 */
+            for (var j = startIndex; j < endIndex && j < totalRows; j++) {
+                state.allRows[j].style.display = '';
             }
+
+            /* 详情行跟随主行 */
+            if (state.rowTree) placeDetails(state, tbody);
         }
 
-        /* 下一页按钮 */
-        if (current >= totalPages) {
-            html += '<span class="boblog-page-link boblog-page-next boblog-page-disabled">下一页 &raquo;</span>';
-        } else {
-            html += '<a class="boblog-page-link boblog-page-next" href="#" data-page="' + (current + 1) + '">下一页 &raquo;</a>';
+        /* 提示行：无数据 / 筛选无结果 */
+        var message = tbody.querySelector('tr.boblog-table-empty');
+        if (message) tbody.removeChild(message);
+        if (state.allRows.length === 0) {
+            renderMessageRow(state, 'boblog-table-empty', state.originalRows.length ? '无匹配数据' : '暂无数据');
         }
 
-        /* 页码信息 */
-        var totalRows = state.allRows.length;
-        html += '<span class="boblog-page-info">共 ' + totalRows + ' 条，第 ' + current + '/' + totalPages + ' 页</span>';
+        /* 更新分页导航 */
+        renderPagination(state);
 
-        state.paginationEl.innerHTML = html;
+        /* 全选框跟随当前页 */
+        if (state.selection) updateSelectAll(state);
+    }
 
-        /* 绑定页码点击事件 */
-        var links = state.paginationEl.querySelectorAll('a[data-page]');
-        for (var j = 0; j < links.length; j++) {
-            links[j].addEventListener('click', function (e) {
-                e.preventDefault();
-                var page = parseInt(this.getAttribute('data-page'), 10);
-                if (page && page !== state.currentPage) {
-                    state.currentPage = page;
-                    renderPage(state);
-                }
-            });
-        }
+    /**
+     * 获取表格总条数（服务端模式取服务端返回的 total）
+     * @param {object} state - 表格状态对象
+     * @returns {number}
+     */
+    function getTotalRows(state) {
+        return state.remote ? state.remote.total : state.allRows.length;
     }
 
     /**
-     * 计算要显示的页码数组
-     * 超出范围时用 '...' 表示省略
+     * 更新分页导航
+     * 首次调用时在分页容器中创建 BoblogUI.pagination 实例，之后只更新总条数和当前页
      *
-     * 例如：current=5, total=20, maxVisible=7
-     * 结果：[1, '...', 4, 5, 6, '...', 20]
-     *
-     * @param {number} current - 当前页码
-     * @param {number} total - 总页数
-     * @param {number} maxVisible - 最多显示的页码数
-     * @returns {Array} 页码数组（数字或 '...'）
+     * @param {object} state - 表格状态对象
      */
-    function calcPageNumbers(current, total, maxVisible) {
-        /* 总页数 <= maxVisible 时，全部显示 */
-        if (total <= maxVisible) {
-            var all = [];
-            for (var i = 1; i <= total; i++) all.push(i);
-            return all;
-        }
-
-        var pages = [];
-        /* 始终显示第一页 */
-        pages.push(1);
-
-        /* 计算中间区域的起止页码 */
-        var half = Math.floor((maxVisible - 2) / 2);
-        var start = Math.max(2, current - half);
-        var end = Math.min(total - 1, current + half);
-
-        /* 调整：确保中间区域有足够的页码 */
-        if (current - half < 2) {
-            end = Math.min(total - 1, maxVisible - 1);
-        }
-        if (current + half > total - 1) {
-            start = Math.max(2, total - maxVisible + 2);
-        }
-
-        /* 左侧省略号 */
-        if (start > 2) {
-            pages.push('...');
-        }
-
-        /* 中间页码 */
-        for (var j = start; j <= end; j++) {
-            pages.push(j);
-        }
+    function renderPagination(state) {
+        if (!state.paginationEl) return;
 
-        /* 右侧省略号 */
-        if (end < total - 1) {
-            pages.push('...');
+        if (!state.pager) {
+            state.pager = BoblogUI.pagination.create(state.paginationEl, {
+                pageSize: state.pageSize,
+                onChange: function (page) {
+                    state.currentPage = page;
+                    if (state.remote) {
+                        loadRemotePage(state);
+                    } else {
+                        renderPage(state);
+                    }
+                }
+            });
         }
-
-        /* 始终显示最后一页 */
-        pages.push(total);
-
-        return pages;
+        state.pager.update({ total: getTotalRows(state), current: state.currentPage });
     }
 
     /**
@@ -335,140 +648,2457 @@
     }
 
     /* ==================================================
-     * 初始化逻辑
+     * 筛选与搜索
      * ================================================== */
 
     /**
-     * 存储每个表格的状态
-     * key: table 元素的 data-table-id
-     * value: state 对象
+     * 获取表头单元格当前的列索引（列可被拖动换位，不缓存索引）
+     * @param {HTMLElement} th - 表头单元格
+     * @returns {number}
      */
-    var tableStates = {};
-    var tableIdCounter = 0;
+    function getColIndex(th) {
+        return Array.prototype.indexOf.call(th.parentNode.cells, th);
+    }
 
     /**
-     * 获取或创建表格的状态对象
-     * @param {HTMLTableElement} table - 表格元素
-     * @returns {object|null} 状态对象，非分页表格返回 null
+     * 判断文本是否匹配搜索词
+     * 优先使用 BoblogUI.pinyin.matches（支持拼音首字母 / 全拼），未引入时退化为文字包含匹配
+     *
+     * @param {string} text - 单元格文本
+     * @param {string} query - 搜索词
+     * @returns {boolean}
      */
-    function getTableState(table) {
-        var id = table.dataset.tableId;
-        if (id && tableStates[id]) return tableStates[id];
-        return null;
+    function matchText(text, query) {
+        if (window.BoblogUI.pinyin) return window.BoblogUI.pinyin.matches(text, query);
+        return text.toLowerCase().indexOf(query.toLowerCase()) !== -1;
     }
 
     /**
-     * 记录表格行的原始顺序（用于恢复初始排序）
-     * @param {HTMLTableElement} table - 表格元素
+     * 读取当前搜索词和筛选条件（未填写的筛选项不包含在内）
+     * @param {object} state - 表格状态对象
+     * @returns {object} { search, filters: [{ colIndex, key, type, value }] }
      */
-    function saveOriginalOrder(table) {
-        if (table.dataset.orderSaved) return;
-        table.dataset.orderSaved = 'true';
-
-        var tbody = table.querySelector('tbody');
-        if (!tbody) return;
-
-        var rows = tbody.querySelectorAll('tr');
-        for (var i = 0; i < rows.length; i++) {
-            rows[i].dataset.originalIndex = i;
+    function readFilters(state) {
+        var criteria = {
+            search: state.searchInput ? state.searchInput.value.trim() : '',
+            filters: []
+        };
+        var controls = state.filterControls || [];
+        for (var i = 0; i < controls.length; i++) {
+            var control = controls[i];
+            var value;
+            if (control.type === 'date-range') {
+                var from = control.inputs[0].value;
+                var to = control.inputs[1].value;
+                if (!from && !to) continue;
+                value = [from, to];
+            } else {
+                value = control.inputs[0].value.trim();
+                if (!value) continue;
+            }
+            criteria.filters.push({
+                colIndex: getColIndex(control.th),
+                key: control.key,
+                type: control.type,
+                value: value
+            });
         }
+        return criteria;
     }
 
     /**
-     * 初始化单个可排序表头的点击事件
-     * @param {HTMLElement} th - .boblog-th-sortable 表头单元格
+     * 判断一行是否满足搜索词和所有筛选条件
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} row - 行元素
+     * @param {object} criteria - readFilters 的结果
+     * @returns {boolean}
      */
-    function initSortableHeader(th) {
-        /* 已初始化则跳过，防止重复绑定 */
-        if (th.dataset.sortInited) return;
-        th.dataset.sortInited = 'true';
-
-        th.addEventListener('click', function () {
-            /* 找到所属的 table 元素 */
-            var table = th.closest('table');
-            if (!table) return;
-
-            /* 找到表头行 */
-            var headerRow = th.parentElement;
+    function rowMatches(state, row, criteria) {
+        /* 搜索：任一单元格匹配即可 */
+        if (criteria.search) {
+            var hit = false;
+            for (var i = 0; i < row.cells.length; i++) {
+                if (matchText(getCellText(row.cells[i]), criteria.search)) {
+                    hit = true;
+                    break;
+                }
+            }
+            if (!hit) return false;
+        }
 
-            /* 获取当前列索引 */
-            var colIndex = Array.prototype.indexOf.call(headerRow.cells, th);
+        /* 列筛选：全部满足 */
+        for (var j = 0; j < criteria.filters.length; j++) {
+            var filter = criteria.filters[j];
+            var cell = row.cells[filter.colIndex];
+            if (!cell) return false;
+
+            if (filter.type === 'select') {
+                if (getCellText(cell) !== filter.value) return false;
+            } else if (filter.type === 'date-range') {
+                /* 数据驱动表格按原始值比较，不受 render 格式化影响 */
+                var date = (getSortValue(row, filter.colIndex, getColumn(state, filter.colIndex)) || '').slice(0, 10);
+                if (!isDate(date)) return false;
+                if (filter.value[0] && date < filter.value[0]) return false;
+                if (filter.value[1] && date > filter.value[1]) return false;
+            } else {
+                if (!matchText(getCellText(cell), filter.value)) return false;
+            }
+        }
+        return true;
+    }
 
-            /* 计算下一个排序方向 */
-            var currentDir = getCurrentDirection(th);
-            var nextDir = getNextDirection(currentDir);
+    /**
+     * 按当前搜索词和筛选条件过滤行（保持传入顺序）
+     * @param {object} state - 表格状态对象
+     * @param {Array} rows - 行数组
+     * @returns {Array} 过滤后的行数组
+     */
+    function filterRows(state, rows) {
+        var tree = state.rowTree && state.rowTree.tree;
+        var criteria = state.searchInput || state.filterControls ? readFilters(state) : null;
+        if (!criteria || (!criteria.search && criteria.filters.length === 0)) {
+            /* 树形表格：不显示收起的父行下的子行 */
+            return tree ? collapseRows(rows) : rows;
+        }
+        var matched = rows.filter(function (row) {
+            return rowMatches(state, row, criteria);
+        });
+        return tree ? withAncestors(rows, matched) : matched;
+    }
 
-            /* 清除所有列的排序状态 */
-            clearSortStates(headerRow);
+    /**
+     * 筛选条件变化后重新计算显示的行（先排序再筛选），回到第 1 页
+     * 服务端模式改为带条件重新请求
+     *
+     * @param {object} state - 表格状态对象
+     */
+    function updateRows(state) {
+        state.currentPage = 1;
+        if (state.remote) {
+            loadRemotePage(state);
+            return;
+        }
+        state.allRows = filterRows(state, applyCurrentSort(state));
+        renderPage(state);
+    }
 
-            /* 获取表格状态（分页模式） */
-            var state = getTableState(table);
+    /**
+     * 为 select 筛选框生成选项：data-filter-options 或该列所有不同值
+     * 保留当前选中值（数据刷新后仍存在时）
+     *
+     * @param {object} state - 表格状态对象
+     * @param {object} control - 筛选控件 { th, key, type, inputs }
+     */
+    function fillFilterOptions(state, control) {
+        var select = control.inputs[0];
+        var current = select.value;
+        var values;
+
+        var preset = control.th.getAttribute('data-filter-options');
+        if (preset) {
+            values = preset.split(',').map(function (v) { return v.trim(); });
+        } else {
+            var seen = {};
+            values = [];
+            state.originalRows.forEach(function (row) {
+                var cell = row.cells[getColIndex(control.th)];
+                var text = cell ? getCellText(cell) : '';
+                if (text && !seen[text]) {
+                    seen[text] = true;
+                    values.push(text);
+                }
+            });
+            values.sort(function (a, b) { return compare(a, b, 'asc'); });
+        }
 
-            if (nextDir !== 'none') {
-                /* 设置排序样式 */
-                th.classList.add('boblog-sort-' + nextDir);
+        select.innerHTML = '';
+        var all = document.createElement('option');
+        all.value = '';
+        all.textContent = '全部';
+        select.appendChild(all);
+        values.forEach(function (v) {
+            var opt = document.createElement('option');
+            opt.value = v;
+            opt.textContent = v;
+            select.appendChild(opt);
+        });
+        select.value = values.indexOf(current) !== -1 ? current : '';
+    }
 
-                if (state) {
-                    /* 分页模式：排序 allRows，跳回第 1 页 */
-                    state.allRows = sortRows(state.originalRows, colIndex, nextDir);
-                    state.currentPage = 1;
-                    renderPage(state);
-                } else {
-                    /* 非分页模式：直接排序 DOM */
-                    var tbody = table.querySelector('tbody');
-                    if (!tbody) return;
-                    var rows = Array.prototype.slice.call(tbody.querySelectorAll('tr'));
-                    var sorted = sortRows(rows, colIndex, nextDir);
-                    for (var i = 0; i < sorted.length; i++) {
-                        tbody.appendChild(sorted[i]);
-                    }
-                }
-            } else {
-                /* 恢复原始顺序 */
-                if (state) {
-                    /* 分页模式：恢复原始行序，跳回第 1 页 */
-                    state.allRows = state.originalRows.slice();
-                    state.currentPage = 1;
-                    renderPage(state);
-                } else {
-                    /* 非分页模式：按 data-original-index 恢复 */
-                    var tbody2 = table.querySelector('tbody');
-                    if (tbody2) {
-                        var rows2 = Array.prototype.slice.call(tbody2.querySelectorAll('tr'));
-                        rows2.sort(function (a, b) {
-                            return (parseInt(a.dataset.originalIndex, 10) || 0)
-                                 - (parseInt(b.dataset.originalIndex, 10) || 0);
-                        });
-                        for (var k = 0; k < rows2.length; k++) {
-                            tbody2.appendChild(rows2[k]);
-                        }
-                    }
-                }
+    /**
+     * 数据变化后刷新取自列值的 select 筛选选项
+     * @param {object} state - 表格状态对象
+     */
+    function refreshFilterOptions(state) {
+        (state.filterControls || []).forEach(function (control) {
+            if (control.type === 'select' && !control.th.hasAttribute('data-filter-options')) {
+                fillFilterOptions(state, control);
             }
         });
     }
 
     /**
-     * 初始化单个表格的分页
-     * @param {HTMLTableElement} table - 带 data-page-size 属性的表格
+     * 创建单个筛选控件，放入筛选行对应的单元格
+     * 下拉框和日期框使用组件库的 .boblog-select / .boblog-date-picker 结构
+     *
+     * @param {string} type - 'text' | 'select' | 'date-range'
+     * @param {HTMLElement} cell - 筛选行单元格
+     * @returns {Array} 承载值的原生控件数组
      */
-    function initTablePagination(table) {
-        /* 已初始化则跳过 */
-        if (table.dataset.tableId) return;
+    function createFilterControl(type, cell) {
+        if (type === 'select') {
+            var wrap = document.createElement('div');
+            wrap.className = 'boblog-select boblog-select-sm';
+            wrap.setAttribute('data-fixed-width', 'false');
+            var select = document.createElement('select');
+            wrap.appendChild(select);
+            cell.appendChild(wrap);
+            return [select];
+        }
 
-        var pageSize = parseInt(table.getAttribute('data-page-size'), 10);
-        if (!pageSize || pageSize <= 0) return;
+        if (type === 'date-range') {
+            var inputs = [];
+            ['开始日期', '结束日期'].forEach(function (placeholder, i) {
+                if (i === 1) {
+                    var sep = document.createElement('span');
+                    sep.className = 'boblog-table-filter-sep';
+                    sep.textContent = '~';
+                    cell.appendChild(sep);
+                }
+                var picker = document.createElement('div');
+                picker.className = 'boblog-date-picker';
+                picker.setAttribute('data-placeholder', placeholder);
+                var input = document.createElement('input');
+                input.type = 'date';
+                picker.appendChild(input);
+                cell.appendChild(picker);
+                inputs.push(input);
+            });
+            return inputs;
+        }
 
-        var tbody = table.querySelector('tbody');
-        if (!tbody) return;
+        var text = document.createElement('input');
+        text.type = 'text';
+        text.className = 'boblog-input boblog-input-sm';
+        text.setAttribute('placeholder', '筛选...');
+        cell.appendChild(text);
+        return [text];
+    }
 
-        /* 分配唯一 ID */
-        var id = 'boblog-table-' + (++tableIdCounter);
-        table.dataset.tableId = id;
+    /**
+     * 获取表格上方的工具栏（搜索框、列菜单），不存在时创建
+     * @param {object} state - 表格状态对象
+     * @returns {HTMLElement}
+     */
+    function getToolbar(state) {
+        if (!state.toolbarEl) {
+            var toolbar = document.createElement('div');
+            toolbar.className = 'boblog-table-toolbar';
+            state.table.parentNode.insertBefore(toolbar, state.table);
+            state.toolbarEl = toolbar;
+        }
+        return state.toolbarEl;
+    }
 
-        /* 获取所有行（保留原始顺序的副本） */
-        var allRows = Array.prototype.slice.call(tbody.querySelectorAll('tr'));
-        if (allRows.length === 0) return;
+    /**
+     * 判断表格是否声明了搜索框（data-searchable）
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function isSearchable(table) {
+        return table.hasAttribute('data-searchable') && table.getAttribute('data-searchable') !== 'false';
+    }
+
+    /**
+     * 为表格生成工具栏搜索框和表头筛选行
+     *
+     * @param {object} state - 表格状态对象
+     * @param {boolean} [searchable] - 是否生成搜索框，缺省时读取 table 的 data-searchable
+     */
+    function initFilters(state, searchable) {
+        var table = state.table;
+        var headerRow = table.tHead && table.tHead.rows[0];
+        var filterThs = headerRow ? headerRow.querySelectorAll('th[data-filter]') : [];
+        if (searchable === undefined) searchable = isSearchable(table);
+        if (filterThs.length === 0 && !searchable) return;
+
+        var timer = null;
+        function onChange() {
+            /* 服务端模式防抖，避免每次按键都发请求 */
+            if (!state.remote) {
+                updateRows(state);
+                return;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(function () {
+                updateRows(state);
+            }, 300);
+        }
+
+        /* ---------- 工具栏搜索框 ---------- */
+        if (searchable) {
+            var search = document.createElement('input');
+            search.type = 'text';
+            search.className = 'boblog-input boblog-input-sm boblog-table-search';
+            search.setAttribute('placeholder', table.getAttribute('data-search-placeholder') || '搜索...');
+            search.addEventListener('input', onChange);
+            getToolbar(state).appendChild(search);
+            state.searchInput = search;
+        }
+
+        /* ---------- 表头筛选行 ---------- */
+        if (filterThs.length > 0) {
+            var row = document.createElement('tr');
+            row.className = 'boblog-table-filter-row';
+            state.filterControls = [];
+
+            for (var i = 0; i < headerRow.cells.length; i++) {
+                var th = headerRow.cells[i];
+                var cell = document.createElement('th');
+                cell.colSpan = th.colSpan;
+                row.appendChild(cell);
+
+                var type = th.getAttribute('data-filter');
+                if (!type) continue;
+                var column = getColumn(state, i);
+                var control = {
+                    th: th,
+                    key: column ? column.key : th.getAttribute('data-key'),
+                    type: type,
+                    inputs: createFilterControl(type, cell)
+                };
+                state.filterControls.push(control);
+                if (type === 'select') fillFilterOptions(state, control);
+            }
+
+            /* 文本框按输入实时筛选，下拉框和日期框在 change 时筛选 */
+            row.addEventListener('input', function (e) {
+                if (e.target.type === 'text') onChange();
+            });
+            row.addEventListener('change', function (e) {
+                if (e.target.type !== 'text') onChange();
+            });
+            headerRow.parentNode.insertBefore(row, headerRow.nextSibling);
+            state.filterRow = row;
+
+            /* 转换为自定义下拉 / 日期选择器 */
+            if (window.BoblogUI.select) window.BoblogUI.select.init(row);
+            if (window.BoblogUI.datePicker) window.BoblogUI.datePicker.init(row);
+        }
+
+        state.cancelFilterTimer = function () {
+            clearTimeout(timer);
+        };
+    }
+
+    /* ==================================================
+     * 行选择（复选框列）
+     * ================================================== */
+
+    /**
+     * 判断表格是否声明了行选择（data-selectable）
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function isSelectable(table) {
+        return table.hasAttribute('data-selectable') && table.getAttribute('data-selectable') !== 'false';
+    }
+
+    /**
+     * 计算行的选择键：数据驱动表格用行唯一键（翻页/重绘后仍能对应），DOM 表格用行元素本身
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} row - 行元素
+     */
+    function getSelectionKey(state, row) {
+        return state.columns ? getRowKey(state, rowRecords.get(row)) : row;
+    }
+
+    /**
+     * 创建复选框单元格（使用 .boblog-checkbox 控件结构）
+     * @param {string} tagName - 'th' | 'td'
+     * @returns {HTMLTableCellElement}
+     */
+    function createCheckCell(tagName) {
+        var cell = document.createElement(tagName);
+        cell.className = 'boblog-table-check';
+        var label = document.createElement('label');
+        label.className = 'boblog-checkbox';
+        var input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'boblog-checkbox-input';
+        var span = document.createElement('span');
+        span.className = 'boblog-checkbox-label';
+        label.appendChild(input);
+        label.appendChild(span);
+        cell.appendChild(label);
+        return cell;
+    }
+
+    /**
+     * 读取行的复选框（行不含复选框列时返回 null）
+     * @param {HTMLTableRowElement} row - 行元素
+     */
+    function getRowCheckbox(row) {
+        var cell = row.cells[0];
+        return cell && cell.classList.contains('boblog-table-check') ? cell.querySelector('input') : null;
+    }
+
+    /**
+     * 为行补上复选框列并同步选中状态
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} row - 行元素
+     */
+    function addRowCheck(state, row) {
+        if (!getRowCheckbox(row)) row.insertBefore(createCheckCell('td'), row.cells[0] || null);
+        var checked = state.selection.selected.has(getSelectionKey(state, row));
+        getRowCheckbox(row).checked = checked;
+        row.classList.toggle('boblog-row-selected', checked);
+    }
+
+    /**
+     * 设置单行的选中状态
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} row - 行元素
+     * @param {boolean} checked - 是否选中
+     */
+    function setRowSelected(state, row, checked) {
+        var key = getSelectionKey(state, row);
+        if (checked) {
+            state.selection.selected.set(key, state.columns ? rowRecords.get(row) : row);
+        } else {
+            state.selection.selected.delete(key);
+        }
+        var checkbox = getRowCheckbox(row);
+        if (checkbox) checkbox.checked = checked;
+        row.classList.toggle('boblog-row-selected', checked);
+    }
+
+    /**
+     * 当前页显示中的行
+     * @param {object} state - 表格状态对象
+     */
+    function getVisibleRows(state) {
+        /* 虚拟滚动：当前页的行不一定都在 DOM 中 */
+        if (state.virtual) return state.allRows.slice(state.virtual.pageStart, state.virtual.pageEnd);
+        return state.allRows.filter(function (row) {
+            return row.style.display !== 'none';
+        });
+    }
+
+    /**
+     * 根据当前页的行更新表头全选框：全部选中为勾选，部分选中为半选
+     * @param {object} state - 表格状态对象
+     */
+    function updateSelectAll(state) {
+        var visible = getVisibleRows(state);
+        var count = 0;
+        for (var i = 0; i < visible.length; i++) {
+            if (state.selection.selected.has(getSelectionKey(state, visible[i]))) count++;
+        }
+        var input = state.selection.headerInput;
+        input.checked = visible.length > 0 && count === visible.length;
+        input.indeterminate = count > 0 && count < visible.length;
+        input.disabled = visible.length === 0;
+    }
+
+    /**
+     * 数据驱动表格重建行后同步选择
+     * 本地模式剔除新数据中已不存在的行，服务端模式保留其他页的选中项；当前页的行换成新的行数据
+     *
+     * @param {object} state - 表格状态对象
+     * @returns {boolean} 是否有选中项被剔除
+     */
+    function reconcileSelection(state) {
+        var selected = state.selection.selected;
+        var kept = state.remote ? selected : new Map();
+        state.originalRows.forEach(function (row) {
+            var key = getSelectionKey(state, row);
+            if (selected.has(key)) kept.set(key, rowRecords.get(row));
+        });
+        state.selection.selected = kept;
+        return kept.size !== selected.size;
+    }
+
+    /**
+     * 读取选中的行：数据驱动表格返回行数据，DOM 表格返回 tr 元素
+     * 本地表格按表格原始顺序，服务端模式按勾选顺序（含其他页已选的行）
+     *
+     * @param {object} state - 表格状态对象
+     * @returns {Array}
+     */
+    function readSelectedRows(state) {
+        var selected = state.selection.selected;
+        if (state.remote) return Array.from(selected.values());
+        var rows = [];
+        state.originalRows.forEach(function (row) {
+            var key = getSelectionKey(state, row);
+            if (selected.has(key)) rows.push(selected.get(key));
+        });
+        return rows;
+    }
+
+    /**
+     * 在 table 上派发 boblog:table:selection 事件
+     * @param {object} state - 表格状态对象
+     */
+    function fireSelection(state) {
+        var rows = readSelectedRows(state);
+        state.table.dispatchEvent(new CustomEvent('boblog:table:selection', {
+            bubbles: true,
+            detail: { rows: rows, count: rows.length }
+        }));
+    }
+
+    /**
+     * 为表格添加复选框列：表头全选框 + 每行复选框
+     * - 全选框作用于当前页显示中的行
+     * - Shift + 点击选中/取消上次点击行与本行之间（按当前排序、筛选后的顺序）的所有行
+     * - 选中状态跨分页、排序、筛选保留
+     *
+     * @param {object} state - 表格状态对象
+     */
+    function initSelection(state) {
+        var table = state.table;
+        var headerRow = table.tHead && table.tHead.rows[0];
+        if (!headerRow || state.selection) return;
+
+        var headerCell = createCheckCell('th');
+        headerRow.insertBefore(headerCell, headerRow.cells[0] || null);
+
+        var controller = new AbortController();
+        state.selection = {
+            selected: new Map(),    /* 选择键 → 行数据（DOM 表格为 tr） */
+            headerInput: headerCell.querySelector('input'),
+            anchor: null,           /* Shift 范围选择的起点行 */
+            shiftKey: false,
+            controller: controller
+        };
+        state.originalRows.forEach(function (row) {
+            addRowCheck(state, row);
+        });
+
+        /* change 事件不带修饰键，在 mousedown 时记录是否按住 Shift */
+        table.addEventListener('mousedown', function (e) {
+            state.selection.shiftKey = e.shiftKey && !!e.target.closest('td.boblog-table-check');
+        }, { signal: controller.signal });
+
+        table.addEventListener('change', function (e) {
+            var input = e.target;
+            var cell = input.closest('.boblog-table-check');
+            if (!cell || !input.classList.contains('boblog-checkbox-input')) return;
+            var shiftKey = state.selection.shiftKey;
+            state.selection.shiftKey = false;
+
+            if (input === state.selection.headerInput) {
+                /* 全选 / 取消全选当前页 */
+                getVisibleRows(state).forEach(function (row) {
+                    setRowSelected(state, row, input.checked);
+                });
+                state.selection.anchor = null;
+            } else {
+                var row = cell.parentNode;
+                var from = shiftKey && state.selection.anchor ? state.allRows.indexOf(state.selection.anchor) : -1;
+                var to = state.allRows.indexOf(row);
+                if (from !== -1 && to !== -1) {
+                    var start = Math.min(from, to);
+                    var end = Math.max(from, to);
+                    for (var i = start; i <= end; i++) {
+                        setRowSelected(state, state.allRows[i], input.checked);
+                    }
+                } else {
+                    setRowSelected(state, row, input.checked);
+                }
+                state.selection.anchor = row;
+            }
+            updateSelectAll(state);
+            fireSelection(state);
+        }, { signal: controller.signal });
+    }
+
+    /**
+     * 移除复选框列，清除选中样式
+     * @param {object} state - 表格状态对象
+     */
+    function destroySelection(state) {
+        if (!state.selection) return;
+        state.selection.controller.abort();
+        var checks = state.table.querySelectorAll('.boblog-table-check');
+        for (var i = 0; i < checks.length; i++) {
+            checks[i].parentNode.removeChild(checks[i]);
+        }
+        state.originalRows.forEach(function (row) {
+            row.classList.remove('boblog-row-selected');
+        });
+        state.selection = null;
+    }
+
+    /* ==================================================
+     * 导出（CSV / JSON）
+     * ================================================== */
+
+    /**
+     * 读取需要导出的列：跳过复选框列、隐藏的列和 th[data-export="false"]（如操作列）
+     * 数据驱动表格只导出有 key 的列，值取行数据中的原始值
+     *
+     * @param {object} state - 表格状态对象（可为 null）
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {Array} [{ colIndex, title, key, column }]
+     */
+    function getExportColumns(state, table) {
+        var headerRow = table.tHead && table.tHead.rows[0];
+        var columns = [];
+        if (!headerRow) {
+            /* 没有表头：按首行单元格数导出，不输出标题 */
+            var first = table.tBodies[0] && table.tBodies[0].rows[0];
+            for (var c = 0; first && c < first.cells.length; c++) {
+                columns.push({ colIndex: c, title: '', key: String(c), column: null });
+            }
+            return columns;
+        }
+        for (var i = 0; i < headerRow.cells.length; i++) {
+            var th = headerRow.cells[i];
+            if (th.classList.contains('boblog-table-check') || th.classList.contains('boblog-col-hidden')
+                || th.getAttribute('data-export') === 'false') continue;
+            var column = getColumn(state, i);
+            if (state && state.columns && (!column || column.key == null)) continue;
+            var title = getCellText(th);
+            columns.push({
+                colIndex: i,
+                title: title,
+                key: column ? column.key : (th.getAttribute('data-key') || title),
+                column: column
+            });
+        }
+        return columns;
+    }
+
+    /**
+     * 按导出范围取行，顺序与表格当前排序一致
+     * 数据驱动表格返回行数据，DOM 表格返回 tr 元素
+     *
+     * @param {object} state - 表格状态对象（可为 null）
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {string} scope - 'all' | 'filtered' | 'page' | 'selected'
+     * @returns {Array}
+     */
+    function getExportRows(state, table, scope) {
+        var rows;
+        if (!state) {
+            /* 未接管的表格：tbody 中的全部行即当前显示顺序 */
+            if (scope === 'selected') return [];
+            var tbody = table.tBodies[0];
+            rows = tbody ? Array.prototype.slice.call(tbody.rows) : [];
+            if (scope === 'page' || scope === 'filtered') {
+                rows = rows.filter(function (row) { return row.style.display !== 'none'; });
+            }
+            return rows;
+        }
+
+        if (scope === 'selected') {
+            if (!state.selection) return [];
+            /* 服务端模式含其他页的选中项，只能按勾选顺序 */
+            if (state.remote) return readSelectedRows(state);
+            rows = applyCurrentSort(state).filter(function (row) {
+                return state.selection.selected.has(getSelectionKey(state, row));
+            });
+        } else if (scope === 'page') {
+            rows = getVisibleRows(state);
+        } else if (scope === 'filtered') {
+            rows = state.allRows;
+        } else {
+            /* 服务端模式只有当前页数据，all 即当前页 */
+            rows = state.remote ? state.allRows : applyCurrentSort(state);
+        }
+
+        return state.columns ? rows.map(function (row) { return rowRecords.get(row); }) : rows;
+    }
+
+    /**
+     * 读取行在导出列上的值：数据驱动表格为原始值，DOM 表格为单元格文字
+     * @param {object} state - 表格状态对象（可为 null）
+     * @param {object|HTMLTableRowElement} row - 行数据或行元素
+     * @param {object} col - getExportColumns 中的列
+     */
+    function getExportValue(state, row, col) {
+        if (state && state.columns) {
+            var value = getCellValue(col.column, row);
+            return value === undefined ? null : value;
+        }
+        var cell = row.cells[col.colIndex];
+        return cell ? getCellText(cell) : '';
+    }
+
+    /** 带正负号的金额 / 百分比：可选货币符号、千分位数字、可选单位，如 "-¥1,200.50"、"+5%"、"-1200 元" */
+    var SIGNED_AMOUNT = /^[+-]\s*(?:\$|[^\x00-\x7f]{1,2})?\s*\d[\d,]*(?:\.\d+)?\s*(?:%|[^\x00-\x7f]{1,3})?$/;
+
+    /**
+     * 判断文本在 Excel 中打开时是否会被当作公式执行（CSV 注入）
+     * 以 = @ 制表符或回车开头的一律视为公式；以 + - 开头的，number / currency 解析器能识别的
+     * 数值（"-1,200"、"-3.5e2"、"-¥1,200"、"-5%"）按数值读取，不算公式
+     *
+     * @param {string} text - 字段文本
+     * @returns {boolean}
+     */
+    function isFormulaLike(text) {
+        if (!/^[=+\-@\t\r]/.test(text)) return false;
+        if (/^[+-]/.test(text) && (parseNumber(text) !== null
+                || (parseCurrency(text) !== null && SIGNED_AMOUNT.test(text)))) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 转为 CSV 字段：数组以逗号连接、对象转 JSON；含逗号、引号、换行时加引号，内部引号写两次
+     * 会被当作公式的文本（见 isFormulaLike）前加 '，防止在 Excel 中执行
+     * @param {*} value - 字段值
+     * @returns {string}
+     */
+    function toCsvField(value) {
+        if (value == null) return '';
+        var text;
+        if (Array.isArray(value)) {
+            text = value.join(',');
+        } else {
+            text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+        }
+        if ((typeof value === 'string' || Array.isArray(value)) && isFormulaLike(text)) {
+            text = "'" + text;
+        }
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * 触发浏览器下载文本文件
+     * @param {string} content - 文件内容
+     * @param {string} filename - 文件名
+     * @param {string} type - MIME 类型
+     */
+    function downloadText(content, filename, type) {
+        var blob = new Blob([content], { type: type });
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 0);
+    }
+
+    /**
+     * 导出表格数据为 CSV 或 JSON，默认触发下载
+     * CSV 带 UTF-8 BOM，Excel 直接打开中文不乱码
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {object} [options]
+     *   - format: 'csv' | 'json'，默认 'csv'
+     *   - scope: 'all' 全部（按当前排序）| 'filtered' 筛选后 | 'page' 当前页 | 'selected' 选中行，默认 'all'
+     *   - filename: 下载文件名，默认 'table.csv' / 'table.json'
+     *   - download: 是否触发下载，默认 true
+     * @returns {string} 导出的文本内容
+     */
+    function exportTable(table, options) {
+        options = options || {};
+        var format = options.format === 'json' ? 'json' : 'csv';
+        var state = getTableState(table);
+        var columns = getExportColumns(state, table);
+        var rows = getExportRows(state, table, options.scope || 'all');
+        var content;
+
+        if (format === 'json') {
+            var items = rows.map(function (row) {
+                var item = {};
+                columns.forEach(function (col) {
+                    item[col.key] = getExportValue(state, row, col);
+                });
+                return item;
+            });
+            content = JSON.stringify(items, null, 2);
+        } else {
+            var lines = [];
+            if (table.tHead && table.tHead.rows[0]) {
+                lines.push(columns.map(function (col) { return toCsvField(col.title); }).join(','));
+            }
+            rows.forEach(function (row) {
+                lines.push(columns.map(function (col) {
+                    return toCsvField(getExportValue(state, row, col));
+                }).join(','));
+            });
+            content = '\uFEFF' + lines.join('\r\n');
+        }
+
+        if (options.download !== false) {
+            downloadText(content, options.filename || 'table.' + format,
+                format === 'json' ? 'application/json;charset=utf-8' : 'text/csv;charset=utf-8');
+        }
+        return content;
+    }
+
+    /* ==================================================
+     * 列布局（拖动调整列宽、拖动表头换位、列显隐菜单）
+     * ================================================== */
+
+    /** 列宽拖动的最小宽度（px） */
+    var MIN_COLUMN_WIDTH = 40;
+
+    /** 表头单元格 → 列标识（th 的 data-key，没有时为初始列序号，不含复选框列） */
+    var columnIds = new WeakMap();
+
+    /**
+     * 判断表格是否声明了某项列布局功能（data-resizable / data-reorderable / data-hideable）
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {string} name - 属性名
+     */
+    function hasLayoutFeature(table, name) {
+        return table.hasAttribute(name) && table.getAttribute(name) !== 'false';
+    }
+
+    /**
+     * 可调整布局的表头单元格（当前顺序，不含复选框列）
+     * @param {object} state - 表格状态对象
+     * @returns {Array}
+     */
+    function getLayoutHeaders(state) {
+        return Array.prototype.filter.call(state.table.tHead.rows[0].cells, function (th) {
+            return !th.classList.contains('boblog-table-check');
+        });
+    }
+
+    /**
+     * 计算表格区域（thead / tbody / tfoot）中每个单元格所在的列（考虑 rowspan / colspan）
+     * @param {HTMLTableSectionElement} section - 表格区域
+     * @returns {Array} 每行一个数组 [{ cell, col }]
+     */
+    function getCellSlots(section) {
+        var occupied = [];
+        return Array.prototype.map.call(section.rows, function (row, r) {
+            occupied[r] = occupied[r] || {};
+            var slots = [];
+            var col = 0;
+            for (var i = 0; i < row.cells.length; i++) {
+                var cell = row.cells[i];
+                while (occupied[r][col]) col++;
+                slots.push({ cell: cell, col: col });
+                for (var dr = 0; dr < cell.rowSpan; dr++) {
+                    occupied[r + dr] = occupied[r + dr] || {};
+                    for (var dc = 0; dc < cell.colSpan; dc++) occupied[r + dr][col + dc] = true;
+                }
+                col += cell.colSpan;
+            }
+            return slots;
+        });
+    }
+
+    /**
+     * 对表格所有区域逐行执行回调
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {Function} callback - function(row, slots)
+     */
+    function eachRowSlots(table, callback) {
+        var sections = [table.tHead].concat(Array.prototype.slice.call(table.tBodies), [table.tFoot]);
+        sections.forEach(function (section) {
+            if (!section) return;
+            getCellSlots(section).forEach(function (slots, r) {
+                callback(section.rows[r], slots);
+            });
+        });
+
+        /* 虚拟滚动：未渲染的行同样处理，滚动进入可视区域后列布局一致 */
+        var state = getTableState(table);
+        if (state && state.virtual) {
+            state.originalRows.forEach(function (row) {
+                if (!row.parentNode) callback(row, getCellSlots({ rows: [row] })[0]);
+            });
+        }
+    }
+
+    /**
+     * 按列标识顺序移动所有行的单元格
+     * 跨列（colspan）的行（如提示行）不移动；合并单元格（rowspan）所在列随整列移动
+     *
+     * @param {object} state - 表格状态对象
+     * @param {Array} ids - 新的列标识顺序
+     */
+    function moveColumns(state, ids) {
+        var headerRow = state.table.tHead.rows[0];
+        var byId = {};
+        getLayoutHeaders(state).forEach(function (th) {
+            byId[columnIds.get(th)] = th;
+        });
+        var target = Array.prototype.filter.call(headerRow.cells, function (th) {
+            return th.classList.contains('boblog-table-check');
+        }).concat(ids.map(function (id) { return byId[id]; }));
+
+        /* 原列索引 → 新位置 */
+        var position = {};
+        Array.prototype.forEach.call(headerRow.cells, function (th, i) {
+            position[i] = target.indexOf(th);
+        });
+
+        eachRowSlots(state.table, function (row, slots) {
+            if (slots.some(function (slot) { return slot.cell.colSpan > 1; })) return;
+            slots.slice().sort(function (a, b) {
+                return position[a.col] - position[b.col];
+            }).forEach(function (slot) {
+                row.appendChild(slot.cell);
+            });
+        });
+    }
+
+    /**
+     * 按隐藏的列标识设置整列显隐，提示行的 colspan 随之更新
+     * @param {object} state - 表格状态对象
+     * @param {Array} hidden - 隐藏的列标识
+     */
+    function setHiddenColumns(state, hidden) {
+        var headerRow = state.table.tHead.rows[0];
+        var hiddenCols = {};
+        Array.prototype.forEach.call(headerRow.cells, function (th, i) {
+            if (hidden.indexOf(columnIds.get(th)) !== -1) hiddenCols[i] = true;
+        });
+
+        eachRowSlots(state.table, function (row, slots) {
+            slots.forEach(function (slot) {
+                slot.cell.classList.toggle('boblog-col-hidden', slot.cell.colSpan === 1 && !!hiddenCols[slot.col]);
+            });
+        });
+
+        var messages = state.table.querySelectorAll('tr.boblog-table-empty > td, tr.boblog-table-error > td, tr.boblog-table-virtual-spacer > td, tr.boblog-table-detail > td');
+        for (var i = 0; i < messages.length; i++) {
+            messages[i].colSpan = getVisibleColumnCount(state.table);
+        }
+    }
+
+    /**
+     * 读取表格当前的列布局
+     * @param {object} state - 表格状态对象
+     * @returns {object} { order: [列标识], hidden: [列标识], widths: { 列标识: 像素 } }
+     */
+    function readLayout(state) {
+        var layout = { order: [], hidden: [], widths: {} };
+        getLayoutHeaders(state).forEach(function (th) {
+            var id = columnIds.get(th);
+            layout.order.push(id);
+            if (th.classList.contains('boblog-col-hidden')) layout.hidden.push(id);
+            if (state.layout.widths[id]) layout.widths[id] = state.layout.widths[id];
+        });
+        return layout;
+    }
+
+    /**
+     * 应用列布局：顺序、显隐、列宽
+     * 布局中不存在的列忽略，未列出的列按当前顺序排在后面；至少保留一列可见
+     *
+     * @param {object} state - 表格状态对象
+     * @param {object} layout - { order, hidden, widths }
+     */
+    function applyLayout(state, layout) {
+        var headers = getLayoutHeaders(state);
+        var ids = headers.map(function (th) { return columnIds.get(th); });
+
+        /* 顺序 */
+        var order = (layout.order || []).filter(function (id, i, arr) {
+            return ids.indexOf(id) !== -1 && arr.indexOf(id) === i;
+        });
+        ids.forEach(function (id) {
+            if (order.indexOf(id) === -1) order.push(id);
+        });
+        if (order.join('\n') !== ids.join('\n')) moveColumns(state, order);
+
+        /* 显隐 */
+        var hidden = (layout.hidden || []).filter(function (id) { return ids.indexOf(id) !== -1; });
+        if (hidden.length >= ids.length) hidden = [];
+        setHiddenColumns(state, hidden);
+
+        /* 列宽：没有记录的列恢复初始宽度 */
+        state.layout.widths = {};
+        headers.forEach(function (th) {
+            var id = columnIds.get(th);
+            var width = layout.widths && layout.widths[id];
+            if (width > 0) {
+                state.layout.widths[id] = width;
+                th.style.width = width + 'px';
+            } else {
+                th.style.width = state.layout.originalWidths[id];
+            }
+        });
+
+        updateColumnMenu(state);
+        if (state.table.classList.contains('boblog-table-striped-manual')) applyManualStriped(state.table);
+    }
+
+    /**
+     * 保存列布局到 localStorage（table 需有 data-table-key）
+     * @param {object} state - 表格状态对象
+     */
+    function saveLayout(state) {
+        if (!state.layout.storageKey) return;
+        try {
+            localStorage.setItem(state.layout.storageKey, JSON.stringify(readLayout(state)));
+        } catch (e) {
+            console.error('[BoblogUI.table] 列布局保存失败:', e);
+        }
+    }
+
+    /**
+     * 从 localStorage 读取已保存的列布局
+     * @param {object} state - 表格状态对象
+     * @returns {object|null}
+     */
+    function loadLayout(state) {
+        if (!state.layout.storageKey) return null;
+        try {
+            var saved = localStorage.getItem(state.layout.storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('[BoblogUI.table] 列布局读取失败:', e);
+            return null;
+        }
+    }
+
+    /**
+     * 同步列菜单的勾选状态；只剩一列可见时禁止取消
+     * @param {object} state - 表格状态对象
+     */
+    function updateColumnMenu(state) {
+        var menu = state.layout.menu;
+        if (!menu) return;
+        var headers = getLayoutHeaders(state);
+        var visible = headers.filter(function (th) {
+            return !th.classList.contains('boblog-col-hidden');
+        }).length;
+
+        /* 菜单项顺序跟随列顺序 */
+        var divider = menu.querySelector('.boblog-dropdown-divider');
+        var inputs = Array.prototype.slice.call(menu.querySelectorAll('input[data-column-id]'));
+        headers.forEach(function (th) {
+            var input = inputs.filter(function (el) {
+                return el.getAttribute('data-column-id') === columnIds.get(th);
+            })[0];
+            if (!input) return;
+            input.checked = !th.classList.contains('boblog-col-hidden');
+            input.disabled = input.checked && visible === 1;
+            menu.insertBefore(input.parentNode, divider);
+        });
+    }
+
+    /**
+     * 在工具栏生成列显隐菜单
+     * @param {object} state - 表格状态对象
+     */
+    function createColumnMenu(state) {
+        var signal = state.layout.controller.signal;
+        var wrap = document.createElement('div');
+        wrap.className = 'boblog-dropdown boblog-dropdown-auto boblog-table-columns';
+
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'boblog-btn boblog-btn-sm';
+        button.textContent = '列';
+        wrap.appendChild(button);
+
+        var menu = document.createElement('div');
+        menu.className = 'boblog-dropdown-menu';
+        getLayoutHeaders(state).forEach(function (th) {
+            var item = document.createElement('label');
+            item.className = 'boblog-dropdown-item';
+            var input = document.createElement('input');
+            input.type = 'checkbox';
+            input.setAttribute('data-column-id', columnIds.get(th));
+            item.appendChild(input);
+            item.appendChild(document.createTextNode(' ' + getCellText(th)));
+            menu.appendChild(item);
+        });
+        var divider = document.createElement('div');
+        divider.className = 'boblog-dropdown-divider';
+        menu.appendChild(divider);
+        var reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'boblog-dropdown-item';
+        reset.textContent = '恢复默认';
+        menu.appendChild(reset);
+        wrap.appendChild(menu);
+
+        button.addEventListener('click', function () {
+            menu.classList.toggle('show');
+        }, { signal: signal });
+
+        menu.addEventListener('change', function (e) {
+            var layout = readLayout(state);
+            var id = e.target.getAttribute('data-column-id');
+            layout.hidden = layout.hidden.filter(function (h) { return h !== id; });
+            if (!e.target.checked) layout.hidden.push(id);
+            applyLayout(state, layout);
+            saveLayout(state);
+        }, { signal: signal });
+
+        reset.addEventListener('click', function () {
+            resetLayout(state.table);
+            menu.classList.remove('show');
+        }, { signal: signal });
+
+        /* 点击菜单外部关闭 */
+        document.addEventListener('click', function (e) {
+            if (!wrap.contains(e.target)) menu.classList.remove('show');
+        }, { signal: signal });
+
+        getToolbar(state).appendChild(wrap);
+        state.layout.menu = menu;
+        state.layout.menuEl = wrap;
+    }
+
+    /**
+     * 为表头添加列宽拖动手柄
+     * @param {object} state - 表格状态对象
+     */
+    function initColumnResize(state) {
+        var signal = state.layout.controller.signal;
+        var headerRow = state.table.tHead.rows[0];
+        var justResized = false;
+
+        getLayoutHeaders(state).forEach(function (th) {
+            var handle = document.createElement('span');
+            handle.className = 'boblog-col-resizer';
+            th.appendChild(handle);
+        });
+
+        headerRow.addEventListener('mousedown', function (e) {
+            if (!e.target.classList.contains('boblog-col-resizer')) return;
+            /* 阻止文字选中和表头拖动换位 */
+            e.preventDefault();
+            var th = e.target.parentNode;
+            var id = columnIds.get(th);
+            var startX = e.clientX;
+            var startWidth = th.offsetWidth;
+            var drag = new AbortController();
+            state.table.classList.add('boblog-table-resizing');
+
+            document.addEventListener('mousemove', function (ev) {
+                var width = Math.max(MIN_COLUMN_WIDTH, startWidth + ev.clientX - startX);
+                state.layout.widths[id] = width;
+                th.style.width = width + 'px';
+            }, { signal: drag.signal });
+
+            document.addEventListener('mouseup', function () {
+                drag.abort();
+                state.table.classList.remove('boblog-table-resizing');
+                saveLayout(state);
+                /* 松开鼠标时产生的 click 不触发排序 */
+                justResized = true;
+                setTimeout(function () { justResized = false; }, 0);
+            }, { signal: drag.signal });
+
+        }, { signal: signal });
+
+        headerRow.addEventListener('click', function (e) {
+            if (justResized || e.target.classList.contains('boblog-col-resizer')) e.stopPropagation();
+        }, { signal: signal, capture: true });
+    }
+
+    /**
+     * 表头支持拖动换位（HTML5 拖放），放下位置以目标列中线区分前后
+     * @param {object} state - 表格状态对象
+     */
+    function initColumnReorder(state) {
+        var signal = state.layout.controller.signal;
+        var headerRow = state.table.tHead.rows[0];
+        var dragId = null;
+
+        getLayoutHeaders(state).forEach(function (th) {
+            th.setAttribute('draggable', 'true');
+        });
+
+        function getTarget(e) {
+            var th = e.target.closest && e.target.closest('th');
+            return th && th.parentNode === headerRow && columnIds.has(th) ? th : null;
+        }
+
+        function clearMarks() {
+            var marked = headerRow.querySelectorAll('.boblog-col-dragging, .boblog-col-drop-before, .boblog-col-drop-after');
+            for (var i = 0; i < marked.length; i++) {
+                marked[i].classList.remove('boblog-col-dragging', 'boblog-col-drop-before', 'boblog-col-drop-after');
+            }
+        }
+
+        headerRow.addEventListener('dragstart', function (e) {
+            var th = getTarget(e);
+            if (!th) return;
+            dragId = columnIds.get(th);
+            th.classList.add('boblog-col-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragId);
+        }, { signal: signal });
+
+        headerRow.addEventListener('dragover', function (e) {
+            var th = getTarget(e);
+            if (dragId === null || !th || columnIds.get(th) === dragId) return;
+            e.preventDefault();
+            var rect = th.getBoundingClientRect();
+            var before = e.clientX < rect.left + rect.width / 2;
+            th.classList.toggle('boblog-col-drop-before', before);
+            th.classList.toggle('boblog-col-drop-after', !before);
+        }, { signal: signal });
+
+        headerRow.addEventListener('dragleave', function (e) {
+            var th = getTarget(e);
+            if (th) th.classList.remove('boblog-col-drop-before', 'boblog-col-drop-after');
+        }, { signal: signal });
+
+        headerRow.addEventListener('drop', function (e) {
+            var th = getTarget(e);
+            if (dragId === null || !th) return;
+            e.preventDefault();
+            var before = th.classList.contains('boblog-col-drop-before');
+            var targetId = columnIds.get(th);
+            var layout = readLayout(state);
+            if (targetId !== dragId) {
+                layout.order.splice(layout.order.indexOf(dragId), 1);
+                layout.order.splice(layout.order.indexOf(targetId) + (before ? 0 : 1), 0, dragId);
+                applyLayout(state, layout);
+                saveLayout(state);
+            }
+            clearMarks();
+            dragId = null;
+        }, { signal: signal });
+
+        headerRow.addEventListener('dragend', function () {
+            clearMarks();
+            dragId = null;
+        }, { signal: signal });
+    }
+
+    /**
+     * 初始化列布局功能，并恢复 localStorage 中保存的布局
+     * 需在复选框列、筛选行生成之后执行，使整列（含筛选行）一起移动/隐藏
+     *
+     * @param {object} state - 表格状态对象
+     */
+    function initLayout(state) {
+        var table = state.table;
+        var headerRow = table.tHead && table.tHead.rows[0];
+        var resizable = hasLayoutFeature(table, 'data-resizable');
+        var reorderable = hasLayoutFeature(table, 'data-reorderable');
+        var hideable = hasLayoutFeature(table, 'data-hideable');
+        if (!headerRow || state.layout || !(resizable || reorderable || hideable)) return;
+
+        var key = table.getAttribute('data-table-key');
+        state.layout = {
+            controller: new AbortController(),
+            storageKey: key ? 'boblog-table-layout:' + key : null,
+            widths: {},
+            originalOrder: [],
+            originalWidths: {},
+            menu: null,
+            menuEl: null
+        };
+        getLayoutHeaders(state).forEach(function (th, i) {
+            var id = th.getAttribute('data-key') || String(i);
+            columnIds.set(th, id);
+            state.layout.originalOrder.push(id);
+            state.layout.originalWidths[id] = th.style.width;
+        });
+        table.classList.add('boblog-table-layout');
+
+        if (resizable) initColumnResize(state);
+        if (reorderable) initColumnReorder(state);
+        if (hideable) createColumnMenu(state);
+
+        var saved = loadLayout(state);
+        if (saved) applyLayout(state, saved);
+        else updateColumnMenu(state);
+    }
+
+    /**
+     * 移除列布局功能：恢复初始列顺序、显示全部列、还原列宽（不清除已保存的布局）
+     * @param {object} state - 表格状态对象
+     */
+    function destroyLayout(state) {
+        if (!state.layout) return;
+        applyLayout(state, { order: state.layout.originalOrder });
+        state.layout.controller.abort();
+        if (state.layout.menuEl) state.layout.menuEl.parentNode.removeChild(state.layout.menuEl);
+        getLayoutHeaders(state).forEach(function (th) {
+            var handle = th.querySelector('.boblog-col-resizer');
+            if (handle) th.removeChild(handle);
+            th.removeAttribute('draggable');
+        });
+        state.table.classList.remove('boblog-table-layout', 'boblog-table-resizing');
+        state.layout = null;
+    }
+
+    /**
+     * 初始化单个表格的列布局
+     * @param {HTMLTableElement} table - 带 data-resizable / data-reorderable / data-hideable 的表格
+     */
+    function initTableLayout(table) {
+        if (!hasLayoutFeature(table, 'data-resizable') && !hasLayoutFeature(table, 'data-reorderable')
+            && !hasLayoutFeature(table, 'data-hideable')) return;
+        var state = ensureTableState(table);
+        if (state) initLayout(state);
+    }
+
+    /**
+     * 获取表格当前的列布局（可保存到服务端，之后用 setLayout 恢复）
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {object|null} { order, hidden, widths }，未开启列布局时返回 null
+     */
+    function getLayout(table) {
+        var state = getTableState(table);
+        return state && state.layout ? readLayout(state) : null;
+    }
+
+    /**
+     * 应用并保存列布局
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {object} layout - getLayout 返回的结构，可只传部分字段
+     */
+    function setLayout(table, layout) {
+        var state = getTableState(table);
+        if (!state || !state.layout) return;
+        var current = readLayout(state);
+        applyLayout(state, {
+            order: layout.order || current.order,
+            hidden: layout.hidden || current.hidden,
+            widths: layout.widths || current.widths
+        });
+        saveLayout(state);
+    }
+
+    /**
+     * 恢复初始列布局并清除已保存的布局
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function resetLayout(table) {
+        var state = getTableState(table);
+        if (!state || !state.layout) return;
+        applyLayout(state, { order: state.layout.originalOrder });
+        if (state.layout.storageKey) {
+            try {
+                localStorage.removeItem(state.layout.storageKey);
+            } catch (e) {
+                console.error('[BoblogUI.table] 列布局清除失败:', e);
+            }
+        }
+    }
+
+    /* ==================================================
+     * 单元格编辑（td[data-editable]）
+     * ================================================== */
+
+    /**
+     * 读取单元格的编辑前的值：数据驱动表格取行数据中的原始值，否则取单元格文字
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableCellElement} td - 单元格
+     * @returns {*}
+     */
+    function getEditValue(state, td) {
+        var column = getColumn(state, td.cellIndex);
+        var record = column && rowRecords.get(td.parentNode);
+        return record ? getCellValue(column, record) : getCellText(td);
+    }
+
+    /**
+     * 读取下拉编辑的选项：data-edit-options="a,b,c"
+     * @param {HTMLTableCellElement} td - 单元格
+     * @returns {Array}
+     */
+    function getEditOptions(td) {
+        var options = td.getAttribute('data-edit-options');
+        return options ? options.split(',').map(function (v) { return v.trim(); }) : [];
+    }
+
+    /**
+     * 在单元格中创建编辑控件
+     * text / number 使用 .boblog-input，select / date 使用 BoblogUI.select / BoblogUI.datePicker 的结构
+     *
+     * @param {HTMLTableCellElement} td - 单元格（已清空）
+     * @param {string} type - 'text' | 'number' | 'select' | 'date'
+     * @param {string} value - 当前值
+     * @returns {HTMLInputElement|HTMLSelectElement} 承载值的原生控件
+     */
+    function createEditor(td, type, value) {
+        if (type === 'select') {
+            var wrap = document.createElement('div');
+            wrap.className = 'boblog-select boblog-select-sm';
+            wrap.setAttribute('data-fixed-width', 'false');
+            var select = document.createElement('select');
+            var options = getEditOptions(td);
+            if (options.indexOf(value) === -1) options.unshift(value);
+            options.forEach(function (v) {
+                var opt = document.createElement('option');
+                opt.value = v;
+                opt.textContent = v;
+                select.appendChild(opt);
+            });
+            select.value = value;
+            wrap.appendChild(select);
+            td.appendChild(wrap);
+            if (window.BoblogUI.select) window.BoblogUI.select.init(td);
+            return select;
+        }
+
+        if (type === 'date') {
+            var picker = document.createElement('div');
+            picker.className = 'boblog-date-picker';
+            var date = document.createElement('input');
+            date.type = 'date';
+            date.value = value;
+            picker.appendChild(date);
+            td.appendChild(picker);
+            if (window.BoblogUI.datePicker) window.BoblogUI.datePicker.init(td);
+            return date;
+        }
+
+        var input = document.createElement('input');
+        input.type = type === 'number' ? 'number' : 'text';
+        input.className = 'boblog-input boblog-input-sm';
+        input.value = value;
+        if (type === 'number' && td.hasAttribute('data-step')) input.step = td.getAttribute('data-step');
+        td.appendChild(input);
+        return input;
+    }
+
+    /**
+     * 校验编辑后的值
+     * td 上的 data-required、data-min、data-max（number 按数值、date 按日期比较），
+     * 数据驱动表格另执行列定义的 validate(value, row)，返回错误提示字符串表示不通过
+     *
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableCellElement} td - 单元格
+     * @param {string} type - 编辑类型
+     * @param {string} value - 编辑后的值
+     * @returns {string} 错误提示，通过时为空字符串
+     */
+    function validateEdit(state, td, type, value) {
+        var min = td.getAttribute('data-min');
+        var max = td.getAttribute('data-max');
+        if (value === '') {
+            return td.hasAttribute('data-required') && td.getAttribute('data-required') !== 'false' ? '不能为空' : '';
+        }
+        if (type === 'number') {
+            if (!isNumeric(value)) return '请输入数字';
+            if (min !== null && parseFloat(value) < parseFloat(min)) return '不能小于 ' + min;
+            if (max !== null && parseFloat(value) > parseFloat(max)) return '不能大于 ' + max;
+        }
+        if (type === 'date') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return '日期格式应为 YYYY-MM-DD';
+            if (min !== null && value < min) return '不能早于 ' + min;
+            if (max !== null && value > max) return '不能晚于 ' + max;
+        }
+        var column = getColumn(state, td.cellIndex);
+        var record = column && rowRecords.get(td.parentNode);
+        if (record && column.validate) {
+            var message = column.validate(type === 'number' ? parseFloat(value) : value, record);
+            if (typeof message === 'string' && message) return message;
+        }
+        return '';
+    }
+
+    /**
+     * 结束编辑：销毁编辑控件，恢复单元格原有内容
+     * @param {object} state - 表格状态对象
+     */
+    function cancelEdit(state) {
+        var editing = state.editing;
+        if (!editing) return;
+        state.editing = null;
+        editing.controller.abort();
+        if (window.BoblogUI.destroy) window.BoblogUI.destroy(editing.td);
+        editing.td.innerHTML = '';
+        editing.td.appendChild(editing.content);
+        editing.td.classList.remove('boblog-table-cell-editing', 'boblog-table-cell-invalid');
+        editing.td.removeAttribute('title');
+    }
+
+    /**
+     * 写入单元格的新值：数据驱动表格更新行数据并重绘该行，否则直接替换单元格文字
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @param {number} colIndex - 列索引
+     * @param {*} value - 新值
+     * @param {DocumentFragment} [content] - DOM 表格撤销时恢复的原有内容
+     * @returns {HTMLTableCellElement} 写入后的单元格（数据驱动表格重绘后为新元素）
+     */
+    function writeCell(state, tr, colIndex, value, content) {
+        var column = getColumn(state, colIndex);
+        var record = column && rowRecords.get(tr);
+        if (record) {
+            var changes = {};
+            changes[column.key] = value;
+            updateRecord(state, getRowKey(state, record), changes);
+        } else {
+            var td = tr.cells[colIndex];
+            td.innerHTML = '';
+            if (content) td.appendChild(content);
+            else td.textContent = value;
+            /* 展开按钮随原内容被替换，重新插入 */
+            if (!content && state.rowTree) addRowToggle(state, tr);
+        }
+        if (state.filterControls) refreshFilterOptions(state);
+        return tr.cells[colIndex];
+    }
+
+    /**
+     * 提交编辑：校验 → 写入新值 → 调用保存钩子
+     * 钩子返回的 Promise 被拒绝时恢复旧值；保存成功（或没有钩子）时派发 boblog:table:cell-change 事件
+     *
+     * @param {object} state - 表格状态对象
+     */
+    function commitEdit(state) {
+        var editing = state.editing;
+        if (!editing) return;
+        var td = editing.td;
+        var raw = editing.input.value.trim();
+
+        var message = validateEdit(state, td, editing.type, raw);
+        if (message) {
+            td.classList.add('boblog-table-cell-invalid');
+            td.setAttribute('title', message);
+            if (editing.input.classList.contains('boblog-input')) editing.input.classList.add('boblog-input-error');
+            return;
+        }
+
+        var oldValue = editing.oldValue;
+        /* 数据驱动表格的 number 列写回数值，DOM 表格保持文字 */
+        var isData = !!(getColumn(state, td.cellIndex) && rowRecords.get(td.parentNode));
+        var newValue = editing.type === 'number' && raw !== '' && isData ? parseFloat(raw) : raw;
+        if (String(newValue) === (oldValue == null ? '' : String(oldValue))) {
+            cancelEdit(state);
+            return;
+        }
+
+        var tr = td.parentNode;
+        var colIndex = td.cellIndex;
+        var content = editing.content;
+        state.editing = null;
+        editing.controller.abort();
+        if (window.BoblogUI.destroy) window.BoblogUI.destroy(td);
+        td.classList.remove('boblog-table-cell-editing', 'boblog-table-cell-invalid');
+        td.removeAttribute('title');
+        td = writeCell(state, tr, colIndex, newValue);
+
+        var headerRow = state.table.tHead && state.table.tHead.rows[0];
+        var th = headerRow && headerRow.cells[colIndex];
+        var column = getColumn(state, colIndex);
+        var record = column && rowRecords.get(tr);
+        var detail = {
+            row: tr,
+            cell: td,
+            key: column ? column.key : (th && th.getAttribute('data-key')) || colIndex,
+            rowKey: record ? getRowKey(state, record) : null,
+            record: record || null,
+            oldValue: oldValue,
+            newValue: newValue
+        };
+
+        var save = state.cellSaveHandler
+            ? new Promise(function (resolve) { resolve(state.cellSaveHandler(detail)); })
+            : Promise.resolve();
+        td.classList.add('boblog-table-cell-saving');
+
+        save.then(function () {
+            tr.cells[colIndex].classList.remove('boblog-table-cell-saving');
+            state.table.dispatchEvent(new CustomEvent('boblog:table:cell-change', {
+                bubbles: true,
+                detail: detail
+            }));
+        }, function (err) {
+            console.error('[BoblogUI.table] 单元格保存失败，已恢复原值:', err);
+            tr.cells[colIndex].classList.remove('boblog-table-cell-saving');
+            /* 表格已销毁时不再回写 */
+            if (tableStates[state.table.dataset.tableId] !== state) return;
+            var cell = writeCell(state, tr, colIndex, oldValue, content);
+            cell.classList.add('boblog-table-cell-error');
+            setTimeout(function () {
+                cell.classList.remove('boblog-table-cell-error');
+            }, 1500);
+        });
+    }
+
+    /**
+     * 将单元格切换为编辑状态
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableCellElement} td - td[data-editable]
+     */
+    function startEdit(state, td) {
+        if (state.editing) {
+            if (state.editing.td === td) return;
+            commitEdit(state);
+            /* 上一个单元格校验未通过时不切换 */
+            if (state.editing) return;
+        }
+        if (td.classList.contains('boblog-table-cell-saving')) return;
+
+        var type = td.getAttribute('data-editable') || 'text';
+        var oldValue = getEditValue(state, td);
+
+        /* 暂存原有内容，取消或保存失败时原样恢复 */
+        var content = document.createDocumentFragment();
+        while (td.firstChild) content.appendChild(td.firstChild);
+        td.classList.add('boblog-table-cell-editing');
+
+        var controller = new AbortController();
+        var input = createEditor(td, type, oldValue == null ? '' : String(oldValue));
+        state.editing = {
+            td: td,
+            type: type,
+            input: input,
+            oldValue: oldValue,
+            content: content,
+            controller: controller
+        };
+
+        td.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                cancelEdit(state);
+            } else if (e.key === 'Enter' && (type === 'text' || type === 'number')) {
+                e.preventDefault();
+                commitEdit(state);
+            }
+        }, { signal: controller.signal });
+
+        if (type === 'select' || type === 'date') {
+            /* 选中即提交；点击单元格外部时未修改则取消 */
+            input.addEventListener('change', function () {
+                commitEdit(state);
+            }, { signal: controller.signal });
+            document.addEventListener('mousedown', function (e) {
+                if (!td.contains(e.target)) cancelEdit(state);
+            }, { signal: controller.signal, capture: true });
+
+            /* 直接展开下拉 / 日历面板 */
+            var display = td.querySelector('.boblog-select-display, .boblog-date-picker-display');
+            if (display) {
+                display.focus();
+                display.click();
+            }
+        } else {
+            input.addEventListener('blur', function () {
+                commitEdit(state);
+            }, { signal: controller.signal });
+            input.focus();
+            input.select();
+        }
+    }
+
+    /**
+     * 为表格绑定双击编辑（事件委托，数据驱动表格重绘行后仍有效）
+     * @param {object} state - 表格状态对象
+     */
+    function initEditing(state) {
+        if (state.editController) return;
+        state.editController = new AbortController();
+        state.table.addEventListener('dblclick', function (e) {
+            var td = e.target.closest('td[data-editable]');
+            if (!td || !state.table.tBodies[0] || !state.table.tBodies[0].contains(td)) return;
+            if (e.target.closest('.boblog-table-toggle')) return;
+            if (td.closest('table') !== state.table) return;
+            startEdit(state, td);
+        }, { signal: state.editController.signal });
+    }
+
+    /**
+     * 移除单元格编辑：取消正在进行的编辑并解绑双击
+     * @param {object} state - 表格状态对象
+     */
+    function destroyEditing(state) {
+        if (!state.editController) return;
+        cancelEdit(state);
+        state.editController.abort();
+        state.editController = null;
+    }
+
+    /**
+     * 初始化单个表格的单元格编辑
+     * @param {HTMLTableElement} table - 含 td[data-editable] 的表格
+     */
+    function initTableEditing(table) {
+        if (!table.querySelector('td[data-editable]')) return;
+        var state = ensureTableState(table);
+        if (state) initEditing(state);
+    }
+
+    /**
+     * 设置单元格保存钩子
+     * handler(detail) 返回 Promise（或普通值），被拒绝时单元格恢复旧值；
+     * detail 与 boblog:table:cell-change 事件相同：{ row, cell, key, rowKey, record, oldValue, newValue }
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {Function|null} handler - 保存钩子，传 null 取消
+     */
+    function onCellSave(table, handler) {
+        var state = ensureTableState(table);
+        if (state) state.cellSaveHandler = handler;
+    }
+
+    /* ==================================================
+     * 展开行与树形表格
+     * ================================================== */
+
+    /** 行元素 → { parent, children, depth, detail }：父行、子行、层级、详情行 */
+    var rowNodes = new WeakMap();
+
+    /** DOM 表格的主行 → 详情行（由 getDataRows 在行序改变之前记录） */
+    var detailRows = new WeakMap();
+
+    /** 每一级的缩进（px），与 .boblog-tree-children 一致 */
+    var TREE_INDENT = 20;
+
+    /**
+     * 登记行的层级关系
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @param {HTMLTableRowElement|null} parent - 父行
+     * @returns {object} 行节点
+     */
+    function registerRow(tr, parent) {
+        var node = { parent: parent, children: [], depth: 0, detail: null };
+        if (parent) {
+            var parentNode = rowNodes.get(parent);
+            node.depth = parentNode.depth + 1;
+            parentNode.children.push(tr);
+        }
+        rowNodes.set(tr, node);
+        return node;
+    }
+
+    /**
+     * 判断行是否可展开（有子行或详情行）
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @returns {boolean}
+     */
+    function isExpandable(state, tr) {
+        var node = rowNodes.get(tr);
+        return !!node && (node.children.length > 0 || !!node.detail || !!state.rowTree.detail);
+    }
+
+    /**
+     * 在行的首个数据单元格前插入展开按钮（沿用 .boblog-tree-toggle 的三角图标），按层级缩进
+     * 不可展开的行插入占位，使同级文字对齐
+     *
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     */
+    function addRowToggle(state, tr) {
+        var node = rowNodes.get(tr);
+        if (!node) return;
+        var cell = null;
+        for (var i = 0; i < tr.cells.length; i++) {
+            var old = tr.cells[i].querySelector('.boblog-table-toggle');
+            if (old && old.parentNode === tr.cells[i]) tr.cells[i].removeChild(old);
+            if (!cell && !tr.cells[i].classList.contains('boblog-table-check')) cell = tr.cells[i];
+        }
+        if (!cell) return;
+
+        var toggle = document.createElement('span');
+        var expandable = isExpandable(state, tr);
+        toggle.className = 'boblog-tree-toggle boblog-table-toggle' + (expandable ? '' : ' leaf');
+        if (expandable) {
+            toggle.setAttribute('role', 'button');
+            toggle.setAttribute('tabindex', '0');
+            toggle.setAttribute('aria-label', '展开 / 收起');
+            toggle.setAttribute('aria-expanded', String(tr.classList.contains('boblog-row-expanded')));
+        }
+        if (node.depth) toggle.style.marginLeft = node.depth * TREE_INDENT + 'px';
+        cell.insertBefore(toggle, cell.firstChild);
+    }
+
+    /**
+     * 按树形结构排列行：父行之后紧跟其子行，同级之间保持传入的（排序后的）先后顺序
+     * @param {Array} rows - 行数组（已排序）
+     * @returns {Array} 排列后的行数组
+     */
+    function orderTree(rows) {
+        var position = new Map();
+        rows.forEach(function (row, i) { position.set(row, i); });
+        var result = [];
+        var append = function (row) {
+            result.push(row);
+            rowNodes.get(row).children.filter(function (child) {
+                return position.has(child);
+            }).sort(function (a, b) {
+                return position.get(a) - position.get(b);
+            }).forEach(append);
+        };
+        rows.forEach(function (row) {
+            var parent = rowNodes.get(row).parent;
+            if (!parent || !position.has(parent)) append(row);
+        });
+        return result;
+    }
+
+    /**
+     * 去掉收起的父行下的子行
+     * @param {Array} rows - 行数组
+     * @returns {Array}
+     */
+    function collapseRows(rows) {
+        return rows.filter(function (row) {
+            for (var parent = rowNodes.get(row).parent; parent; parent = rowNodes.get(parent).parent) {
+                if (!parent.classList.contains('boblog-row-expanded')) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 树形表格筛选：保留匹配的行及其所有上级行（不受收起状态影响）
+     * @param {Array} rows - 按树形排列的全部行
+     * @param {Array} matched - 匹配的行
+     * @returns {Array}
+     */
+    function withAncestors(rows, matched) {
+        var keep = new Set();
+        matched.forEach(function (row) {
+            for (var current = row; current && !keep.has(current); current = rowNodes.get(current).parent) {
+                keep.add(current);
+            }
+        });
+        return rows.filter(function (row) { return keep.has(row); });
+    }
+
+    /**
+     * 重新计算显示的行（保留当前页码），用于展开 / 收起后刷新
+     * @param {object} state - 表格状态对象
+     */
+    function refreshRows(state) {
+        if (state.remote) {
+            state.allRows = state.rowTree.tree ? collapseRows(orderTree(state.originalRows)) : state.originalRows.slice();
+        } else {
+            state.allRows = filterRows(state, applyCurrentSort(state));
+        }
+        renderPage(state);
+    }
+
+    /**
+     * 生成数据驱动表格的详情行（首次展开时调用 detail 渲染函数）
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 主行
+     */
+    function renderDetail(state, tr) {
+        var node = rowNodes.get(tr);
+        var record = rowRecords.get(tr);
+        if (!state.rowTree.detail || !record) return;
+        if (!node.detail) {
+            node.detail = document.createElement('tr');
+            node.detail.className = 'boblog-table-detail';
+            node.detail.appendChild(document.createElement('td'));
+        }
+        var td = node.detail.cells[0];
+        var content = state.rowTree.detail(record);
+        td.innerHTML = '';
+        if (content instanceof Node) {
+            td.appendChild(content);
+        } else if (content != null) {
+            td.innerHTML = String(content);
+        }
+    }
+
+    /**
+     * 把详情行放到主行之后，主行显示且已展开时才显示（由 renderPage 调用）
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableSectionElement} tbody - 表体
+     */
+    function placeDetails(state, tbody) {
+        var colspan = getVisibleColumnCount(state.table);
+        state.originalRows.forEach(function (row) {
+            var detail = rowNodes.get(row).detail;
+            if (!detail) return;
+            if (row.parentNode === tbody) tbody.insertBefore(detail, row.nextSibling);
+            detail.cells[0].colSpan = colspan;
+            detail.style.display = row.parentNode === tbody && row.style.display !== 'none'
+                && row.classList.contains('boblog-row-expanded') ? '' : 'none';
+        });
+    }
+
+    /**
+     * 设置单行的展开状态（不刷新表格）
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @param {boolean} expanded - 是否展开
+     * @returns {boolean} 状态有变化时返回 true
+     */
+    function setRowExpanded(state, tr, expanded) {
+        if (!isExpandable(state, tr) || tr.classList.contains('boblog-row-expanded') === expanded) return false;
+        tr.classList.toggle('boblog-row-expanded', expanded);
+        var toggle = tr.querySelector('.boblog-table-toggle');
+        if (toggle) toggle.setAttribute('aria-expanded', String(expanded));
+
+        /* 数据驱动表格按行唯一键记录，setData 重建行后保持展开 */
+        var record = rowRecords.get(tr);
+        if (record) {
+            if (expanded) state.rowTree.expanded.add(getRowKey(state, record));
+            else state.rowTree.expanded.delete(getRowKey(state, record));
+        }
+        if (expanded && !rowNodes.get(tr).detail) renderDetail(state, tr);
+        return true;
+    }
+
+    /**
+     * 展开 / 收起单行，刷新表格并派发 boblog:table:toggle 事件
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @param {boolean} [expanded] - 缺省时切换
+     * @returns {boolean} 行不可展开时返回 false
+     */
+    function toggleRowState(state, tr, expanded) {
+        if (!isExpandable(state, tr)) return false;
+        if (expanded === undefined) expanded = !tr.classList.contains('boblog-row-expanded');
+        if (!setRowExpanded(state, tr, expanded)) return true;
+        refreshRows(state);
+        state.table.dispatchEvent(new CustomEvent('boblog:table:toggle', {
+            bubbles: true,
+            detail: { row: tr, expanded: expanded, record: rowRecords.get(tr) || null }
+        }));
+        return true;
+    }
+
+    /**
+     * 开启展开行 / 树形模式，绑定展开按钮的点击和键盘操作
+     * @param {object} state - 表格状态对象
+     * @param {object} options - { tree, childrenKey, detail }
+     */
+    function initRowTree(state, options) {
+        var controller = new AbortController();
+        state.rowTree = {
+            tree: !!options.tree,
+            childrenKey: options.childrenKey || 'children',
+            detail: options.detail || null,     /* 数据驱动表格的详情行渲染函数 */
+            expanded: new Set(),                /* 数据驱动表格中展开行的键 */
+            controller: controller
+        };
+        if (state.rowTree.tree) state.table.classList.add('boblog-table-tree');
+
+        var handle = function (e) {
+            var toggle = e.target.closest('.boblog-table-toggle');
+            if (!toggle || toggle.classList.contains('leaf')) return;
+            var tr = toggle.closest('tr');
+            if (!rowNodes.has(tr) || tr.closest('table') !== state.table) return;
+            if (e.type === 'keydown') {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+            }
+            toggleRowState(state, tr);
+        };
+        state.table.addEventListener('click', handle, { signal: controller.signal });
+        state.table.addEventListener('keydown', handle, { signal: controller.signal });
+    }
+
+    /**
+     * 关闭展开行 / 树形模式：移除展开按钮，详情行随主行全部显示
+     * @param {object} state - 表格状态对象
+     */
+    function destroyRowTree(state) {
+        if (!state.rowTree) return;
+        state.rowTree.controller.abort();
+        state.table.classList.remove('boblog-table-tree');
+        state.originalRows.forEach(function (row) {
+            var toggle = row.querySelector('.boblog-table-toggle');
+            if (toggle) toggle.parentNode.removeChild(toggle);
+            row.classList.remove('boblog-row-expanded');
+            var node = rowNodes.get(row);
+            if (node && node.detail) node.detail.style.display = '';
+            rowNodes.delete(row);
+        });
+        state.rowTree = null;
+    }
+
+    /**
+     * 初始化 DOM 表格的展开行 / 树形模式
+     * - table[data-tree]：tr 以 data-row-key 标识，data-parent-key 指向父行
+     * - tr.boblog-table-detail：紧跟在主行之后的详情行
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function initTableRowTree(table) {
+        var tbody = table.tBodies[0];
+        var isTree = table.hasAttribute('data-tree');
+        if (!tbody || (!isTree && !tbody.querySelector('tr.boblog-table-detail'))) return;
+        var state = ensureTableState(table);
+        if (!state || state.rowTree || state.columns) return;
+        initRowTree(state, { tree: isTree });
+
+        var byKey = {};
+        state.originalRows.forEach(function (tr) {
+            registerRow(tr, null).detail = detailRows.get(tr) || null;
+            var key = tr.getAttribute('data-row-key');
+            if (key !== null) byKey[key] = tr;
+        });
+
+        if (isTree) {
+            /* 先连接父子，再逐级计算层级（父行可能写在子行之后） */
+            state.originalRows.forEach(function (tr) {
+                var parent = byKey[tr.getAttribute('data-parent-key')];
+                /* 忽略指向自身或形成环的父行 */
+                for (var up = parent; up; up = rowNodes.get(up).parent) {
+                    if (up === tr) parent = null;
+                }
+                if (parent) {
+                    rowNodes.get(tr).parent = parent;
+                    rowNodes.get(parent).children.push(tr);
+                }
+            });
+            orderTree(state.originalRows).forEach(function (tr) {
+                var node = rowNodes.get(tr);
+                node.depth = node.parent ? rowNodes.get(node.parent).depth + 1 : 0;
+            });
+        }
+
+        state.originalRows.forEach(function (tr) {
+            addRowToggle(state, tr);
+        });
+        refreshRows(state);
+    }
+
+    /**
+     * 找到表格中的行：tr 元素，或数据驱动表格的行唯一键 / DOM 表格 tr 的 data-row-key
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement|*} row - 行元素或行键
+     * @returns {HTMLTableRowElement|null}
+     */
+    function findRow(state, row) {
+        if (row && row.nodeType === 1) return row;
+        if (state.rowMap) return state.rowMap[row] || null;
+        return state.originalRows.filter(function (tr) {
+            return tr.getAttribute('data-row-key') === String(row);
+        })[0] || null;
+    }
+
+    /**
+     * 展开 / 收起一行
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {HTMLTableRowElement|*} row - 行元素或行键
+     * @param {boolean} [expanded] - 缺省时切换
+     * @returns {boolean} 找不到或行不可展开时返回 false
+     */
+    function toggleRow(table, row, expanded) {
+        var state = getTableState(table);
+        var tr = state && state.rowTree ? findRow(state, row) : null;
+        return tr ? toggleRowState(state, tr, expanded) : false;
+    }
+
+    /**
+     * 展开或收起全部行
+     * @param {HTMLTableElement} table - 表格元素
+     * @param {boolean} expanded - 是否展开
+     */
+    function setAllExpanded(table, expanded) {
+        var state = getTableState(table);
+        if (!state || !state.rowTree) return;
+        var changed = false;
+        state.originalRows.forEach(function (tr) {
+            if (setRowExpanded(state, tr, expanded)) changed = true;
+        });
+        if (changed) refreshRows(state);
+    }
+
+    /**
+     * 展开全部行
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function expandAll(table) {
+        setAllExpanded(table, true);
+    }
+
+    /**
+     * 收起全部行
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function collapseAll(table) {
+        setAllExpanded(table, false);
+    }
+
+    /* ==================================================
+     * 虚拟滚动（数据驱动表格，create 的 virtual 选项或 table[data-virtual]）
+     * ================================================== */
+
+    /** 可视区域上下额外渲染的行数，减少快速滚动时的空白 */
+    var VIRTUAL_OVERSCAN = 10;
+
+    /** 未指定行高且无法测量时的默认行高（px） */
+    var VIRTUAL_ROW_HEIGHT = 33;
+
+    /**
+     * 创建占位行：撑起未渲染行的高度，保持滚动条长度
+     * @returns {HTMLTableRowElement}
+     */
+    function createSpacerRow() {
+        var tr = document.createElement('tr');
+        tr.className = 'boblog-table-virtual-spacer';
+        tr.setAttribute('aria-hidden', 'true');
+        tr.appendChild(document.createElement('td'));
+        return tr;
+    }
+
+    /**
+     * 设置占位行高度，高度为 0 时隐藏
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 占位行
+     * @param {number} height - 高度（px）
+     */
+    function setSpacerHeight(state, tr, height) {
+        tr.style.display = height > 0 ? '' : 'none';
+        tr.cells[0].colSpan = getVisibleColumnCount(state.table);
+        tr.cells[0].style.height = height + 'px';
+    }
+
+    /**
+     * tbody 顶部在滚动容器内容中的位置（表头、工具栏等占去的高度）
+     * @param {object} state - 表格状态对象
+     * @returns {number}
+     */
+    function getBodyOffset(state) {
+        var scroller = state.virtual.scroller;
+        var tbody = state.table.tBodies[0];
+        return tbody.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+    }
+
+    /**
+     * 按滚动位置渲染当前页中可视区域内的行
+     * 只增删进出可视区域的行，留在区域内的行不移动（其中的输入框保持焦点）
+     *
+     * @param {object} state - 表格状态对象
+     * @param {boolean} [force] - 可视范围未变时也重新渲染（行数组已变化）
+     */
+    function renderWindow(state, force) {
+        var v = state.virtual;
+        var tbody = state.table.tBodies[0];
+        if (!tbody) return;
+
+        var count = v.pageEnd - v.pageStart;
+        var viewport = v.scroller.clientHeight || v.rowHeight * 20;
+        var offset = getBodyOffset(state);
+        var maxScroll = Math.max(0, offset + count * v.rowHeight - viewport);
+        var scrollTop = Math.min(v.scroller.scrollTop, maxScroll) - offset;
+
+        var first = Math.max(0, Math.floor(scrollTop / v.rowHeight) - VIRTUAL_OVERSCAN);
+        /* 从偶数行开始，斑马纹不随滚动闪烁 */
+        first -= first % 2;
+        var last = Math.min(count, Math.ceil((scrollTop + viewport) / v.rowHeight) + VIRTUAL_OVERSCAN);
+        if (first > last) first = last;
+        if (!force && first === v.start && last === v.end) return;
+        v.start = first;
+        v.end = last;
+
+        var wanted = state.allRows.slice(v.pageStart + first, v.pageStart + last);
+
+        /* 编辑中的行滚出可视区域时取消编辑 */
+        if (state.editing && wanted.indexOf(state.editing.td.parentNode) === -1) cancelEdit(state);
+
+        Array.prototype.slice.call(tbody.rows).forEach(function (row) {
+            if (row !== v.topSpacer && row !== v.bottomSpacer && wanted.indexOf(row) === -1) {
+                tbody.removeChild(row);
+            }
+        });
+        tbody.insertBefore(v.topSpacer, tbody.firstChild);
+        var cursor = v.topSpacer.nextSibling;
+        wanted.forEach(function (row) {
+            row.style.display = '';
+            if (row === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                tbody.insertBefore(row, cursor);
+            }
+        });
+        tbody.appendChild(v.bottomSpacer);
+
+        setSpacerHeight(state, v.topSpacer, first * v.rowHeight);
+        setSpacerHeight(state, v.bottomSpacer, (count - last) * v.rowHeight);
+
+        /* 未指定行高时以首个渲染行的实际高度为准，与默认值不同则按实际行高重算一次 */
+        if (!v.fixedHeight && !v.measured && wanted.length && wanted[0].offsetHeight > 0) {
+            v.measured = true;
+            if (wanted[0].offsetHeight !== v.rowHeight) {
+                v.rowHeight = wanted[0].offsetHeight;
+                renderWindow(state, true);
+            }
+        }
+    }
+
+    /**
+     * 渲染当前页（由 renderPage 调用）：记录页内行范围，翻页时滚回顶部
+     * @param {object} state - 表格状态对象
+     * @param {number} pageStart - 当前页首行在 allRows 中的索引
+     * @param {number} pageEnd - 当前页末行之后的索引
+     */
+    function renderVirtualPage(state, pageStart, pageEnd) {
+        var v = state.virtual;
+        v.pageStart = pageStart;
+        v.pageEnd = Math.max(pageStart, pageEnd);
+        if (v.page !== state.currentPage) {
+            v.page = state.currentPage;
+            v.scroller.scrollTop = 0;
+        }
+        renderWindow(state, true);
+    }
+
+    /**
+     * 开启虚拟滚动
+     * 表格不在 .boblog-table-scroll / .boblog-table-scroll-both 中时，生成 .boblog-table-scroll 容器包裹表格
+     *
+     * @param {object} state - 表格状态对象
+     * @param {object} options - { rowHeight, height }
+     */
+    function initVirtual(state, options) {
+        var table = state.table;
+        var parent = table.parentNode;
+        var wrapper = null;
+        var scroller = parent;
+        if (!parent.classList || (!parent.classList.contains('boblog-table-scroll') && !parent.classList.contains('boblog-table-scroll-both'))) {
+            wrapper = document.createElement('div');
+            wrapper.className = 'boblog-table-scroll';
+            parent.insertBefore(wrapper, table);
+            wrapper.appendChild(table);
+            scroller = wrapper;
+        }
+        var height = options.height || table.getAttribute('data-virtual-height');
+        if (height) scroller.style.setProperty('--table-max-height', isNumeric(height) ? height + 'px' : height);
+
+        var rowHeight = options.rowHeight || parseInt(table.getAttribute('data-row-height'), 10);
+        var controller = new AbortController();
+        state.virtual = {
+            scroller: scroller,
+            wrapper: wrapper,        /* JS 生成的滚动容器，销毁时移除 */
+            rowHeight: rowHeight > 0 ? rowHeight : VIRTUAL_ROW_HEIGHT,
+            fixedHeight: rowHeight > 0,
+            measured: false,
+            topSpacer: createSpacerRow(),
+            bottomSpacer: createSpacerRow(),
+            pageStart: 0,
+            pageEnd: 0,
+            page: state.currentPage,
+            start: 0,
+            end: 0,
+            frame: 0,
+            controller: controller
+        };
+        table.classList.add('boblog-table-virtual');
+
+        /* 滚动、窗口尺寸变化时每帧最多重算一次可视范围 */
+        var schedule = function () {
+            var v = state.virtual;
+            if (v.frame) return;
+            v.frame = requestAnimationFrame(function () {
+                v.frame = 0;
+                renderWindow(state);
+            });
+        };
+        scroller.addEventListener('scroll', schedule, { signal: controller.signal });
+        window.addEventListener('resize', schedule, { signal: controller.signal });
+    }
+
+    /**
+     * 关闭虚拟滚动：移除占位行和生成的滚动容器（已渲染的行保留）
+     * @param {object} state - 表格状态对象
+     */
+    function destroyVirtual(state) {
+        var v = state.virtual;
+        if (!v) return;
+        state.virtual = null;
+        v.controller.abort();
+        if (v.frame) cancelAnimationFrame(v.frame);
+        [v.topSpacer, v.bottomSpacer].forEach(function (tr) {
+            if (tr.parentNode) tr.parentNode.removeChild(tr);
+        });
+        if (v.wrapper && v.wrapper.parentNode) {
+            v.wrapper.parentNode.insertBefore(state.table, v.wrapper);
+            v.wrapper.parentNode.removeChild(v.wrapper);
+        }
+        state.table.classList.remove('boblog-table-virtual');
+    }
+
+    /**
+     * 滚动到指定行（虚拟滚动表格中该行可能尚未渲染）
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @returns {boolean} 行不在当前页（被筛选掉或在其他页）时返回 false
+     */
+    function scrollToRow(state, tr) {
+        var index = state.allRows.indexOf(tr);
+        if (index === -1) return false;
+        if (!state.virtual) {
+            if (tr.style.display === 'none') return false;
+            tr.scrollIntoView({ block: 'nearest' });
+            return true;
+        }
+        var v = state.virtual;
+        if (index < v.pageStart || index >= v.pageEnd) return false;
+        v.scroller.scrollTop = getBodyOffset(state) + (index - v.pageStart) * v.rowHeight;
+        renderWindow(state);
+        return true;
+    }
+
+    /* ==================================================
+     * 初始化逻辑
+     * ================================================== */
+
+    /**
+     * 存储每个表格的状态
+     * key: table 元素的 data-table-id
+     * value: state 对象
+     */
+    var tableStates = {};
+    var tableIdCounter = 0;
+
+    /** 已绑定的可排序表头 → AbortController（destroy 时解绑点击事件） */
+    var headerControllers = new WeakMap();
+
+    /** 数据驱动表格的行元素 → 行数据（排序时按原始值比较） */
+    var rowRecords = new WeakMap();
+
+    /** 数据驱动表格 → 实例对象 */
+    var instances = new WeakMap();
+
+    /** 数据驱动表格的表头单元格 → 列定义 */
+    var thColumns = new WeakMap();
+
+    /**
+     * 获取或创建表格的状态对象
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {object|null} 状态对象，非分页表格返回 null
+     */
+    function getTableState(table) {
+        var id = table.dataset.tableId;
+        if (id && tableStates[id]) return tableStates[id];
+        return null;
+    }
+
+    /**
+     * 记录表格行的原始顺序（用于恢复初始排序）
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function saveOriginalOrder(table) {
+        if (table.dataset.orderSaved) return;
+        table.dataset.orderSaved = 'true';
+
+        var tbody = table.querySelector('tbody');
+        if (!tbody) return;
+
+        var rows = tbody.querySelectorAll('tr');
+        for (var i = 0; i < rows.length; i++) {
+            rows[i].dataset.originalIndex = i;
+        }
+    }
+
+    /**
+     * 获取表体中的数据行（不含详情行 tr.boblog-table-detail）
+     * 同时记录每个详情行所属的主行（紧挨在它前面的数据行），之后排序、分页会改变行的位置
+     *
+     * @param {HTMLTableSectionElement} tbody - 表体
+     * @returns {Array}
+     */
+    function getDataRows(tbody) {
+        var rows = [];
+        Array.prototype.forEach.call(tbody.rows, function (tr) {
+            if (!tr.classList.contains('boblog-table-detail')) {
+                rows.push(tr);
+            } else if (rows.length && !detailRows.has(rows[rows.length - 1])) {
+                detailRows.set(rows[rows.length - 1], tr);
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * 初始化单个可排序表头的点击事件
+     * @param {HTMLElement} th - .boblog-th-sortable 表头单元格
+     */
+    function initSortableHeader(th) {
+        /* 已初始化则跳过，防止重复绑定 */
+        if (th.dataset.sortInited) return;
+        th.dataset.sortInited = 'true';
+
+        var controller = new AbortController();
+        headerControllers.set(th, controller);
+
+        th.addEventListener('click', function (e) {
+            /* 找到所属的 table 元素 */
+            var table = th.closest('table');
+            if (!table) return;
+
+            /* 找到表头行 */
+            var headerRow = th.parentElement;
+
+            /* 计算新的排序列：
+             * 普通点击只按本列排序（none → asc → desc → none）；
+             * Shift + 点击在已有排序上追加本列，已在排序中的列 asc → desc → 移除 */
+            var sorts = getSortSpec(headerRow);
+            var nextDir = getNextDirection(getCurrentDirection(th));
+            if (e.shiftKey) {
+                var existing = sorts.filter(function (sort) { return sort.th === th; })[0];
+                if (!existing) {
+                    sorts.push({ th: th, direction: nextDir });
+                } else if (nextDir === 'none') {
+                    sorts.splice(sorts.indexOf(existing), 1);
+                } else {
+                    existing.direction = nextDir;
+                }
+            } else {
+                sorts = nextDir === 'none' ? [] : [{ th: th, direction: nextDir }];
+            }
+            setSortStates(headerRow, sorts);
+
+            /* 获取表格状态（分页模式） */
+            var state = getTableState(table);
+
+            /* 服务端模式：带排序参数重新请求第 1 页 */
+            if (state && state.remote) {
+                state.remote.sorts = getSortSpec(headerRow).map(function (sort) {
+                    var column = getColumn(state, sort.colIndex);
+                    return { key: column ? column.key : null, direction: sort.direction };
+                }).filter(function (sort) { return sort.key != null; });
+                state.currentPage = 1;
+                loadRemotePage(state);
+                return;
+            }
+
+            if (state) {
+                /* 分页模式：从原始行序重新排序（保留筛选），跳回第 1 页 */
+                state.allRows = filterRows(state, applyCurrentSort(state));
+                state.currentPage = 1;
+                renderPage(state);
+                return;
+            }
+
+            /* 非分页模式：先按 data-original-index 恢复原始顺序，再排序 DOM */
+            var tbody = table.querySelector('tbody');
+            if (!tbody) return;
+            var rows = Array.prototype.slice.call(tbody.querySelectorAll('tr'));
+            rows.sort(function (a, b) {
+                return (parseInt(a.dataset.originalIndex, 10) || 0)
+                     - (parseInt(b.dataset.originalIndex, 10) || 0);
+            });
+            var sorted = sortRows(null, rows, getSortSpec(headerRow));
+            for (var i = 0; i < sorted.length; i++) {
+                tbody.appendChild(sorted[i]);
+            }
+        }, { signal: controller.signal });
+    }
+
+    /**
+     * 初始化单个表格的分页
+     * @param {HTMLTableElement} table - 带 data-page-size 属性的表格
+     */
+    function initTablePagination(table) {
+        /* 已初始化则跳过 */
+        if (table.dataset.tableId) return;
+
+        var pageSize = parseInt(table.getAttribute('data-page-size'), 10);
+        if (!pageSize || pageSize <= 0) return;
+
+        var tbody = table.querySelector('tbody');
+        if (!tbody) return;
+
+        /* 分配唯一 ID */
+        var id = 'boblog-table-' + (++tableIdCounter);
+        table.dataset.tableId = id;
+
+        /* 获取所有行（保留原始顺序的副本） */
+        var allRows = getDataRows(tbody);
+        if (allRows.length === 0) return;
 
         /* 如果总行数不超过 pageSize，无需分页 */
         if (allRows.length <= pageSize) return;
@@ -492,6 +3122,62 @@
         renderPage(state);
     }
 
+    /**
+     * 获取表格状态，未分页的表格创建一页装下全部行的状态
+     * 使排序、筛选、行选择走同一套行计算
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {object|null} 状态对象，没有 tbody 时返回 null
+     */
+    function ensureTableState(table) {
+        var state = getTableState(table);
+        if (state) return state;
+
+        var tbody = table.querySelector('tbody');
+        if (!tbody) return null;
+
+        /* 分页初始化时行数不足一页不会创建状态，沿用已分配的 ID */
+        var id = table.dataset.tableId || 'boblog-table-' + (++tableIdCounter);
+        table.dataset.tableId = id;
+
+        var rows = getDataRows(tbody);
+        state = {
+            table: table,
+            allRows: rows.slice(),
+            originalRows: rows.slice(),
+            pageSize: Infinity,     /* 不分页：一页装下全部 */
+            currentPage: 1,
+            paginationEl: null
+        };
+        tableStates[id] = state;
+        return state;
+    }
+
+    /**
+     * 初始化单个表格的复选框列
+     * 需在筛选之前执行，使筛选行包含复选框列对应的空单元格
+     *
+     * @param {HTMLTableElement} table - 带 data-selectable 的表格
+     */
+    function initTableSelection(table) {
+        if (!isSelectable(table)) return;
+        var state = ensureTableState(table);
+        if (state) initSelection(state);
+    }
+
+    /**
+     * 初始化单个表格的搜索框和列筛选
+     * @param {HTMLTableElement} table - 带 data-searchable 或 th[data-filter] 的表格
+     */
+    function initTableFilters(table) {
+        if (!isSearchable(table) && !table.querySelector('th[data-filter]')) return;
+
+        var state = ensureTableState(table);
+        if (!state || state.filterControls || state.searchInput) return;
+
+        initFilters(state);
+    }
+
     /**
      * 批量初始化指定范围内的所有可排序表头和分页表格
      * @param {HTMLElement} [root=document] - 扫描范围，默认整个文档
@@ -499,6 +3185,12 @@
     function init(root) {
         root = root || document;
 
+        /* 服务端模式表格：整体交给数据驱动模式接管 */
+        var remoteTables = root.querySelectorAll('table[data-remote-url]');
+        for (var r = 0; r < remoteTables.length; r++) {
+            if (!instances.has(remoteTables[r])) create(remoteTables[r]);
+        }
+
         /* 找到所有含可排序表头的表格，记录原始行序 */
         var tables = root.querySelectorAll('table');
         for (var i = 0; i < tables.length; i++) {
@@ -507,17 +3199,148 @@
             }
         }
 
-        /* 为所有可排序表头绑定点击事件 */
-        var sortables = root.querySelectorAll('.boblog-th-sortable');
-        for (var j = 0; j < sortables.length; j++) {
-            initSortableHeader(sortables[j]);
+        /* 为所有可排序表头绑定点击事件 */
+        var sortables = root.querySelectorAll('.boblog-th-sortable');
+        for (var j = 0; j < sortables.length; j++) {
+            initSortableHeader(sortables[j]);
+        }
+
+        /* 初始化所有分页表格 */
+        var pageTables = root.querySelectorAll('table[data-page-size]');
+        for (var k = 0; k < pageTables.length; k++) {
+            initTablePagination(pageTables[k]);
+        }
+
+        /* 初始化所有带复选框列、搜索/筛选、列布局的表格（在分页之后，复用分页状态） */
+        var filterTables = root.querySelectorAll('table');
+        for (var m = 0; m < filterTables.length; m++) {
+            initTableRowTree(filterTables[m]);
+            initTableSelection(filterTables[m]);
+            initTableFilters(filterTables[m]);
+            initTableLayout(filterTables[m]);
+            initTableEditing(filterTables[m]);
+        }
+    }
+
+    /**
+     * 初始化单个表格（排序 + 分页 + 手动斑马纹）
+     * 供组件注册表对动态插入的表格调用，效果与 init() 扫描到该表格时一致
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function initOne(table) {
+        /* 服务端模式表格：整体交给数据驱动模式接管 */
+        if (table.hasAttribute('data-remote-url')) {
+            if (!instances.has(table)) create(table);
+            return;
+        }
+
+        /* 可排序表头：记录原始行序并绑定点击 */
+        var sortables = table.querySelectorAll('.boblog-th-sortable');
+        if (sortables.length > 0) {
+            saveOriginalOrder(table);
+            for (var i = 0; i < sortables.length; i++) {
+                initSortableHeader(sortables[i]);
+            }
+        }
+
+        /* 分页 */
+        if (table.hasAttribute('data-page-size')) {
+            initTablePagination(table);
+        }
+
+        /* 展开行 / 树形、行选择、搜索与列筛选、列布局 */
+        initTableRowTree(table);
+        initTableSelection(table);
+        initTableFilters(table);
+        initTableLayout(table);
+        initTableEditing(table);
+
+        /* 手动斑马纹 */
+        if (table.classList.contains('boblog-table-striped-manual')) {
+            applyManualStriped(table);
+        }
+    }
+
+    /**
+     * 销毁单个表格
+     * 解绑可排序表头的点击事件并清除排序样式，按原始顺序恢复并显示所有行，
+     * 移除分页导航、复选框列、搜索工具栏、筛选行和手动斑马纹，清除所有初始化标记，之后可重新 init
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function destroy(table) {
+        /* 数据驱动模式：释放实例（已渲染的行保留），未返回的服务端请求随状态释放而作废 */
+        instances.delete(table);
+        table.classList.remove('boblog-table-loading');
+
+        /* 可排序表头：解绑事件、清除排序样式 */
+        var sortables = table.querySelectorAll('.boblog-th-sortable');
+        for (var i = 0; i < sortables.length; i++) {
+            var th = sortables[i];
+            var controller = headerControllers.get(th);
+            if (controller) {
+                controller.abort();
+                headerControllers.delete(th);
+            }
+            th.classList.remove('boblog-sort-asc', 'boblog-sort-desc');
+            th.removeAttribute('data-sort-priority');
+            delete th.dataset.sortInited;
+        }
+
+        /* 分页：移除导航栏，释放状态 */
+        var state = getTableState(table);
+        if (state) {
+            if (state.paginationEl && state.paginationEl.parentNode) {
+                BoblogUI.pagination.destroy(state.paginationEl);
+                state.paginationEl.parentNode.removeChild(state.paginationEl);
+            }
+            /* 单元格编辑：取消正在进行的编辑 */
+            destroyEditing(state);
+            /* 虚拟滚动：移除占位行和生成的滚动容器 */
+            destroyVirtual(state);
+            /* 展开行 / 树形：移除展开按钮 */
+            destroyRowTree(state);
+            /* 列布局：先恢复初始列顺序，再移除复选框列 */
+            destroyLayout(state);
+            /* 行选择：移除复选框列 */
+            destroySelection(state);
+            /* 筛选：先销毁筛选行内的下拉/日期组件，再移除筛选行和搜索工具栏 */
+            if (state.cancelFilterTimer) state.cancelFilterTimer();
+            if (state.filterRow) {
+                if (window.BoblogUI.destroy) window.BoblogUI.destroy(state.filterRow);
+                state.filterRow.parentNode.removeChild(state.filterRow);
+            }
+            if (state.toolbarEl && state.toolbarEl.parentNode) {
+                state.toolbarEl.parentNode.removeChild(state.toolbarEl);
+            }
+            delete tableStates[table.dataset.tableId];
         }
+        delete table.dataset.tableId;
 
-        /* 初始化所有分页表格 */
-        var pageTables = root.querySelectorAll('table[data-page-size]');
-        for (var k = 0; k < pageTables.length; k++) {
-            initTablePagination(pageTables[k]);
+        /* 行：移除提示行，按原始顺序恢复、全部显示、清除斑马纹 */
+        var tbody = table.querySelector('tbody');
+        var striped = table.classList.contains('boblog-table-striped-manual');
+        if (tbody) {
+            var messages = tbody.querySelectorAll('tr.boblog-table-empty, tr.boblog-table-error');
+            for (var m = 0; m < messages.length; m++) {
+                tbody.removeChild(messages[m]);
+            }
+            var rows = Array.prototype.slice.call(tbody.querySelectorAll('tr'));
+            if (table.dataset.orderSaved) {
+                rows.sort(function (a, b) {
+                    return (parseInt(a.dataset.originalIndex, 10) || 0)
+                         - (parseInt(b.dataset.originalIndex, 10) || 0);
+                });
+            }
+            for (var j = 0; j < rows.length; j++) {
+                tbody.appendChild(rows[j]);
+                rows[j].style.display = '';
+                if (striped) rows[j].classList.remove('boblog-row-even');
+                delete rows[j].dataset.originalIndex;
+            }
         }
+        delete table.dataset.orderSaved;
     }
 
     /* DOMContentLoaded 自动初始化 */
@@ -532,48 +3355,57 @@
      * ================================================== */
 
     /**
-     * 为带 .boblog-table-striped-manual 的表格自动添加斑马纹
+     * 为单个表格添加手动斑马纹
      * 只有当行中有第一列（有 rowspan 的行）时才计数
+     *
+     * @param {HTMLTableElement} table - 带 .boblog-table-striped-manual 的表格
      */
-    function initManualStriped() {
-        var tables = document.querySelectorAll('.boblog-table-striped-manual');
-        for (var i = 0; i < tables.length; i++) {
-            var tbody = tables[i].querySelector('tbody');
-            if (!tbody) continue;
+    function applyManualStriped(table) {
+        var tbody = table.querySelector('tbody');
+        if (!tbody) return;
 
-            var rows = tbody.querySelectorAll('tr');
+        var rows = tbody.querySelectorAll('tr');
 
-            /* 获取表格列数 */
-            var headerRow = tables[i].querySelector('thead tr');
-            var totalCols = headerRow ? headerRow.cells.length : 0;
+        /* 获取表格列数 */
+        var headerRow = table.querySelector('thead tr');
+        var totalCols = headerRow ? headerRow.cells.length : 0;
 
-            var visualRowIndex = 0;
+        var visualRowIndex = 0;
 
-            for (var j = 0; j < rows.length; j++) {
-                var row = rows[j];
-                var cellCount = row.cells.length;
-
-                /* 如果当前行有第一列（单元格数 = 总列数），这是一个新的视觉行组 */
-                if (cellCount === totalCols) {
-                    /* 奇数索引（1, 3, 5...）添加灰色 */
-                    if (visualRowIndex % 2 === 1) {
-                        row.classList.add('boblog-row-even');
-                    } else {
-                        row.classList.remove('boblog-row-even');
-                    }
-                    visualRowIndex++;
+        for (var j = 0; j < rows.length; j++) {
+            var row = rows[j];
+            var cellCount = row.cells.length;
+
+            /* 如果当前行有第一列（单元格数 = 总列数），这是一个新的视觉行组 */
+            if (cellCount === totalCols) {
+                /* 奇数索引（1, 3, 5...）添加灰色 */
+                if (visualRowIndex % 2 === 1) {
+                    row.classList.add('boblog-row-even');
                 } else {
-                    /* 当前行被上面的 rowspan 覆盖，应该和上一个有第一列的行颜色一致 */
-                    if ((visualRowIndex - 1) % 2 === 1) {
-                        row.classList.add('boblog-row-even');
-                    } else {
-                        row.classList.remove('boblog-row-even');
-                    }
+                    row.classList.remove('boblog-row-even');
+                }
+                visualRowIndex++;
+            } else {
+                /* 当前行被上面的 rowspan 覆盖，应该和上一个有第一列的行颜色一致 */
+                if ((visualRowIndex - 1) % 2 === 1) {
+                    row.classList.add('boblog-row-even');
+                } else {
+                    row.classList.remove('boblog-row-even');
                 }
             }
         }
     }
 
+    /**
+     * 为带 .boblog-table-striped-manual 的表格自动添加斑马纹
+     */
+    function initManualStriped() {
+        var tables = document.querySelectorAll('.boblog-table-striped-manual');
+        for (var i = 0; i < tables.length; i++) {
+            applyManualStriped(tables[i]);
+        }
+    }
+
     /* 在 init 中调用手动斑马纹初始化 */
     var originalInit = init;
     init = function (root) {
@@ -581,10 +3413,652 @@
         initManualStriped();
     };
 
+    /* ==================================================
+     * 数据驱动模式（JSON 行 + 列定义）
+     * ================================================== */
+
+    /**
+     * 获取数据驱动表格指定列的列定义
+     * @param {object} state - 表格状态对象
+     * @param {number} colIndex - 列索引
+     * @returns {object|null} 列定义，非数据驱动表格返回 null
+     */
+    function getColumn(state, colIndex) {
+        if (!state || !state.columns) return null;
+        /* 按表头单元格查找：复选框列没有列定义，列被拖动换位后仍能对应 */
+        var headerRow = state.table.tHead && state.table.tHead.rows[0];
+        var th = headerRow && headerRow.cells[colIndex];
+        return (th && thColumns.get(th)) || null;
+    }
+
+    /**
+     * 读取行数据在指定列上的原始值
+     * @param {object} column - 列定义
+     * @param {object} record - 行数据
+     */
+    function getCellValue(column, record) {
+        return column.key != null ? record[column.key] : undefined;
+    }
+
+    /**
+     * 计算行的唯一键
+     * @param {object} state - 表格状态对象
+     * @param {object} record - 行数据
+     */
+    function getRowKey(state, record) {
+        return typeof state.rowKey === 'function' ? state.rowKey(record) : record[state.rowKey];
+    }
+
+    /**
+     * 按列定义填充单元格
+     * 有 render 时：返回 Node 直接插入，返回字符串按 HTML 插入；否则按纯文本显示原始值
+     *
+     * @param {HTMLTableCellElement} td - 单元格
+     * @param {object} column - 列定义
+     * @param {object} record - 行数据
+     * @param {number} index - 行在数据中的索引
+     */
+    function fillCell(td, column, record, index) {
+        var value = getCellValue(column, record);
+        td.innerHTML = '';
+        if (column.render) {
+            var output = column.render(value, record, index);
+            if (output instanceof Node) {
+                td.appendChild(output);
+            } else {
+                td.innerHTML = output == null ? '' : String(output);
+            }
+        } else {
+            td.textContent = value == null ? '' : String(value);
+        }
+    }
+
+    /**
+     * 按列定义重绘一行（保留 tr 元素本身，分页/排序状态中的引用不变）
+     * @param {object} state - 表格状态对象
+     * @param {HTMLTableRowElement} tr - 行元素
+     * @param {object} record - 行数据
+     * @param {number} index - 行在数据中的索引
+     */
+    function fillRow(state, tr, record, index) {
+        tr.innerHTML = '';
+        tr.setAttribute('data-row-key', getRowKey(state, record));
+        /* 按表头当前的列顺序生成单元格，隐藏列同样隐藏 */
+        var headerRow = state.table.tHead.rows[0];
+        for (var i = 0; i < headerRow.cells.length; i++) {
+            var th = headerRow.cells[i];
+            var column = thColumns.get(th);
+            if (!column) continue;
+            var td = document.createElement('td');
+            if (column.className) td.className = column.className;
+            if (column.align) td.style.textAlign = column.align;
+            if (th.classList.contains('boblog-col-hidden')) td.classList.add('boblog-col-hidden');
+            if (column.editable) {
+                td.setAttribute('data-editable', column.editable);
+                if (column.editOptions) td.setAttribute('data-edit-options', column.editOptions.join(','));
+                if (column.required) td.setAttribute('data-required', '');
+                if (column.min != null) td.setAttribute('data-min', column.min);
+                if (column.max != null) td.setAttribute('data-max', column.max);
+            }
+            fillCell(td, column, record, index);
+            tr.appendChild(td);
+        }
+        rowRecords.set(tr, record);
+        if (state.rowTree) {
+            addRowToggle(state, tr);
+            /* 详情行已生成或该行处于展开状态（setData 后保持展开）时按新数据重绘 */
+            if (rowNodes.get(tr).detail || tr.classList.contains('boblog-row-expanded')) renderDetail(state, tr);
+        }
+        if (state.selection) addRowCheck(state, tr);
+    }
+
+    /**
+     * 按列定义渲染表头，可排序列绑定排序点击
+     * @param {object} state - 表格状态对象
+     */
+    function renderHeader(state) {
+        var thead = state.table.tHead || state.table.createTHead();
+        thead.innerHTML = '';
+        var tr = document.createElement('tr');
+        for (var i = 0; i < state.columns.length; i++) {
+            var column = state.columns[i];
+            var th = document.createElement('th');
+            th.textContent = column.title != null ? column.title : (column.key || '');
+            if (column.key != null) th.setAttribute('data-key', column.key);
+            if (column.width) {
+                th.style.width = typeof column.width === 'number' ? column.width + 'px' : column.width;
+            }
+            if (column.align) th.style.textAlign = column.align;
+            if (column.sortable) th.classList.add('boblog-th-sortable');
+            if (column.sortType) th.setAttribute('data-sort-type', column.sortType);
+            if (column.filter) th.setAttribute('data-filter', column.filter);
+            if (column.filterOptions) th.setAttribute('data-filter-options', column.filterOptions.join(','));
+            if (column.export === false) th.setAttribute('data-export', 'false');
+            thColumns.set(th, column);
+            tr.appendChild(th);
+        }
+        thead.appendChild(tr);
+        bindHeader(state);
+    }
+
+    /**
+     * 为表头中的可排序列绑定排序点击
+     * @param {object} state - 表格状态对象
+     */
+    function bindHeader(state) {
+        var headerRow = state.table.tHead && state.table.tHead.rows[0];
+        if (!headerRow) return;
+        var sortables = headerRow.querySelectorAll('.boblog-th-sortable');
+        for (var i = 0; i < sortables.length; i++) {
+            initSortableHeader(sortables[i]);
+        }
+    }
+
+    /**
+     * 从现有表头读取列定义（create 未传 columns 时使用）
+     * th 的 data-key 为字段名、文字为标题、.boblog-th-sortable 为可排序
+     *
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {Array} 列定义数组
+     */
+    function columnsFromHeader(table) {
+        var headerRow = table.tHead && table.tHead.rows[0];
+        if (!headerRow) return [];
+        return Array.prototype.map.call(headerRow.cells, function (th) {
+            return {
+                key: th.getAttribute('data-key'),
+                title: getCellText(th),
+                sortable: th.classList.contains('boblog-th-sortable')
+            };
+        });
+    }
+
+    /**
+     * 按表头当前的排序状态排序行（setData 后保持排序）
+     * @param {object} state - 表格状态对象
+     * @returns {Array} 排序后的行数组
+     */
+    function applyCurrentSort(state) {
+        var sorts = getSortSpec(state.table.tHead && state.table.tHead.rows[0]);
+        var rows = sorts.length === 0 ? state.originalRows.slice() : sortRows(state, state.originalRows, sorts);
+        /* 树形表格：同级之间排序，子行始终跟在父行之后 */
+        return state.rowTree && state.rowTree.tree ? orderTree(rows) : rows;
+    }
+
+    /**
+     * 按 state.data 重新生成所有行并渲染当前页
+     * 无数据时显示"暂无数据"行
+     * @param {object} state - 表格状态对象
+     */
+    function renderBody(state) {
+        var table = state.table;
+        var tbody = table.tBodies[0] || table.createTBody();
+        tbody.innerHTML = '';
+
+        state.rowMap = {};
+        state.originalRows = [];
+        var records = [];
+        var rowTree = state.rowTree;
+        /* 先登记全部行（树形表格递归 children），再生成单元格，展开按钮据此区分有无子行 */
+        var addRows = function (items, parent) {
+            items.forEach(function (record) {
+                var tr = document.createElement('tr');
+                var key = getRowKey(state, record);
+                state.originalRows.push(tr);
+                records.push(record);
+                state.rowMap[key] = tr;
+                if (!rowTree) return;
+                registerRow(tr, parent);
+                if (rowTree.expanded.has(key)) tr.classList.add('boblog-row-expanded');
+                var children = rowTree.tree ? record[rowTree.childrenKey] : null;
+                if (Array.isArray(children)) addRows(children, tr);
+            });
+        };
+        addRows(state.data, null);
+        state.originalRows.forEach(function (tr, index) {
+            fillRow(state, tr, records[index], index);
+        });
+        var selectionChanged = state.selection && reconcileSelection(state);
+        /* 服务端模式：数据已由服务端排好序、筛选好 */
+        if (state.remote) {
+            state.allRows = rowTree && rowTree.tree ? collapseRows(state.originalRows) : state.originalRows.slice();
+        } else {
+            refreshFilterOptions(state);
+            state.allRows = filterRows(state, applyCurrentSort(state));
+        }
+        renderPage(state);
+        if (selectionChanged) fireSelection(state);
+    }
+
+    /**
+     * 表头中未隐藏的列数（提示行的 colspan）
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {number}
+     */
+    function getVisibleColumnCount(table) {
+        var headerRow = table.tHead && table.tHead.rows[0];
+        if (!headerRow) return 1;
+        return headerRow.querySelectorAll('th:not(.boblog-col-hidden), td:not(.boblog-col-hidden)').length || 1;
+    }
+
+    /**
+     * 在 tbody 中追加一行占满全部列的提示行（暂无数据 / 加载中 / 加载失败）
+     * @param {object} state - 表格状态对象
+     * @param {string} className - 行类名
+     * @param {string} text - 提示文字
+     * @returns {HTMLTableRowElement} 提示行
+     */
+    function renderMessageRow(state, className, text) {
+        var tbody = state.table.tBodies[0] || state.table.createTBody();
+        var tr = document.createElement('tr');
+        tr.className = className;
+        var td = document.createElement('td');
+        td.colSpan = getVisibleColumnCount(state.table);
+        td.textContent = text;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+        return tr;
+    }
+
+    /* ==================================================
+     * 服务端模式（排序/分页由服务端完成）
+     * ================================================== */
+
+    /**
+     * 以 GET 请求地址，返回解析后的 JSON
+     * @param {string} url - 请求地址
+     * @param {object} params - { page, pageSize, sortKey, direction, search?, filters? }
+     * @returns {Promise<object>}
+     */
+    function requestJSON(url, params) {
+        var query = [];
+        function add(name, value) {
+            if (value == null) return;
+            if (Array.isArray(value)) value = value.join(',');
+            query.push(encodeURIComponent(name) + '=' + encodeURIComponent(value));
+        }
+        for (var name in params) {
+            var value = params[name];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                /* 对象参数展开为 name[key]=value */
+                for (var key in value) add(name + '[' + key + ']', value[key]);
+            } else {
+                add(name, value);
+            }
+        }
+        var fullUrl = url + (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+
+        return new Promise(function (resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.withCredentials = true;
+
+            xhr.onload = function () {
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject('HTTP错误: ' + xhr.status);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (e) {
+                    reject('返回格式错误: ' + xhr.responseText);
+                }
+            };
+
+            xhr.onerror = function () {
+                reject('请求失败: ' + fullUrl);
+            };
+
+            xhr.open('GET', fullUrl);
+            xhr.send();
+        });
+    }
+
+    /**
+     * 按当前页码和排序请求服务端数据并渲染
+     * 只渲染最后一次请求的结果，先发后到的旧响应直接丢弃
+     *
+     * @param {object} state - 表格状态对象
+     */
+    function loadRemotePage(state) {
+        var remote = state.remote;
+        var table = state.table;
+        var requestId = ++remote.requestId;
+        var params = {
+            page: state.currentPage,
+            pageSize: state.pageSize,
+            sortKey: remote.sorts.length ? remote.sorts[0].key : null,
+            direction: remote.sorts.length ? remote.sorts[0].direction : null
+        };
+
+        /* 多列排序：附带全部排序列 sort=字段:方向,字段:方向（首列同 sortKey/direction） */
+        if (remote.sorts.length > 1) {
+            params.sort = remote.sorts.map(function (sort) {
+                return sort.key + ':' + sort.direction;
+            });
+        }
+
+        /* 附带搜索和筛选条件 */
+        var criteria = readFilters(state);
+        if (criteria.search) params.search = criteria.search;
+        if (criteria.filters.length) {
+            params.filters = {};
+            criteria.filters.forEach(function (filter) {
+                params.filters[filter.key] = filter.value;
+            });
+        }
+
+        table.classList.add('boblog-table-loading');
+        /* 首次加载还没有行时显示"加载中" */
+        if (state.originalRows.length === 0) {
+            var tbody = table.tBodies[0] || table.createTBody();
+            tbody.innerHTML = '';
+            renderMessageRow(state, 'boblog-table-empty', '加载中...');
+        }
+
+        var request = typeof remote.source === 'function'
+            ? new Promise(function (resolve) { resolve(remote.source(params)); })
+            : requestJSON(remote.source, params);
+
+        request.then(function (result) {
+            /* 已有更新的请求，或表格已销毁 */
+            if (requestId !== remote.requestId || tableStates[table.dataset.tableId] !== state) return;
+            table.classList.remove('boblog-table-loading');
+
+            var items = (result && result.items) || [];
+            remote.total = result && result.total != null ? result.total : items.length;
+
+            /* 总数缩水（如批量删除后 reload）导致当前页越界时，退到最后一页重新请求 */
+            var lastPage = Math.max(1, Math.ceil(remote.total / state.pageSize) || 1);
+            var page = Math.min(Math.max(1, state.currentPage), lastPage);
+            if (page !== state.currentPage) {
+                state.currentPage = page;
+                loadRemotePage(state);
+                return;
+            }
+
+            state.data = items.slice();
+            renderBody(state);
+        }, function (err) {
+            if (requestId !== remote.requestId || tableStates[table.dataset.tableId] !== state) return;
+            table.classList.remove('boblog-table-loading');
+            console.error('[BoblogUI.table] 服务端数据加载失败:', err);
+
+            /* 清空当前页，显示可点击重试的错误行 */
+            var tbody = table.tBodies[0] || table.createTBody();
+            tbody.innerHTML = '';
+            state.originalRows = [];
+            state.allRows = [];
+            var row = renderMessageRow(state, 'boblog-table-error', '加载失败，点击重试');
+            row.addEventListener('click', function () {
+                loadRemotePage(state);
+            });
+        });
+    }
+
+    /**
+     * 合并更新数据驱动表格的单行字段并只重绘该行
+     * @param {object} state - 表格状态对象
+     * @param {*} key - 行唯一键
+     * @param {object} changes - 要修改的字段
+     * @returns {boolean} 找不到该行时返回 false
+     */
+    function updateRecord(state, key, changes) {
+        var tr = state.rowMap[key];
+        if (!tr) return false;
+
+        /* 合并为新对象，不修改调用方传入的原数据 */
+        var record = rowRecords.get(tr);
+        var next = {};
+        var field;
+        for (field in record) {
+            if (Object.prototype.hasOwnProperty.call(record, field)) next[field] = record[field];
+        }
+        for (field in changes) {
+            if (Object.prototype.hasOwnProperty.call(changes, field)) next[field] = changes[field];
+        }
+
+        /* 键被修改时更新索引（含选中集合） */
+        var newKey = getRowKey(state, next);
+        if (newKey !== key) {
+            delete state.rowMap[key];
+            state.rowMap[newKey] = tr;
+            if (state.selection && state.selection.selected.delete(key)) {
+                state.selection.selected.set(newKey, next);
+            }
+        }
+        if (state.selection && state.selection.selected.has(newKey)) {
+            state.selection.selected.set(newKey, next);
+        }
+
+        if (state.rowTree && newKey !== key && state.rowTree.expanded.delete(key)) {
+            state.rowTree.expanded.add(newKey);
+        }
+
+        var index = state.data.indexOf(record);
+        if (index !== -1) {
+            state.data[index] = next;
+        } else {
+            /* 树形表格的子行：替换父行 children 中的记录 */
+            var parent = rowNodes.get(tr).parent;
+            var siblings = rowRecords.get(parent)[state.rowTree.childrenKey];
+            siblings[siblings.indexOf(record)] = next;
+            index = state.originalRows.indexOf(tr);
+        }
+        fillRow(state, tr, next, index);
+        return true;
+    }
+
+    /**
+     * 复制树形数据的层级结构：有子行的记录浅拷贝并复制 children 数组，
+     * 更新子行时替换的是表格自己的数组，不修改调用方传入的原数据
+     *
+     * @param {Array} items - 记录数组
+     * @param {string} childrenKey - 子行字段名
+     * @returns {Array}
+     */
+    function copyTree(items, childrenKey) {
+        return items.map(function (record) {
+            if (!Array.isArray(record[childrenKey])) return record;
+            var copy = {};
+            for (var field in record) {
+                if (Object.prototype.hasOwnProperty.call(record, field)) copy[field] = record[field];
+            }
+            copy[childrenKey] = copyTree(record[childrenKey], childrenKey);
+            return copy;
+        });
+    }
+
+    /**
+     * 创建实例对象（公开方法直接挂在对象上）
+     * @param {object} state - 表格状态对象
+     * @returns {object} 实例对象
+     */
+    function createInstance(state) {
+        var inst = { table: state.table };
+
+        inst.getData = function () {
+            return state.data.slice();
+        };
+
+        inst.setData = function (data) {
+            state.data = state.rowTree && state.rowTree.tree ? copyTree(data || [], state.rowTree.childrenKey) : (data || []).slice();
+            renderBody(state);
+        };
+
+        inst.updateRow = function (key, changes) {
+            return updateRecord(state, key, changes);
+        };
+
+        inst.getSelectedRows = function () {
+            return getSelectedRows(state.table);
+        };
+
+        inst.clearSelection = function () {
+            clearSelection(state.table);
+        };
+
+        inst.scrollToRow = function (key) {
+            var tr = state.rowMap[key];
+            return tr ? scrollToRow(state, tr) : false;
+        };
+
+        inst.toggleRow = function (key, expanded) {
+            return toggleRow(state.table, key, expanded);
+        };
+
+        inst.expandAll = function () {
+            expandAll(state.table);
+        };
+
+        inst.collapseAll = function () {
+            collapseAll(state.table);
+        };
+
+        inst.reload = function () {
+            if (state.remote) loadRemotePage(state);
+        };
+
+        inst.destroy = function () {
+            destroy(state.table);
+        };
+
+        return inst;
+    }
+
+    /**
+     * 创建数据驱动表格
+     * 表格已由 init 接管（DOM 模式排序/分页）时先销毁再接管
+     *
+     * @param {HTMLTableElement} table - 表格元素（需已插入文档，分页导航插在其后）
+     * @param {object} [options] - { columns, data, rowKey, pageSize, remote, searchable, selectable, onCellSave, virtual, rowHeight, height, tree, childrenKey, detail }
+     * @returns {object} 实例对象
+     */
+    function create(table, options) {
+        options = options || {};
+        destroy(table);
+
+        var source = options.remote || table.getAttribute('data-remote-url');
+        var pageSize = options.pageSize || parseInt(table.getAttribute('data-page-size'), 10) || (source ? 20 : 0);
+
+        /* 分配唯一 ID，与 DOM 模式分页共用状态表 */
+        var id = 'boblog-table-' + (++tableIdCounter);
+        table.dataset.tableId = id;
+
+        var state = {
+            table: table,
+            columns: options.columns || columnsFromHeader(table),
+            rowKey: options.rowKey || 'id',
+            data: [],
+            rowMap: {},
+            allRows: [],
+            originalRows: [],
+            /* 不分页时视为一页装下全部 */
+            pageSize: pageSize > 0 ? pageSize : Infinity,
+            currentPage: 1,
+            paginationEl: pageSize > 0 ? createPaginationEl(table) : null,
+            /* 服务端模式状态：数据源、总条数、当前排序、最后一次请求编号 */
+            remote: source ? {
+                source: source,
+                total: 0,
+                sorts: [],
+                requestId: 0
+            } : null
+        };
+        tableStates[id] = state;
+
+        /* 传入列定义时重建表头，否则沿用现有表头 */
+        if (options.columns) {
+            renderHeader(state);
+        } else {
+            var headerRow = table.tHead && table.tHead.rows[0];
+            state.columns.forEach(function (column, i) {
+                thColumns.set(headerRow.cells[i], column);
+            });
+            bindHeader(state);
+        }
+        if (options.tree || table.hasAttribute('data-tree') || options.detail) {
+            initRowTree(state, {
+                tree: options.tree || table.hasAttribute('data-tree'),
+                childrenKey: options.childrenKey,
+                detail: options.detail
+            });
+        }
+        if (options.selectable || isSelectable(table)) initSelection(state);
+        initFilters(state, options.searchable || isSearchable(table));
+        initLayout(state);
+        state.cellSaveHandler = options.onCellSave || null;
+        if (state.columns.some(function (column) { return column.editable; })) initEditing(state);
+        /* 在工具栏生成之后包裹滚动容器，工具栏留在容器外 */
+        if (options.virtual || table.hasAttribute('data-virtual')) initVirtual(state, options);
+
+        var inst = createInstance(state);
+        instances.set(table, inst);
+        if (state.remote) {
+            loadRemotePage(state);
+        } else {
+            inst.setData(options.data);
+        }
+        return inst;
+    }
+
+    /**
+     * 获取数据驱动表格的实例
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {object|null} 实例对象
+     */
+    function getInstance(table) {
+        return instances.get(table) || null;
+    }
+
+    /**
+     * 获取表格选中的行
+     * @param {HTMLTableElement} table - 表格元素
+     * @returns {Array} 数据驱动表格为行数据，DOM 表格为 tr 元素；未开启行选择时为空数组
+     */
+    function getSelectedRows(table) {
+        var state = getTableState(table);
+        return state && state.selection ? readSelectedRows(state) : [];
+    }
+
+    /**
+     * 清空表格的选中行（含服务端模式其他页的选中项），如批量操作完成后
+     * @param {HTMLTableElement} table - 表格元素
+     */
+    function clearSelection(table) {
+        var state = getTableState(table);
+        if (!state || !state.selection || state.selection.selected.size === 0) return;
+        state.selection.selected.clear();
+        state.selection.anchor = null;
+        state.originalRows.forEach(function (row) {
+            setRowSelected(state, row, false);
+        });
+        updateSelectAll(state);
+        fireSelection(state);
+    }
+
     /* 挂载到全局命名空间，支持手动调用 */
     window.BoblogUI = window.BoblogUI || {};
     window.BoblogUI.table = {
         init: init,
-        initManualStriped: initManualStriped
+        initManualStriped: initManualStriped,
+        destroy: destroy,
+        create: create,
+        getInstance: getInstance,
+        getSelectedRows: getSelectedRows,
+        clearSelection: clearSelection,
+        export: exportTable,
+        registerComparator: registerComparator,
+        getLayout: getLayout,
+        setLayout: setLayout,
+        resetLayout: resetLayout,
+        onCellSave: onCellSave,
+        toggleRow: toggleRow,
+        expandAll: expandAll,
+        collapseAll: collapseAll
     };
+
+    /* 选择器是所有 table：initOne 只接管带排序表头、分页、筛选等标记的表格，普通表格不受影响 */
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('table', 'table', initOne, destroy);
+    }
 })();
@@ -18,6 +18,7 @@
  *
  * 公开 API：
  *   BoblogUI.tabs.init([container])  — 初始化指定容器（默认 document）内所有 Tab
+ *   BoblogUI.tabs.destroy(el)         — 销毁单个 Tab：解绑事件并清除初始化标记
  *
  * 依赖：
  *   - src/components/tabs.css（样式）
@@ -29,6 +30,68 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已初始化容器 → AbortController（destroy 时一次性解绑所有事件） */
+    var controllers = new WeakMap();
+
+    /**
+     * 初始化单个 Tab 容器
+     * 为容器的按钮绑定点击切换逻辑。
+     *
+     * @param {HTMLElement} tabsEl — .boblog-tabs 容器
+     */
+    function initOne(tabsEl) {
+        /* 跳过已初始化的容器，避免重复绑定 */
+        if (tabsEl.dataset.bbTabsInit) return;
+        tabsEl.dataset.bbTabsInit = '1';
+
+        /* 获取按钮栏和面板（仅直接子级，避免嵌套 Tab 干扰） */
+        var bar = null;
+        var panels = [];
+        var children = tabsEl.children;
+        for (var i = 0; i < children.length; i++) {
+            if (!bar && children[i].classList.contains('boblog-tabs-bar')) {
+                bar = children[i];
+            } else if (children[i].classList.contains('boblog-tabs-panel')) {
+                panels.push(children[i]);
+            }
+        }
+        if (!bar) return;
+        var btns = bar.querySelectorAll('.boblog-tabs-btn');
+
+        var controller = new AbortController();
+        controllers.set(tabsEl, controller);
+
+        /* 为每个按钮绑定点击事件 */
+        btns.forEach(function (btn, index) {
+            btn.addEventListener('click', function () {
+                /* 移除所有按钮和面板的 active 状态 */
+                btns.forEach(function (b) { b.classList.remove('active'); });
+                panels.forEach(function (p) { p.classList.remove('active'); });
+
+                /* 激活当前按钮和对应面板 */
+                btn.classList.add('active');
+                if (panels[index]) {
+                    panels[index].classList.add('active');
+                }
+            }, { signal: controller.signal });
+        });
+    }
+
+    /**
+     * 销毁单个 Tab 容器
+     * 解绑按钮点击事件并清除初始化标记，之后可重新 init。
+     *
+     * @param {HTMLElement} tabsEl — .boblog-tabs 容器
+     */
+    function destroy(tabsEl) {
+        var controller = controllers.get(tabsEl);
+        if (controller) {
+            controller.abort();
+            controllers.delete(tabsEl);
+        }
+        delete tabsEl.dataset.bbTabsInit;
+    }
+
     /**
      * 初始化 Tab 切换
      *
@@ -43,47 +106,19 @@
         /* 获取所有 Tab 容器 */
         var tabContainers = root.querySelectorAll('.boblog-tabs');
 
-        tabContainers.forEach(function (tabsEl) {
-            /* 跳过已初始化的容器，避免重复绑定 */
-            if (tabsEl.dataset.bbTabsInit) return;
-            tabsEl.dataset.bbTabsInit = '1';
-
-            /* 获取按钮栏和面板（仅直接子级，避免嵌套 Tab 干扰） */
-            var bar = null;
-            var panels = [];
-            var children = tabsEl.children;
-            for (var i = 0; i < children.length; i++) {
-                if (!bar && children[i].classList.contains('boblog-tabs-bar')) {
-                    bar = children[i];
-                } else if (children[i].classList.contains('boblog-tabs-panel')) {
-                    panels.push(children[i]);
-                }
-            }
-            if (!bar) return;
-            var btns = bar.querySelectorAll('.boblog-tabs-btn');
-
-            /* 为每个按钮绑定点击事件 */
-            btns.forEach(function (btn, index) {
-                btn.addEventListener('click', function () {
-                    /* 移除所有按钮和面板的 active 状态 */
-                    btns.forEach(function (b) { b.classList.remove('active'); });
-                    panels.forEach(function (p) { p.classList.remove('active'); });
-
-                    /* 激活当前按钮和对应面板 */
-                    btn.classList.add('active');
-                    if (panels[index]) {
-                        panels[index].classList.add('active');
-                    }
-                });
-            });
-        });
+        tabContainers.forEach(initOne);
     }
 
     /* 挂载到全局命名空间 */
     BoblogUI.tabs = {
-        init: init
+        init: init,
+        destroy: destroy
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('tabs', '.boblog-tabs', initOne, destroy);
+    }
+
     /* DOMContentLoaded 时自动初始化 */
     document.addEventListener('DOMContentLoaded', function () {
         init();
@@ -8,6 +8,7 @@
  * - Backspace 删除最后一个标签
  * - ESC 关闭建议面板
  * - 点击外部区域关闭建议面板
+ * - destroy() 解绑所有事件（含 document 上的点击监听）
  *
  * 使用方式：
  *   BoblogTagInput.create({
@@ -36,7 +37,7 @@ const BoblogTagInput = {
      * @param {Array} config.selectedTags - 已选标签列表 [{ id?, name }]（可选）
      * @param {Function} config.onTagsChange - 标签变化回调 function(selectedTags)
      * @param {Function} config.renderOption - 自定义渲染建议项 function(tag, inputValue) → HTML string（可选）
-     * @returns {Object} 实例对象，包含 addTag / removeTag / getSelectedTags 等方法
+     * @returns {Object} 实例对象，包含 addTag / removeTag / getSelectedTags / destroy 等方法
      */
     create(config) {
         const instance = Object.create(this._proto);
@@ -87,22 +88,34 @@ const BoblogTagInput = {
             return this.selectedTags.slice();
         },
 
+        /** 销毁实例：解绑所有事件，清空渲染出的标签和建议项 */
+        destroy() {
+            this._controller.abort();
+            this._hideSuggestions();
+            this.suggestions.innerHTML = '';
+            this.tagsDisplay.innerHTML = '';
+            this.input.value = '';
+        },
+
         /* ---------- 事件绑定 ---------- */
 
         _bindEvents() {
             const self = this;
+            /* 所有事件统一挂在 controller 上，destroy 时一次性解绑 */
+            this._controller = new AbortController();
+            const signal = this._controller.signal;
 
             /* 点击 wrapper 聚焦输入框 */
             this.wrapper.addEventListener('click', function(e) {
                 if (e.target === self.wrapper || e.target === self.tagsDisplay) {
                     self.input.focus();
                 }
-            });
+            }, { signal });
 
             /* 输入事件 — 实时搜索建议 */
             this.input.addEventListener('input', function() {
                 self._handleInput(self.input.value);
-            });
+            }, { signal });
 
             /* 键盘事件 */
             this.input.addEventListener('keydown', function(e) {
@@ -133,14 +146,14 @@ const BoblogTagInput = {
                     var lastTag = self.selectedTags[self.selectedTags.length - 1];
                     self.removeTag(lastTag.name);
                 }
-            });
+            }, { signal });
 
             /* 点击外部区域关闭建议面板 */
             document.addEventListener('click', function(e) {
                 if (!e.target.closest('.boblog-tag-input') || !self.container.contains(e.target)) {
                     self._hideSuggestions();
                 }
-            });
+            }, { signal });
         },
 
         /* ---------- 搜索与建议 ---------- */
@@ -7,6 +7,7 @@
  *   - 超过上限时自动添加 .limit-reached 类（红色加粗警告）
  *   - 支持 data-maxlength 属性指定字数上限
  *   - 支持手动调用 init() 初始化动态插入的容器
+ *   - 支持 destroy(wrapper) 解绑事件、移除自动创建的计数元素
  *
  * HTML 结构约定：
  *   <div class="boblog-textarea-wrapper">
@@ -22,6 +23,9 @@
 (function () {
     'use strict';
 
+    /** 已初始化容器 → 销毁函数 */
+    var teardowns = new WeakMap();
+
     /**
      * 初始化单个文本域的字符计数
      * @param {HTMLElement} wrapper - .boblog-textarea-wrapper 容器元素
@@ -44,6 +48,7 @@
 
         /* 查找或自动创建计数显示元素 */
         var countEl = wrapper.querySelector('.boblog-textarea-count');
+        var createdCountEl = !countEl;
         if (!countEl) {
             countEl = document.createElement('span');
             countEl.className = 'boblog-textarea-count';
@@ -74,6 +79,29 @@
 
         /* 初始化时立即更新一次（处理预填充内容） */
         updateCount();
+
+        teardowns.set(wrapper, function () {
+            textarea.removeEventListener('input', updateCount);
+            wrapper.classList.remove('limit-reached');
+            if (createdCountEl) {
+                wrapper.removeChild(countEl);
+            } else {
+                countEl.classList.remove('limit-reached');
+            }
+        });
+    }
+
+    /**
+     * 销毁单个文本域的字符计数
+     * @param {HTMLElement} wrapper - .boblog-textarea-wrapper 容器元素
+     */
+    function destroy(wrapper) {
+        var teardown = teardowns.get(wrapper);
+        if (teardown) {
+            teardown();
+            teardowns.delete(wrapper);
+        }
+        delete wrapper.dataset.textareaInited;
     }
 
     /**
@@ -98,6 +126,11 @@
     /* 挂载到全局命名空间，支持手动调用 */
     window.BoblogUI = window.BoblogUI || {};
     window.BoblogUI.textarea = {
-        init: init
+        init: init,
+        destroy: destroy
     };
+
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('textarea', '.boblog-textarea-wrapper', initTextareaCount, destroy);
+    }
 })();
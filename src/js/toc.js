@@ -14,6 +14,7 @@
  *   方式二（手动调用）：
  *     BoblogUI.toc.init()           — 初始化页面所有目录
  *     BoblogUI.toc.init(container)  — 只初始化指定容器内的目录
+ *     BoblogUI.toc.destroy(toc)     — 销毁单个目录：解绑 window 滚动/缩放监听，恢复原始结构
  *
  * HTML 结构约定：
  *   <div class="boblog-toc">
@@ -105,6 +106,24 @@ window.BoblogUI = window.BoblogUI || {};
         return parts.join(', ');
     }
 
+    /**
+     * 由 initOne 初始化的目录面板 → 实例状态
+     * 每项：{ controller, origStyle, tocList, origItems, restoreBody }
+     */
+    var instances = new WeakMap();
+
+    /**
+     * 取目录面板的事件监听选项
+     * 经 initOne 初始化的面板附带 AbortSignal，destroy 时一次性解绑（含 window 上的监听）
+     *
+     * @param {Element|null} toc — .boblog-toc 元素
+     * @return {Object|undefined} addEventListener 的 options
+     */
+    function listenOptions(toc) {
+        var inst = toc ? instances.get(toc) : null;
+        return inst ? { signal: inst.controller.signal } : undefined;
+    }
+
     /** 内置排除选择器：这些容器内的标题不会被收录到目录中 */
     var BUILTIN_EXCLUDES = ['.boblog-tabs-panel', '.boblog-codeblock', '.boblog-doc-demo'];
 
@@ -165,62 +184,66 @@ window.BoblogUI = window.BoblogUI || {};
      */
     function initToggle(container) {
         var root = container || document;
-        var tocs = root.querySelectorAll('.boblog-toc');
-
-        tocs.forEach(function (toc) {
-            /* 避免重复初始化 */
-            if (toc.querySelector('.boblog-toc-toggle')) return;
-
-            /* 读取 data-toc-float 属性，控制面板浮动模式
-               - 不设置或 "true" → 浮动覆盖（overlay），不影响页面布局
-               - "push"           → 浮动推开，自动给 body 添加 padding-right 避让
-               - "false"          → 静态嵌入文档流（position: static） */
-            var floatAttr = toc.getAttribute('data-toc-float');
-            if (floatAttr === 'false') {
-                toc.classList.add('boblog-toc--static');
-            }
-
-            /* 读取 data-toc-width 属性，支持自定义面板宽度
-               - 数字值（如 "200"）→ 设为固定像素宽度
-               - "auto" 或不设置 → 使用 CSS 默认的自适应宽度 */
-            var widthAttr = toc.getAttribute('data-toc-width');
-            if (widthAttr && widthAttr !== 'auto') {
-                var widthVal = parseInt(widthAttr, 10);
-                if (!isNaN(widthVal) && widthVal > 0) {
-                    toc.style.width = widthVal + 'px';
-                    toc.style.minWidth = 'auto';
-                    toc.style.maxWidth = 'none';
-                }
-            }
+        root.querySelectorAll('.boblog-toc').forEach(toggleOne);
+    }
 
-            /* 将原有内容包裹在 .boblog-toc-body 中 */
-            var body = document.createElement('div');
-            body.className = 'boblog-toc-body';
+    /**
+     * 为单个目录面板注入折叠/展开按钮
+     * @param {Element} toc - .boblog-toc 元素
+     */
+    function toggleOne(toc) {
+        /* 避免重复初始化 */
+        if (toc.querySelector('.boblog-toc-toggle')) return;
+
+        /* 读取 data-toc-float 属性，控制面板浮动模式
+           - 不设置或 "true" → 浮动覆盖（overlay），不影响页面布局
+           - "push"           → 浮动推开，自动给 body 添加 padding-right 避让
+           - "false"          → 静态嵌入文档流（position: static） */
+        var floatAttr = toc.getAttribute('data-toc-float');
+        if (floatAttr === 'false') {
+            toc.classList.add('boblog-toc--static');
+        }
 
-            /* 把 toc 的所有子节点移入 body */
-            while (toc.firstChild) {
-                body.appendChild(toc.firstChild);
+        /* 读取 data-toc-width 属性，支持自定义面板宽度
+           - 数字值（如 "200"）→ 设为固定像素宽度
+           - "auto" 或不设置 → 使用 CSS 默认的自适应宽度 */
+        var widthAttr = toc.getAttribute('data-toc-width');
+        if (widthAttr && widthAttr !== 'auto') {
+            var widthVal = parseInt(widthAttr, 10);
+            if (!isNaN(widthVal) && widthVal > 0) {
+                toc.style.width = widthVal + 'px';
+                toc.style.minWidth = 'auto';
+                toc.style.maxWidth = 'none';
             }
+        }
 
-            /* 创建切换按钮 */
-            var toggleBtn = document.createElement('button');
-            toggleBtn.className = 'boblog-toc-toggle';
-            toggleBtn.textContent = '收起目录';
-            toggleBtn.type = 'button';
+        /* 将原有内容包裹在 .boblog-toc-body 中 */
+        var body = document.createElement('div');
+        body.className = 'boblog-toc-body';
 
-            toggleBtn.addEventListener('click', function () {
-                toc.classList.toggle('collapsed');
-                if (toc.classList.contains('collapsed')) {
-                    toggleBtn.textContent = '显示目录';
-                } else {
-                    toggleBtn.textContent = '收起目录';
-                }
-            });
+        /* 把 toc 的所有子节点移入 body */
+        while (toc.firstChild) {
+            body.appendChild(toc.firstChild);
+        }
 
-            /* 按钮在前，内容在后 */
-            toc.appendChild(toggleBtn);
-            toc.appendChild(body);
-        });
+        /* 创建切换按钮 */
+        var toggleBtn = document.createElement('button');
+        toggleBtn.className = 'boblog-toc-toggle';
+        toggleBtn.textContent = '收起目录';
+        toggleBtn.type = 'button';
+
+        toggleBtn.addEventListener('click', function () {
+            toc.classList.toggle('collapsed');
+            if (toc.classList.contains('collapsed')) {
+                toggleBtn.textContent = '显示目录';
+            } else {
+                toggleBtn.textContent = '收起目录';
+            }
+        }, listenOptions(toc));
+
+        /* 按钮在前，内容在后 */
+        toc.appendChild(toggleBtn);
+        toc.appendChild(body);
     }
 
 
@@ -533,7 +556,7 @@ window.BoblogUI = window.BoblogUI || {};
                 });
                 ticking = true;
             }
-        });
+        }, listenOptions(tocList.closest('.boblog-toc')));
 
         /* 首次加载时立即执行一次高亮 */
         updateHighlight();
@@ -545,24 +568,96 @@ window.BoblogUI = window.BoblogUI || {};
        ====================================================================== */
 
     /**
-     * 初始化目录导航组件
-     * 按顺序执行：折叠切换 → 目录生成 → 滚动高亮
+     * 初始化单个目录面板
+     * 按顺序执行：折叠切换 → 目录生成 → 宽度锁定 → 滚动高亮 → 推开模式
      *
-     * @param {Element} [container=document] - 可选，限定初始化范围
+     * @param {Element} toc - .boblog-toc 元素
      */
-    function init(container) {
-        initToggle(container);
-        initGenerate(container);
+    function initOne(toc) {
+        /* 避免重复初始化（目录生成会追加条目，重复执行会产生重复项） */
+        if (toc.dataset.tocInit) return;
+        toc.dataset.tocInit = 'true';
+
+        /* 记录原始状态，destroy 时还原 */
+        var tocList = toc.querySelector('.boblog-toc-list, #tocList');
+        instances.set(toc, {
+            controller: new AbortController(),
+            origStyle: toc.getAttribute('style'),
+            tocList: tocList,
+            origItems: tocList ? Array.prototype.slice.call(tocList.childNodes) : [],
+            restoreBody: null
+        });
+
+        toggleOne(toc);
+        initGenerate(toc);
 
         /* 目录生成完毕后锁定面板宽度，防止高亮状态变化（bold）导致面板抖动
            仅对未通过 data-toc-width 指定固定宽度的面板生效 */
-        lockTocWidth(container);
+        lockOne(toc);
 
         /* 滚动高亮必须在目录生成之后执行 */
-        initScrollHighlight(container);
+        initScrollHighlight(toc);
 
         /* 推开模式：data-toc-float="push" 时自动给 body 添加 padding-right */
-        initPushMode(container);
+        pushOne(toc);
+    }
+
+    /**
+     * 销毁单个目录面板（仅限 init / initOne 初始化的面板）
+     * 解绑 window 滚动/缩放监听和折叠按钮，恢复推开模式修改的 body 样式，
+     * 移除自动生成的目录项、折叠按钮和 .boblog-toc-body 包裹层，清除初始化标记
+     *
+     * @param {Element} toc - .boblog-toc 元素
+     */
+    function destroy(toc) {
+        var inst = instances.get(toc);
+        if (!inst) return;
+
+        inst.controller.abort();
+        if (inst.restoreBody) inst.restoreBody();
+
+        /* 移除自动生成的目录项，保留原有条目 */
+        if (inst.tocList) {
+            Array.prototype.slice.call(inst.tocList.childNodes).forEach(function (node) {
+                if (inst.origItems.indexOf(node) === -1) {
+                    inst.tocList.removeChild(node);
+                }
+            });
+        }
+
+        /* 拆除折叠按钮和包裹层，把原有内容移回面板 */
+        var toggleBtn = toc.querySelector('.boblog-toc-toggle');
+        var body = toc.querySelector('.boblog-toc-body');
+        if (toggleBtn && toggleBtn.parentNode === toc) {
+            toc.removeChild(toggleBtn);
+        }
+        if (body && body.parentNode === toc) {
+            while (body.firstChild) {
+                toc.insertBefore(body.firstChild, body);
+            }
+            toc.removeChild(body);
+        }
+
+        /* 还原面板样式和状态类 */
+        if (inst.origStyle === null) {
+            toc.removeAttribute('style');
+        } else {
+            toc.setAttribute('style', inst.origStyle);
+        }
+        toc.classList.remove('collapsed', 'boblog-toc--static');
+
+        instances.delete(toc);
+        delete toc.dataset.tocInit;
+    }
+
+    /**
+     * 初始化目录导航组件
+     *
+     * @param {Element} [container=document] - 可选，限定初始化范围
+     */
+    function init(container) {
+        var root = container || document;
+        root.querySelectorAll('.boblog-toc').forEach(initOne);
     }
 
     /**
@@ -576,50 +671,54 @@ window.BoblogUI = window.BoblogUI || {};
      */
     function lockTocWidth(container) {
         var root = container || document;
-        var tocs = root.querySelectorAll('.boblog-toc');
-
-        tocs.forEach(function (toc) {
-            /* 已通过 data-toc-width 指定固定宽度的面板不需要锁定 */
-            var widthAttr = toc.getAttribute('data-toc-width');
-            if (widthAttr && widthAttr !== 'auto') return;
-
-            /* 同步测量：临时将所有链接设为 bold，模拟高亮状态下的最大宽度
-               （高亮时 font-weight: bold 会使文本变宽，必须按最宽状态锁定）
-               注意：读取 offsetWidth 会强制浏览器同步布局（reflow），
-               所以不需要 requestAnimationFrame，直接测量即可 */
-            var links = toc.querySelectorAll('a');
-            for (var i = 0; i < links.length; i++) {
-                links[i].style.fontWeight = 'bold';
-            }
-            /* 读取 offsetWidth 触发同步 reflow，得到所有链接加粗后的面板宽度 */
-            var computedWidth = toc.offsetWidth;
-            /* 恢复原始 font-weight（清除 inline style，回退到 CSS 规则） */
-            for (var i = 0; i < links.length; i++) {
-                links[i].style.fontWeight = '';
-            }
-            /* 锁定宽度 */
-            toc.style.width = computedWidth + 'px';
-
-            /* 窗口 resize 时解锁重算
-               仅在窗口宽度真正变化时触发（防止 DevTools 等面板引起的高度变化误触发） */
-            var lastWindowWidth = window.innerWidth;
-            var resizeTimer = null;
-            window.addEventListener('resize', function () {
-                var newWidth = window.innerWidth;
-                if (newWidth === lastWindowWidth) return;
-                lastWindowWidth = newWidth;
-                clearTimeout(resizeTimer);
-                resizeTimer = setTimeout(function () {
-                    /* 临时解锁：恢复 auto 让浏览器重新计算 */
-                    toc.style.width = 'auto';
-                    /* 临时全部加粗测最大宽度，再锁定 */
-                    var rl = toc.querySelectorAll('a');
-                    for (var j = 0; j < rl.length; j++) rl[j].style.fontWeight = 'bold';
-                    toc.style.width = toc.offsetWidth + 'px';
-                    for (var j = 0; j < rl.length; j++) rl[j].style.fontWeight = '';
-                }, 150);
-            });
-        });
+        root.querySelectorAll('.boblog-toc').forEach(lockOne);
+    }
+
+    /**
+     * 锁定单个目录面板宽度
+     * @param {Element} toc - .boblog-toc 元素
+     */
+    function lockOne(toc) {
+        /* 已通过 data-toc-width 指定固定宽度的面板不需要锁定 */
+        var widthAttr = toc.getAttribute('data-toc-width');
+        if (widthAttr && widthAttr !== 'auto') return;
+
+        /* 同步测量：临时将所有链接设为 bold，模拟高亮状态下的最大宽度
+           （高亮时 font-weight: bold 会使文本变宽，必须按最宽状态锁定）
+           注意：读取 offsetWidth 会强制浏览器同步布局（reflow），
+           所以不需要 requestAnimationFrame，直接测量即可 */
+        var links = toc.querySelectorAll('a');
+        for (var i = 0; i < links.length; i++) {
+            links[i].style.fontWeight = 'bold';
+        }
+        /* 读取 offsetWidth 触发同步 reflow，得到所有链接加粗后的面板宽度 */
+        var computedWidth = toc.offsetWidth;
+        /* 恢复原始 font-weight（清除 inline style，回退到 CSS 规则） */
+        for (var i = 0; i < links.length; i++) {
+            links[i].style.fontWeight = '';
+        }
+        /* 锁定宽度 */
+        toc.style.width = computedWidth + 'px';
+
+        /* 窗口 resize 时解锁重算
+           仅在窗口宽度真正变化时触发（防止 DevTools 等面板引起的高度变化误触发） */
+        var lastWindowWidth = window.innerWidth;
+        var resizeTimer = null;
+        window.addEventListener('resize', function () {
+            var newWidth = window.innerWidth;
+            if (newWidth === lastWindowWidth) return;
+            lastWindowWidth = newWidth;
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(function () {
+                /* 临时解锁：恢复 auto 让浏览器重新计算 */
+                toc.style.width = 'auto';
+                /* 临时全部加粗测最大宽度，再锁定 */
+                var rl = toc.querySelectorAll('a');
+                for (var j = 0; j < rl.length; j++) rl[j].style.fontWeight = 'bold';
+                toc.style.width = toc.offsetWidth + 'px';
+                for (var j = 0; j < rl.length; j++) rl[j].style.fontWeight = '';
+            }, 150);
+        }, listenOptions(toc));
     }
 
     /**
@@ -638,57 +737,72 @@ window.BoblogUI = window.BoblogUI || {};
      */
     function initPushMode(container) {
         var root = container || document;
-        var tocs = root.querySelectorAll('.boblog-toc');
-
-        tocs.forEach(function (toc) {
-            var floatAttr = toc.getAttribute('data-toc-float');
-            if (floatAttr !== 'push') return;
-
-            /* 计算需要的避让空间：面板宽度 + right(20px) + 间隙(10px)
-               通过 padding-right + box-sizing: border-box 实现推开。
-               border-box 让 padding 挤压内容区，而非扩展 body 总宽度 */
-            var tocWidth = toc.offsetWidth;
-            var rightOffset = 20;  /* 与 CSS 中 .boblog-toc { right: 20px } 对应 */
-            var gap = 10;          /* 内容与面板之间的额外间隙 */
-            var pushSpace = tocWidth + rightOffset + gap;
-
-            /* 保存原始样式 */
-            var cs = window.getComputedStyle(document.body);
-            var originalBoxSizing = cs.boxSizing;
-            var originalPaddingRight = cs.paddingRight;
-
-            document.body.style.boxSizing = 'border-box';
-            document.body.style.paddingRight = pushSpace + 'px';
-
-            /* 劫持折叠按钮：收起时恢复，展开时推开 */
-            var toggleBtn = toc.querySelector('.boblog-toc-toggle');
-            if (toggleBtn) {
-                toggleBtn.addEventListener('click', function () {
-                    if (toc.classList.contains('collapsed')) {
-                        document.body.style.boxSizing = originalBoxSizing;
-                        document.body.style.paddingRight = originalPaddingRight;
-                    } else {
-                        document.body.style.boxSizing = 'border-box';
-                        document.body.style.paddingRight = pushSpace + 'px';
-                    }
-                });
-            }
+        root.querySelectorAll('.boblog-toc').forEach(pushOne);
+    }
 
-            /* 窗口 resize 时同步更新 */
-            var lastWidth = window.innerWidth;
-            window.addEventListener('resize', function () {
-                var curWidth = window.innerWidth;
-                if (curWidth === lastWidth) return;
-                lastWidth = curWidth;
-                setTimeout(function () {
-                    if (!toc.classList.contains('collapsed')) {
-                        var newTocWidth = toc.offsetWidth;
-                        var newSpace = newTocWidth + rightOffset + gap;
-                        document.body.style.paddingRight = newSpace + 'px';
-                    }
-                }, 200);
-            });
-        });
+    /**
+     * 为单个 data-toc-float="push" 的目录面板开启推开模式
+     * @param {Element} toc - .boblog-toc 元素
+     */
+    function pushOne(toc) {
+        var floatAttr = toc.getAttribute('data-toc-float');
+        if (floatAttr !== 'push') return;
+
+        /* 计算需要的避让空间：面板宽度 + right(20px) + 间隙(10px)
+           通过 padding-right + box-sizing: border-box 实现推开。
+           border-box 让 padding 挤压内容区，而非扩展 body 总宽度 */
+        var tocWidth = toc.offsetWidth;
+        var rightOffset = 20;  /* 与 CSS 中 .boblog-toc { right: 20px } 对应 */
+        var gap = 10;          /* 内容与面板之间的额外间隙 */
+        var pushSpace = tocWidth + rightOffset + gap;
+
+        /* 保存原始样式 */
+        var cs = window.getComputedStyle(document.body);
+        var originalBoxSizing = cs.boxSizing;
+        var originalPaddingRight = cs.paddingRight;
+
+        /* destroy 时还原 body 的内联样式 */
+        var inst = instances.get(toc);
+        if (inst) {
+            var inlineBoxSizing = document.body.style.boxSizing;
+            var inlinePaddingRight = document.body.style.paddingRight;
+            inst.restoreBody = function () {
+                document.body.style.boxSizing = inlineBoxSizing;
+                document.body.style.paddingRight = inlinePaddingRight;
+            };
+        }
+
+        document.body.style.boxSizing = 'border-box';
+        document.body.style.paddingRight = pushSpace + 'px';
+
+        /* 劫持折叠按钮：收起时恢复，展开时推开 */
+        var toggleBtn = toc.querySelector('.boblog-toc-toggle');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', function () {
+                if (toc.classList.contains('collapsed')) {
+                    document.body.style.boxSizing = originalBoxSizing;
+                    document.body.style.paddingRight = originalPaddingRight;
+                } else {
+                    document.body.style.boxSizing = 'border-box';
+                    document.body.style.paddingRight = pushSpace + 'px';
+                }
+            }, listenOptions(toc));
+        }
+
+        /* 窗口 resize 时同步更新 */
+        var lastWidth = window.innerWidth;
+        window.addEventListener('resize', function () {
+            var curWidth = window.innerWidth;
+            if (curWidth === lastWidth) return;
+            lastWidth = curWidth;
+            setTimeout(function () {
+                if (!toc.classList.contains('collapsed')) {
+                    var newTocWidth = toc.offsetWidth;
+                    var newSpace = newTocWidth + rightOffset + gap;
+                    document.body.style.paddingRight = newSpace + 'px';
+                }
+            }, 200);
+        }, listenOptions(toc));
     }
 
     /* 挂载到全局命名空间 */
@@ -696,9 +810,14 @@ window.BoblogUI = window.BoblogUI || {};
         init: init,
         initToggle: initToggle,
         initGenerate: initGenerate,
-        initScrollHighlight: initScrollHighlight
+        initScrollHighlight: initScrollHighlight,
+        destroy: destroy
     };
 
+    if (window.BoblogUI.register) {
+        window.BoblogUI.register('toc', '.boblog-toc', initOne, destroy);
+    }
+
     /* DOMContentLoaded 自动初始化 */
     document.addEventListener('DOMContentLoaded', function () {
         init();
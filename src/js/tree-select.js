@@ -7,6 +7,7 @@
  * - 单选节点
  * - 键盘操作（ESC 关闭面板）
  * - 点击外部区域关闭面板
+ * - destroy() 解绑所有事件（含 document 上的点击监听）
  *
  * 使用方式：
  *   BoblogTreeSelect.create({
@@ -117,6 +118,13 @@ const BoblogTreeSelect = {
             this._renderTree();
         },
 
+        /** 销毁实例：解绑所有事件，关闭面板并清空渲染出的树节点 */
+        destroy() {
+            this._controller.abort();
+            this._closePanel();
+            this.listContainer.innerHTML = '';
+        },
+
         /* ---------- 扁平化 ---------- */
 
         _flattenTree(nodes, level, parentId, parentPath) {
@@ -293,6 +301,9 @@ const BoblogTreeSelect = {
 
         _bindEvents() {
             var self = this;
+            /* 所有事件统一挂在 controller 上，destroy 时一次性解绑 */
+            this._controller = new AbortController();
+            var signal = this._controller.signal;
 
             /* 点击显示框 — 打开/关闭面板 */
             this.display.addEventListener('click', function(e) {
@@ -302,16 +313,16 @@ const BoblogTreeSelect = {
                 } else {
                     self._openPanel();
                 }
-            });
+            }, { signal: signal });
 
             /* 搜索输入 */
             if (this.searchInput) {
                 this.searchInput.addEventListener('input', function() {
                     self._renderTree(self.searchInput.value);
-                });
+                }, { signal: signal });
                 this.searchInput.addEventListener('keydown', function(e) {
                     if (e.key === 'Escape') self._closePanel();
-                });
+                }, { signal: signal });
             }
 
             /* 点击外部区域关闭 */
@@ -319,7 +330,7 @@ const BoblogTreeSelect = {
                 if (!e.target.closest('.boblog-tree-select') || !self.container.contains(e.target)) {
                     self._closePanel();
                 }
-            });
+            }, { signal: signal });
         },
 
         _bindNodeEvents() {
@@ -26,6 +26,7 @@
  *
  * 公开 API：
  *   BoblogUI.uploadArea.init([options])      — 初始化上传区域
+ *   BoblogUI.uploadArea.destroy(areaEl)      — 解绑上传区域（含关联文件输入框）的事件
  *   BoblogUI.uploadArea.formatFileSize(bytes) — 格式化文件大小
  *   BoblogUI.uploadArea.getFileIcon(mimeType) — 根据 MIME 类型返回图标
  *   BoblogUI.uploadArea.getFileIconByType(fileType) — 根据文件类型字符串返回图标
@@ -43,6 +44,9 @@
     /* 确保全局命名空间存在 */
     window.BoblogUI = window.BoblogUI || {};
 
+    /** 已绑定的上传区域 → AbortController（destroy 时解绑区域及文件输入框上的事件） */
+    var controllers = new WeakMap();
+
     /* ========== 工具函数 ========== */
 
     /**
@@ -147,10 +151,14 @@
         /* 跳过已初始化的元素 */
         if (uploadAreaEl.getAttribute('data-boblog-upload-init') === '1') return;
 
+        var controller = new AbortController();
+        var signal = controller.signal;
+        controllers.set(uploadAreaEl, controller);
+
         /* 点击上传区域 → 触发文件选择 */
         uploadAreaEl.addEventListener('click', function () {
             fileInputEl.click();
-        });
+        }, { signal: signal });
 
         /* 文件选择事件 */
         fileInputEl.addEventListener('change', function (e) {
@@ -159,18 +167,18 @@
                     onFilesSelected(e.target.files);
                 }
             }
-        });
+        }, { signal: signal });
 
         /* 拖拽进入：添加 dragging 状态 */
         uploadAreaEl.addEventListener('dragover', function (e) {
             e.preventDefault();
             uploadAreaEl.classList.add('dragging');
-        });
+        }, { signal: signal });
 
         /* 拖拽离开：移除 dragging 状态 */
         uploadAreaEl.addEventListener('dragleave', function () {
             uploadAreaEl.classList.remove('dragging');
-        });
+        }, { signal: signal });
 
         /* 拖拽放下：移除 dragging 状态，处理文件 */
         uploadAreaEl.addEventListener('drop', function (e) {
@@ -181,12 +189,27 @@
                     onFilesSelected(e.dataTransfer.files);
                 }
             }
-        });
+        }, { signal: signal });
 
         /* 标记已初始化 */
         uploadAreaEl.setAttribute('data-boblog-upload-init', '1');
     }
 
+    /**
+     * 解绑上传区域的拖拽/点击交互及关联文件输入框的 change 事件
+     *
+     * @param {HTMLElement} uploadAreaEl 上传区域元素（.boblog-upload-area）
+     */
+    function destroy(uploadAreaEl) {
+        var controller = controllers.get(uploadAreaEl);
+        if (controller) {
+            controller.abort();
+            controllers.delete(uploadAreaEl);
+        }
+        uploadAreaEl.classList.remove('dragging');
+        uploadAreaEl.removeAttribute('data-boblog-upload-init');
+    }
+
     /**
      * 初始化上传区域
      *
@@ -212,25 +235,33 @@
             /* 自动模式：扫描页面中所有 .boblog-upload-area */
             var areas = document.querySelectorAll('.boblog-upload-area');
             for (var i = 0; i < areas.length; i++) {
-                var area = areas[i];
-                /* 查找关联的文件输入框 */
-                var input = null;
-
-                /* 优先使用 data-file-input 属性指定的选择器 */
-                var inputSelector = area.getAttribute('data-file-input');
-                if (inputSelector) {
-                    input = document.querySelector(inputSelector);
-                }
+                initOne(areas[i]);
+            }
+        }
+    }
 
-                /* 其次查找内部的 input[type="file"] */
-                if (!input) {
-                    input = area.querySelector('input[type="file"]');
-                }
+    /**
+     * 初始化单个上传区域（自动查找关联的文件输入框）
+     *
+     * @param {HTMLElement} area 上传区域元素（.boblog-upload-area）
+     */
+    function initOne(area) {
+        /* 查找关联的文件输入框 */
+        var input = null;
 
-                if (input) {
-                    bindUploadArea(area, input, null);
-                }
-            }
+        /* 优先使用 data-file-input 属性指定的选择器 */
+        var inputSelector = area.getAttribute('data-file-input');
+        if (inputSelector) {
+            input = document.querySelector(inputSelector);
+        }
+
+        /* 其次查找内部的 input[type="file"] */
+        if (!input) {
+            input = area.querySelector('input[type="file"]');
+        }
+
+        if (input) {
+            bindUploadArea(area, input, null);
         }
     }
 
@@ -238,6 +269,7 @@
 
     BoblogUI.uploadArea = {
         init: init,
+        destroy: destroy,
         formatFileSize: formatFileSize,
         getFileIcon: getFileIcon,
         getFileIconByType: getFileIconByType,
@@ -245,6 +277,10 @@
         updateListVisibility: updateListVisibility
     };
 
+    if (BoblogUI.register) {
+        BoblogUI.register('uploadArea', '.boblog-upload-area', initOne, destroy);
+    }
+
     /* DOM 就绪后自动初始化（无参数，扫描模式） */
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function () {